@@ -0,0 +1,118 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { cache } from "react";
+import { ArticleActions } from "@/components/ArticleActions";
+import { TrendingRail } from "@/components/TrendingRail";
+import { CONFIG } from "@/lib/config";
+import { articlePath, categoryLabel, categoryPath, formatDate, toDate } from "@/lib/format";
+import { getArticleById, getTrendingArticles, isNotFound } from "@/lib/functions";
+import type { Article } from "@/lib/types";
+
+export const dynamic = "force-dynamic";
+
+interface ArticlePageProps {
+  params: Promise<{ id: string }>;
+}
+
+// generateMetadata and the page share one backend call per request
+const loadArticle = cache(async (id: string): Promise<Article | null> => {
+  if (!/^[a-f0-9]{32}$/.test(id)) return null;
+  try {
+    const article = await getArticleById(id);
+    // Unpublished stories stay reachable by id in the backend, but not here
+    return article.isActive === false ? null : article;
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+});
+
+export async function generateMetadata({ params }: ArticlePageProps): Promise<Metadata> {
+  const article = await loadArticle((await params).id);
+  if (!article) return {};
+
+  return {
+    title: article.title,
+    description: article.summary,
+    alternates: { canonical: articlePath(article.id) },
+    openGraph: {
+      type: "article",
+      title: article.title,
+      description: article.summary,
+      url: articlePath(article.id),
+      publishedTime: toDate(article.publishedAt)?.toISOString(),
+      section: categoryLabel(article.category),
+    },
+  };
+}
+
+export default async function ArticlePage({ params }: ArticlePageProps) {
+  const [article, trending] = await Promise.all([
+    loadArticle((await params).id),
+    getTrendingArticles().catch(() => null),
+  ]);
+  if (!article) notFound();
+
+  const published = toDate(article.publishedAt);
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "NewsArticle",
+    headline: article.title,
+    description: article.summary,
+    datePublished: published?.toISOString(),
+    articleSection: categoryLabel(article.category),
+    url: `${CONFIG.siteUrl}${articlePath(article.id)}`,
+    isBasedOn: article.link,
+    publisher: { "@type": "Organization", name: CONFIG.siteName },
+  };
+
+  return (
+    <div className="grid gap-8 pt-6 lg:grid-cols-[1fr_320px]">
+      <article>
+        <script
+          type="application/ld+json"
+          // Escape "<" so a title can't close the script tag
+          dangerouslySetInnerHTML={{ __html: JSON.stringify(jsonLd).replace(/</g, "\\u003c") }}
+        />
+        <Link href={categoryPath(article.category)} className="text-sm font-medium uppercase tracking-wide text-emerald-700 hover:underline dark:text-emerald-400">
+          {categoryLabel(article.category)}
+        </Link>
+        <h1 className="mt-2 text-3xl font-bold leading-tight">{article.title}</h1>
+        <div className="mt-2 flex flex-wrap gap-2 text-sm text-zinc-500">
+          <span>{article.source || "Unknown"}</span>
+          {published && <time dateTime={published.toISOString()}>{formatDate(article.publishedAt)}</time>}
+          {article.tone && <span>· {article.tone}</span>}
+        </div>
+        {article.summary && <p className="mt-6 text-lg leading-relaxed text-zinc-800 dark:text-zinc-200">{article.summary}</p>}
+        <a
+          href={article.link}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="mt-6 inline-block rounded-full bg-emerald-700 px-5 py-2 font-medium text-white hover:bg-emerald-800"
+        >
+          Read the full story at {article.source || "the source"} →
+        </a>
+        {article.alternateSources && article.alternateSources.length > 0 && (
+          <section className="mt-8">
+            <h2 className="text-sm font-bold uppercase tracking-wide text-zinc-500">Also covered by</h2>
+            <ul className="mt-2 space-y-1">
+              {article.alternateSources.map((alternate) => (
+                <li key={alternate.link}>
+                  <a href={alternate.link} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                    {alternate.source}
+                    {alternate.title ? `: ${alternate.title}` : ""}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+        <div className="mt-8">
+          <ArticleActions article={article} />
+        </div>
+      </article>
+      <TrendingRail articles={(trending?.articles || []).filter((story) => story.id !== article.id)} />
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import type { Metadata } from "next";
+import { notFound } from "next/navigation";
+import { ArticleFeed } from "@/components/ArticleFeed";
+import { CategoryTabs } from "@/components/CategoryTabs";
+import { TrendingRail } from "@/components/TrendingRail";
+import { CONFIG } from "@/lib/config";
+import { categoryLabel, categoryPath } from "@/lib/format";
+import { getArticlesByCategory, getTrendingArticles } from "@/lib/functions";
+
+export const dynamic = "force-dynamic";
+
+interface CategoryPageProps {
+  params: Promise<{ category: string }>;
+}
+
+function toCategory(slug: string): string | null {
+  const category = slug.toUpperCase();
+  return (CONFIG.categories as readonly string[]).includes(category) ? category : null;
+}
+
+export async function generateMetadata({ params }: CategoryPageProps): Promise<Metadata> {
+  const category = toCategory((await params).category);
+  if (!category) return {};
+
+  const title = `${categoryLabel(category)} good news`;
+  return {
+    title,
+    description: `The latest good news in ${categoryLabel(category).toLowerCase()}, curated by ${CONFIG.siteName}.`,
+    alternates: { canonical: categoryPath(category) },
+    openGraph: { title, url: categoryPath(category) },
+  };
+}
+
+export default async function CategoryPage({ params }: CategoryPageProps) {
+  const category = toCategory((await params).category);
+  if (!category) notFound();
+
+  const [page, trending] = await Promise.all([
+    getArticlesByCategory(category),
+    getTrendingArticles().catch(() => null),
+  ]);
+
+  return (
+    <>
+      <CategoryTabs active={category} />
+      <h1 className="sr-only">{categoryLabel(category)} good news</h1>
+      <div className="grid gap-8 lg:grid-cols-[1fr_320px]">
+        <section aria-label={`${categoryLabel(category)} stories`}>
+          <ArticleFeed key={category} initialPage={page} category={category} />
+        </section>
+        <div className="hidden lg:block lg:pt-5">
+          <TrendingRail articles={trending?.articles || []} />
+        </div>
+      </div>
+    </>
+  );
+}
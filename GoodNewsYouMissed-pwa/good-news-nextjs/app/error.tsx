@@ -0,0 +1,13 @@
+"use client";
+
+export default function Error({ reset }: { error: Error & { digest?: string }; reset: () => void }) {
+  return (
+    <div className="py-20 text-center">
+      <h1 className="text-2xl font-bold">We couldn&apos;t load the news</h1>
+      <p className="mt-2 text-zinc-500">The news service didn&apos;t answer. Please try again in a moment.</p>
+      <button type="button" onClick={reset} className="mt-6 text-emerald-700 underline dark:text-emerald-400">
+        Try again
+      </button>
+    </div>
+  );
+}
@@ -1,5 +1,8 @@
 import type { Metadata } from "next";
 import { Geist, Geist_Mono } from "next/font/google";
+import { BookmarksProvider } from "@/components/BookmarksProvider";
+import { SiteHeader } from "@/components/SiteHeader";
+import { CONFIG } from "@/lib/config";
 import "./globals.css";
 
 const geistSans = Geist({
@@ -13,8 +16,16 @@ const geistMono = Geist_Mono({
 });
 
 export const metadata: Metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  metadataBase: new URL(CONFIG.siteUrl),
+  title: {
+    default: CONFIG.siteName,
+    template: `%s | ${CONFIG.siteName}`,
+  },
+  description: CONFIG.description,
+  openGraph: {
+    siteName: CONFIG.siteName,
+    type: "website",
+  },
 };
 
 export default function RootLayout({
@@ -27,7 +38,10 @@ export default function RootLayout({
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
-        {children}
+        <BookmarksProvider>
+          <SiteHeader />
+          <main className="mx-auto max-w-6xl px-4 pb-16">{children}</main>
+        </BookmarksProvider>
       </body>
     </html>
   );
@@ -0,0 +1,13 @@
+import Link from "next/link";
+
+export default function NotFound() {
+  return (
+    <div className="py-20 text-center">
+      <h1 className="text-2xl font-bold">This story isn&apos;t here</h1>
+      <p className="mt-2 text-zinc-500">It may have expired; stories are kept for a couple of days.</p>
+      <Link href="/" className="mt-6 inline-block text-emerald-700 underline dark:text-emerald-400">
+        Back to the latest good news
+      </Link>
+    </div>
+  );
+}
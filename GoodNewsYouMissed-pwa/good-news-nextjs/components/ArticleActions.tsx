@@ -0,0 +1,122 @@
+"use client";
+
+// Bookmark and share buttons for one article
+import { useState } from "react";
+import { CONFIG, type SharePlatform } from "@/lib/config";
+import { trackShare } from "@/lib/functions";
+import { articlePath } from "@/lib/format";
+import type { Article } from "@/lib/types";
+import { useBookmarks } from "./BookmarksProvider";
+
+const PLATFORM_LABELS: Record<SharePlatform, string> = {
+  twitter: "X / Twitter",
+  facebook: "Facebook",
+  whatsapp: "WhatsApp",
+  reddit: "Reddit",
+  email: "Email",
+  copy: "Copy link",
+};
+
+function shareUrl(platform: SharePlatform, url: string, title: string): string | null {
+  const u = encodeURIComponent(url);
+  const t = encodeURIComponent(title);
+  switch (platform) {
+    case "twitter":
+      return `https://twitter.com/intent/tweet?url=${u}&text=${t}`;
+    case "facebook":
+      return `https://www.facebook.com/sharer/sharer.php?u=${u}`;
+    case "whatsapp":
+      return `https://wa.me/?text=${t}%20${u}`;
+    case "reddit":
+      return `https://www.reddit.com/submit?url=${u}&title=${t}`;
+    case "email":
+      return `mailto:?subject=${t}&body=${u}`;
+    default:
+      return null;
+  }
+}
+
+export function ArticleActions({ article }: { article: Pick<Article, "id" | "title"> }) {
+  const { enabled, user, isBookmarked, toggle } = useBookmarks();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState("");
+  const bookmarked = isBookmarked(article.id);
+
+  async function onBookmark() {
+    setBusy(true);
+    setNotice("");
+    try {
+      await toggle(article.id);
+    } catch (error) {
+      setNotice(error instanceof Error ? error.message : "Bookmarking failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onShare(platform: SharePlatform) {
+    setMenuOpen(false);
+    setNotice("");
+    const url = `${window.location.origin}${articlePath(article.id)}`;
+    const target = shareUrl(platform, url, article.title);
+
+    if (target) {
+      window.open(target, "_blank", "noopener,noreferrer");
+    } else {
+      // Clipboard access is refused outside secure contexts and when the page lacks focus
+      try {
+        await navigator.clipboard.writeText(url);
+        setNotice("Link copied");
+      } catch {
+        setNotice(`Could not copy the link: ${url}`);
+      }
+    }
+
+    // Counting shares must never get in the reader's way: a failure only leaves a quiet note
+    const idToken = user ? await user.getIdToken().catch(() => undefined) : undefined;
+    trackShare(article.id, platform, idToken).catch(() =>
+      setNotice((current) => current || "Shared, but the share could not be counted")
+    );
+  }
+
+  return (
+    <div className="relative flex items-center gap-2 text-sm">
+      {enabled && (
+        <button
+          type="button"
+          onClick={onBookmark}
+          disabled={busy}
+          aria-pressed={bookmarked}
+          className="rounded-full border border-zinc-300 px-3 py-1 hover:bg-zinc-100 disabled:opacity-50 dark:border-zinc-700 dark:hover:bg-zinc-800"
+        >
+          {bookmarked ? "★ Saved" : "☆ Save"}
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={() => setMenuOpen((open) => !open)}
+        aria-expanded={menuOpen}
+        className="rounded-full border border-zinc-300 px-3 py-1 hover:bg-zinc-100 dark:border-zinc-700 dark:hover:bg-zinc-800"
+      >
+        Share
+      </button>
+      {menuOpen && (
+        <ul className="absolute left-0 top-9 z-10 min-w-40 rounded-lg border border-zinc-200 bg-white py-1 shadow-lg dark:border-zinc-700 dark:bg-zinc-900">
+          {CONFIG.sharePlatforms.map((platform) => (
+            <li key={platform}>
+              <button
+                type="button"
+                onClick={() => onShare(platform)}
+                className="block w-full px-4 py-1.5 text-left hover:bg-zinc-100 dark:hover:bg-zinc-800"
+              >
+                {PLATFORM_LABELS[platform]}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {notice && <span className="text-xs text-zinc-500" role="status">{notice}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import Link from "next/link";
+import { articlePath, categoryLabel, categoryPath, formatDate, toDate } from "@/lib/format";
+import type { Article } from "@/lib/types";
+import { ArticleActions } from "./ArticleActions";
+
+const FEATURED_LABELS = { storyOfTheDay: "Story of the Day", pinned: "Editor's pick" };
+
+export function ArticleCard({ article }: { article: Article }) {
+  return (
+    <article className="border-b border-zinc-200 py-5 dark:border-zinc-800">
+      <div className="mb-1 flex flex-wrap items-center gap-2 text-xs text-zinc-500">
+        {article.featured && (
+          <span className="rounded bg-amber-100 px-1.5 py-0.5 font-medium text-amber-800 dark:bg-amber-900 dark:text-amber-100">
+            {FEATURED_LABELS[article.featured]}
+          </span>
+        )}
+        <Link href={categoryPath(article.category)} className="font-medium uppercase tracking-wide text-emerald-700 hover:underline dark:text-emerald-400">
+          {categoryLabel(article.category)}
+        </Link>
+        <span>{article.source || "Unknown"}</span>
+        {article.publishedAt && <time dateTime={toDate(article.publishedAt)?.toISOString()}>{formatDate(article.publishedAt)}</time>}
+      </div>
+      <h2 className="text-lg font-semibold leading-snug">
+        <Link href={articlePath(article.id)} className="hover:underline">
+          {article.title}
+        </Link>
+      </h2>
+      {article.summary && <p className="mt-1 text-zinc-700 dark:text-zinc-300">{article.summary}</p>}
+      <div className="mt-3">
+        <ArticleActions article={article} />
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,75 @@
+"use client";
+
+// Server-rendered first page, then more pages (by lastArticleId) as the reader scrolls
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getAllArticles, getArticlesByCategory } from "@/lib/functions";
+import type { ArticlePage } from "@/lib/types";
+import { ArticleCard } from "./ArticleCard";
+
+interface ArticleFeedProps {
+  initialPage: ArticlePage;
+  // null for every category
+  category: string | null;
+}
+
+export function ArticleFeed({ initialPage, category }: ArticleFeedProps) {
+  const [articles, setArticles] = useState(initialPage.articles);
+  const [hasMore, setHasMore] = useState(initialPage.hasMore);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const sentinel = useRef<HTMLDivElement>(null);
+
+  const loadMore = useCallback(async () => {
+    if (loading || !hasMore || articles.length === 0) return;
+    setLoading(true);
+    setError("");
+    try {
+      const lastArticleId = articles[articles.length - 1].id;
+      const page = category ? await getArticlesByCategory(category, lastArticleId) : await getAllArticles(lastArticleId);
+      // Pinned stories can show up again further down; keep the first copy
+      setArticles((current) => {
+        const seen = new Set(current.map((article) => article.id));
+        return [...current, ...page.articles.filter((article) => !seen.has(article.id))];
+      });
+      setHasMore(page.hasMore && page.articles.length > 0);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : "Could not load more stories");
+    } finally {
+      setLoading(false);
+    }
+  }, [articles, category, hasMore, loading]);
+
+  useEffect(() => {
+    const node = sentinel.current;
+    if (!node || !hasMore || error) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMore();
+    }, { rootMargin: "600px" });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [error, hasMore, loadMore]);
+
+  if (articles.length === 0) {
+    return <p className="py-10 text-center text-zinc-500">No good news here yet. Check back soon!</p>;
+  }
+
+  return (
+    <div>
+      {articles.map((article) => (
+        <ArticleCard key={article.id} article={article} />
+      ))}
+      <div ref={sentinel} className="py-6 text-center text-sm text-zinc-500">
+        {loading && "Loading more good news…"}
+        {error && (
+          <>
+            {error}{" "}
+            <button type="button" onClick={loadMore} className="underline">
+              Try again
+            </button>
+          </>
+        )}
+        {!hasMore && !error && "You're all caught up."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+"use client";
+
+import { useState } from "react";
+import { useBookmarks } from "./BookmarksProvider";
+
+// Closing the Google popup is the reader's choice, not a failure worth reporting
+const DISMISSED_CODES = new Set(["auth/popup-closed-by-user", "auth/cancelled-popup-request"]);
+
+export function AuthButton() {
+  const { enabled, user, signIn, signOut, error: bookmarksError } = useBookmarks();
+  const [error, setError] = useState("");
+  if (!enabled) return null;
+
+  async function run(action: () => Promise<void>, failure: string) {
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      if (DISMISSED_CODES.has((err as { code?: string }).code ?? "")) return;
+      setError(err instanceof Error ? `${failure}: ${err.message}` : failure);
+    }
+  }
+
+  const message = error || bookmarksError;
+  const button = user ? (
+    <button
+      type="button"
+      onClick={() => run(signOut, "Sign-out failed")}
+      className="text-sm text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-zinc-100"
+    >
+      Sign out {user.displayName ? `(${user.displayName})` : ""}
+    </button>
+  ) : (
+    <button
+      type="button"
+      onClick={() => run(signIn, "Sign-in failed")}
+      className="rounded-full bg-emerald-700 px-4 py-1.5 text-sm font-medium text-white hover:bg-emerald-800"
+    >
+      Sign in
+    </button>
+  );
+
+  return (
+    <div className="flex items-center gap-3">
+      {message && (
+        <span className="text-xs text-red-700 dark:text-red-400" role="alert">
+          {message}
+        </span>
+      )}
+      {button}
+    </div>
+  );
+}
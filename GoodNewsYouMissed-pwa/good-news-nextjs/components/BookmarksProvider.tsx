@@ -0,0 +1,83 @@
+"use client";
+
+// Signed-in user and their bookmarked article ids, shared by every bookmark button
+import { createContext, useCallback, useContext, useEffect, useState } from "react";
+import type { User } from "firebase/auth";
+import { getUserBookmarks, toggleBookmark } from "@/lib/functions";
+import { isFirebaseConfigured, onUserChanged, signInUser, signOutUser } from "@/lib/firebase";
+
+interface BookmarksContextValue {
+  enabled: boolean;
+  user: User | null;
+  /** Why the signed-in user's bookmarks could not be loaded, or "" */
+  error: string;
+  isBookmarked: (articleId: string) => boolean;
+  toggle: (articleId: string) => Promise<void>;
+  signIn: () => Promise<void>;
+  signOut: () => Promise<void>;
+}
+
+const BookmarksContext = createContext<BookmarksContextValue | null>(null);
+
+export function BookmarksProvider({ children }: { children: React.ReactNode }) {
+  const enabled = isFirebaseConfigured();
+  const [user, setUser] = useState<User | null>(null);
+  const [bookmarkedIds, setBookmarkedIds] = useState<Set<string>>(new Set());
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!enabled) return;
+    return onUserChanged(async (nextUser) => {
+      setUser(nextUser);
+      setError("");
+      if (!nextUser) {
+        setBookmarkedIds(new Set());
+        return;
+      }
+      try {
+        const { articles } = await getUserBookmarks(await nextUser.getIdToken());
+        setBookmarkedIds(new Set(articles.map((article) => article.id)));
+      } catch {
+        setError("Could not load your bookmarks");
+      }
+    });
+  }, [enabled]);
+
+  const signIn = useCallback(async () => {
+    await signInUser();
+  }, []);
+
+  const signOut = useCallback(async () => {
+    await signOutUser();
+  }, []);
+
+  const toggle = useCallback(
+    async (articleId: string) => {
+      const currentUser = user || (await signInUser());
+      const { bookmarked } = await toggleBookmark(articleId, await currentUser.getIdToken());
+      setBookmarkedIds((ids) => {
+        const next = new Set(ids);
+        if (bookmarked) next.add(articleId);
+        else next.delete(articleId);
+        return next;
+      });
+    },
+    [user]
+  );
+
+  const isBookmarked = useCallback((articleId: string) => bookmarkedIds.has(articleId), [bookmarkedIds]);
+
+  return (
+    <BookmarksContext.Provider value={{ enabled, user, error, isBookmarked, toggle, signIn, signOut }}>
+      {children}
+    </BookmarksContext.Provider>
+  );
+}
+
+export function useBookmarks(): BookmarksContextValue {
+  const context = useContext(BookmarksContext);
+  if (!context) {
+    throw new Error("useBookmarks must be used inside <BookmarksProvider>");
+  }
+  return context;
+}
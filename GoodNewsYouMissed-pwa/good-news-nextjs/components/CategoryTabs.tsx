@@ -0,0 +1,36 @@
+import Link from "next/link";
+import { CONFIG } from "@/lib/config";
+import { categoryLabel, categoryPath } from "@/lib/format";
+
+// active: a category from CONFIG.categories, or null for "All"
+export function CategoryTabs({ active }: { active: string | null }) {
+  const tabs = [{ href: "/", label: "All", current: active === null }].concat(
+    CONFIG.categories.map((category) => ({
+      href: categoryPath(category),
+      label: categoryLabel(category),
+      current: active === category,
+    }))
+  );
+
+  return (
+    <nav aria-label="Categories" className="-mx-4 overflow-x-auto px-4">
+      <ul className="flex gap-2 whitespace-nowrap py-3">
+        {tabs.map((tab) => (
+          <li key={tab.href}>
+            <Link
+              href={tab.href}
+              aria-current={tab.current ? "page" : undefined}
+              className={`block rounded-full px-4 py-1.5 text-sm font-medium ${
+                tab.current
+                  ? "bg-emerald-700 text-white"
+                  : "bg-zinc-100 text-zinc-700 hover:bg-zinc-200 dark:bg-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-700"
+              }`}
+            >
+              {tab.label}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
@@ -0,0 +1,16 @@
+import Link from "next/link";
+import { CONFIG } from "@/lib/config";
+import { AuthButton } from "./AuthButton";
+
+export function SiteHeader() {
+  return (
+    <header className="border-b border-zinc-200 dark:border-zinc-800">
+      <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-4">
+        <Link href="/" className="text-xl font-bold tracking-tight text-emerald-800 dark:text-emerald-400">
+          {CONFIG.siteName}
+        </Link>
+        <AuthButton />
+      </div>
+    </header>
+  );
+}
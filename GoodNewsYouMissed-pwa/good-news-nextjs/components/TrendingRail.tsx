@@ -0,0 +1,30 @@
+import Link from "next/link";
+import { articlePath, categoryLabel } from "@/lib/format";
+import type { Article } from "@/lib/types";
+
+export function TrendingRail({ articles }: { articles: Article[] }) {
+  if (articles.length === 0) return null;
+
+  return (
+    <aside aria-labelledby="trending-heading" className="rounded-xl bg-zinc-50 p-5 dark:bg-zinc-900">
+      <h2 id="trending-heading" className="mb-3 text-sm font-bold uppercase tracking-wide text-zinc-500">
+        Trending today
+      </h2>
+      <ol className="space-y-4">
+        {articles.map((article, index) => (
+          <li key={article.id} className="flex gap-3">
+            <span className="text-2xl font-bold leading-none text-emerald-700 dark:text-emerald-400">{index + 1}</span>
+            <div>
+              <Link href={articlePath(article.id)} className="font-medium leading-snug hover:underline">
+                {article.title}
+              </Link>
+              <div className="mt-0.5 text-xs text-zinc-500">
+                {categoryLabel(article.category)} · {article.source || "Unknown"}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
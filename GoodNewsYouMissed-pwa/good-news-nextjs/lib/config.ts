@@ -0,0 +1,38 @@
+// Reader settings. The backend is reached over the Cloud Functions callable
+// protocol, so public pages need only the project id (or NEXT_PUBLIC_FUNCTIONS_URL
+// for the emulator, e.g. http://127.0.0.1:5001/<project>/us-central1).
+
+const projectId = process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID;
+const functionsRegion = process.env.NEXT_PUBLIC_FIREBASE_FUNCTIONS_REGION || "us-central1";
+
+export const CONFIG = {
+  siteName: "Good News You Missed",
+  description: "Curated good news from around the world: science, health, community, animals and more.",
+  siteUrl: process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000",
+
+  functionsUrl:
+    process.env.NEXT_PUBLIC_FUNCTIONS_URL ||
+    (projectId ? `https://${functionsRegion}-${projectId}.cloudfunctions.net` : ""),
+  // Seconds a server-rendered response may be reused before the backend is asked again
+  revalidateSeconds: 60,
+
+  pageSize: 20,
+  trendingSize: 5,
+
+  // Same list as the backend CONFIG.categories
+  categories: ["SCIENCE", "TECHNOLOGY", "ENVIRONMENT", "HEALTH", "COMMUNITY", "ANIMALS", "INNOVATION"],
+
+  // Share targets; the names match the backend CONFIG.validPlatforms
+  sharePlatforms: ["twitter", "facebook", "whatsapp", "reddit", "email", "copy"],
+
+  // Sign-in is only needed for bookmarks
+  firebase: {
+    apiKey: process.env.NEXT_PUBLIC_FIREBASE_API_KEY,
+    authDomain: process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN,
+    projectId,
+    appId: process.env.NEXT_PUBLIC_FIREBASE_APP_ID,
+  },
+} as const;
+
+export type Category = (typeof CONFIG.categories)[number];
+export type SharePlatform = (typeof CONFIG.sharePlatforms)[number];
@@ -0,0 +1,34 @@
+// Firebase Auth for the browser, used only to sign in for bookmarks.
+// Initialized on first use so pages work without any NEXT_PUBLIC_FIREBASE_API_KEY.
+import { getApps, initializeApp } from "firebase/app";
+import { GoogleAuthProvider, getAuth, onAuthStateChanged, signInWithPopup, signOut, type Auth, type User } from "firebase/auth";
+import { CONFIG } from "./config";
+
+let auth: Auth | null = null;
+
+function getFirebaseAuth(): Auth {
+  if (auth) return auth;
+  if (!isFirebaseConfigured()) {
+    throw new Error("Firebase is not configured. Set NEXT_PUBLIC_FIREBASE_API_KEY and NEXT_PUBLIC_FIREBASE_PROJECT_ID in .env.local");
+  }
+  const app = getApps()[0] || initializeApp(CONFIG.firebase);
+  auth = getAuth(app);
+  return auth;
+}
+
+export function isFirebaseConfigured(): boolean {
+  return !!(CONFIG.firebase.apiKey && CONFIG.firebase.projectId);
+}
+
+export function onUserChanged(callback: (user: User | null) => void): () => void {
+  return onAuthStateChanged(getFirebaseAuth(), callback);
+}
+
+export async function signInUser(): Promise<User> {
+  const result = await signInWithPopup(getFirebaseAuth(), new GoogleAuthProvider());
+  return result.user;
+}
+
+export function signOutUser(): Promise<void> {
+  return signOut(getFirebaseAuth());
+}
@@ -0,0 +1,31 @@
+import type { Article } from "./types";
+
+export function toDate(value: Article["publishedAt"]): Date | null {
+  if (!value) return null;
+  if (typeof value === "string") {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  const seconds = "_seconds" in value ? value._seconds : value.seconds;
+  return new Date(seconds * 1000);
+}
+
+export function formatDate(value: Article["publishedAt"]): string {
+  const date = toDate(value);
+  return date
+    ? date.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" })
+    : "";
+}
+
+export function categoryLabel(category: string): string {
+  return category.charAt(0) + category.slice(1).toLowerCase();
+}
+
+// Categories are lowercase in URLs: /category/science
+export function categoryPath(category: string): string {
+  return `/category/${category.toLowerCase()}`;
+}
+
+export function articlePath(id: string): string {
+  return `/article/${id}`;
+}
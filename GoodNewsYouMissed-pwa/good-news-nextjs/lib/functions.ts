@@ -0,0 +1,85 @@
+// Backend callables over HTTP (https://firebase.google.com/docs/functions/callable-reference).
+// Works in server components, where pages are rendered for SEO, and in the browser
+// for infinite scroll and the signed-in actions.
+import { CONFIG, type SharePlatform } from "./config";
+import type { Article, ArticlePage } from "./types";
+
+export class FunctionError extends Error {
+  constructor(message: string, readonly status: string) {
+    super(message);
+    this.name = "FunctionError";
+  }
+}
+
+interface CallOptions {
+  // Firebase Auth ID token, for callables that need a signed-in user
+  idToken?: string;
+  // Server only: reuse the response for this many seconds (0 for never)
+  revalidate?: number;
+}
+
+export async function callFunction<T>(name: string, data: object = {}, options: CallOptions = {}): Promise<T> {
+  if (!CONFIG.functionsUrl) {
+    throw new FunctionError(
+      "The backend is not configured. Set NEXT_PUBLIC_FIREBASE_PROJECT_ID or NEXT_PUBLIC_FUNCTIONS_URL in .env.local",
+      "FAILED_PRECONDITION"
+    );
+  }
+
+  const { idToken, revalidate = CONFIG.revalidateSeconds } = options;
+  const response = await fetch(`${CONFIG.functionsUrl}/${name}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(idToken ? { Authorization: `Bearer ${idToken}` } : {}),
+    },
+    body: JSON.stringify({ data }),
+    // Signed-in responses are per user and never shared
+    ...(idToken || revalidate === 0 ? { cache: "no-store" as const } : { next: { revalidate } }),
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body || body.error) {
+    throw new FunctionError(
+      body?.error?.message || `${name} failed with HTTP ${response.status}`,
+      body?.error?.status || "INTERNAL"
+    );
+  }
+  return body.result as T;
+}
+
+export function isNotFound(error: unknown): boolean {
+  return error instanceof FunctionError && error.status === "NOT_FOUND";
+}
+
+// ==================== ARTICLES ====================
+
+export function getAllArticles(lastArticleId?: string): Promise<ArticlePage> {
+  return callFunction<ArticlePage>("getAllArticles", { limit: CONFIG.pageSize, lastArticleId });
+}
+
+export function getArticlesByCategory(category: string, lastArticleId?: string): Promise<ArticlePage> {
+  return callFunction<ArticlePage>("getArticlesByCategory", { category, limit: CONFIG.pageSize, lastArticleId });
+}
+
+export function getTrendingArticles(): Promise<ArticlePage> {
+  return callFunction<ArticlePage>("getTrendingArticles", { limit: CONFIG.trendingSize });
+}
+
+export function getArticleById(articleId: string): Promise<Article> {
+  return callFunction<Article>("getArticleById", { articleId });
+}
+
+// ==================== ENGAGEMENT ====================
+
+export function toggleBookmark(articleId: string, idToken: string): Promise<{ bookmarked: boolean }> {
+  return callFunction("toggleBookmark", { articleId }, { idToken });
+}
+
+export function getUserBookmarks(idToken: string): Promise<{ articles: Article[] }> {
+  return callFunction("getUserBookmarks", {}, { idToken });
+}
+
+export function trackShare(articleId: string, platform: SharePlatform, idToken?: string): Promise<unknown> {
+  return callFunction("trackShare", { articleId, platform }, { idToken, revalidate: 0 });
+}
@@ -0,0 +1,37 @@
+// Shapes returned by the backend callables
+
+// Firestore Timestamps arrive as plain objects over the callable protocol
+export type FirestoreTimestamp =
+  | { _seconds: number; _nanoseconds: number }
+  | { seconds: number; nanoseconds: number };
+
+export interface AlternateSource {
+  id?: string;
+  source: string;
+  link: string;
+  title?: string;
+}
+
+export interface Article {
+  id: string;
+  title: string;
+  summary?: string;
+  category: string;
+  link: string;
+  source?: string;
+  publishedAt?: FirestoreTimestamp | string | null;
+  tone?: string | null;
+  toneConfidence?: number | null;
+  views?: number;
+  saves?: number;
+  shares?: number;
+  alternateSources?: AlternateSource[];
+  featured?: "storyOfTheDay" | "pinned";
+  isActive?: boolean;
+}
+
+export interface ArticlePage {
+  articles: Article[];
+  count: number;
+  hasMore: boolean;
+}
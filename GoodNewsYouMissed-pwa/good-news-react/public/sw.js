@@ -0,0 +1,34 @@
+// public/sw.js - WEB PUSH SERVICE WORKER
+// Shows the backend's "breaking good news" pushes (pushBreakingGoodNews) and
+// opens the story when a notification is clicked. Payload:
+//   { title, body, url, articleId, category, tag }
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Good News You Missed', {
+      body: payload.body || 'A new good news story is in.',
+      tag: payload.tag,
+      icon: '/vite.svg',
+      data: { url: payload.url || '/', articleId: payload.articleId }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
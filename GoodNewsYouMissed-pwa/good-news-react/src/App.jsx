@@ -14,6 +14,31 @@ import {
   fetchAndProcessGoodNews 
 } from './assets/lib/services/ai-service.js';
 
+// Admin console - backend callables, needs VITE_FIREBASE_* config
+import { CONFIG } from './assets/lib/config.js';
+import {
+  isAdminConsoleConfigured,
+  onAdminAuthChanged,
+  signInAdmin,
+  signOutAdmin,
+  listBatches,
+  getBatchArticles,
+  updateArticle,
+  listAuditLog,
+  getEditorialSchedule,
+  scheduleStoryOfTheDay,
+  cancelStoryOfTheDay
+} from './assets/lib/services/admin-service.js';
+
+// Push notifications - same Firebase config, plus VAPID keys on the backend
+import {
+  isPushSupported,
+  getPushStatus,
+  enablePush,
+  disablePush,
+  removePushDevice
+} from './assets/lib/services/push-service.js';
+
 function App() {
   const [activeTab, setActiveTab] = useState('generateArticleId');
   
@@ -62,6 +87,20 @@ function App() {
           label="4. Full Integration"
           status="🔒"
         />
+        <TabButton 
+          id="admin" 
+          activeTab={activeTab} 
+          setActiveTab={setActiveTab}
+          label="5. Admin"
+          status="🛡️"
+        />
+        <TabButton 
+          id="push" 
+          activeTab={activeTab} 
+          setActiveTab={setActiveTab}
+          label="6. Push"
+          status="🔔"
+        />
       </div>
       
       {/* Tab Content */}
@@ -70,6 +109,8 @@ function App() {
         {activeTab === 'fetchArticles' && <FetchArticlesTest />}
         {activeTab === 'aiFiltering' && <AIFilteringTest />}
         {activeTab === 'allFunctions' && <FullIntegrationTest />}
+        {activeTab === 'admin' && <AdminConsole />}
+        {activeTab === 'push' && <PushSettings />}
       </div>
       
       {/* Progress Tracker */}
@@ -1195,4 +1236,500 @@ function FullIntegrationTest() {
   );
 }
 
+// 5. Admin Moderation Console
+function AdminConsole() {
+  const configured = isAdminConsoleConfigured();
+  const [user, setUser] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [selectedBatch, setSelectedBatch] = useState(null);
+  const [articles, setArticles] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [featuring, setFeaturing] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('❌ Admin action failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadBatches = () => run(async () => {
+    const result = await listBatches({ limit: 20 });
+    setBatches(result.batches);
+  });
+
+  const loadAuditLog = () => run(async () => {
+    const result = await listAuditLog({ limit: 50 });
+    setAuditLog(result.entries);
+  });
+
+  const loadSchedule = () => run(async () => {
+    setSchedule(await getEditorialSchedule());
+  });
+
+  const featureArticle = (articleId, startAt, endAt, note) => run(async () => {
+    await scheduleStoryOfTheDay(articleId, startAt, endAt, note);
+    setSchedule(await getEditorialSchedule());
+    setFeaturing(null);
+  });
+
+  const cancelFeature = (featureId) => run(async () => {
+    await cancelStoryOfTheDay(featureId);
+    setSchedule(await getEditorialSchedule());
+  });
+
+  const openBatch = (batchId) => run(async () => {
+    const result = await getBatchArticles(batchId);
+    setSelectedBatch(batchId);
+    setArticles(result.articles);
+    setEditing(null);
+  });
+
+  const applyChanges = (articleId, changes, note) => run(async () => {
+    await updateArticle(articleId, changes, note);
+    const [batchResult, auditResult] = await Promise.all([
+      getBatchArticles(selectedBatch),
+      listAuditLog({ limit: 50 })
+    ]);
+    setArticles(batchResult.articles);
+    setAuditLog(auditResult.entries);
+    setEditing(null);
+  });
+
+  useEffect(() => {
+    if (!configured) return undefined;
+    return onAdminAuthChanged(setUser);
+  }, [configured]);
+
+  if (!configured) {
+    return (
+      <div>
+        <h2>🛡️ Admin: Moderation Console</h2>
+        <div style={{ marginTop: '15px', padding: '10px', background: '#fff3cd', borderRadius: '4px' }}>
+          <p>⚠️ Firebase is not configured</p>
+          <p><small>Add <code>VITE_FIREBASE_API_KEY</code>, <code>VITE_FIREBASE_AUTH_DOMAIN</code>, <code>VITE_FIREBASE_PROJECT_ID</code> and <code>VITE_FIREBASE_APP_ID</code> to <code>.env.local</code> and restart the dev server</small></p>
+        </div>
+      </div>
+    );
+  }
+
+  const buttonStyle = (color, disabled = loading) => ({
+    padding: '6px 12px',
+    background: disabled ? '#ccc' : color,
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    fontSize: '14px'
+  });
+
+  return (
+    <div>
+      <h2>🛡️ Admin: Moderation Console</h2>
+      <p>Review what each fetch curated, fix summaries and categories, pin or unpublish stories. Every change is written to the audit log.</p>
+
+      <div style={{ margin: '20px 0', display: 'flex', gap: '10px', alignItems: 'center' }}>
+        {user ? (
+          <>
+            <span style={{ fontSize: '14px', color: '#666' }}>Signed in as <strong>{user.email || user.uid}</strong></span>
+            <button onClick={loadBatches} disabled={loading} style={buttonStyle('#2196f3')}>🔄 Load Batches</button>
+            <button onClick={loadSchedule} disabled={loading} style={buttonStyle('#ff9800')}>⭐ Editorial Schedule</button>
+            <button onClick={loadAuditLog} disabled={loading} style={buttonStyle('#607d8b')}>📜 Audit Log</button>
+            <button onClick={() => signOutAdmin()} disabled={loading} style={buttonStyle('#9e9e9e')}>Sign Out</button>
+          </>
+        ) : (
+          <button onClick={() => run(signInAdmin)} disabled={loading} style={buttonStyle('#4caf50')}>🔑 Sign in with Google</button>
+        )}
+        {loading && <span>⏳</span>}
+      </div>
+
+      {error && (
+        <div style={{ background: '#ffebee', padding: '15px', borderRadius: '8px', marginBottom: '20px' }}>
+          <strong style={{ color: '#c62828' }}>❌ {error}</strong>
+          <div style={{ fontSize: '13px', color: '#666' }}>Reading needs the viewer or editor role, changes need editor (or admin). Roles are granted with grantRole.</div>
+        </div>
+      )}
+
+      {user && (
+        <div style={{ display: 'grid', gridTemplateColumns: '260px 1fr', gap: '20px' }}>
+          <div>
+            <h3>Batches ({batches.length})</h3>
+            <ul style={{ listStyle: 'none', padding: 0 }}>
+              {batches.map(batch => (
+                <li key={batch.batchId}>
+                  <button
+                    onClick={() => openBatch(batch.batchId)}
+                    disabled={loading}
+                    style={{
+                      width: '100%',
+                      textAlign: 'left',
+                      marginBottom: '8px',
+                      padding: '10px',
+                      background: batch.batchId === selectedBatch ? '#e8f5e9' : '#f9f9f9',
+                      border: '1px solid #ddd',
+                      borderLeft: '4px solid #4caf50',
+                      borderRadius: '4px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <div style={{ fontSize: '13px' }}><strong>{batch.processedAt ? new Date(batch.processedAt).toLocaleString() : batch.batchId}</strong></div>
+                    <small>{batch.articleCount} articles • {batch.updatedStories} updated • {batch.aiBatches.length} AI batches</small>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div>
+            <h3>{selectedBatch ? `Articles in ${selectedBatch} (${articles.length})` : 'Select a batch'}</h3>
+            {articles.map(article => (
+              <div key={article.id} style={{
+                marginBottom: '15px',
+                padding: '15px',
+                background: article.isActive ? '#f9f9f9' : '#fafafa',
+                opacity: article.isActive ? 1 : 0.7,
+                borderLeft: `4px solid ${article.pinned ? '#ff9800' : article.isActive ? '#4caf50' : '#f44336'}`,
+                borderRadius: '4px'
+              }}>
+                <div style={{ display: 'flex', gap: '8px', fontSize: '12px', marginBottom: '5px' }}>
+                  <span>{article.category}</span>
+                  {article.tone && <span>• {article.tone}</span>}
+                  {article.pinned && <span style={{ color: '#ff9800' }}>📌 Pinned</span>}
+                  {!article.isActive && <span style={{ color: '#f44336' }}>🚫 Hidden ({article.hiddenReason || 'inactive'})</span>}
+                  {article.editedFields.length > 0 && <span style={{ color: '#607d8b' }}>✏️ Edited: {article.editedFields.join(', ')}</span>}
+                </div>
+                <strong>{article.title}</strong>
+                <p style={{ margin: '5px 0', fontSize: '14px' }}>{article.summary}</p>
+                <small>Source: {article.source} • <a href={article.link} target="_blank" rel="noreferrer">Link</a> • {article.views} views • {article.saves} saves</small>
+
+                <CurationDetails article={article} />
+
+                <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+                  <button onClick={() => setEditing(article.id)} disabled={loading} style={buttonStyle('#2196f3')}>✏️ Edit</button>
+                  <button onClick={() => applyChanges(article.id, { pinned: !article.pinned })} disabled={loading} style={buttonStyle('#ff9800')}>
+                    {article.pinned ? 'Unpin' : '📌 Pin'}
+                  </button>
+                  <button onClick={() => applyChanges(article.id, { published: !article.isActive })} disabled={loading} style={buttonStyle(article.isActive ? '#f44336' : '#4caf50')}>
+                    {article.isActive ? '🚫 Unpublish' : '✅ Republish'}
+                  </button>
+                  {article.isActive && (
+                    <button onClick={() => setFeaturing(article.id)} disabled={loading} style={buttonStyle('#9c27b0')}>⭐ Story of the Day</button>
+                  )}
+                </div>
+
+                {featuring === article.id && (
+                  <StoryOfTheDayForm
+                    disabled={loading}
+                    onCancel={() => setFeaturing(null)}
+                    onSave={(startAt, endAt, note) => featureArticle(article.id, startAt, endAt, note)}
+                  />
+                )}
+
+                {editing === article.id && (
+                  <ArticleEditForm
+                    article={article}
+                    disabled={loading}
+                    onCancel={() => setEditing(null)}
+                    onSave={(changes, note) => applyChanges(article.id, changes, note)}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {user && schedule && (
+        <div style={{ marginTop: '30px' }}>
+          <h3>⭐ Editorial Schedule</h3>
+          <h4>Story of the Day</h4>
+          {schedule.storiesOfTheDay.length === 0 && <p style={{ fontSize: '14px', color: '#666' }}>Nothing scheduled</p>}
+          {schedule.storiesOfTheDay.map(entry => (
+            <div key={entry.featureId} style={{ display: 'flex', gap: '10px', alignItems: 'center', padding: '8px', marginBottom: '6px', background: entry.live ? '#f3e5f5' : '#f9f9f9', borderRadius: '4px' }}>
+              <span>{entry.live ? '🔴 Live' : '🕒'}</span>
+              <span style={{ flex: 1 }}><strong>{entry.title}</strong> <small>({entry.category})</small></span>
+              <small>{new Date(entry.startAt).toLocaleString()} → {new Date(entry.endAt).toLocaleString()}</small>
+              <button onClick={() => cancelFeature(entry.featureId)} disabled={loading} style={buttonStyle('#f44336')}>Cancel</button>
+            </div>
+          ))}
+          <h4>Pinned (max {schedule.maxPinsPerCategory} per category)</h4>
+          {schedule.pins.length === 0 && <p style={{ fontSize: '14px', color: '#666' }}>No pins</p>}
+          <ul>
+            {schedule.pins.map(pin => (
+              <li key={pin.articleId} style={{ fontSize: '14px' }}>
+                📌 <strong>{pin.category}</strong>: {pin.title}
+                {pin.pinnedUntil && <small> (until {new Date(pin.pinnedUntil).toLocaleString()})</small>}
+                {!pin.isActive && <small style={{ color: '#f44336' }}> (hidden)</small>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {user && auditLog.length > 0 && (
+        <div style={{ marginTop: '30px' }}>
+          <h3>📜 Audit Log ({auditLog.length})</h3>
+          <div style={{ background: 'white', padding: '15px', borderRadius: '6px', border: '1px solid #eee', fontFamily: 'monospace', fontSize: '13px' }}>
+            {auditLog.map(entry => (
+              <div key={entry.id} style={{ padding: '6px 0', borderBottom: '1px solid #f0f0f0' }}>
+                <div>
+                  <strong>{entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '-'}</strong> {entry.action} {entry.target?.type}:{entry.target?.id} by {entry.actorUid}
+                </div>
+                {entry.details.after && <div style={{ color: '#666' }}>→ {JSON.stringify(entry.details.after)}</div>}
+                {entry.details.note && <div style={{ color: '#666' }}>Note: {entry.details.note}</div>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Why an article passed the filter: stored curation + its AI batch report
+function CurationDetails({ article }) {
+  const { curation, curationBatch } = article;
+
+  return (
+    <details style={{ marginTop: '8px', fontSize: '13px' }}>
+      <summary style={{ cursor: 'pointer' }}>🔍 Why it passed</summary>
+      <div style={{ background: 'white', padding: '10px', borderRadius: '4px', marginTop: '5px', fontFamily: 'monospace' }}>
+        {!curation && <div>No curation record (stored before provenance tracking)</div>}
+        {curation?.method === 'ai' && (
+          <>
+            <div><strong>Method:</strong> AI curation ({curation.client})</div>
+            <div><strong>Read from:</strong> {curation.textSource === 'provider' ? 'provider snippet' : `extracted text (${curation.textSource})`}</div>
+            <div><strong>Re-prompted:</strong> {curation.reprompted ? 'yes - first answer failed validation' : 'no'}</div>
+            {article.toneConfidence !== null && <div><strong>Tone:</strong> {article.tone} ({article.toneConfidence}% confidence)</div>}
+            {curationBatch && (
+              <div><strong>AI batch #{curationBatch.index}:</strong> {curationBatch.size} sent, status {curationBatch.status}
+                {curationBatch.rejections && Object.keys(curationBatch.rejections).length > 0 && `, rejected ${JSON.stringify(curationBatch.rejections)}`}
+              </div>
+            )}
+          </>
+        )}
+        {curation?.method === 'keyword' && (
+          <>
+            <div><strong>Method:</strong> keyword fallback (AI unavailable)</div>
+            <div><strong>Matched:</strong> {curation.matchedKeywords.join(', ') || '-'}</div>
+          </>
+        )}
+        {article.alternateSources.length > 0 && <div><strong>Also covered by:</strong> {article.alternateSources.map(source => source.source).join(', ')}</div>}
+      </div>
+    </details>
+  );
+}
+
+// datetime-local inputs take local time without seconds or zone
+function toLocalInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function StoryOfTheDayForm({ disabled, onCancel, onSave }) {
+  const [startAt, setStartAt] = useState(() => toLocalInputValue(new Date()));
+  const [endAt, setEndAt] = useState(() => toLocalInputValue(new Date(Date.now() + 24 * 60 * 60 * 1000)));
+  const [note, setNote] = useState('');
+
+  const fieldStyle = { padding: '6px', marginRight: '8px' };
+
+  return (
+    <div style={{ marginTop: '10px', padding: '10px', background: '#f3e5f5', borderRadius: '4px', fontSize: '14px' }}>
+      <label>From <input type="datetime-local" value={startAt} onChange={e => setStartAt(e.target.value)} style={fieldStyle} /></label>
+      <label>Until <input type="datetime-local" value={endAt} onChange={e => setEndAt(e.target.value)} style={fieldStyle} /></label>
+      <input value={note} onChange={e => setNote(e.target.value)} placeholder="Note (optional)" style={fieldStyle} />
+      <button onClick={() => onSave(new Date(startAt).toISOString(), new Date(endAt).toISOString(), note)} disabled={disabled} style={{ padding: '6px 12px', background: '#9c27b0', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', marginRight: '8px' }}>⭐ Schedule</button>
+      <button onClick={onCancel} style={{ padding: '6px 12px', background: '#9e9e9e', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Cancel</button>
+    </div>
+  );
+}
+
+function ArticleEditForm({ article, disabled, onCancel, onSave }) {
+  const [title, setTitle] = useState(article.title);
+  const [summary, setSummary] = useState(article.summary);
+  const [category, setCategory] = useState(article.category);
+  const [tone, setTone] = useState(article.tone || '');
+  const [note, setNote] = useState('');
+
+  const save = () => {
+    const changes = {};
+    if (title !== article.title) changes.title = title;
+    if (summary !== article.summary) changes.summary = summary;
+    if (category !== article.category) changes.category = category;
+    if (tone && tone !== article.tone) changes.tone = tone;
+    if (Object.keys(changes).length > 0) onSave(changes, note);
+  };
+
+  const fieldStyle = { width: '100%', padding: '6px', marginBottom: '8px', boxSizing: 'border-box' };
+
+  return (
+    <div style={{ marginTop: '10px', padding: '10px', background: '#e3f2fd', borderRadius: '4px' }}>
+      <input value={title} onChange={e => setTitle(e.target.value)} style={fieldStyle} />
+      <textarea value={summary} onChange={e => setSummary(e.target.value)} rows={3} style={fieldStyle} />
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <select value={category} onChange={e => setCategory(e.target.value)} style={fieldStyle}>
+          {CONFIG.categories.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <select value={tone} onChange={e => setTone(e.target.value)} style={fieldStyle}>
+          <option value="">(no tone)</option>
+          {CONFIG.tones.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </div>
+      <input value={note} onChange={e => setNote(e.target.value)} placeholder="Note for the audit log (optional)" style={fieldStyle} />
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={save} disabled={disabled} style={{ padding: '6px 12px', background: '#4caf50', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>💾 Save</button>
+        <button onClick={onCancel} style={{ padding: '6px 12px', background: '#9e9e9e', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+// ==================== PUSH NOTIFICATIONS ====================
+function PushSettings() {
+  const configured = isAdminConsoleConfigured();
+  const supported = isPushSupported();
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [quietEnabled, setQuietEnabled] = useState(false);
+  const [quietStart, setQuietStart] = useState('22:00');
+  const [quietEnd, setQuietEnd] = useState('07:00');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await action();
+      setStatus(await getPushStatus());
+    } catch (err) {
+      console.error('❌ Push action failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!configured) return undefined;
+    return onAdminAuthChanged(setUser);
+  }, [configured]);
+
+  const toggleCategory = (name) => {
+    setCategories(current => (current.includes(name) ? current.filter(c => c !== name) : [...current, name]));
+  };
+
+  const save = () => run(() => enablePush({
+    categories,
+    quietHours: quietEnabled ?
+      { start: quietStart, end: quietEnd, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone } :
+      null
+  }));
+
+  if (!configured || !supported) {
+    return (
+      <div>
+        <h2>🔔 Push Notifications</h2>
+        <div style={{ marginTop: '15px', padding: '10px', background: '#fff3cd', borderRadius: '4px' }}>
+          {!configured ?
+            <p>⚠️ Firebase is not configured. Add the <code>VITE_FIREBASE_*</code> variables to <code>.env.local</code> (see the Admin tab).</p> :
+            <p>⚠️ This browser does not support Web Push.</p>}
+        </div>
+      </div>
+    );
+  }
+
+  const buttonStyle = (color) => ({
+    padding: '6px 12px',
+    background: loading ? '#ccc' : color,
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: loading ? 'not-allowed' : 'pointer',
+    fontSize: '14px'
+  });
+  const subscribedHere = !!(status && status.endpoint);
+
+  return (
+    <div>
+      <h2>🔔 Push Notifications</h2>
+      <p>Get a notification when a new batch brings a good news story in the categories you pick. At most one every few hours, never during your quiet hours.</p>
+
+      <div style={{ margin: '20px 0', display: 'flex', gap: '10px', alignItems: 'center' }}>
+        {user ? (
+          <>
+            <span style={{ fontSize: '14px', color: '#666' }}>Signed in as <strong>{user.email || user.uid}</strong></span>
+            <button onClick={() => run(async () => {})} disabled={loading} style={buttonStyle('#2196f3')}>🔄 Check Status</button>
+            <button onClick={signOutAdmin} style={buttonStyle('#9e9e9e')}>Sign Out</button>
+          </>
+        ) : (
+          <button onClick={() => signInAdmin().catch(err => setError(err.message))} style={buttonStyle('#4285f4')}>Sign in with Google</button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ marginBottom: '15px', padding: '10px', background: '#ffebee', borderRadius: '4px', color: '#c62828' }}>❌ {error}</div>
+      )}
+
+      {user && (
+        <div style={{ padding: '15px', background: '#f5f5f5', borderRadius: '8px', fontSize: '14px' }}>
+          <h3 style={{ marginTop: 0 }}>Categories</h3>
+          <p style={{ color: '#666' }}>None selected means every category.</p>
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '15px' }}>
+            {CONFIG.categories.map(name => (
+              <label key={name}>
+                <input type="checkbox" checked={categories.includes(name)} onChange={() => toggleCategory(name)} /> {name}
+              </label>
+            ))}
+          </div>
+
+          <h3>Quiet Hours</h3>
+          <label style={{ marginRight: '10px' }}>
+            <input type="checkbox" checked={quietEnabled} onChange={e => setQuietEnabled(e.target.checked)} /> No notifications from
+          </label>
+          <input type="time" value={quietStart} onChange={e => setQuietStart(e.target.value)} disabled={!quietEnabled} style={{ padding: '4px' }} /> to{' '}
+          <input type="time" value={quietEnd} onChange={e => setQuietEnd(e.target.value)} disabled={!quietEnabled} style={{ padding: '4px' }} />
+          <span style={{ color: '#666', marginLeft: '8px' }}>({Intl.DateTimeFormat().resolvedOptions().timeZone})</span>
+
+          <div style={{ marginTop: '20px', display: 'flex', gap: '10px' }}>
+            <button onClick={save} disabled={loading} style={buttonStyle('#4caf50')}>🔔 {subscribedHere ? 'Save Settings' : 'Turn On for This Browser'}</button>
+            {subscribedHere && (
+              <button onClick={() => run(disablePush)} disabled={loading} style={buttonStyle('#f44336')}>🔕 Turn Off for This Browser</button>
+            )}
+          </div>
+
+          {status && (
+            <div style={{ marginTop: '20px' }}>
+              <p>Permission: <strong>{status.permission}</strong>{!status.enabled && ' · ⚠️ push is not configured on the server'}</p>
+              <h3>Your Devices ({status.subscriptions.length})</h3>
+              {status.subscriptions.length === 0 && <p style={{ color: '#666' }}>No browsers are subscribed.</p>}
+              {status.subscriptions.map(device => (
+                <div key={device.id} style={{ padding: '8px', marginBottom: '6px', background: 'white', borderRadius: '4px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <span>
+                    {device.endpointOrigin} · {device.categories.length > 0 ? device.categories.join(', ') : 'all categories'}
+                    {device.quietHours && ` · quiet ${device.quietHours.start}-${device.quietHours.end}`}
+                    {device.lastPushedAt && ` · last push ${new Date(device.lastPushedAt).toLocaleString()}`}
+                  </span>
+                  <button onClick={() => run(() => removePushDevice(device.id))} disabled={loading} style={buttonStyle('#9e9e9e')}>Remove</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default App;
\ No newline at end of file
@@ -46,9 +46,33 @@ export const CONFIG = {
   },
 
    // NEW: MULTI-PROVIDER CONFIGURATION
+  // Each entry is served by the adapter named in `adapter` (see services/providers/index.js).
+  // Adding a source = one entry here + one adapter module.
   apiProviders: {
+    // FREE: RSS/Atom feeds (no API key, no credits) - read first so conservative
+    // mode can skip paid calls. These feeds don't send CORS headers, so the
+    // browser can only read them through a proxy: set VITE_RSS_PROXY_URL to a
+    // prefix the encoded feed url is appended to (e.g. https://proxy.example/?url=).
+    // Off without one.
+    rss: {
+      adapter: 'rss',
+      targetCategories: ['community', 'science'],
+      maxItemsPerFeed: 15,
+      timeout: 10000,
+      proxyUrl: import.meta.env.VITE_RSS_PROXY_URL || '',
+      enabled: !!import.meta.env.VITE_RSS_PROXY_URL,
+      priority: 0,
+      feeds: [
+        { name: 'Good News Network', url: 'https://www.goodnewsnetwork.org/feed/', category: 'community' },
+        { name: 'Positive News', url: 'https://www.positive.news/feed/', category: 'community' },
+        { name: 'MIT News', url: 'https://news.mit.edu/rss/feed', category: 'science' },
+        { name: 'ScienceDaily', url: 'https://www.sciencedaily.com/rss/top/science.xml', category: 'science' }
+      ]
+    },
     // PRIMARY: NewsAPI.org (Better volume - 20 articles/request)
     newsapi: {
+      adapter: 'newsapi',
+      apiKeyEnv: 'VITE_NEWSAPI_API_KEY',
       baseUrl: "https://newsapi.org/v2/top-headlines",
       targetCategories: ['technology', 'science', 'health'],
       // Free Tier Limits: 100 requests/day, 20 articles/request
@@ -57,12 +81,13 @@ export const CONFIG = {
       priority: 1,
       params: {
         country: 'us',
-        pageSize: 20, // NewsAPI allows 20 vs NewsData's 10
-        apiKey: null // Will be filled from env
+        pageSize: 20 // NewsAPI allows 20 vs NewsData's 10
       }
     },
     // FALLBACK: NewsData.io (Your current reliable source)
     newsdata: {
+      adapter: 'newsdata',
+      apiKeyEnv: 'VITE_NEWSDATA_API_KEY',
       baseUrl: "https://newsdata.io/api/1/latest",
       targetCategories: ['technology', 'science', 'health', 'environment'],
       limits: { maxArticlesPerRequest: 10, maxRequestsPerDay: 30 },
@@ -84,6 +109,33 @@ export const CONFIG = {
     maxOutputTokens: 2000,
     timeout: 30000,
 
+    // LLM clients (see services/llm), tried in order until one returns usable
+    // output (mirrors Firebase CONFIG.ai.clients). VITE_LLM_CLIENTS overrides
+    // the order, e.g. "ollama,gemini", or "offline" for the deterministic
+    // rule-based stand-in that needs no network or API key.
+    clientOrder: (import.meta.env.VITE_LLM_CLIENTS || '').split(',').map(c => c.trim()).filter(Boolean),
+    clients: {
+      gemini: { adapter: 'gemini', enabled: true, priority: 1, apiKeyEnv: 'VITE_GEMINI_API_KEY' },
+      openai: {
+        adapter: 'openai',
+        enabled: !!import.meta.env.VITE_OPENAI_BASE_URL,
+        priority: 2,
+        apiKeyEnv: 'VITE_OPENAI_API_KEY', // optional for self-hosted servers
+        baseUrl: import.meta.env.VITE_OPENAI_BASE_URL,
+        model: import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini',
+        timeout: 60000
+      },
+      ollama: {
+        adapter: 'ollama',
+        enabled: !!import.meta.env.VITE_OLLAMA_BASE_URL,
+        priority: 3,
+        baseUrl: import.meta.env.VITE_OLLAMA_BASE_URL || 'http://localhost:11434',
+        model: import.meta.env.VITE_OLLAMA_MODEL || 'llama3.1',
+        timeout: 120000
+      },
+      offline: { adapter: 'offline', enabled: false, priority: 99 }
+    },
+
     // Content Safety (for basicKeywordFilter fallback)
     contentSafety: {
       negativeKeywords: [
@@ -122,6 +174,15 @@ export const CONFIG = {
     "INNOVATION"
   ],
 
+  // TONE LABELS (USED BY AI PROMPT)
+  // Same list as the backend; each article gets one plus a 0-100 confidence
+  tones: [
+    "Inspiring",
+    "Hopeful",
+    "Breakthrough",
+    "Heartwarming"
+  ],
+
   // TRENDING SCORES (for future engagement features)
   trendingWeights: {
     views: 1,
@@ -130,5 +191,17 @@ export const CONFIG = {
   },
 
   // VALID SHARING PLATFORMS (for future sharing feature)
-  validPlatforms: ['twitter', 'facebook', 'email', 'copy', 'whatsapp', 'reddit']
+  validPlatforms: ['twitter', 'facebook', 'email', 'copy', 'whatsapp', 'reddit'],
+
+  // FIREBASE (ADMIN AND PUSH TABS ONLY)
+  // The moderation tab calls the backend's admin callables as a signed-in user;
+  // access is by role (viewer/editor/admin). The push tab registers this browser
+  // for notifications. The other tabs never touch Firebase.
+  firebase: {
+    apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+    authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+    appId: import.meta.env.VITE_FIREBASE_APP_ID,
+    functionsRegion: import.meta.env.VITE_FIREBASE_FUNCTIONS_REGION || 'us-central1'
+  }
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+// src/lib/services/admin-service.js - MODERATION CONSOLE CALLABLES
+// Thin wrappers over the backend's role-protected callables (adminListBatches,
+// adminGetBatchArticles, adminUpdateArticle, adminListAuditLog). The backend
+// checks the caller's roles on every call; signing in here only identifies the user.
+// Firebase setup and sign-in are shared with the other backend tabs (firebase-service.js).
+import { callFunction } from './firebase-service.js';
+
+export {
+  isFirebaseConfigured as isAdminConsoleConfigured,
+  onUserChanged as onAdminAuthChanged,
+  signInUser as signInAdmin,
+  signOutUser as signOutAdmin
+} from './firebase-service.js';
+
+// ==================== CALLABLES ====================
+
+function callAdmin(name, data = {}) {
+  return callFunction(name, data);
+}
+
+export function listBatches({ limit = 20, lastBatchId } = {}) {
+  return callAdmin('adminListBatches', { limit, lastBatchId });
+}
+
+export function getBatchArticles(batchId) {
+  return callAdmin('adminGetBatchArticles', { batchId });
+}
+
+/**
+ * @param {string} articleId
+ * @param {Object} changes - any of { title, summary, category, tone, pinned, published }
+ * @param {string} note - optional reason, stored in the audit log
+ */
+export function updateArticle(articleId, changes, note = '') {
+  return callAdmin('adminUpdateArticle', { articleId, changes, note });
+}
+
+export function listAuditLog({ limit = 50, articleId } = {}) {
+  return callAdmin('adminListAuditLog', { limit, articleId });
+}
+
+// ==================== EDITORIAL FEATURES ====================
+
+export function getEditorialSchedule() {
+  return callAdmin('getEditorialSchedule');
+}
+
+/**
+ * @param {string} articleId
+ * @param {string} startAt - ISO date
+ * @param {string} endAt - ISO date
+ * @param {string} note - optional, stored in the audit log
+ */
+export function scheduleStoryOfTheDay(articleId, startAt, endAt, note = '') {
+  return callAdmin('scheduleStoryOfTheDay', { articleId, startAt, endAt, note });
+}
+
+export function cancelStoryOfTheDay(featureId, note = '') {
+  return callAdmin('cancelStoryOfTheDay', { featureId, note });
+}
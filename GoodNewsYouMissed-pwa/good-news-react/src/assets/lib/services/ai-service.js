@@ -1,22 +1,61 @@
 // src/lib/services/ai-service.js - SURGICALLY EXTRACTED & FIXED
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { CONFIG } from '../config.js';
 import { withRetry } from '../utils.js';
+import { getLlmClientChain } from './llm/index.js';
 
-// Initialize Gemini AI client
-function initGeminiClient() {
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('Missing VITE_GEMINI_API_KEY in .env.local');
+/**
+ * HELPER: Try each configured LLM client until one returns a usable response
+ * Mirrors Firebase generateWithLlmFallback
+ * @param {Object} request - LLM request (see llm/index.js)
+ * @param {Function} parse - Response text to result; throw to reject the response
+ * @returns {Promise<{name: string, result: *}>}
+ */
+async function generateWithFallback(request, parse = text => text) {
+  const readyClients = getLlmClientChain().filter(entry => entry.ready);
+  if (readyClients.length === 0) {
+    throw new Error('No LLM client configured');
   }
-  const genAI = new GoogleGenerativeAI(apiKey);
-  return genAI.getGenerativeModel({ 
-    model: CONFIG.ai.model,
-    generationConfig: {
-      temperature: CONFIG.ai.temperature,
-      maxOutputTokens: CONFIG.ai.maxOutputTokens || 2000,
+
+  let lastError;
+  for (const { name, client, clientConfig, apiKey } of readyClients) {
+    try {
+      const responseText = await withRetry(() => client.generate(request, { clientConfig, apiKey }), 2, 2000);
+      if (!responseText || responseText.trim() === '') {
+        throw new Error('AI returned empty response');
+      }
+      return { name, result: parse(responseText) };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ ${client.label} failed (${error.message}), trying next LLM client`);
     }
-  });
+  }
+  throw lastError;
+}
+
+// Local models like to wrap JSON in ```json fences
+function parseJsonArray(responseText) {
+  const parsed = JSON.parse(responseText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+  if (!Array.isArray(parsed)) {
+    throw new Error('AI response was not an array');
+  }
+  return parsed;
+}
+
+/**
+ * HELPER: Best story text the provider shipped, as plain text
+ * Mirrors Firebase extract/cleanFullContent; the browser can't fetch publisher
+ * pages (CORS), so full-page extraction only runs on the backend.
+ * @param {Object} article - Normalized article
+ * @param {number} maxChars - Length cap
+ * @returns {string} fullContent, else content, else description ('' if none)
+ */
+function articleText(article, maxChars) {
+  const candidates = [article.fullContent, article.content, article.description];
+  const text = candidates
+    .filter(value => typeof value === 'string' && !/only available in (paid|professional|corporate)/i.test(value))
+    .map(value => value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim())
+    .find(Boolean) || '';
+  return text.length > maxChars ? `${text.substring(0, maxChars)}…` : text;
 }
 
 /**
@@ -78,6 +117,8 @@ export async function basicKeywordFilter(articles) {
         link: article.link,
         source: article.source_id || article.source || "Unknown",
         publishedOriginal: article.pubDate || article.publishedAt || null,
+        tone: null,
+        toneConfidence: null,
         fetchedAt: new Date().toISOString(),
       };
     })
@@ -92,24 +133,23 @@ export async function basicKeywordFilter(articles) {
  * Extracted from Firebase filterAndEnrichArticlesWithAI (lines 1014-1250)
  * Enhanced with article summarization feature
  * @param {Array} rawArticles - Articles from fetchArticlesFromNewsDataEnhanced()
- * @returns {Promise<Array>} Enriched articles with summaries, categories, and positivity scores
+ * @returns {Promise<Array>} Enriched articles with summaries, categories, and tone labels
  */
 export async function filterAndEnrichArticlesWithAI(rawArticles) {
   console.log(`🧠 Starting AI enrichment for ${rawArticles.length} articles...`);
   const startTime = Date.now();
 
-  // Fallback to basic filter if no Gemini API key
-  if (!import.meta.env.VITE_GEMINI_API_KEY) {
-    console.warn('No Gemini API key, falling back to basic keyword filter');
+  // Fallback to basic filter if no LLM client is usable (e.g. no Gemini API key)
+  const llmClients = getLlmClientChain();
+  if (!llmClients.some(entry => entry.ready)) {
+    console.warn('No LLM client configured, falling back to basic keyword filter');
     return await basicKeywordFilter(rawArticles);
   }
 
   try {
-    const model = initGeminiClient();
-
         // 🧨 ADD THESE DEBUG LOGS HERE:
     console.log('🧨 DEBUG: CONFIG.ai.model is set to:', CONFIG.ai.model);
-    console.log('🧨 DEBUG: Model object from initGeminiClient:', model);
+    console.log('🧨 DEBUG: LLM clients:', llmClients.map(entry => entry.name));
     console.log('🧨 DEBUG: Full CONFIG.ai:', JSON.stringify(CONFIG.ai, null, 2));
     console.log('🧨 DEBUG: Is CONFIG defined?', typeof CONFIG !== 'undefined');
     console.log('🧨 DEBUG: config.js file location:', import.meta.resolve('../config.js'));
@@ -124,13 +164,14 @@ export async function filterAndEnrichArticlesWithAI(rawArticles) {
       title: article.title,
       pubDate: article.pubDate || article.publishedAt,
       description: article.description || '',
-      content: article.content || ''
+      excerpt: articleText(article, 800)
     }));
 
     // PROMPT: Extracted from Firebase (lines 1055-1085) with summarization enhancement
     // FIX: Changed CONFIG.appCategories to CONFIG.categories
     const prompt = `
 You are a "Good News" curator. Your task is to analyze the following list of news articles.
+Each has an "excerpt" from the story body (may be empty); judge the story itself, not just the headline.
 
 CRITERIA: Select ONLY articles that meet ALL of these conditions:
 1. POSITIVE/UPLIFTING: The story is predominantly good, hopeful, or celebrates human/animal achievement.
@@ -143,7 +184,9 @@ OUTPUT FORMAT: For each article that meets the criteria, return an object in a J
   "uniqueId": "The exact 'uniqueId' string provided above (this is the article link)",
   "title": "The exact, original headline text",
   "summary": "A 1-2 sentence, uplifting summary of why this is good news",
-  "category": "One of: ${CONFIG.categories ? CONFIG.categories.join(', ') : 'SCIENCE, TECHNOLOGY, ENVIRONMENT, HEALTH, COMMUNITY, ANIMALS, INNOVATION'}"
+  "category": "One of: ${CONFIG.categories ? CONFIG.categories.join(', ') : 'SCIENCE, TECHNOLOGY, ENVIRONMENT, HEALTH, COMMUNITY, ANIMALS, INNOVATION'}",
+  "tone": "The single best fit of: ${CONFIG.tones.join(', ')}",
+  "toneConfidence": "Integer 0-100, how clearly the story carries that tone"
 }
 
 INSTRUCTIONS:
@@ -155,69 +198,22 @@ ARTICLES TO ANALYZE:
 ${JSON.stringify(articlesForAI, null, 2)}
 `;
 
-    // AI API call with retry logic (adapted from Firebase withRetry)
-    // FIX: Moved safetySettings OUTSIDE generationConfig to the top level
-    const aiCall = async () => {
-      try {
-        const result = await model.generateContent({
-          contents: [{ role: "user", parts: [{ text: prompt }] }],
-          generationConfig: {
-            responseMimeType: "application/json",
-          },
-          safetySettings: [
-            {
-              category: "HARM_CATEGORY_HATE_SPEECH",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_HARASSMENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }
-          ],
-        });
-        
-        const responseText = result.response.text();
-        
-        if (!responseText || responseText.trim() === '') {
-          throw new Error('AI returned empty response');
-        }
-        
-        return responseText;
-        
-      } catch (error) {
-        console.error('Gemini API error:', error.message);
-        
-        // Handle specific Gemini API errors (simplified from Firebase)
-        const errorMessage = error.message || '';
-        if (errorMessage.includes('RESOURCE_EXHAUSTED') || errorMessage.includes('quota')) {
-          throw new Error('Gemini API quota exceeded - using fallback filter');
-        } else if (errorMessage.includes('PERMISSION_DENIED') || errorMessage.includes('API key')) {
-          throw new Error('Invalid Gemini API key - using fallback filter');
-        }
-        
-        throw error;
-      }
-    };
-
-    // Execute with retry (using our utils.js withRetry)
-    const responseText = await withRetry(aiCall, 2, 2000);
-    
+    // Each client runs with retry (utils.js withRetry); unparseable output moves on to the next
     let enrichedArticles;
     try {
-      enrichedArticles = JSON.parse(responseText);
-      if (!Array.isArray(enrichedArticles)) {
-        throw new Error('AI response was not an array');
-      }
-    } catch (parseError) {
-      console.error('Error parsing AI response:', parseError.message);
+      ({ result: enrichedArticles } = await generateWithFallback({
+        task: 'curate',
+        prompt,
+        input: {
+          articles: articlesForAI,
+          categories: CONFIG.categories,
+          tones: CONFIG.tones,
+          negativeKeywords: CONFIG.ai.contentSafety.negativeKeywords
+        },
+        responseMimeType: "application/json"
+      }, parseJsonArray));
+    } catch (error) {
+      console.error('Every LLM client failed:', error.message);
       return await basicKeywordFilter(rawArticles);
     }
 
@@ -227,6 +223,7 @@ ${JSON.stringify(articlesForAI, null, 2)}
       article.title && 
       article.summary && 
       article.category &&
+      CONFIG.categories.includes(article.category) &&
       article.title.length > 10
     );
 
@@ -260,7 +257,7 @@ ${JSON.stringify(articlesForAI, null, 2)}
         summary: enhancedSummary, // Your requested summary feature
         aiProcessed: true,
         processedAt: new Date().toISOString(),
-        positivityScore: calculatePositivityScore(item.title, item.summary)
+        ...normalizeTone(item.tone, item.toneConfidence)
       };
     });
 
@@ -279,25 +276,19 @@ ${JSON.stringify(articlesForAI, null, 2)}
 }
 
 /**
- * HELPER: Calculate a simple positivity score (0-100)
- * Not in original Firebase code - added for your UI features
+ * HELPER: Tone label + 0-100 confidence from the AI response
+ * Mirrors Firebase normalizeTone - unknown labels come back unclassified (null)
  */
-function calculatePositivityScore(title, summary) {
-  const positiveWords = [
-    'breakthrough', 'discovery', 'help', 'aid', 'solution',
-    'recovery', 'hope', 'save', 'protect', 'clean', 'green',
-    'positive', 'good', 'better', 'improve', 'success'
-  ];
-  
-  const text = `${title} ${summary}`.toLowerCase();
-  let score = 50; // Neutral baseline
-  
-  positiveWords.forEach(word => {
-    if (text.includes(word)) score += 5;
-  });
-  
-  // Clamp between 0-100
-  return Math.min(100, Math.max(0, score));
+function normalizeTone(tone, confidence) {
+  const label = typeof tone === 'string'
+    ? CONFIG.tones.find(t => t.toLowerCase() === tone.trim().toLowerCase())
+    : undefined;
+  const score = Number(confidence);
+
+  if (!label || !Number.isFinite(score)) {
+    return { tone: null, toneConfidence: null };
+  }
+  return { tone: label, toneConfidence: Math.round(Math.min(100, Math.max(0, score))) };
 }
 
 /**
@@ -305,19 +296,19 @@ function calculatePositivityScore(title, summary) {
  * Your requested feature - not in original Firebase
  */
 export async function generateArticleSummary(article) {
-  if (!import.meta.env.VITE_GEMINI_API_KEY) {
+  if (!getLlmClientChain().some(entry => entry.ready)) {
     return 'Summary unavailable - AI service not configured';
   }
 
+  const storyText = articleText(article, 1500);
+
   try {
-    const model = initGeminiClient();
-    
     const prompt = `
 In 2-3 clear, concise sentences, summarize the key positive development from this news article.
 Focus on what makes it good/uplifting news.
 
 Title: "${article.title}"
-${article.description ? `Description: ${article.description.substring(0, 300)}` : ''}
+${storyText ? `Story: ${storyText}` : ''}
 
 Write a summary that:
 1. Captures the main achievement or positive outcome
@@ -327,8 +318,11 @@ Write a summary that:
 Summary:
 `;
     
-    const result = await model.generateContent(prompt);
-    const summary = result.response.text();
+    const { result: summary } = await generateWithFallback({
+      task: 'summarize',
+      prompt,
+      input: { title: article.title, description: storyText }
+    });
     
     return summary.trim();
     
@@ -0,0 +1,53 @@
+// src/lib/services/firebase-service.js - SHARED FIREBASE SETUP
+// One Firebase app for the tabs that call the backend (admin console, push
+// notifications). Initialized on first use so the other tabs work without any
+// VITE_FIREBASE_* variables.
+import { initializeApp } from 'firebase/app';
+import { GoogleAuthProvider, getAuth, onAuthStateChanged, signInWithPopup, signOut } from 'firebase/auth';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { CONFIG } from '../config.js';
+
+let services = null;
+
+function getServices() {
+  if (services) return services;
+
+  const { functionsRegion, ...appConfig } = CONFIG.firebase;
+  if (!appConfig.apiKey || !appConfig.projectId) {
+    throw new Error('Firebase is not configured. Set VITE_FIREBASE_API_KEY and VITE_FIREBASE_PROJECT_ID in .env.local');
+  }
+
+  const app = initializeApp(appConfig);
+  services = {
+    auth: getAuth(app),
+    functions: getFunctions(app, functionsRegion)
+  };
+  return services;
+}
+
+export function isFirebaseConfigured() {
+  return !!(CONFIG.firebase.apiKey && CONFIG.firebase.projectId);
+}
+
+// ==================== AUTH ====================
+
+export function onUserChanged(callback) {
+  return onAuthStateChanged(getServices().auth, callback);
+}
+
+export async function signInUser() {
+  const result = await signInWithPopup(getServices().auth, new GoogleAuthProvider());
+  return result.user;
+}
+
+export function signOutUser() {
+  return signOut(getServices().auth);
+}
+
+// ==================== CALLABLES ====================
+
+export async function callFunction(name, data = {}) {
+  const callable = httpsCallable(getServices().functions, name);
+  const result = await callable(data);
+  return result.data;
+}
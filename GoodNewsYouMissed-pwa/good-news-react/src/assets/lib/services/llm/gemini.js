@@ -0,0 +1,36 @@
+// src/lib/services/llm/gemini.js - GOOGLE GEMINI LLM CLIENT
+// Mirrors functions/llm/gemini.js on the backend.
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { CONFIG } from '../../config.js';
+
+const SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
+export const geminiClient = {
+  name: 'gemini',
+  label: 'Gemini',
+  requiresApiKey: true,
+
+  async generate(request, { clientConfig, apiKey }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({
+      model: clientConfig.model || CONFIG.ai.model,
+      generationConfig: {
+        temperature: request.temperature ?? CONFIG.ai.temperature,
+        maxOutputTokens: request.maxOutputTokens || CONFIG.ai.maxOutputTokens || 2000
+      }
+    });
+
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: request.prompt }] }],
+      generationConfig: request.responseMimeType ? { responseMimeType: request.responseMimeType } : undefined,
+      safetySettings: SAFETY_SETTINGS
+    });
+
+    return result.response.text();
+  }
+};
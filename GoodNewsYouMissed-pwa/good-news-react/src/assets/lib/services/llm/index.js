@@ -0,0 +1,71 @@
+// src/lib/services/llm/index.js - LLM CLIENT REGISTRY
+// Same client contract as functions/llm/index.js on the backend.
+//
+// A client is a plain object:
+//   name                       - registry key, referenced by CONFIG.ai.clients[*].adapter
+//   label                      - display name for logs
+//   requiresApiKey             - whether CONFIG.ai.clients[*].apiKeyEnv must be set
+//   generate(request, context) - raw response text
+//
+// Request:
+//   { task, prompt, input, temperature, maxOutputTokens, responseMimeType }
+//   task  - what the prompt asks for ('curate', 'summarize'); lets offline clients answer without a model
+//   input - the structured data the prompt was built from
+// Context:
+//   { clientConfig, apiKey }
+//
+// Adding a backend = one client module registered below + one CONFIG.ai.clients entry.
+import { CONFIG } from '../../config.js';
+import { geminiClient } from './gemini.js';
+import { ollamaClient } from './ollama.js';
+import { offlineClient } from './offline.js';
+import { openaiClient } from './openai.js';
+
+const clients = new Map();
+
+export function registerLlmClient(client) {
+  if (!client?.name || typeof client.generate !== 'function') {
+    throw new Error('LLM client must have a name and generate()');
+  }
+  clients.set(client.name, client);
+  return client;
+}
+
+registerLlmClient(geminiClient);
+registerLlmClient(openaiClient);
+registerLlmClient(ollamaClient);
+registerLlmClient(offlineClient);
+
+function resolveApiKey(clientConfig) {
+  if (!clientConfig.apiKeyEnv) return null;
+  const apiKey = import.meta.env[clientConfig.apiKeyEnv];
+  if (!apiKey || apiKey.startsWith('your_')) return null;
+  return apiKey;
+}
+
+/**
+ * Clients in the order they are tried: CONFIG.ai.clientOrder when set,
+ * otherwise enabled clients by priority
+ * @returns {Array<{name: string, client: Object, clientConfig: Object, apiKey: string|null, ready: boolean}>}
+ *   ready is false when the client needs an API key that isn't set
+ */
+export function getLlmClientChain() {
+  const names = CONFIG.ai.clientOrder.length > 0
+    ? CONFIG.ai.clientOrder
+    : Object.entries(CONFIG.ai.clients)
+      .filter(([, config]) => config.enabled)
+      .sort((a, b) => a[1].priority - b[1].priority)
+      .map(([name]) => name);
+
+  return names.map(name => {
+    const clientConfig = CONFIG.ai.clients[name] || {};
+    const adapterName = clientConfig.adapter || name;
+    const client = clients.get(adapterName);
+    if (!client) {
+      throw new Error(`No LLM client registered for "${name}" (adapter: ${adapterName})`);
+    }
+
+    const apiKey = resolveApiKey(clientConfig);
+    return { name, client, clientConfig, apiKey, ready: !client.requiresApiKey || !!apiKey };
+  });
+}
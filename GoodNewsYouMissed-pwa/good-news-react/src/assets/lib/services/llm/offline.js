@@ -0,0 +1,67 @@
+// src/lib/services/llm/offline.js - OFFLINE LLM STAND-IN
+// Mirrors functions/llm/offline.js on the backend (rule-based mode).
+// Answers known tasks without a model, so the full fetch -> filter pipeline,
+// JSON parsing and category validation run with no network or API key.
+
+const CATEGORY_KEYWORDS = {
+  SCIENCE: ['discovery', 'breakthrough', 'research', 'scientists', 'study', 'enzyme', 'gene'],
+  TECHNOLOGY: ['innovation', 'app', 'software', 'tech', 'digital', 'robot', 'solar'],
+  ENVIRONMENT: ['renewable', 'clean energy', 'conservation', 'trees', 'sustainable', 'plastic', 'river'],
+  HEALTH: ['medical', 'treatment', 'vaccine', 'therapy', 'hearing', 'recovery', 'cure'],
+  COMMUNITY: ['volunteer', 'donation', 'charity', 'community', 'library', 'neighbourhood', 'students'],
+  ANIMALS: ['rescue', 'animal', 'pet', 'wildlife', 'species'],
+  INNOVATION: ['invention', 'new device', 'creative', 'solution', 'patent', 'build']
+};
+
+const TONE_KEYWORDS = {
+  Breakthrough: ['breakthrough', 'first', 'restores', 'breaks down', 'cure', 'discovery'],
+  Heartwarming: ['volunteer', 'rescue', 'fridge', 'donat', 'reunite', 'kindness'],
+  Inspiring: ['students', 'build', 'record', 'award', 'young']
+};
+
+function firstMatch(keywordMap, text) {
+  return Object.keys(keywordMap).find(key => keywordMap[key].some(keyword => text.includes(keyword)));
+}
+
+function curateByRules(article, input) {
+  const title = (article.title || '').toLowerCase();
+  if ((input.negativeKeywords || []).some(keyword => title.includes(keyword.toLowerCase()))) {
+    return null;
+  }
+
+  const category = firstMatch(CATEGORY_KEYWORDS, title);
+  if (!category || !input.categories.includes(category)) return null;
+
+  const tone = firstMatch(TONE_KEYWORDS, title) || 'Hopeful';
+  const toneMatches = (TONE_KEYWORDS[tone] || []).filter(keyword => title.includes(keyword)).length;
+
+  return {
+    uniqueId: article.uniqueId,
+    title: article.title,
+    summary: `A positive ${category.toLowerCase()} story: ${article.title}`,
+    category,
+    tone: input.tones.includes(tone) ? tone : input.tones[0],
+    toneConfidence: Math.min(95, 60 + toneMatches * 15)
+  };
+}
+
+const TASKS = {
+  curate: input => JSON.stringify(input.articles.map(article => curateByRules(article, input)).filter(Boolean)),
+  summarize: input => input.description
+    ? `${input.title}. ${input.description.substring(0, 200)}`
+    : input.title
+};
+
+export const offlineClient = {
+  name: 'offline',
+  label: 'Offline stand-in',
+  requiresApiKey: false,
+
+  async generate(request) {
+    const handler = TASKS[request.task];
+    if (!handler) {
+      throw new Error(`Offline LLM client has no stand-in for task "${request.task}"`);
+    }
+    return handler(request.input);
+  }
+};
@@ -0,0 +1,24 @@
+// src/lib/services/llm/ollama.js - OLLAMA LLM CLIENT
+// Mirrors functions/llm/ollama.js on the backend.
+// Browsers can only reach Ollama when OLLAMA_ORIGINS allows the app's origin.
+import axios from 'axios';
+
+export const ollamaClient = {
+  name: 'ollama',
+  label: 'Ollama',
+  requiresApiKey: false,
+
+  async generate(request, { clientConfig }) {
+    const response = await axios.post(`${clientConfig.baseUrl.replace(/\/+$/, '')}/api/chat`, {
+      model: clientConfig.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      stream: false,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxOutputTokens
+      }
+    }, { timeout: clientConfig.timeout });
+
+    return response.data?.message?.content || '';
+  }
+};
@@ -0,0 +1,27 @@
+// src/lib/services/llm/openai.js - OPENAI-COMPATIBLE LLM CLIENT
+// Mirrors functions/llm/openai.js on the backend.
+// Any /chat/completions server: OpenAI, vLLM, LiteLLM, llama.cpp's llama-server.
+// The server must allow CORS from the app's origin.
+import axios from 'axios';
+
+export const openaiClient = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  requiresApiKey: false,
+
+  async generate(request, { clientConfig, apiKey }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await axios.post(`${clientConfig.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      model: clientConfig.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      temperature: request.temperature,
+      max_tokens: request.maxOutputTokens
+    }, { headers, timeout: clientConfig.timeout });
+
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+};
@@ -1,130 +1,11 @@
 // src/lib/services/news-service.js - WITH CONFIGURABLE STRATEGY
-import axios from 'axios';
 import { CONFIG } from '../config.js';
 import { withRetry } from '../utils.js';
-
-// ==================== PROVIDER-SPECIFIC FETCHERS ====================
-
-async function fetchFromNewsAPI(category) {
-  const apiKey = import.meta.env.VITE_NEWSAPI_API_KEY;
-  if (!apiKey || apiKey === 'your_newsapi_key_here') {
-    throw new Error('Missing VITE_NEWSAPI_API_KEY in .env.local');
-  }
-
-  const params = {
-    ...CONFIG.apiProviders.newsapi.params,
-    category: category,
-    apiKey: apiKey
-  };
-
-  console.log(`📡 [NewsAPI] Fetching ${category}...`);
-  console.log('🔧 [NewsAPI] Request params:', { 
-    category: params.category,
-    pageSize: params.pageSize,
-    country: params.country
-  });
-
-  try {
-    const response = await axios.get(CONFIG.apiProviders.newsapi.baseUrl, {
-      params,
-      timeout: 10000
-      // No headers to avoid CORS issues
-    });
-
-    if (!response.data?.articles) {
-      console.warn(`⚠️ [NewsAPI] No articles field for ${category}`);
-      return [];
-    }
-
-    console.log(`📊 [NewsAPI] Raw returned ${response.data.articles.length} articles for ${category}`);
-
-    const validArticles = response.data.articles
-      .filter(article => article.title && article.title.length > 10 && article.url)
-      .map(article => ({
-        title: article.title,
-        link: article.url,
-        source: article.source?.name || "Unknown Source",
-        description: article.description || '',
-        content: article.content || '',
-        publishedAt: article.publishedAt,
-        category: category.toUpperCase(),
-        image: article.urlToImage || null,
-        _provider: 'newsapi'
-      }));
-
-    console.log(`✅ [NewsAPI] Valid for ${category}: ${validArticles.length}`);
-    return validArticles;
-
-  } catch (error) {
-    console.error(`❌ [NewsAPI] Fetch failed for ${category}:`, error.message);
-    if (error.response) {
-      console.error(`📊 [NewsAPI] HTTP ${error.response.status}:`, error.response.data?.message);
-    }
-    throw error;
-  }
-}
-
-async function fetchFromNewsData(category) {
-  const apiKey = import.meta.env.VITE_NEWSDATA_API_KEY;
-  if (!apiKey || apiKey === 'your_actual_key_here') {
-    throw new Error('Missing VITE_NEWSDATA_API_KEY in .env.local');
-  }
-
-  const params = {
-    apikey: apiKey,
-    ...CONFIG.apiProviders.newsdata.params,
-    category: category,
-  };
-
-  console.log(`📡 [NewsData] Fetching ${category}...`);
-  console.log('🔧 [NewsData] Request params:', { 
-    category: params.category,
-    size: params.size,
-    country: params.country
-  });
-
-  try {
-    const response = await axios.get(CONFIG.apiProviders.newsdata.baseUrl, {
-      params,
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'GoodNewsApp/1.0 (Free Tier)',
-        'Accept': 'application/json'
-      }
-    });
-
-    if (!response.data?.results) {
-      console.warn(`⚠️ [NewsData] No results field for ${category}`);
-      return [];
-    }
-
-    console.log(`📊 [NewsData] Raw returned ${response.data.results.length} articles for ${category}`);
-
-    const validArticles = response.data.results
-      .filter(article => article.title && article.title.length > 10 && article.link)
-      .map(article => ({
-        title: article.title,
-        link: article.link,
-        source: article.source_id || "Unknown Source",
-        description: article.description || '',
-        content: article.content || '',
-        publishedAt: article.pubDate || article.publishedAt,
-        category: category.toUpperCase(),
-        image: article.image_url || null,
-        _provider: 'newsdata'
-      }));
-
-    console.log(`✅ [NewsData] Valid for ${category}: ${validArticles.length}`);
-    return validArticles;
-
-  } catch (error) {
-    console.error(`❌ [NewsData] Fetch failed for ${category}:`, error.message);
-    if (error.response) {
-      console.error(`📊 [NewsData] HTTP ${error.response.status}:`, error.response.data?.message);
-    }
-    throw error;
-  }
-}
+import {
+  fetchCategoryFromProvider,
+  getActiveProviders,
+  getProviderQuota
+} from './providers/index.js';
 
 // ==================== STRATEGY MANAGEMENT ====================
 
@@ -132,25 +13,13 @@ function applyFetchStrategy() {
   const strategy = CONFIG.fetchStrategy || 'conservative';
   console.log(`🎯 Active fetch strategy: ${strategy.toUpperCase()}`);
   
-  // Store original priority for restoration
-  const originalNewsdataPriority = CONFIG.apiProviders.newsdata.priority;
-  
   if (strategy === 'aggressive') {
-    // Force NewsData to run in parallel (same priority as NewsAPI)
-    CONFIG.apiProviders.newsdata.priority = CONFIG.apiProviders.newsapi.priority;
-    console.log('⚡ AGGRESSIVE MODE: Both providers running in parallel.');
-  } else {
-    // Ensure conservative mode (NewsData as fallback)
-    CONFIG.apiProviders.newsdata.priority = originalNewsdataPriority > CONFIG.apiProviders.newsapi.priority 
-      ? originalNewsdataPriority 
-      : CONFIG.apiProviders.newsapi.priority + 1;
+    // Every enabled provider runs, regardless of how many articles earlier ones returned
+    console.log('⚡ AGGRESSIVE MODE: All providers running.');
   }
+  // Conservative mode: lower-priority providers are fallbacks (see threshold below)
   
-  return { strategy, originalNewsdataPriority };
-}
-
-function restoreProviderConfig(originalNewsdataPriority) {
-  CONFIG.apiProviders.newsdata.priority = originalNewsdataPriority;
+  return { strategy };
 }
 
 // ==================== PROVIDER DISPATCHER ====================
@@ -167,13 +36,7 @@ async function fetchFromProvider(providerName) {
 
   const articlePromises = provider.targetCategories.map(category => {
     return withRetry(
-      () => {
-        if (providerName === 'newsapi') {
-          return fetchFromNewsAPI(category);
-        } else {
-          return fetchFromNewsData(category);
-        }
-      },
+      () => fetchCategoryFromProvider(providerName, category),
       2,
       2000
     ).catch(err => {
@@ -198,12 +61,10 @@ export async function fetchArticlesFromProviders() {
   const startTime = Date.now();
   
   // Apply strategy configuration
-  const { strategy, originalNewsdataPriority } = applyFetchStrategy();
+  const { strategy } = applyFetchStrategy();
   
   // Get active providers sorted by priority
-  const activeProviders = Object.entries(CONFIG.apiProviders)
-    .filter(([_, config]) => config.enabled)
-    .sort((a, b) => a[1].priority - b[1].priority);
+  const activeProviders = getActiveProviders();
 
   console.log(`📋 Provider execution order: ${activeProviders.map(([name]) => name).join(' → ')}`);
   
@@ -232,15 +93,12 @@ export async function fetchArticlesFromProviders() {
     }
   }
 
-  // Restore original provider configuration
-  restoreProviderConfig(originalNewsdataPriority);
-
   // Deduplicate articles by link
   const uniqueArticles = deduplicateArticles(allArticles);
   const duration = Date.now() - startTime;
   
   // Calculate credits used
-  const creditsUsed = calculateCreditsUsed(activeProviders, strategy, minArticleThreshold, allArticles.length);
+  const creditsUsed = calculateCreditsUsed(activeProviders, strategy, minArticleThreshold);
   
   console.log(`\n🎉 FINAL RESULT (${strategy.toUpperCase()} mode):`);
   console.log(`   Total unique articles: ${uniqueArticles.length}`);
@@ -281,19 +139,27 @@ function countByProvider(articles) {
   return counts;
 }
 
-function calculateCreditsUsed(activeProviders, strategy, threshold, totalArticles) {
+function calculateCreditsUsed(activeProviders, strategy, threshold) {
+  const creditsFor = ([providerName, providerConfig]) =>
+    providerConfig.targetCategories.length * (getProviderQuota(providerName).creditsPerRequest ?? 1);
+
   if (strategy === 'aggressive') {
     // Aggressive uses all providers
-    return activeProviders.reduce((sum, [_, config]) => sum + config.targetCategories.length, 0);
+    return activeProviders.reduce((sum, provider) => sum + creditsFor(provider), 0);
   } else {
     // Conservative: count until we hit threshold
     let credits = 0;
     let accumulatedArticles = 0;
     
-    for (const [providerName, providerConfig] of activeProviders) {
-      credits += providerConfig.targetCategories.length;
-      // Simulate articles per provider (simplified)
-      accumulatedArticles += providerName === 'newsapi' ? 56 : 40;
+    for (const provider of activeProviders) {
+      const [providerName, providerConfig] = provider;
+      credits += creditsFor(provider);
+      // Assume each request comes back full (adapter quota, or every feed
+      // at maxItemsPerFeed for uncapped feed providers)
+      const { maxArticlesPerRequest } = getProviderQuota(providerName);
+      accumulatedArticles += maxArticlesPerRequest ?
+        providerConfig.targetCategories.length * maxArticlesPerRequest :
+        (providerConfig.feeds?.length || 0) * (providerConfig.maxItemsPerFeed || 0);
       
       if (accumulatedArticles >= threshold) {
         break;
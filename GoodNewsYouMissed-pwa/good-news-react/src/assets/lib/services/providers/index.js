@@ -0,0 +1,125 @@
+// src/lib/services/providers/index.js - PROVIDER ADAPTER REGISTRY
+// Same adapter contract as functions/providers/index.js on the backend.
+//
+// An adapter is a plain object:
+//   name                      - registry key, referenced by CONFIG.apiProviders[*].adapter
+//   label                     - display name for logs
+//   requiresApiKey            - whether CONFIG.apiProviders[*].apiKeyEnv must be set
+//   quota                     - { maxArticlesPerRequest, creditsPerRequest }; maxArticlesPerRequest
+//                               (null = no cap) is enforced by fetchCategoryFromProvider()
+//   fetch(category, context)  - raw provider items for one category (null = malformed response)
+//   normalize(item, category) - shared article shape, or null to drop the item
+//
+// Shared article shape:
+//   { title, link, source, description, content, publishedAt, category, image, _provider }
+//   The newsapi/newsdata normalizers are pinned against the backend copies by
+//   functions/test/providers.spec.js.
+//
+// Adding a source = one adapter module registered below + one CONFIG.apiProviders entry.
+import axios from 'axios';
+import { CONFIG } from '../../config.js';
+import { newsapiAdapter } from './newsapi.js';
+import { newsdataAdapter } from './newsdata.js';
+import { rssAdapter } from './rss.js';
+
+const adapters = new Map();
+
+export function registerProvider(adapter) {
+  if (!adapter?.name || typeof adapter.fetch !== 'function' || typeof adapter.normalize !== 'function') {
+    throw new Error('Provider adapter must have a name, fetch() and normalize()');
+  }
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+registerProvider(newsapiAdapter);
+registerProvider(newsdataAdapter);
+registerProvider(rssAdapter);
+
+export function getProviderAdapter(providerName) {
+  const providerConfig = CONFIG.apiProviders[providerName];
+  const adapterName = providerConfig?.adapter || providerName;
+  const adapter = adapters.get(adapterName);
+  if (!adapter) {
+    throw new Error(`No adapter registered for provider "${providerName}" (adapter: ${adapterName})`);
+  }
+  return adapter;
+}
+
+/**
+ * Enabled providers from CONFIG.apiProviders, sorted by priority
+ * @returns {Array<[string, Object]>} [providerName, providerConfig] pairs
+ */
+export function getActiveProviders() {
+  return Object.entries(CONFIG.apiProviders)
+    .filter(([, config]) => config.enabled)
+    .sort((a, b) => a[1].priority - b[1].priority);
+}
+
+/**
+ * Adapter quota defaults overridden by the provider's CONFIG limits
+ */
+export function getProviderQuota(providerName) {
+  const adapter = getProviderAdapter(providerName);
+  return {
+    ...adapter.quota,
+    ...(CONFIG.apiProviders[providerName]?.limits || {})
+  };
+}
+
+function resolveApiKey(providerConfig) {
+  if (!providerConfig.apiKeyEnv) return null;
+  const apiKey = import.meta.env[providerConfig.apiKeyEnv];
+  if (!apiKey || apiKey.startsWith('your_')) return null;
+  return apiKey;
+}
+
+/**
+ * Fetch and normalize one category from one provider
+ * @param {string} providerName - Key in CONFIG.apiProviders
+ * @param {string} category - Provider category to request
+ * @returns {Promise<Array>} Articles in the shared shape
+ */
+export async function fetchCategoryFromProvider(providerName, category) {
+  const providerConfig = CONFIG.apiProviders[providerName];
+  const adapter = getProviderAdapter(providerName);
+  const label = adapter.label || providerName;
+
+  const apiKey = resolveApiKey(providerConfig);
+  if (adapter.requiresApiKey && !apiKey) {
+    throw new Error(`Missing ${providerConfig.apiKeyEnv} in .env.local`);
+  }
+
+  console.log(`📡 [${label}] Fetching ${category}...`);
+
+  try {
+    const rawItems = await adapter.fetch(category, {
+      http: axios,
+      providerConfig,
+      apiKey
+    });
+
+    if (!Array.isArray(rawItems)) {
+      console.warn(`⚠️ [${label}] No articles field for ${category}`);
+      return [];
+    }
+
+    console.log(`📊 [${label}] Raw returned ${rawItems.length} articles for ${category}`);
+
+    const { maxArticlesPerRequest } = getProviderQuota(providerName);
+    const validArticles = rawItems
+      .slice(0, maxArticlesPerRequest || rawItems.length)
+      .map(item => adapter.normalize(item, category))
+      .filter(Boolean);
+
+    console.log(`✅ [${label}] Valid for ${category}: ${validArticles.length}`);
+    return validArticles;
+
+  } catch (error) {
+    console.error(`❌ [${label}] Fetch failed for ${category}:`, error.message);
+    if (error.response) {
+      console.error(`📊 [${label}] HTTP ${error.response.status}:`, error.response.data?.message);
+    }
+    throw error;
+  }
+}
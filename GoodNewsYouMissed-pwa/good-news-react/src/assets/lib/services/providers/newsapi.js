@@ -0,0 +1,50 @@
+// src/lib/services/providers/newsapi.js - NEWSAPI.ORG ADAPTER
+// Mirrors functions/providers/newsapi.js on the backend
+
+export const newsapiAdapter = {
+  name: 'newsapi',
+  label: 'NewsAPI',
+  requiresApiKey: true,
+
+  // Free Tier: 20 articles/request (capped in fetchCategoryFromProvider)
+  quota: {
+    maxArticlesPerRequest: 20,
+    creditsPerRequest: 1
+  },
+
+  /**
+   * Fetch raw NewsAPI articles for one category
+   * @returns {Promise<Array|null>} Raw articles, or null when the response has no articles field
+   */
+  async fetch(category, { http, providerConfig, apiKey }) {
+    const params = {
+      ...providerConfig.params,
+      category: category,
+      apiKey: apiKey
+    };
+
+    const response = await http.get(providerConfig.baseUrl, {
+      params,
+      timeout: providerConfig.timeout || 10000
+      // No headers to avoid CORS issues
+    });
+
+    return response.data?.articles || null;
+  },
+
+  normalize(article, category) {
+    if (!article.title || article.title.length <= 10 || !article.url) return null;
+
+    return {
+      title: article.title,
+      link: article.url,
+      source: article.source?.name || 'Unknown',
+      description: article.description || '',
+      content: article.content || '',
+      publishedAt: article.publishedAt || null,
+      category: category.toUpperCase(),
+      image: article.urlToImage || null,
+      _provider: 'newsapi'
+    };
+  }
+};
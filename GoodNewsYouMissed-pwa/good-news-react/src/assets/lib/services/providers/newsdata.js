@@ -0,0 +1,54 @@
+// src/lib/services/providers/newsdata.js - NEWSDATA.IO ADAPTER
+// Mirrors functions/providers/newsdata.js on the backend
+
+export const newsdataAdapter = {
+  name: 'newsdata',
+  label: 'NewsData',
+  requiresApiKey: true,
+
+  // Free Tier: 10 articles/request (capped in fetchCategoryFromProvider)
+  quota: {
+    maxArticlesPerRequest: 10,
+    creditsPerRequest: 1
+  },
+
+  /**
+   * Fetch raw NewsData.io results for one category
+   * @returns {Promise<Array|null>} Raw results, or null when the response has no results field
+   */
+  async fetch(category, { http, providerConfig, apiKey }) {
+    const params = {
+      apikey: apiKey,
+      ...providerConfig.params,
+      category: category,
+    };
+
+    const response = await http.get(providerConfig.baseUrl, {
+      params,
+      timeout: providerConfig.timeout || 10000,
+      headers: {
+        'User-Agent': 'GoodNewsApp/1.0 (Free Tier)',
+        'Accept': 'application/json'
+      }
+    });
+
+    return response.data?.results || null;
+  },
+
+  normalize(article, category) {
+    if (!article.title || article.title.length <= 10 || !article.link) return null;
+
+    return {
+      title: article.title,
+      link: article.link,
+      source: article.source_id || 'Unknown',
+      description: article.description || '',
+      content: article.content || '',
+      fullContent: article.full_content || '',
+      publishedAt: article.pubDate || null,
+      category: category.toUpperCase(),
+      image: article.image_url || null,
+      _provider: 'newsdata'
+    };
+  }
+};
@@ -0,0 +1,176 @@
+// src/lib/services/providers/rss.js - RSS / ATOM FEED ADAPTER
+// Mirrors functions/providers/rss.js on the backend, using the browser's DOMParser.
+// Feeds are fetched from the browser, so each url must send CORS headers
+// (or be served from /public while developing); otherwise set
+// providerConfig.proxyUrl and every url is requested as proxyUrl + encoded url.
+
+const DEFAULT_MAX_ITEMS_PER_FEED = 15;
+
+function htmlToText(html) {
+  if (!html) return '';
+  // Space out adjacent tags so "<p>One.</p><p>Two.</p>" doesn't read "One.Two."
+  const doc = new DOMParser().parseFromString(html.replace(/></g, '> <'), 'text/html');
+  doc.querySelectorAll('script, style').forEach(node => node.remove());
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+// Direct children only, matched on qualified name ("content:encoded", "media:thumbnail")
+function childElements(parent, name) {
+  return Array.from(parent.children).filter(child => child.nodeName === name);
+}
+
+function childText(parent, ...names) {
+  for (const name of names) {
+    const [element] = childElements(parent, name);
+    const text = htmlToText(element?.textContent);
+    if (text) return text;
+  }
+  return '';
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function findImage(element) {
+  const candidates = [
+    ...childElements(element, 'media:content'),
+    ...childElements(element, 'media:thumbnail'),
+    ...childElements(element, 'enclosure'),
+    ...childElements(element, 'link').filter(link => link.getAttribute('rel') === 'enclosure')
+  ];
+  const image = candidates.find(candidate => {
+    const url = candidate.getAttribute('url') || candidate.getAttribute('href');
+    if (!url) return false;
+    const type = candidate.getAttribute('type') || candidate.getAttribute('medium') || '';
+    return !type || type.startsWith('image');
+  });
+  return image ? (image.getAttribute('url') || image.getAttribute('href')) : null;
+}
+
+function parseRssItem(item) {
+  let link = childText(item, 'link');
+  if (!link) {
+    const guid = childText(item, 'guid');
+    if (/^https?:\/\//i.test(guid)) link = guid;
+  }
+
+  return {
+    title: childText(item, 'title'),
+    link,
+    description: childText(item, 'description', 'content:encoded'),
+    content: childText(item, 'content:encoded'),
+    publishedAt: toIsoDate(childText(item, 'pubDate', 'dc:date')),
+    image: findImage(item)
+  };
+}
+
+function parseAtomEntry(entry) {
+  const alternate = childElements(entry, 'link')
+    .find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate');
+
+  return {
+    title: childText(entry, 'title'),
+    link: alternate?.getAttribute('href') || '',
+    description: childText(entry, 'summary', 'content'),
+    content: childText(entry, 'content'),
+    publishedAt: toIsoDate(childText(entry, 'published', 'updated')),
+    image: findImage(entry)
+  };
+}
+
+/**
+ * Parse an RSS 2.0 / RSS 1.0 / Atom document
+ * @returns {{title: string, items: Array}} Items as plain text
+ */
+export function parseFeed(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Feed is not well-formed XML');
+  }
+
+  const root = doc.documentElement;
+  if (root.localName === 'feed') {
+    return {
+      title: childText(root, 'title'),
+      items: childElements(root, 'entry').map(parseAtomEntry)
+    };
+  }
+
+  const channel = childElements(root, 'channel')[0];
+  if (!channel) {
+    throw new Error('Document is not an RSS or Atom feed');
+  }
+
+  // RSS 2.0 nests items in <channel>; RSS 1.0 (RDF) makes them siblings of it
+  const items = [...childElements(channel, 'item'), ...childElements(root, 'item')];
+  return {
+    title: childText(channel, 'title'),
+    items: items.map(parseRssItem)
+  };
+}
+
+export const rssAdapter = {
+  name: 'rss',
+  label: 'RSS',
+  requiresApiKey: false,
+
+  // Feeds cost no API credits; items are capped per feed (maxItemsPerFeed)
+  quota: {
+    maxArticlesPerRequest: null,
+    creditsPerRequest: 0
+  },
+
+  /**
+   * Read every feed configured for one category
+   * A failing feed is skipped; the call only fails when every feed fails.
+   * @returns {Promise<Array>} Parsed feed items tagged with feedName
+   */
+  async fetch(category, { http, providerConfig }) {
+    const feeds = (providerConfig.feeds || []).filter(feed => feed.category === category);
+    const maxItems = providerConfig.maxItemsPerFeed || DEFAULT_MAX_ITEMS_PER_FEED;
+
+    const results = await Promise.allSettled(feeds.map(async (feed) => {
+      const url = providerConfig.proxyUrl ?
+        `${providerConfig.proxyUrl}${encodeURIComponent(feed.url)}` :
+        feed.url;
+      const response = await http.get(url, {
+        responseType: 'text',
+        timeout: providerConfig.timeout || 10000
+      });
+      const parsed = parseFeed(response.data);
+      return parsed.items.slice(0, maxItems).map(item => ({
+        ...item,
+        feedName: feed.name || parsed.title
+      }));
+    }));
+
+    const failures = results.filter(result => result.status === 'rejected');
+    if (feeds.length > 0 && failures.length === feeds.length) {
+      throw failures[0].reason;
+    }
+    failures.forEach(({ reason }) => console.warn('⚠️ [RSS] Skipping unreadable feed:', reason.message));
+
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value);
+  },
+
+  normalize(item, category) {
+    if (!item.title || item.title.length <= 10 || !item.link) return null;
+
+    return {
+      title: item.title,
+      link: item.link,
+      source: item.feedName || 'Unknown',
+      description: item.description.slice(0, 500),
+      content: item.content.slice(0, 1000),
+      publishedAt: item.publishedAt,
+      category: category.toUpperCase(),
+      image: item.image,
+      _provider: 'rss'
+    };
+  }
+};
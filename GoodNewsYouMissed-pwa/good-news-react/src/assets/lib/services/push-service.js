@@ -0,0 +1,100 @@
+// src/lib/services/push-service.js - WEB PUSH NOTIFICATIONS
+// Subscribes this browser to the backend's breaking-news pushes. The browser
+// subscription is created with the server's VAPID public key (from
+// getPushSubscriptions) and stored with savePushSubscription; public/sw.js
+// shows the notifications.
+import { callFunction } from './firebase-service.js';
+
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+export function isPushSupported() {
+  return typeof window !== 'undefined' &&
+    'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// The VAPID key arrives base64url-encoded; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+async function getBrowserSubscription() {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Permission, this browser's subscription and the user's devices on the server
+ * @returns {Promise<{permission: string, enabled: boolean, endpoint: string|null, subscriptions: Array}>}
+ */
+export async function getPushStatus() {
+  const [server, browserSubscription] = await Promise.all([
+    callFunction('getPushSubscriptions'),
+    getBrowserSubscription()
+  ]);
+
+  return {
+    permission: Notification.permission,
+    enabled: server.enabled,
+    endpoint: browserSubscription ? browserSubscription.endpoint : null,
+    subscriptions: server.subscriptions
+  };
+}
+
+/**
+ * Ask for permission, subscribe this browser and save its filters
+ * Calling it again on a subscribed browser just updates the filters.
+ * @param {Object} filters
+ * @param {Array<string>} filters.categories - empty for every category
+ * @param {Object|null} filters.quietHours - { start: 'HH:MM', end: 'HH:MM', timeZone }
+ * @param {string} filters.locale
+ */
+export async function enablePush({ categories = [], quietHours = null, locale = 'en' } = {}) {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const { enabled, vapidPublicKey } = await callFunction('getPushSubscriptions');
+  if (!enabled) {
+    throw new Error('Push notifications are not configured on the server (VAPID keys)');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site. Allow them in the browser settings.');
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    });
+
+  return callFunction('savePushSubscription', {
+    subscription: subscription.toJSON(),
+    categories,
+    quietHours,
+    locale
+  });
+}
+
+/**
+ * Unsubscribe this browser and remove it on the server
+ */
+export async function disablePush() {
+  const subscription = await getBrowserSubscription();
+  if (!subscription) return;
+
+  await callFunction('deletePushSubscription', { endpoint: subscription.endpoint }).catch((error) => {
+    // Already gone on the server (e.g. cleaned up after the push service expired it)
+    if (error.code !== 'functions/not-found') throw error;
+  });
+  await subscription.unsubscribe();
+}
+
+export function removePushDevice(subscriptionId) {
+  return callFunction('deletePushSubscription', { subscriptionId });
+}
@@ -0,0 +1,209 @@
+// =============================================
+// PUBLIC REST API: ROUTING, PARAMETERS, OPENAPI
+// =============================================
+// Framework-free helpers for the versioned REST surface in index.js.
+//
+// A route is a plain object:
+//   method, path ('/v1/articles/{articleId}'), operationId, summary, tags
+//   params    - ids into the parameter table
+//   response  - component schema name for the 200 body
+//   public    - true when no API key is required
+//   handler(values, context) - returns the JSON body
+//
+// A parameter is a plain object:
+//   name, in ('path' | 'query'), description, schema (OpenAPI schema object)
+//   parse(raw)      - optional; raw string to typed value
+//   validate(value) - the same predicate the callables use
+//                     (isValidCategory, ...)
+//
+// The OpenAPI document is built from these tables, so the published contract
+// cannot drift from what the router enforces.
+
+/**
+ * Precompile route paths into regexes
+ * @param {Array<Object>} routes - Route table
+ * @return {Array<Object>} Routes with regex and pathParamNames added
+ */
+function compileRoutes(routes) {
+  return routes.map((route) => {
+    const pathParamNames = [];
+    const pattern = route.path
+        .replace(/[.+*?^$()[\]\\|]/g, "\\$&")
+        .replace(/\{(\w+)\}/g, (match, name) => {
+          pathParamNames.push(name);
+          return "([^/]+)";
+        });
+    return {
+      ...route,
+      pathParamNames,
+      regex: new RegExp(`^${pattern}/?$`),
+    };
+  });
+}
+
+/**
+ * Find the route serving a request
+ * @param {Array<Object>} compiledRoutes - Output of compileRoutes()
+ * @param {string} method - HTTP method; HEAD is served by GET routes
+ * @param {string} requestPath - Path relative to the API root
+ * @return {?Object} { route, pathParams } on a match, { allowedMethods } when
+ *   the path exists under another method, null when unknown
+ */
+function matchRoute(compiledRoutes, method, requestPath) {
+  const allowedMethods = [];
+
+  for (const route of compiledRoutes) {
+    const match = route.regex.exec(requestPath);
+    if (!match) continue;
+
+    const servesHead = method === "HEAD" && route.method === "GET";
+    if (route.method !== method && !servesHead) {
+      allowedMethods.push(route.method);
+      continue;
+    }
+
+    const pathParams = {};
+    route.pathParamNames.forEach((name, index) => {
+      try {
+        pathParams[name] = decodeURIComponent(match[index + 1]);
+      } catch (error) {
+        pathParams[name] = match[index + 1];
+      }
+    });
+    return {route, pathParams};
+  }
+
+  return allowedMethods.length > 0 ? {allowedMethods} : null;
+}
+
+/**
+ * Parse and validate every parameter a route declares
+ * @param {Object} route - Matched route
+ * @param {Object} parameters - Parameter table, keyed by id
+ * @param {Object} request - { pathParams, query }
+ * @return {{values: Object, errors: Array<{param: string, message: string}>}}
+ */
+function readParameters(route, parameters, {pathParams, query}) {
+  const values = {};
+  const errors = [];
+
+  for (const id of route.params || []) {
+    const parameter = parameters[id];
+    const raw = parameter.in === "path" ?
+      pathParams[parameter.name] :
+      query[parameter.name];
+
+    if (raw === undefined || raw === "") {
+      if (parameter.in === "path") {
+        errors.push({param: parameter.name, message: "is required"});
+      } else if (parameter.schema.default !== undefined) {
+        values[parameter.name] = parameter.schema.default;
+      }
+      continue;
+    }
+
+    if (Array.isArray(raw)) {
+      errors.push({param: parameter.name, message: "must be given once"});
+      continue;
+    }
+
+    const value = parameter.parse ? parameter.parse(raw) : raw;
+    if (!parameter.validate(value)) {
+      errors.push({
+        param: parameter.name,
+        message: parameter.errorMessage || "is invalid",
+      });
+      continue;
+    }
+    values[parameter.name] = value;
+  }
+
+  return {values, errors};
+}
+
+const ERROR_RESPONSES = {
+  400: "Invalid parameter",
+  401: "Missing, unknown or revoked API key",
+  404: "Resource not found",
+  429: "API key quota exceeded; see the Retry-After header",
+};
+
+/**
+ * OpenAPI content object for a JSON body
+ * @param {string} ref - Schema $ref
+ * @return {Object} Content keyed by media type
+ */
+function jsonContent(ref) {
+  return {"application/json": {schema: {$ref: ref}}};
+}
+
+/**
+ * Build an OpenAPI 3.0 document from the route and parameter tables
+ * @param {Object} options - { info, serverUrl, routes, parameters, schemas,
+ *   apiKeyHeader }
+ * @return {Object} OpenAPI document
+ */
+function buildOpenApiDocument(options) {
+  const {info, serverUrl, routes, parameters, schemas, apiKeyHeader} = options;
+  const paths = {};
+
+  for (const route of routes) {
+    const responses = {
+      200: {
+        description: "OK",
+        content: jsonContent(`#/components/schemas/${route.response}`),
+      },
+    };
+
+    const params = (route.params || []).map((id) => parameters[id]);
+    const codes = [
+      params.length > 0 ? 400 : null,
+      route.public ? null : 401,
+      params.some((p) => p.in === "path") ? 404 : null,
+      route.public ? null : 429,
+    ].filter(Boolean);
+
+    codes.forEach((code) => {
+      responses[code] = {
+        description: ERROR_RESPONSES[code],
+        content: jsonContent("#/components/schemas/Error"),
+      };
+    });
+
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: route.tags,
+      parameters: params.map((parameter) => ({
+        name: parameter.name,
+        in: parameter.in,
+        required: parameter.in === "path",
+        description: parameter.description,
+        schema: parameter.schema,
+      })),
+      security: route.public ? [] : [{ApiKeyAuth: []}],
+      responses,
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info,
+    servers: [{url: serverUrl}],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {type: "apiKey", in: "header", name: apiKeyHeader},
+      },
+      schemas,
+    },
+  };
+}
+
+module.exports = {
+  compileRoutes,
+  matchRoute,
+  readParameters,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,143 @@
+// =============================================
+// NEAR-DUPLICATE STORY CLUSTERING
+// =============================================
+// Groups syndicated coverage of one story (the same news from AP, CNN and BBC)
+// by TF-IDF cosine similarity over title + summary. Pure functions; index.js
+// picks canonical articles and decides what gets stored.
+//
+// Clustering is average-link: two groups merge only when their mean pairwise
+// similarity clears the threshold, so one loosely related article can't chain
+// two different stories together.
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "from", "are", "was", "were",
+  "has", "have", "had", "its", "his", "her", "their", "they", "into", "over",
+  "after", "about", "than", "will", "new", "says", "said", "how", "why",
+  "what", "who", "can", "now", "more", "first", "been", "being", "also",
+  "but", "not", "out", "off", "all", "one", "two", "years", "year",
+]);
+
+/**
+ * Lowercase word tokens with accents, stopwords and plural -s removed
+ * @param {string} text - Title, summary or both
+ * @return {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return (text || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((token) => token.length >= 3 && !STOPWORDS.has(token))
+      .map((token) => (isPlural(token) ? token.slice(0, -1) : token));
+}
+
+/**
+ * @param {string} token - Lowercase token
+ * @return {boolean} Whether a trailing -s should be dropped
+ */
+function isPlural(token) {
+  return token.length > 4 && token.endsWith("s") && !token.endsWith("ss");
+}
+
+/**
+ * L2-normalized TF-IDF vectors, IDF taken over the given texts
+ * @param {Array<string>} texts - Texts to vectorize
+ * @return {Array<Map<string, number>>} One vector per text
+ */
+function buildVectors(texts) {
+  const tokenLists = texts.map(tokenize);
+  const documentFrequency = new Map();
+  tokenLists.forEach((tokens) => new Set(tokens).forEach((token) => {
+    documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+  }));
+
+  return tokenLists.map((tokens) => {
+    const vector = new Map();
+    tokens.forEach((token) => vector.set(token, (vector.get(token) || 0) + 1));
+
+    let norm = 0;
+    vector.forEach((count, token) => {
+      const idf =
+        Math.log((texts.length + 1) / (documentFrequency.get(token) + 1)) + 1;
+      const weight = (count / tokens.length) * idf;
+      vector.set(token, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      vector.forEach((weight, token) => vector.set(token, weight / norm));
+    }
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two L2-normalized vectors
+ * @param {Map<string, number>} a - Vector
+ * @param {Map<string, number>} b - Vector
+ * @return {number} Similarity (0-1)
+ */
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, token) => {
+    const other = large.get(token);
+    if (other) dot += weight * other;
+  });
+  return dot;
+}
+
+/**
+ * Group texts that describe the same story
+ * @param {Array<string>} texts - One title + summary string per article
+ * @param {Object} options - { threshold } minimum mean cosine similarity (0-1)
+ * @return {Array<Array<number>>} Clusters of input indices, singletons
+ *   included, in input order
+ */
+function clusterTexts(texts, {threshold = 0.5} = {}) {
+  const vectors = buildVectors(texts);
+  const similarity = vectors.map((a, i) =>
+    vectors.map((b, j) => (i === j ? 1 : cosine(a, b))));
+
+  const pairs = [];
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      if (similarity[i][j] >= threshold) pairs.push([similarity[i][j], i, j]);
+    }
+  }
+  pairs.sort((a, b) => b[0] - a[0]);
+
+  const clusterOf = texts.map((_, i) => i);
+  const members = new Map(texts.map((_, i) => [i, [i]]));
+
+  for (const [, i, j] of pairs) {
+    const a = clusterOf[i];
+    const b = clusterOf[j];
+    if (a === b) continue;
+
+    const groupA = members.get(a);
+    const groupB = members.get(b);
+    let total = 0;
+    groupA.forEach((x) => groupB.forEach((y) => {
+      total += similarity[x][y];
+    }));
+    if (total / (groupA.length * groupB.length) < threshold) continue;
+
+    groupB.forEach((index) => {
+      clusterOf[index] = a;
+    });
+    members.set(a, groupA.concat(groupB));
+    members.delete(b);
+  }
+
+  return [...members.values()]
+      .map((group) => group.sort((x, y) => x - y))
+      .sort((x, y) => x[0] - y[0]);
+}
+
+module.exports = {
+  tokenize,
+  clusterTexts,
+};
@@ -0,0 +1,304 @@
+// =============================================
+// WEEKLY DIGEST: RANKING, TEMPLATES, UNSUBSCRIBE TOKENS
+// =============================================
+// Pure helpers; the scheduled sender in index.js handles Firestore, user
+// preferences and the mail transport.
+//
+// Article input:
+//   { id, title, summary, link, source, category,
+//     publishedAt (Timestamp|Date|string),
+//     views, saves, shares, upvotes, downvotes }
+// Digest input (renderDigest):
+//   { title, weekLabel, siteUrl, unsubscribeUrl,
+//     sections: [{ heading, articles }] }
+
+const crypto = require("crypto");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {*} value - Timestamp, Date, date string or empty
+ * @return {number} Epoch milliseconds, NaN when unknown
+ */
+function toMillis(value) {
+  if (!value) return NaN;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return Date.parse(value);
+}
+
+/**
+ * Sort articles by lifetime engagement decayed by age
+ * score = (sum of counters * weights) * 0.5^(ageHours / halfLifeHours). Unlike
+ * trendingScore (hours), this favours what held attention over the whole week.
+ * @param {Array} articles - Candidate articles
+ * @param {Object} options - { weights, halfLifeHours, now }; now defaults to
+ *   Date.now()
+ * @return {Array} New array of { ...article, digestScore }, best first
+ */
+function rankByDecayedEngagement(articles, options) {
+  const {weights, halfLifeHours, now = Date.now()} = options;
+  return articles
+      .map((article) => {
+        const engagement = Object.entries(weights).reduce(
+            (sum, [counter, weight]) => sum + (article[counter] || 0) * weight,
+            0);
+        const published = toMillis(article.publishedAt);
+        const ageHours = Number.isFinite(published) ?
+          Math.max(0, (now - published) / HOUR_MS) :
+          0;
+        const digestScore = Math.max(0, engagement) *
+          Math.pow(0.5, ageHours / halfLifeHours);
+        return {
+          ...article,
+          digestScore: Math.round(digestScore * 1000) / 1000,
+        };
+      })
+      .sort((a, b) => b.digestScore - a.digestScore ||
+        toMillis(b.publishedAt) - toMillis(a.publishedAt));
+}
+
+/**
+ * Split ranked articles into a "Top stories" section plus one per followed
+ * category
+ * A story appears once; categories with nothing left are dropped.
+ * @param {Array} ranked - Output of rankByDecayedEngagement()
+ * @param {Object} options - { followedCategories, topStories,
+ *   storiesPerCategory }
+ * @return {Array<Object>} Sections: { heading, category (null for top
+ *   stories), articles }
+ */
+function buildDigestSections(ranked, options) {
+  const {followedCategories = [], topStories, storiesPerCategory} = options;
+  const top = ranked.slice(0, topStories);
+  const used = new Set(top.map((article) => article.id));
+  const sections = top.length > 0 ?
+    [{heading: "Top stories this week", category: null, articles: top}] :
+    [];
+
+  followedCategories.forEach((category) => {
+    const articles = ranked
+        .filter((article) =>
+          article.category === category && !used.has(article.id))
+        .slice(0, storiesPerCategory);
+    if (articles.length === 0) return;
+
+    articles.forEach((article) => used.add(article.id));
+    sections.push({
+      heading: `More in ${formatCategory(category)}`,
+      category,
+      articles,
+    });
+  });
+
+  return sections;
+}
+
+/**
+ * @param {string} category - e.g. "SCIENCE"
+ * @return {string} e.g. "Science"
+ */
+function formatCategory(category) {
+  return category.charAt(0) + category.slice(1).toLowerCase();
+}
+
+/**
+ * @param {*} value - Text to embed in HTML; null/undefined become ''
+ * @return {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+/**
+ * Inline styles for the HTML email; many mail clients strip <style> blocks
+ */
+const STYLE = {
+  body: "margin:0;padding:0;background:#f6f7f4;" +
+    "font-family:Arial,Helvetica,sans-serif;",
+  outer: "padding:24px 12px;",
+  card: "max-width:600px;background:#fff;padding:24px;border-radius:8px;",
+  title: "margin:0;font-size:24px;color:#1a6b3c;",
+  weekLabel: "font-size:13px;color:#888;margin-top:4px;",
+  sectionCell: "padding:24px 0 4px;",
+  sectionHeading: "margin:0;font-size:19px;color:#222;",
+  articleCell: "padding:12px 0;border-bottom:1px solid #eee;",
+  articleLink: "font-size:17px;font-weight:bold;color:#1a6b3c;" +
+    "text-decoration:none;",
+  source: "font-size:12px;color:#888;margin:4px 0;",
+  summary: "font-size:14px;color:#333;line-height:1.5;",
+  footer: "padding-top:24px;font-size:12px;color:#888;line-height:1.6;",
+  footerLink: "color:#888;",
+};
+
+const TABLE = "<table role=\"presentation\" width=\"100%\" " +
+  "cellpadding=\"0\" cellspacing=\"0\"";
+
+/**
+ * @param {Object} article - Digest article
+ * @return {string} Table row for one story
+ */
+function renderHtmlArticle(article) {
+  const link = `<a href="${escapeHtml(article.link)}" ` +
+    `style="${STYLE.articleLink}">${escapeHtml(article.title)}</a>`;
+  const source = `<div style="${STYLE.source}">` +
+    `${escapeHtml(article.source || "Unknown")}</div>`;
+  const summary = article.summary ?
+    `<div style="${STYLE.summary}">${escapeHtml(article.summary)}</div>` :
+    null;
+
+  return [
+    `        <tr><td style="${STYLE.articleCell}">`,
+    `          ${link}`,
+    `          ${source}`,
+    summary ? `          ${summary}` : null,
+    "        </td></tr>",
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * @param {Object} digest - Digest input (see top of file)
+ * @return {string} HTML email body
+ */
+function renderHtml(digest) {
+  const sections = digest.sections.map((section) => [
+    `        <tr><td style="${STYLE.sectionCell}">` +
+      `<h2 style="${STYLE.sectionHeading}">${escapeHtml(section.heading)}` +
+      "</h2></td></tr>",
+    ...section.articles.map(renderHtmlArticle),
+  ].join("\n"));
+
+  const siteUrl = escapeHtml(digest.siteUrl);
+  const unsubscribeUrl = escapeHtml(digest.unsubscribeUrl);
+
+  return [
+    "<!DOCTYPE html>",
+    "<html lang=\"en\">",
+    "<head><meta charset=\"UTF-8\"><meta name=\"viewport\" " +
+      "content=\"width=device-width, initial-scale=1.0\">",
+    `<title>${escapeHtml(digest.title)}</title></head>`,
+    `<body style="${STYLE.body}">`,
+    `  ${TABLE}><tr><td align="center" style="${STYLE.outer}">`,
+    `    ${TABLE} style="${STYLE.card}">`,
+    `      <tr><td><h1 style="${STYLE.title}">` +
+      `${escapeHtml(digest.title)}</h1>`,
+    `        <div style="${STYLE.weekLabel}">` +
+      `${escapeHtml(digest.weekLabel)}</div></td></tr>`,
+    `      <tr><td>${TABLE}>`,
+    ...sections,
+    "      </table></td></tr>",
+    `      <tr><td style="${STYLE.footer}">`,
+    "        You are receiving this because you subscribed to the weekly " +
+      `digest at <a href="${siteUrl}" style="${STYLE.footerLink}">` +
+      `${siteUrl}</a>.<br>`,
+    `        <a href="${unsubscribeUrl}" style="${STYLE.footerLink}">` +
+      "Unsubscribe</a>",
+    "      </td></tr>",
+    "    </table>",
+    "  </td></tr></table>",
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {Object} digest - Digest input (see top of file)
+ * @return {string} Plain-text email body
+ */
+function renderText(digest) {
+  const lines = [digest.title, digest.weekLabel, ""];
+
+  digest.sections.forEach((section) => {
+    lines.push(section.heading.toUpperCase(), "");
+    section.articles.forEach((article) => {
+      lines.push(`* ${article.title} (${article.source || "Unknown"})`);
+      if (article.summary) lines.push(`  ${article.summary}`);
+      lines.push(`  ${article.link}`, "");
+    });
+  });
+
+  lines.push(
+      "--",
+      "You are receiving this because you subscribed to the weekly digest " +
+        `at ${digest.siteUrl}.`,
+      `Unsubscribe: ${digest.unsubscribeUrl}`,
+      "",
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @param {Object} digest - Digest input (see top of file)
+ * @return {{subject: string, html: string, text: string}} Email parts
+ */
+function renderDigest(digest) {
+  const [lead] = (digest.sections[0] && digest.sections[0].articles) || [];
+  return {
+    subject: lead ? `${digest.title}: ${lead.title}` : digest.title,
+    html: renderHtml(digest),
+    text: renderText(digest),
+  };
+}
+
+/**
+ * ISO-8601 week of a date, e.g. "2026-W43"; one digest per subscriber per
+ * week
+ * @param {number|Date|string} [time] - Defaults to now
+ * @return {string} Week key
+ */
+function isoWeekKey(time = Date.now()) {
+  const date = new Date(time);
+  const day = new Date(Date.UTC(
+      date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Thursday decides which year the week belongs to
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Unsubscribe token for a subscriber: HMAC-SHA256 of the uid, base64url
+ * Links don't expire; rotating the secret invalidates every old link.
+ * @param {string} uid - Subscriber uid
+ * @param {string} secret - Signing secret
+ * @return {string} Token
+ */
+function signUnsubscribeToken(uid, secret) {
+  return crypto.createHmac("sha256", secret)
+      .update(`digest-unsubscribe:${uid}`)
+      .digest("base64url");
+}
+
+/**
+ * Constant-time check of an unsubscribe token
+ * @param {string} uid - Subscriber uid from the link
+ * @param {string} token - Token from the link
+ * @param {string} secret - Signing secret
+ * @return {boolean} Whether the token was signed for uid
+ */
+function verifyUnsubscribeToken(uid, token, secret) {
+  if (typeof uid !== "string" || typeof token !== "string" || !uid || !token) {
+    return false;
+  }
+  const expected = Buffer.from(signUnsubscribeToken(uid, secret));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  rankByDecayedEngagement,
+  buildDigestSections,
+  renderDigest,
+  escapeHtml,
+  isoWeekKey,
+  signUnsubscribeToken,
+  verifyUnsubscribeToken,
+};
@@ -0,0 +1,196 @@
+// =============================================
+// ARTICLE BODY EXTRACTION
+// =============================================
+// Readability-style boilerplate removal for fetched article pages.
+// Dependency-free and lenient like providers/feed-parser.js; index.js handles
+// fetching, caching (per generateArticleId hash) and the NewsData full_content
+// shortcut.
+//
+// Strategy:
+//   1. drop elements that never hold the story (scripts, nav, header, footer,
+//      forms...)
+//   2. pick the first container with a story's worth of paragraph text, in
+//      order <article>, <main>, itemprop="articleBody", whole page (else the
+//      longest)
+//   3. keep paragraphs that are long enough, not mostly links and not
+//      boilerplate
+//   4. fall back to og:description / meta description when no paragraphs
+//      survive
+
+const {decodeEntities} = require("../providers/feed-parser");
+
+const NON_CONTENT_ELEMENTS = [
+  "script", "style", "noscript", "template", "svg", "iframe",
+  "nav", "header", "footer", "aside", "form", "button", "figcaption",
+];
+
+const MIN_PARAGRAPH_LENGTH = 40;
+const MIN_STORY_LENGTH = 250;
+const MAX_LINK_DENSITY = 0.5;
+const BOILERPLATE = new RegExp([
+  "cookie", "subscribe", "newsletter", "sign up", "sign in", "log in",
+  "all rights reserved", "advertisement", "enable javascript", "share this",
+].join("|"), "i");
+
+/**
+ * Markup to plain text with entities decoded and whitespace collapsed
+ * @param {string} html - HTML fragment
+ * @return {string} Text
+ */
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, " "))
+      .replace(/\s+/g, " ")
+      .trim();
+}
+
+/**
+ * Remove comments and NON_CONTENT_ELEMENTS with everything inside them
+ * @param {string} html - Page HTML
+ * @return {string} Cleaned HTML
+ */
+function stripNonContent(html) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, " ");
+  for (const tag of NON_CONTENT_ELEMENTS) {
+    const element =
+      new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, "gi");
+    cleaned = cleaned.replace(element, " ");
+  }
+  return cleaned;
+}
+
+/**
+ * Inner HTML of the elements that may hold the story, in preference order
+ * @param {string} html - Cleaned page HTML
+ * @return {Array<string>} Containers; the body (or whole page) comes last
+ */
+function candidateContainers(html) {
+  const candidates = [];
+  const patterns = [
+    /<article\b[^>]*>([\s\S]*?)<\/article\s*>/gi,
+    /<main\b[^>]*>([\s\S]*?)<\/main\s*>/gi,
+    new RegExp("<(div|section)\\b[^>]*itemprop=[\"']articleBody[\"'][^>]*>" +
+      "([\\s\\S]*?)<\\/\\1\\s*>", "gi"),
+  ];
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      candidates.push(match[match.length - 1]);
+    }
+  }
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i);
+  candidates.push(body ? body[1] : html);
+  return candidates;
+}
+
+/**
+ * Paragraph texts that read like story content
+ * @param {string} html - Container HTML
+ * @return {Array<string>} Paragraph texts
+ */
+function contentParagraphs(html) {
+  const paragraphs = [];
+  const pattern = /<p\b[^>]*>([\s\S]*?)<\/p\s*>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const text = toText(match[1]);
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+    if (text.length < 200 && BOILERPLATE.test(text)) continue;
+
+    const links = match[1].match(/<a\b[^>]*>[\s\S]*?<\/a\s*>/gi) || [];
+    const linkText = links.map(toText).join("");
+    if (linkText.length / text.length > MAX_LINK_DENSITY) continue;
+
+    paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+/**
+ * First non-empty og:description, description or twitter:description
+ * @param {string} html - Page HTML
+ * @return {string} Description text, or ''
+ */
+function metaDescription(html) {
+  const names = ["og:description", "description", "twitter:description"];
+  for (const name of names) {
+    const key = `(?:property|name)=["']${name}["']`;
+    const content = "content=[\"']([^\"']*)[\"']";
+    const pattern = new RegExp(
+        `<meta\\b[^>]*${key}[^>]*${content}` +
+        `|<meta\\b[^>]*${content}[^>]*${key}`,
+        "i",
+    );
+    const match = html.match(pattern);
+    const text = match && toText(match[1] || match[2] || "");
+    if (text) return text;
+  }
+  return "";
+}
+
+/**
+ * Cut text at a sentence or word boundary
+ * @param {string} text - Text
+ * @param {number} maxChars - Maximum length before the ellipsis
+ * @return {string} text, or a shortened copy
+ */
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const sentenceEnd = cut.lastIndexOf(". ");
+  if (sentenceEnd > maxChars * 0.6) return cut.slice(0, sentenceEnd + 1);
+  const wordEnd = cut.lastIndexOf(" ");
+  return `${cut.slice(0, wordEnd > 0 ? wordEnd : maxChars)}…`;
+}
+
+/**
+ * Extract the story text from an article page
+ * @param {string} html - Page HTML
+ * @param {Object} options - { maxChars }
+ * @return {{text: string, method: string}} method: 'paragraphs' | 'meta' |
+ *   'none'
+ */
+function extractArticleText(html, {maxChars = 5000} = {}) {
+  if (!html || typeof html !== "string") return {text: "", method: "none"};
+
+  const cleaned = stripNonContent(html);
+  let best = [];
+  for (const container of candidateContainers(cleaned)) {
+    const paragraphs = contentParagraphs(container);
+    const length = paragraphs.join("").length;
+    if (length > best.join("").length) best = paragraphs;
+    if (length >= MIN_STORY_LENGTH) break;
+  }
+
+  if (best.length > 0) {
+    return {
+      text: truncateText(best.join("\n\n"), maxChars),
+      method: "paragraphs",
+    };
+  }
+
+  const description = metaDescription(html);
+  return description ?
+    {text: truncateText(description, maxChars), method: "meta"} :
+    {text: "", method: "none"};
+}
+
+/**
+ * Normalize provider-supplied full text (NewsData full_content and the like)
+ * Plan-gated providers put a placeholder here instead of the story.
+ * @param {string} content - Provider text or HTML
+ * @param {Object} options - { maxChars }
+ * @return {string} Plain text, or '' when unusable
+ */
+function cleanFullContent(content, {maxChars = 5000} = {}) {
+  const placeholder = /only available in (paid|professional|corporate)/i;
+  if (!content || typeof content !== "string" || placeholder.test(content)) {
+    return "";
+  }
+  return truncateText(toText(content), maxChars);
+}
+
+module.exports = {
+  extractArticleText,
+  cleanFullContent,
+  truncateText,
+};
@@ -0,0 +1,208 @@
+// =============================================
+// PUBLIC FEED RENDERERS: RSS 2.0, ATOM 1.0, JSON FEED 1.1
+// =============================================
+// Pure string builders; the HTTP endpoint in index.js handles Firestore,
+// caching and conditional requests.
+//
+// Feed input:
+//   { title, description, siteUrl, selfUrl, updated (Date), generator,
+//     ttlMinutes, items }
+// Item input:
+//   { id, title, summary, link, source, category, published (Date),
+//     updated (Date) }
+
+/**
+ * Drop C0 control characters other than tab, LF and CR, which are illegal in
+ * XML 1.0 even when escaped
+ * @param {string} text - Any text
+ * @return {string} Text that is safe to put in an XML document
+ */
+function stripControlCharacters(text) {
+  return Array.from(text).filter((char) => {
+    const code = char.charCodeAt(0);
+    return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+  }).join("");
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Any value; null and undefined become ""
+ * @return {string} Escaped text
+ */
+function escapeXml(value) {
+  return stripControlCharacters(String(value == null ? "" : value))
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Render an RSS 2.0 document
+ * @param {Object} feed - Feed input (see above)
+ * @return {string} XML
+ */
+function renderRss(feed) {
+  const items = feed.items.map((item) => [
+    "    <item>",
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <description>${escapeXml(item.summary)}</description>`,
+    `      <category>${escapeXml(item.category)}</category>`,
+    `      <dc:creator>${escapeXml(item.source)}</dc:creator>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    "    </item>",
+  ].join("\n"));
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<rss version=\"2.0\" xmlns:atom=\"http://www.w3.org/2005/Atom\" " +
+      "xmlns:dc=\"http://purl.org/dc/elements/1.1/\">",
+    "  <channel>",
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    "    <language>en</language>",
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <generator>${escapeXml(feed.generator)}</generator>`,
+    `    <ttl>${feed.ttlMinutes}</ttl>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" ` +
+      "type=\"application/rss+xml\" />",
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render an Atom 1.0 document
+ * @param {Object} feed - Feed input (see above)
+ * @return {string} XML
+ */
+function renderAtom(feed) {
+  const entries = feed.items.map((item) => [
+    "  <entry>",
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(item.link)}" />`,
+    `    <id>urn:goodnews:article:${escapeXml(item.id)}</id>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.source)}</name></author>`,
+    `    <category term="${escapeXml(item.category)}" />`,
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    "  </entry>",
+  ].join("\n"));
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<feed xmlns=\"http://www.w3.org/2005/Atom\" xml:lang=\"en\">",
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    "  <link rel=\"self\" type=\"application/atom+xml\" " +
+      `href="${escapeXml(feed.selfUrl)}" />`,
+    `  <link rel="alternate" href="${escapeXml(feed.siteUrl)}" />`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <generator>${escapeXml(feed.generator)}</generator>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - Feed input (see above)
+ * @return {string} JSON
+ */
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    language: "en",
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.link,
+      title: item.title,
+      content_text: item.summary,
+      summary: item.summary,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{name: item.source}],
+      tags: [item.category],
+    })),
+  }, null, 2);
+}
+
+const RSS_FORMAT = {
+  name: "rss",
+  extension: "xml",
+  contentType: "application/rss+xml; charset=utf-8",
+  render: renderRss,
+};
+
+// Keyed by the file extension used in feed URLs
+// (/feed/SCIENCE.xml, /feed/all.json)
+const FEED_FORMATS = {
+  xml: RSS_FORMAT,
+  rss: RSS_FORMAT,
+  atom: {
+    name: "atom",
+    extension: "atom",
+    contentType: "application/atom+xml; charset=utf-8",
+    render: renderAtom,
+  },
+  json: {
+    name: "json",
+    extension: "json",
+    contentType: "application/feed+json; charset=utf-8",
+    render: renderJsonFeed,
+  },
+};
+
+/**
+ * Resolve a feed request path
+ * Accepts "/SCIENCE.xml", "/feed/science.atom", "/goodnews.rss",
+ * "/all.json" and "/"
+ * @param {string} requestPath - Request path, with or without a /feed prefix
+ * @param {Array<string>} categories - Valid categories (CONFIG.categories)
+ * @return {?{category: ?string, format: Object}} null when the path is not
+ *   a feed
+ */
+function resolveFeedPath(requestPath, categories) {
+  const fileName = (requestPath || "/")
+      .replace(/^\/+/, "")
+      .replace(/^feed(\/+|$)/i, "")
+      .replace(/\/+$/, "");
+
+  if (fileName === "") {
+    return {category: null, format: FEED_FORMATS.xml};
+  }
+
+  const match = fileName.match(/^([a-z_-]+)\.([a-z]+)$/i);
+  if (!match) return null;
+
+  const format = FEED_FORMATS[match[2].toLowerCase()];
+  if (!format) return null;
+
+  const scope = match[1].toUpperCase();
+  if (["ALL", "GOODNEWS", "INDEX", "FEED"].includes(scope)) {
+    return {category: null, format};
+  }
+
+  return categories.includes(scope) ? {category: scope, format} : null;
+}
+
+module.exports = {
+  FEED_FORMATS,
+  resolveFeedPath,
+  renderRss,
+  renderAtom,
+  renderJsonFeed,
+};
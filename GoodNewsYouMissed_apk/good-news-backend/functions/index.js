@@ -1,12 +1,37 @@
 // ========== DEPENDENCIES ==========
 const { onSchedule } = require("firebase-functions/v2/scheduler");
-const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onCall, onRequest, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
 const { logger } = require("firebase-functions");
 const { initializeApp } = require("firebase-admin/app");
-const { getFirestore, Timestamp, FieldValue } = require("firebase-admin/firestore");
+const { getFirestore, Timestamp, FieldValue, FieldPath } = require("firebase-admin/firestore");
+const { getAuth } = require("firebase-admin/auth");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const axios = require("axios");
 const crypto = require("crypto");
+const {
+  getProviderAdapter,
+  hasProviderAdapter,
+  getActiveProviders,
+  getProviderQuota,
+  describeProviders
+} = require("./providers");
+const { resolveFeedPath } = require("./feeds");
+const { compileRoutes, matchRoute, readParameters, buildOpenApiDocument } = require("./api");
+const { getLlmClient, hasLlmClient, getLlmClientChain } = require("./llm");
+const { parseJsonArray, validateCuratedItems, isRepromptable, countRejectionReasons } = require("./llm/schema");
+const { extractArticleText, cleanFullContent, truncateText } = require("./extract");
+const { clusterTexts } = require("./cluster");
+const { getMailTransport, hasMailTransport } = require("./mail");
+const {
+  rankByDecayedEngagement, buildDigestSections, renderDigest, escapeHtml,
+  isoWeekKey, signUnsubscribeToken, verifyUnsubscribeToken
+} = require("./digest");
+const {
+  pushSubscriptionId, validatePushSubscription, validateQuietHours,
+  isInQuietHours, isExpiredSubscriptionError, sendWebPush
+} = require("./push");
+const { getWebhookPlatform, getWebhookPlatformNames, validateWebhookUrl, maskWebhookUrl } = require("./integrations");
 
 // =============================================
 // VERSION TRACKING
@@ -37,7 +62,7 @@ const CONFIG = {
   
   // Application limits
   limits: {
-    dailyArticles: 40,
+    dailyArticles: 40, // per enabled content locale
     bookmarkLimit: 30,
     trendingLimit: 50,
     maxRetries: 3,
@@ -52,12 +77,112 @@ const CONFIG = {
     immediateInvalidation: 0.1 // 6 seconds
   },
   
+  // Public RSS/Atom/JSON Feed output (exports.feed)
+  feeds: {
+    siteUrl: process.env.PUBLIC_SITE_URL || "https://good-news-you-missed.web.app",
+    // Canonical feed location used for self links, e.g. <baseUrl>/SCIENCE.xml
+    baseUrl: process.env.PUBLIC_FEED_URL || "https://good-news-you-missed.web.app/feed",
+    title: "Good News You Missed",
+    description: "AI-curated positive news: science breakthroughs, environmental wins and human kindness",
+    maxItems: 50,
+    readerTTL: 30, // <ttl> hint for feed readers (minutes)
+    cacheTTL: 60, // rendered feed in shared_cache (minutes); a new batchId or feed revision replaces it sooner
+    httpMaxAge: 300 // Cache-Control max-age (seconds)
+  },
+  
+  // Versioned public REST API (exports.api)
+  publicApi: {
+    baseUrl: process.env.PUBLIC_API_URL || "https://good-news-you-missed.web.app/api",
+    apiKeyHeader: "X-API-Key",
+    defaultRequestsPerMinute: 60,
+    maxRequestsPerMinute: 600,
+    maxKeysPerUser: 3,
+    keyCacheTTL: 60 * 1000 // in-memory API key lookups (ms); bounds how long a revoked key keeps working
+  },
+  
+  // Article body extraction (./extract): the curator reads the story, not just the headline.
+  // NewsData full_content is used when present; otherwise the article page is fetched.
+  extraction: {
+    enabled: process.env.ARTICLE_EXTRACTION_ENABLED !== 'false',
+    maxTextChars: 5000, // cached per article
+    promptChars: 800, // excerpt sent to the curator per article
+    maxHtmlBytes: 2 * 1024 * 1024,
+    concurrency: 6,
+    rateLimitKey: 'articlePages',
+    cacheTTL: 7 * 24 * 60, // minutes
+    missCacheTTL: 6 * 60 // pages that yielded nothing are retried after this (minutes)
+  },
+  
+  // Near-duplicate clustering (./cluster): syndicated coverage of one story is stored
+  // once, with the other outlets as alternateSources on the canonical article
+  clustering: {
+    enabled: process.env.STORY_CLUSTERING_ENABLED !== 'false',
+    similarityThreshold: 0.4, // mean TF-IDF cosine over title + summary
+    recentLimit: 100, // stored articles new ones are compared against
+    maxAlternateSources: 10
+  },
+  
   // AI configuration
   ai: {
-    model: "gemini-1.5-flash",
     temperature: 0.1,
-    maxTokens: 2000,
-    timeout: 30000
+    maxTokens: 8192, // output ceiling for a single request
+    timeout: 30000,
+    // Large fetches are curated in batches so no response outgrows maxTokens.
+    // Tokens are estimated at ~4 characters each.
+    batching: {
+      maxInputTokens: 4000, // article list per prompt
+      baseOutputTokens: 500, // JSON array overhead per response
+      outputTokensPerArticle: 150,
+      translationTokensPerArticle: 120, // per translated locale
+      concurrency: 2 // batches in flight per locale; each still waits on its client's RateLimiter
+    },
+    // Curator output schema (llm/schema.js); items failing a fixable rule are
+    // sent back to the model once with the reasons
+    validation: {
+      summaryLength: { min: 20, max: 400 },
+      titleMaxLength: 300,
+      repromptRejected: true
+    },
+    // LLM clients (adapters live in ./llm) are tried in order until one returns
+    // usable output; the keyword filter only runs when all of them fail.
+    // LLM_CLIENTS overrides the order, e.g. "ollama,gemini", or "offline" for the
+    // deterministic stand-in in llm/offline.js (no network or API key).
+    clientOrder: (process.env.LLM_CLIENTS || '').split(',').map(c => c.trim()).filter(Boolean),
+    clients: {
+      gemini: {
+        adapter: 'gemini',
+        enabled: true,
+        priority: 1,
+        apiKeyEnv: 'GEMINI_API_KEY',
+        rateLimitKey: 'gemini',
+        model: "gemini-1.5-flash"
+      },
+      // Any /chat/completions server: OpenAI, vLLM, LiteLLM, llama.cpp's llama-server
+      openai: {
+        adapter: 'openai',
+        enabled: !!process.env.OPENAI_BASE_URL,
+        priority: 2,
+        apiKeyEnv: 'OPENAI_API_KEY', // optional for self-hosted servers
+        rateLimitKey: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+      },
+      ollama: {
+        adapter: 'ollama',
+        enabled: !!process.env.OLLAMA_BASE_URL,
+        priority: 3,
+        rateLimitKey: 'ollama',
+        baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        model: process.env.OLLAMA_MODEL || 'llama3.1'
+      },
+      offline: {
+        adapter: 'offline',
+        enabled: false, // only via LLM_CLIENTS
+        priority: 99,
+        // JSON responses keyed by article link; rule-based when unset
+        fixture: process.env.LLM_OFFLINE_FIXTURE || null
+      }
+    }
   },
   
   // API rate limiting
@@ -68,22 +193,89 @@ const CONFIG = {
     },
     gemini: {
       callsPerMinute: 30
+    },
+    openai: {
+      callsPerMinute: parseInt(process.env.OPENAI_RATE_LIMIT || '60'),
+      timeout: 60000
+    },
+    // Local models are slow; the limit protects the host rather than a quota
+    ollama: {
+      callsPerMinute: parseInt(process.env.OLLAMA_RATE_LIMIT || '10'),
+      timeout: 120000
+    },
+    newsApi: {
+      callsPerMinute: 30,
+      timeout: 10000
+    },
+    rss: {
+      callsPerMinute: 60,
+      timeout: 10000
+    },
+    // Publisher pages fetched for article extraction
+    articlePages: {
+      callsPerMinute: 120,
+      timeout: 8000
     }
   },
   
-  // NewsData.io API configuration
-  newsData: {
-    baseUrl: process.env.NEWSDATA_BASE_URL || "https://newsdata.io/api/1/latest",
-    params: {
-      country: process.env.NEWSDATA_COUNTRIES || 'us,ca,gb,au',
-      language: process.env.NEWSDATA_LANGUAGE || 'en',
-      prioritydomain: process.env.NEWSDATA_PRIORITY_DOMAIN || 'top',
-      category: process.env.NEWSDATA_CATEGORY || 'top',
-      excludecategory: process.env.NEWSDATA_EXCLUDE_CATEGORY || 'politics,crime,war',
-      removeduplicate: parseInt(process.env.NEWSDATA_REMOVE_DUPLICATE || '1'),
-      full_content: parseInt(process.env.NEWSDATA_FULL_CONTENT || '0'),
-      size: parseInt(process.env.NEWSDATA_SIZE || '10'),
-      timeframe: parseInt(process.env.NEWSDATA_TIMEFRAME || '24'),
+  // News provider configuration (adapters live in ./providers)
+  // Adding a source = one entry here + one adapter module registered in providers/index.js
+  apiProviders: {
+    // PRIMARY: NewsData.io
+    newsdata: {
+      adapter: 'newsdata',
+      enabled: process.env.NEWSDATA_ENABLED !== 'false',
+      priority: 1,
+      apiKeyEnv: 'NEWSDATA_API_KEY',
+      rateLimitKey: 'newsData',
+      baseUrl: process.env.NEWSDATA_BASE_URL || "https://newsdata.io/api/1/latest",
+      // One request per entry; NewsData accepts comma-separated categories in a single call
+      targetCategories: [process.env.NEWSDATA_CATEGORY || 'top'],
+      params: {
+        country: process.env.NEWSDATA_COUNTRIES || 'us,ca,gb,au',
+        language: process.env.NEWSDATA_LANGUAGE || 'en',
+        prioritydomain: process.env.NEWSDATA_PRIORITY_DOMAIN || 'top',
+        excludecategory: process.env.NEWSDATA_EXCLUDE_CATEGORY || 'politics,crime,war',
+        removeduplicate: parseInt(process.env.NEWSDATA_REMOVE_DUPLICATE || '1'),
+        full_content: parseInt(process.env.NEWSDATA_FULL_CONTENT || '0'),
+        size: parseInt(process.env.NEWSDATA_SIZE || '10'),
+        timeframe: parseInt(process.env.NEWSDATA_TIMEFRAME || '24'),
+      }
+    },
+    // OPTIONAL: NewsAPI.org (enabled when NEWSAPI_API_KEY is set)
+    newsapi: {
+      adapter: 'newsapi',
+      enabled: !!process.env.NEWSAPI_API_KEY,
+      priority: 2,
+      apiKeyEnv: 'NEWSAPI_API_KEY',
+      rateLimitKey: 'newsApi',
+      baseUrl: process.env.NEWSAPI_BASE_URL || "https://newsapi.org/v2/top-headlines",
+      targetCategories: ['technology', 'science', 'health'],
+      params: {
+        country: process.env.NEWSAPI_COUNTRY || 'us',
+        pageSize: 20
+      }
+    },
+    // FREE: RSS/Atom feeds from good-news outlets (no API key, no credits), read first
+    // Each targetCategory reads the feeds tagged with it; a feed url may also be
+    // a path relative to this directory, e.g. 'fixtures/feeds/rss2-sample.xml'
+    rss: {
+      adapter: 'rss',
+      enabled: process.env.RSS_FEEDS_ENABLED !== 'false',
+      priority: 0,
+      rateLimitKey: 'rss',
+      targetCategories: ['community', 'science'],
+      maxItemsPerFeed: parseInt(process.env.RSS_MAX_ITEMS_PER_FEED || '15'),
+      // RSS_FEEDS_FIXTURES=true reads the bundled fixtures instead (offline runs)
+      feeds: process.env.RSS_FEEDS_FIXTURES === 'true' ? [
+        { name: 'Sample Good News Feed', url: 'fixtures/feeds/rss2-sample.xml', category: 'community' },
+        { name: 'Example University News', url: 'fixtures/feeds/atom-sample.xml', category: 'science' }
+      ] : [
+        { name: 'Good News Network', url: 'https://www.goodnewsnetwork.org/feed/', category: 'community' },
+        { name: 'Positive News', url: 'https://www.positive.news/feed/', category: 'community' },
+        { name: 'MIT News', url: 'https://news.mit.edu/rss/feed', category: 'science' },
+        { name: 'ScienceDaily', url: 'https://www.sciencedaily.com/rss/top/science.xml', category: 'science' }
+      ]
     }
   },
   
@@ -103,6 +295,41 @@ const CONFIG = {
     ]
   },
   
+  // Content locales. Each enabled locale runs its own pipeline: articles are
+  // fetched in that language, filtered, and every stored article carries a
+  // title/summary translation per enabled locale. Reads fall back to English.
+  locales: {
+    default: 'en',
+    // Extra locales are opt-in (e.g. CONTENT_LOCALES=en,es,fr,de): each one runs
+    // another pipeline and multiplies provider, LLM and daily-limit usage
+    enabled: (process.env.CONTENT_LOCALES || 'en').split(',').map(l => l.trim()).filter(Boolean),
+    pipelines: {
+      en: { label: 'English' },
+      // Provider param overrides; providers not listed don't run for that locale
+      es: {
+        label: 'Spanish',
+        providers: {
+          newsdata: { language: 'es', country: 'es,mx,ar,co' },
+          newsapi: { country: 'mx' }
+        }
+      },
+      fr: {
+        label: 'French',
+        providers: {
+          newsdata: { language: 'fr', country: 'fr,be,ch,ca' },
+          newsapi: { country: 'fr' }
+        }
+      },
+      de: {
+        label: 'German',
+        providers: {
+          newsdata: { language: 'de', country: 'de,at,ch' },
+          newsapi: { country: 'de' }
+        }
+      }
+    }
+  },
+  
   // Application categories
   categories: [
     "SCIENCE", 
@@ -114,11 +341,153 @@ const CONFIG = {
     "INNOVATION"
   ],
   
+  // Tone labels assigned by the AI filter, each with a 0-100 confidence
+  tones: [
+    "Inspiring",
+    "Hopeful",
+    "Breakthrough",
+    "Heartwarming"
+  ],
+  
   // Trending score weights
   trendingWeights: {
     views: 1,
     saves: 2,
-    shares: 3
+    shares: 3,
+    upvotes: 2,
+    downvotes: -2
+  },
+  
+  // "This isn't good news" reports (reportArticle) and the admin review queue
+  moderation: {
+    reportReasons: ['negative', 'political', 'duplicate', 'broken_link', 'misleading_summary'],
+    // Reasons that mean the curator got it wrong; confirmed ones become evaluation data
+    curatorErrorReasons: ['negative', 'political', 'misleading_summary'],
+    autoHideThreshold: parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD || '3'),
+    maxCommentLength: 500,
+    queuePageSize: 20,
+    exportLimit: 1000
+  },
+  
+  // Editor pins and the scheduled Story of the Day
+  editorial: {
+    maxPinsPerCategory: 3,
+    maxStoryOfTheDayHours: 48,
+    // How far ahead a Story of the Day can be scheduled
+    maxScheduleDays: 30,
+    featuresCacheTTL: 2 // minutes
+  },
+  
+  // voteArticle abuse limits
+  voting: {
+    // Votes cast on one article in one hour before further votes stop moving its
+    // trendingScore (they are still recorded and counted in upvotes/downvotes)
+    burstVotesPerHour: 30
+  },
+  
+  // trendingScore decay (recomputeTrendingScores). Engagement is counted in hourly
+  // buckets on each article; a bucket's weight halves every halfLifeHours.
+  trending: {
+    halfLifeHours: 6,
+    bucketWindowHours: 48, // older buckets are dropped; matches firestore.articleTTL
+    recomputeBatchSize: 400
+  },
+  
+  // "For You" ranking (getPersonalizedFeed). Signed-in views, saves and shares build
+  // a per-user profile in user_profiles, weighted like trendingWeights.
+  personalization: {
+    minInteractions: 3, // weighted interactions before ranking is personalized; below that, trending
+    candidateLimit: 100, // recent active articles re-ranked per request
+    defaultLimit: 20,
+    freshnessHalfLifeHours: 24,
+    scoreWeights: { category: 0.45, source: 0.2, popularity: 0.2, freshness: 0.15 }
+  },
+  
+  // Per-user feed filters (user_preferences), applied after the shared cache
+  preferences: {
+    maxBlockedSources: 50,
+    maxMutedKeywords: 50,
+    maxEntryLength: 60
+  },
+  
+  // Outgoing email. "smtp" works with any relay, or a local sink such as MailHog
+  // (SMTP_HOST=localhost SMTP_PORT=1025); "log" sends nothing. See ./mail.
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log'),
+    from: process.env.MAIL_FROM || "Good News You Missed <digest@good-news-you-missed.web.app>",
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+      user: process.env.SMTP_USER,
+      passwordEnv: 'SMTP_PASSWORD',
+      timeout: 20000
+    }
+  },
+  
+  // Weekly digest email (sendWeeklyDigest, digest_subscriptions)
+  digest: {
+    title: "Good News You Missed this week",
+    lookbackDays: 7,
+    halfLifeHours: 72, // engagement decay; a story from Monday still counts on Sunday
+    candidateLimit: 300,
+    topStories: 5,
+    storiesPerCategory: 3,
+    subscribersPerPage: 200,
+    sendConcurrency: 5,
+    // digestUnsubscribe endpoint; links carry ?uid=...&token=... signed with DIGEST_SIGNING_SECRET
+    unsubscribeUrl: process.env.DIGEST_UNSUBSCRIBE_URL || "https://good-news-you-missed.web.app/digest/unsubscribe",
+    signingSecretEnv: 'DIGEST_SIGNING_SECRET'
+  },
+  
+  // Web Push for new stories (pushBreakingGoodNews). Generate a key pair with
+  // `npx web-push generate-vapid-keys`; the public key is handed to browsers.
+  push: {
+    vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
+    vapidPrivateKeyEnv: 'VAPID_PRIVATE_KEY',
+    subject: process.env.VAPID_SUBJECT || "mailto:push@good-news-you-missed.web.app",
+    maxSubscriptionsPerUser: 10,
+    // Throttling per device: one push per window and a daily cap (UTC days)
+    minIntervalMinutes: 180,
+    maxPerDay: 3,
+    ttlSeconds: 6 * 60 * 60, // undelivered pushes are dropped by the push service after this
+    topic: 'breaking-good-news', // a newer undelivered push replaces an older one
+    maxFailures: 5, // consecutive failures (other than 404/410) before a subscription is dropped
+    subscribersPerPage: 500,
+    sendConcurrency: 20
+  },
+  
+  // Slack / Microsoft Teams channel integrations (webhook_integrations), managed by admins.
+  // "batch" posts each fetch's new stories; "daily" and "weekly" post the top stories
+  // of the last day or week from deliverScheduledWebhooks.
+  integrations: {
+    cadences: ['batch', 'daily', 'weekly'],
+    lookbackDays: { daily: 1, weekly: 7 },
+    maxIntegrations: 50,
+    maxStoriesPerMessage: 5,
+    maxNameLength: 80,
+    // Failed deliveries in a row (each already retried by withRetry) before an integration is disabled
+    maxConsecutiveFailures: 5,
+    requestTimeout: 10000,
+    deliveryConcurrency: 5
+  },
+  
+  // Signed outbound webhooks for downstream consumers (webhook_subscriptions), managed by
+  // admins. Every event is queued in webhook_deliveries and redelivered with exponential
+  // backoff (baseRetryDelaySeconds * 2^(attempt - 1), capped) until maxAttempts.
+  webhooks: {
+    events: ['batch.stored', 'article.unpublished'],
+    maxSubscriptions: 20,
+    maxAttempts: 8,
+    baseRetryDelaySeconds: 60,
+    maxRetryDelaySeconds: 6 * 60 * 60,
+    // A claimed attempt is invisible to redeliverWebhooks for this long
+    leaseSeconds: 120,
+    requestTimeout: 10000,
+    redeliveryBatchSize: 100,
+    deliveryConcurrency: 10,
+    deliveryLogTTL: 14 * 24 * 60 * 60 * 1000, // 14 days
+    signatureHeader: 'X-GoodNews-Signature'
   },
   
   // Valid platforms for sharing
@@ -180,20 +549,123 @@ function validateConfig() {
   if (CONFIG.firestore.articleTTL <= 0) {
     issues.push('firestore.articleTTL must be positive');
   }
+  if (CONFIG.trending.halfLifeHours <= 0 || CONFIG.trending.bucketWindowHours <= 0) {
+    issues.push('trending.halfLifeHours and trending.bucketWindowHours must be positive');
+  }
+  if (!(CONFIG.moderation.autoHideThreshold > 0)) {
+    issues.push('moderation.autoHideThreshold must be a positive integer (REPORT_AUTO_HIDE_THRESHOLD)');
+  }
+  if (!(CONFIG.editorial.maxPinsPerCategory > 0) || !(CONFIG.editorial.maxStoryOfTheDayHours > 0)) {
+    issues.push('editorial.maxPinsPerCategory and editorial.maxStoryOfTheDayHours must be positive');
+  }
+  
+  // Validate mail and digest settings
+  if (!hasMailTransport(CONFIG.mail.transport)) {
+    issues.push(`mail.transport "${CONFIG.mail.transport}" has no registered transport`);
+  } else {
+    const mailTransport = getMailTransport(CONFIG.mail.transport);
+    if (mailTransport.validate) {
+      mailTransport.validate(CONFIG.mail[CONFIG.mail.transport] || {}).forEach(issue => issues.push(issue));
+    }
+  }
+  if (!(CONFIG.digest.halfLifeHours > 0) || !(CONFIG.digest.topStories > 0) || !(CONFIG.digest.subscribersPerPage > 0)) {
+    issues.push('digest.halfLifeHours, digest.topStories and digest.subscribersPerPage must be positive');
+  }
+  if (!process.env[CONFIG.digest.signingSecretEnv]) {
+    warnings.push(`${CONFIG.digest.signingSecretEnv} is not set; the weekly digest will not be sent`);
+  }
+  if (!CONFIG.push.vapidPublicKey || !process.env[CONFIG.push.vapidPrivateKeyEnv]) {
+    warnings.push(`VAPID_PUBLIC_KEY and ${CONFIG.push.vapidPrivateKeyEnv} are not both set; Web Push is disabled`);
+  }
+  if (!(CONFIG.integrations.maxStoriesPerMessage > 0) || !(CONFIG.integrations.maxConsecutiveFailures > 0)) {
+    issues.push('integrations.maxStoriesPerMessage and integrations.maxConsecutiveFailures must be positive');
+  }
+  if (!(CONFIG.webhooks.maxAttempts > 0) || !(CONFIG.webhooks.baseRetryDelaySeconds > 0) || !(CONFIG.webhooks.leaseSeconds * 1000 > CONFIG.webhooks.requestTimeout)) {
+    issues.push('webhooks.maxAttempts and webhooks.baseRetryDelaySeconds must be positive, webhooks.leaseSeconds longer than webhooks.requestTimeout');
+  }
+  if (!(CONFIG.push.minIntervalMinutes >= 0) || !(CONFIG.push.maxPerDay > 0) || !(CONFIG.push.maxSubscriptionsPerUser > 0)) {
+    issues.push('push.maxPerDay and push.maxSubscriptionsPerUser must be positive, push.minIntervalMinutes non-negative');
+  }
+  
+  // Validate news providers
+  const enabledProviders = getActiveProviders(CONFIG.apiProviders);
+  if (enabledProviders.length === 0) {
+    issues.push('apiProviders must have at least one enabled provider');
+  }
+  for (const [providerName, providerConfig] of enabledProviders) {
+    if (!hasProviderAdapter(providerName, providerConfig)) {
+      issues.push(`apiProviders.${providerName} has no registered adapter (${providerConfig.adapter || providerName})`);
+      continue;
+    }
+    if (!Array.isArray(providerConfig.targetCategories) || providerConfig.targetCategories.length === 0) {
+      issues.push(`apiProviders.${providerName}.targetCategories must be a non-empty array`);
+    }
+    const adapter = getProviderAdapter(providerName, providerConfig);
+    if (typeof adapter.validate === 'function') {
+      adapter.validate(providerConfig).forEach(issue => issues.push(`apiProviders.${providerName}: ${issue}`));
+    }
+  }
+  
+  // Validate LLM clients
+  const llmClients = getLlmClientChain(CONFIG.ai.clients, CONFIG.ai.clientOrder);
+  if (llmClients.length === 0) {
+    warnings.push('No LLM client enabled; the AI filter will use keyword matching only');
+  }
+  for (const [clientName, clientConfig] of llmClients) {
+    if (!clientConfig) {
+      issues.push(`ai.clientOrder names "${clientName}", which has no entry in ai.clients`);
+      continue;
+    }
+    if (!hasLlmClient(clientName, clientConfig)) {
+      issues.push(`ai.clients.${clientName} has no registered LLM client (${clientConfig.adapter || clientName})`);
+      continue;
+    }
+    if (clientConfig.rateLimitKey && !(CONFIG.apiRateLimits[clientConfig.rateLimitKey]?.callsPerMinute > 0)) {
+      issues.push(`apiRateLimits.${clientConfig.rateLimitKey}.callsPerMinute must be positive (used by ai.clients.${clientName})`);
+    }
+    const llmClient = getLlmClient(clientName, clientConfig);
+    if (typeof llmClient.validate === 'function') {
+      llmClient.validate(clientConfig).forEach(issue => issues.push(`ai.clients.${clientName}: ${issue}`));
+    }
+  }
+  
+  // Validate content locales
+  if (!CONFIG.locales.enabled.includes(CONFIG.locales.default)) {
+    issues.push(`locales.enabled must include the default locale (${CONFIG.locales.default})`);
+  }
+  for (const locale of CONFIG.locales.enabled) {
+    if (!CONFIG.locales.pipelines[locale]) {
+      issues.push(`locales.enabled contains "${locale}" but locales.pipelines has no entry for it`);
+    }
+  }
   
   // Check for required configuration values
   if (!CONFIG.categories || CONFIG.categories.length === 0) {
     warnings.push('No categories defined in configuration');
   }
   
-  // Validate trending weights
+  // Validate trending weights (downvotes are the one penalty)
   const weightKeys = Object.keys(CONFIG.trendingWeights);
   for (const key of weightKeys) {
-    if (CONFIG.trendingWeights[key] < 0) {
+    if (key === 'downvotes') {
+      if (CONFIG.trendingWeights[key] > 0) {
+        issues.push(`trendingWeights.downvotes must be zero or negative (got ${CONFIG.trendingWeights[key]})`);
+      }
+    } else if (CONFIG.trendingWeights[key] < 0) {
       issues.push(`trendingWeights.${key} must be non-negative (got ${CONFIG.trendingWeights[key]})`);
     }
   }
   
+  // Validate AI batching
+  for (const key of ['maxInputTokens', 'outputTokensPerArticle', 'concurrency']) {
+    if (!(CONFIG.ai.batching[key] > 0)) {
+      issues.push(`ai.batching.${key} must be positive`);
+    }
+  }
+  if (CONFIG.ai.batching.baseOutputTokens + CONFIG.ai.batching.outputTokensPerArticle > CONFIG.ai.maxTokens) {
+    issues.push('ai.maxTokens must fit at least one article (baseOutputTokens + outputTokensPerArticle)');
+  }
+  
   // Validate security settings
   if (CONFIG.security.maxRequestSizeKB <= 0) {
     issues.push('security.maxRequestSizeKB must be positive');
@@ -278,11 +750,12 @@ class ResourceNotFoundError extends Error {
 }
 
 class ApiError extends Error {
-  constructor(message, service, statusCode) {
+  constructor(message, service, statusCode, retryable = true) {
     super(message);
     this.name = "ApiError";
     this.service = service;
     this.statusCode = statusCode || 500;
+    this.retryable = retryable; // false stops withRetry at the first attempt
   }
 }
 
@@ -571,6 +1044,159 @@ async function withConcurrentLimit(userId, functionName, fn) {
   }
 }
 
+// =============================================
+// ACCESS CONTROL
+// =============================================
+// Roles live in Firebase custom claims (`roles: [...]` on the ID token) and are
+// managed with grantRole / revokeRole. A user can hold several roles:
+//   viewer - read-only moderation views
+//   editor - viewer, plus editing, pinning, unpublishing and report review
+//   ops    - operations: fetches, caches, indexes, deployment status
+//   admin  - everything, including role management
+// ADMIN_USER_IDS and users/{uid}.isAdmin still count as admin, which is how the
+// first admin grants roles to everyone else.
+const ROLES = ['viewer', 'editor', 'admin', 'ops'];
+
+// Roles allowed to use each protected callable (or capability); admin is always allowed
+const ACCESS_POLICY = {
+  getReportQueue: ['viewer', 'editor'],
+  reviewReport: ['editor'],
+  exportCuratorEvalData: ['editor'],
+  adminListBatches: ['viewer', 'editor'],
+  adminGetBatchArticles: ['viewer', 'editor'],
+  adminUpdateArticle: ['editor'],
+  adminListAuditLog: ['viewer', 'editor', 'ops'],
+  manualTriggerNewsFetch: ['ops'],
+  clearCache: ['ops'],
+  getDeploymentStatus: ['ops'],
+  createFirestoreIndex: ['ops'],
+  initializeApp: ['ops'],
+  checkFirestoreIndexes: ['ops'],
+  getConcurrentRequestStats: ['ops'],
+  grantRole: [],
+  revokeRole: [],
+  listRoleAssignments: [],
+  scheduleStoryOfTheDay: ['editor'],
+  cancelStoryOfTheDay: ['editor'],
+  getEditorialSchedule: ['viewer', 'editor'],
+  // Capabilities inside otherwise public callables
+  setApiKeyQuota: [],
+  revokeAnyApiKey: [],
+  sendTestDigest: ['ops'],
+  listWebhookIntegrations: ['ops'],
+  createWebhookIntegration: [],
+  updateWebhookIntegration: [],
+  deleteWebhookIntegration: [],
+  testWebhookIntegration: [],
+  listWebhookSubscriptions: ['ops'],
+  createWebhookSubscription: [],
+  deleteWebhookSubscription: [],
+  listWebhookDeliveries: ['ops'],
+  replayWebhookDelivery: ['ops']
+};
+
+function isAdminFromEnv(userId) {
+  return process.env.ADMIN_USER_IDS ?
+    process.env.ADMIN_USER_IDS.split(',').map(id => id.trim()).includes(userId) : false;
+}
+
+function claimedRoles(auth) {
+  const roles = auth?.token?.roles;
+  return Array.isArray(roles) ? roles.filter(role => ROLES.includes(role)) : [];
+}
+
+/**
+ * Whether the caller may use a protected callable or capability
+ * Custom claims are checked first; the env list and users doc only when they don't suffice.
+ * @param {Object} auth - request.auth
+ * @param {string} permission - Key of ACCESS_POLICY
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(auth, permission) {
+  const allowed = ACCESS_POLICY[permission];
+  if (!allowed) {
+    throw new Error(`No access policy for ${permission}`);
+  }
+  if (!auth) return false;
+  
+  const grants = roles => roles.some(role => role === 'admin' || allowed.includes(role));
+  if (grants(claimedRoles(auth))) return true;
+  if (isAdminFromEnv(auth.uid)) return true;
+  
+  const userDoc = await db.collection('users').doc(auth.uid).get();
+  return userDoc.exists && userDoc.data().isAdmin === true;
+}
+
+/**
+ * @throws {HttpsError} permission-denied when the caller lacks the permission
+ */
+async function requirePermission(request, permission) {
+  if (!(await hasPermission(request.auth, permission))) {
+    logger.warn(`Permission denied for ${permission}`, {
+      instanceId: INSTANCE_ID,
+      userId: request.auth?.uid || 'anonymous',
+      roles: claimedRoles(request.auth),
+      permission
+    });
+    throw new HttpsError(
+      'permission-denied',
+      `${permission} requires one of the roles: ${['admin', ...ACCESS_POLICY[permission]].join(', ')}.`
+    );
+  }
+}
+
+/**
+ * Add or remove one role in a user's custom claims
+ * Also mirrored to user_roles/{uid} for listing, and audited. The user sees the
+ * change when their ID token refreshes (within an hour, or on getIdToken(true)).
+ * @returns {Promise<{roles: Array<string>, changed: boolean}>}
+ * @throws {ResourceNotFoundError} When the user doesn't exist
+ * @throws {ValidationError} When an admin revokes their own admin role
+ */
+async function setUserRole(actorUid, targetUid, role, granted, note = '') {
+  if (!granted && role === 'admin' && actorUid === targetUid) {
+    throw new ValidationError('Admins cannot revoke their own admin role', 'role');
+  }
+  
+  let user;
+  try {
+    user = await getAuth().getUser(targetUid);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      throw new ResourceNotFoundError('User not found', targetUid);
+    }
+    throw error;
+  }
+  
+  const claims = user.customClaims || {};
+  const before = Array.isArray(claims.roles) ? claims.roles.filter(existing => ROLES.includes(existing)) : [];
+  const after = granted ?
+    [...new Set([...before, role])] :
+    before.filter(existing => existing !== role);
+  const changed = after.length !== before.length;
+  
+  if (changed) {
+    await getAuth().setCustomUserClaims(targetUid, { ...claims, roles: after });
+    await db.collection('user_roles').doc(targetUid).set({
+      uid: targetUid,
+      email: user.email || null,
+      roles: after,
+      updatedAt: Timestamp.now(),
+      updatedBy: actorUid
+    });
+  }
+  
+  await writeAuditLog(actorUid, granted ? 'grantRole' : 'revokeRole', { type: 'user', id: targetUid }, {
+    role,
+    before: { roles: before },
+    after: { roles: after },
+    changed,
+    note
+  });
+  
+  return { roles: after, changed };
+}
+
 // =============================================
 // RATE LIMITING IMPLEMENTATION WITH ENHANCED SAFETY
 // =============================================
@@ -715,13 +1341,82 @@ function isValidCategory(category) {
   return CONFIG.categories.includes(category);
 }
 
+function isValidTone(tone) {
+  return CONFIG.tones.includes(tone);
+}
+
+/**
+ * Tone label and confidence from an AI response item
+ * Labels are matched case-insensitively; anything else is stored as unclassified.
+ * @returns {{tone: string|null, toneConfidence: number|null}}
+ */
+function normalizeTone(tone, confidence) {
+  const label = typeof tone === 'string' ?
+    CONFIG.tones.find(t => t.toLowerCase() === tone.trim().toLowerCase()) :
+    undefined;
+  const score = Number(confidence);
+  
+  if (!label || !Number.isFinite(score)) {
+    return { tone: null, toneConfidence: null };
+  }
+  return { tone: label, toneConfidence: Math.round(Math.min(100, Math.max(0, score))) };
+}
+
 function sanitizePlatform(platform) {
   return CONFIG.validPlatforms.includes(platform) ? platform : 'other';
 }
 
+const VALID_ORDER_FIELDS = ['publishedAt', 'trendingScore', 'views', 'saves', 'shares'];
+
 function isValidOrderField(field) {
-  const validFields = ['publishedAt', 'trendingScore', 'views', 'saves', 'shares'];
-  return validFields.includes(field);
+  return VALID_ORDER_FIELDS.includes(field);
+}
+
+// Composite indexes behind the `tone` filter: tone (+ category) equality with
+// isActive, sorted by publishedAt or trendingScore. Checked and created with the
+// other required indexes (checkFirestoreIndexes / createFirestoreIndex).
+const TONE_INDEXED_QUERIES = [
+  { name: 'articles_by_tone', category: false, orderBy: 'publishedAt', fields: ['isActive', 'tone', 'publishedAt'] },
+  { name: 'trending_by_tone', category: false, orderBy: 'trendingScore', fields: ['isActive', 'tone', 'trendingScore'] },
+  { name: 'category_articles_by_tone', category: true, orderBy: 'publishedAt', fields: ['category', 'isActive', 'tone', 'publishedAt'] },
+  { name: 'category_trending_by_tone', category: true, orderBy: 'trendingScore', fields: ['category', 'isActive', 'tone', 'trendingScore'] }
+];
+
+function toneIndexCheckQuery(withCategory, orderBy) {
+  let query = db.collection("news_articles");
+  if (withCategory) {
+    query = query.where("category", "==", CONFIG.categories[0]);
+  }
+  return query
+    .where("isActive", "==", true)
+    .where("tone", "==", CONFIG.tones[0])
+    .orderBy(orderBy, "desc")
+    .limit(1);
+}
+
+function isValidLocale(locale) {
+  return CONFIG.locales.enabled.includes(locale);
+}
+
+/**
+ * Article with title/summary in the requested locale, falling back to English
+ * Stored articles keep the original headline in `title`, the English summary in
+ * `summary`, and per-locale { title, summary } in `translations`.
+ * @param {Object} article - news_articles document data
+ * @param {string} locale - Requested locale (already validated)
+ * @returns {Object} Article without the translations map, plus the locale served
+ */
+function localizeArticle(article, locale = CONFIG.locales.default) {
+  const { translations = {}, ...rest } = article;
+  const servedLocale = translations[locale] ? locale : CONFIG.locales.default;
+  const localized = translations[servedLocale] || {};
+  
+  return {
+    ...rest,
+    title: localized.title || article.title,
+    summary: localized.summary || article.summary,
+    locale: servedLocale
+  };
 }
 
 function isContentSafe(text) {
@@ -905,34 +1600,89 @@ async function setSharedCache(key, value, ttlMinutes = CONFIG.cache.defaultTTL)
   }
 }
 
-async function invalidateRelatedCaches(articleId = null, category = null) {
+/**
+ * Invalidate caches that may show a changed article
+ * @param {string|null} articleId - For logging
+ * @param {string|null} category - Limits feed page invalidation to one category
+ * @param {Object} options - { feeds } also drop cached feed pages (all_*, category_*),
+ *   which are keyed by orderBy/limit/tone, and the rendered public feeds (feed_*), and
+ *   bump the feed revision so feed ETags change. Use it when an article was added,
+ *   hidden or edited, not for engagement counters, which the short TTL covers.
+ */
+async function invalidateRelatedCaches(articleId = null, category = null, { feeds = false } = {}) {
   const cacheKeys = [
     'categoryStats',
     'trendingArticles',
     'trending_10',
     'trending_20',
-    'batchMetadata'
+    'batchMetadata',
+    'editorial_features'
   ];
   
-  if (category) {
-    cacheKeys.push(`category_${category}`);
-  }
-  
   const invalidationPromises = cacheKeys.map(key => 
     setSharedCache(key, null, CONFIG.cache.immediateInvalidation)
   );
   
+  let feedPagesInvalidated = 0;
+  if (feeds) {
+    const prefixes = ['all_', 'trending_', 'feed_', category ? `category_${category}_` : 'category_'];
+    invalidationPromises.push(...prefixes.map(async prefix => {
+      feedPagesInvalidated += await deleteSharedCacheByPrefix(prefix);
+    }));
+    invalidationPromises.push(bumpFeedRevision());
+  }
+  
   await Promise.all(invalidationPromises);
   
   logger.info(`Caches invalidated for article ${articleId || 'system'}`, {
     instanceId: INSTANCE_ID,
     articleId,
     category,
-    cacheKeysInvalidated: cacheKeys.length,
+    cacheKeysInvalidated: cacheKeys.length + feedPagesInvalidated,
     timestamp: new Date().toISOString()
   });
 }
 
+/**
+ * Advance the public feed revision so /feed ETags change for edits within a batch
+ * Kept in app_config rather than shared_cache, whose entries expire.
+ */
+async function bumpFeedRevision() {
+  try {
+    await db.collection('app_config').doc('feeds').set({
+      revision: FieldValue.increment(1),
+      updatedAt: Timestamp.now()
+    }, { merge: true });
+  } catch (error) {
+    logger.error('Feed revision bump failed', {
+      instanceId: INSTANCE_ID,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete every shared_cache entry whose key starts with prefix
+ * @returns {Promise<number>} Entries deleted (0 on error; the TTL still expires them)
+ */
+async function deleteSharedCacheByPrefix(prefix) {
+  try {
+    const snapshot = await db.collection('shared_cache')
+      .where(FieldPath.documentId(), '>=', prefix)
+      .where(FieldPath.documentId(), '<', `${prefix}\uf8ff`)
+      .get();
+    await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+    return snapshot.size;
+  } catch (error) {
+    logger.error(`Cache prefix invalidation error for ${prefix}:`, {
+      instanceId: INSTANCE_ID,
+      prefix,
+      error: error.message
+    });
+    return 0;
+  }
+}
+
 // =============================================
 // HELPER FUNCTIONS WITH RETRY LOGIC
 // =============================================
@@ -944,7 +1694,8 @@ async function withRetry(fn, maxAttempts = CONFIG.limits.maxRetries, initialDela
     try {
       return await fn();
     } catch (error) {
-      if (attempt >= maxAttempts || error instanceof RateLimitError) {
+      if (attempt >= maxAttempts || error instanceof RateLimitError ||
+          (error instanceof ApiError && !error.retryable)) {
         throw error;
       }
       
@@ -968,6 +1719,29 @@ async function withRetry(fn, maxAttempts = CONFIG.limits.maxRetries, initialDela
   }
 }
 
+/**
+ * Run fn over items with at most `limit` calls in flight
+ * @returns {Promise<Array>} Promise.allSettled-style results, in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 function generateArticleId(url) {
   if (!url || typeof url !== 'string') {
     throw new ValidationError('Invalid URL provided for ID generation', 'url');
@@ -982,6 +1756,11 @@ function generateArticleId(url) {
 // =============================================
 // DAILY COUNTER MANAGEMENT
 // =============================================
+// limits.dailyArticles applies to each content locale's pipeline
+function getDailyArticleLimit() {
+  return CONFIG.limits.dailyArticles * CONFIG.locales.enabled.length;
+}
+
 async function getDailyProcessedCount() {
   const today = new Date().toISOString().split('T')[0];
   const statsRef = db.collection('daily_stats').doc(today);
@@ -1002,7 +1781,22 @@ async function incrementDailyProcessedCount(amount) {
 // =============================================
 // ENVIRONMENT VALIDATION
 // =============================================
-const requiredEnvVars = ['NEWSDATA_API_KEY', 'GEMINI_API_KEY'];
+// Keys for the enabled news providers, plus the first LLM client's key when no
+// LLM client can run without one; RSS fixtures + the offline client need none
+function getRequiredEnvVars() {
+  const providerKeys = getActiveProviders(CONFIG.apiProviders)
+    .filter(([providerName, providerConfig]) => getProviderAdapter(providerName, providerConfig).requiresApiKey)
+    .map(([, providerConfig]) => providerConfig.apiKeyEnv);
+  
+  const llmClients = getLlmClientChain(CONFIG.ai.clients, CONFIG.ai.clientOrder);
+  const llmKeys = llmClients.some(([clientName, clientConfig]) => isLlmClientReady(clientName, clientConfig)) ?
+    [] :
+    llmClients.map(([, clientConfig]) => clientConfig.apiKeyEnv).slice(0, 1);
+  
+  return [...providerKeys, ...llmKeys].filter(Boolean);
+}
+
+const requiredEnvVars = getRequiredEnvVars();
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -1110,7 +1904,7 @@ class DeploymentAssistant {
    * Check required environment variables
    */
   async checkEnvironmentVariables() {
-    const requiredVars = ['NEWSDATA_API_KEY', 'GEMINI_API_KEY'];
+    const requiredVars = getRequiredEnvVars();
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
     
     if (missingVars.length > 0) {
@@ -1184,7 +1978,7 @@ class DeploymentAssistant {
   async testGeminiApi() {
     try {
       const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+      const model = genAI.getGenerativeModel({ model: CONFIG.ai.clients.gemini.model });
       
       // Minimal test prompt
       await model.generateContent({
@@ -1241,6 +2035,13 @@ class DeploymentAssistant {
         fields: ['isActive', 'publishedAt', 'trendingScore'],
         collection: 'news_articles'
       },
+      // Feeds filtered by tone (getAllArticles, getArticlesByCategory, /v1/articles)
+      ...TONE_INDEXED_QUERIES.map(({ name, category, orderBy, fields }) => ({
+        name,
+        query: toneIndexCheckQuery(category, orderBy),
+        fields,
+        collection: 'news_articles'
+      })),
       {
         name: 'cleanup_old_articles',
         query: db.collection("news_articles")
@@ -1248,6 +2049,62 @@ class DeploymentAssistant {
           .limit(1),
         fields: ['publishedAt'],
         collection: 'news_articles'
+      },
+      {
+        name: 'report_queue',
+        query: db.collection("article_reports")
+          .where("status", "==", "pending")
+          .orderBy("lastReportedAt", "desc")
+          .limit(1),
+        fields: ['status', 'lastReportedAt'],
+        collection: 'article_reports'
+      },
+      {
+        name: 'audit_log_by_target',
+        query: db.collection("admin_audit_log")
+          .where("target.id", "==", "index_check")
+          .orderBy("createdAt", "desc")
+          .limit(1),
+        fields: ['target.id', 'createdAt'],
+        collection: 'admin_audit_log'
+      },
+      {
+        name: 'webhook_redelivery',
+        query: db.collection("webhook_deliveries")
+          .where("status", "==", "pending")
+          .where("nextAttemptAt", "<=", Timestamp.now())
+          .orderBy("nextAttemptAt", "asc")
+          .limit(1),
+        fields: ['status', 'nextAttemptAt'],
+        collection: 'webhook_deliveries'
+      },
+      {
+        name: 'webhook_deliveries_by_subscription',
+        query: db.collection("webhook_deliveries")
+          .where("subscriptionId", "==", "index_check")
+          .orderBy("createdAt", "desc")
+          .limit(1),
+        fields: ['subscriptionId', 'createdAt'],
+        collection: 'webhook_deliveries'
+      },
+      {
+        name: 'webhook_deliveries_by_status',
+        query: db.collection("webhook_deliveries")
+          .where("status", "==", "failed")
+          .orderBy("createdAt", "desc")
+          .limit(1),
+        fields: ['status', 'createdAt'],
+        collection: 'webhook_deliveries'
+      },
+      {
+        name: 'webhook_deliveries_by_subscription_status',
+        query: db.collection("webhook_deliveries")
+          .where("subscriptionId", "==", "index_check")
+          .where("status", "==", "failed")
+          .orderBy("createdAt", "desc")
+          .limit(1),
+        fields: ['subscriptionId', 'status', 'createdAt'],
+        collection: 'webhook_deliveries'
       }
     ];
 
@@ -1702,120 +2559,272 @@ class ConfigurationManager {
 const configManager = new ConfigurationManager();
 
 // =============================================
-// API INTEGRATION: NEWSDATA.IO
+// API INTEGRATION: NEWS PROVIDERS
 // =============================================
-async function fetchArticlesFromNewsData() {
+/**
+ * Fetch and normalize articles from one configured provider
+ * @param {string} providerName - Key in CONFIG.apiProviders
+ * @param {Object} [providerConfig] - Defaults to CONFIG.apiProviders[providerName]
+ * @returns {Promise<Array>} Articles in the shared provider shape, from every category that succeeded
+ * @throws {RateLimitError|ApiError} If the provider is misconfigured or every category fails
+ */
+async function fetchArticlesFromProvider(providerName, providerConfig = CONFIG.apiProviders[providerName]) {
   const startTime = Date.now();
-  logger.info("Fetching headlines from NewsData.io...", {
+  const adapter = getProviderAdapter(providerName, providerConfig);
+  const label = adapter.label || providerName;
+  const rateLimit = CONFIG.apiRateLimits[providerConfig.rateLimitKey] || CONFIG.apiRateLimits.newsData;
+  
+  logger.info(`Fetching headlines from ${label}...`, {
     instanceId: INSTANCE_ID,
+    provider: providerName,
+    categories: providerConfig.targetCategories,
     version: VERSION,
     timestamp: new Date().toISOString()
   });
   
-  await checkAndWaitForRateLimit('newsData', CONFIG.apiRateLimits.newsData.callsPerMinute);
+  const apiKey = providerConfig.apiKeyEnv ? process.env[providerConfig.apiKeyEnv] : null;
+  if (adapter.requiresApiKey && !apiKey) {
+    throw new ApiError(`Missing ${providerConfig.apiKeyEnv} for ${label}`, providerName, 401);
+  }
   
-  const apiCall = async () => {
-    const response = await axios.get(CONFIG.newsData.baseUrl, {
-      params: {
-        apikey: process.env.NEWSDATA_API_KEY,
-        ...CONFIG.newsData.params
-      },
-      timeout: CONFIG.apiRateLimits.newsData.timeout,
-      headers: {
-        'User-Agent': 'GoodNewsApp/1.0',
-        'Accept': 'application/json'
-      }
-    });
-    
-    const duration = Date.now() - startTime;
-    performanceMetrics.trackApiCall('newsdata', duration);
+  const validArticles = [];
+  const { maxArticlesPerRequest } = getProviderQuota(providerName, providerConfig);
+  const failures = [];
+  
+  // A failing category is skipped so earlier categories' articles are kept;
+  // the provider only fails when every category does
+  for (const category of providerConfig.targetCategories) {
+    try {
+      await checkAndWaitForRateLimit(providerConfig.rateLimitKey || providerName, rateLimit.callsPerMinute);
+    
+      const apiCall = async () => {
+        const callStart = Date.now();
+        const items = await adapter.fetch(category, {
+          http: axios,
+          providerConfig,
+          apiKey,
+          timeout: rateLimit.timeout,
+          log: logger
+        });
+      
+        const duration = Date.now() - callStart;
+        performanceMetrics.trackApiCall(providerName, duration);
+      
+        logger.info(`${label} API call completed in ${duration}ms`, {
+          instanceId: INSTANCE_ID,
+          provider: providerName,
+          category,
+          resultsCount: Array.isArray(items) ? items.length : 0,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+      
+        return items;
+      };
     
-    logger.info(`NewsData.io API call completed in ${duration}ms`, {
-      instanceId: INSTANCE_ID,
-      resultsCount: response.data?.results?.length || 0,
-      duration,
-      version: VERSION,
-      timestamp: new Date().toISOString()
-    });
+      let items;
+      try {
+        items = await withRetry(apiCall);
+      } catch (error) {
+        const duration = Date.now() - startTime;
+      
+        if (error.response) {
+          logger.error(`${label} API Error`, {
+            instanceId: INSTANCE_ID,
+            provider: providerName,
+            status: error.response.status,
+            statusText: error.response.statusText,
+            duration,
+            version: VERSION,
+            timestamp: new Date().toISOString()
+          });
+        
+          if (error.response.status === 429) {
+            throw new RateLimitError(`${label} API rate limit exceeded`, providerName, 60);
+          } else if (error.response.status === 402) {
+            throw new ApiError(`Quota exhausted for ${label}`, providerName, 402);
+          }
+        
+          throw new ApiError(`${label} API error: ${error.response.status}`, providerName, error.response.status);
+        }
+      
+        if (error instanceof ApiError || error instanceof RateLimitError) {
+          throw error;
+        }
+      
+        logger.error(`Network error fetching from ${label}`, {
+          instanceId: INSTANCE_ID,
+          provider: providerName,
+          error: error.message,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+      
+        throw new ApiError(`Network error connecting to ${label}`, providerName, 503);
+      }
     
-    return response;
-  };
-
-  try {
-    const response = await withRetry(apiCall);
+      if (!Array.isArray(items)) {
+        throw new ApiError(`No results returned from ${label}`, providerName, 404);
+      }
     
-    if (!response.data?.results) {
-      throw new ApiError('No results returned from NewsData.io', 'newsdata', 404);
-    }
-
-    if (response.data.results.length === 0) {
-      logger.warn("No articles returned from NewsData.io", {
+      if (maxArticlesPerRequest && items.length > maxArticlesPerRequest) {
+        logger.warn(`${label} returned ${items.length} articles, keeping the first ${maxArticlesPerRequest}`, {
+          instanceId: INSTANCE_ID,
+          provider: providerName,
+          category,
+          maxArticlesPerRequest,
+          timestamp: new Date().toISOString()
+        });
+        items = items.slice(0, maxArticlesPerRequest);
+      }
+    
+      const normalized = items
+        .map(item => adapter.normalize(item, category))
+        .filter(Boolean);
+    
+      if (normalized.length !== items.length) {
+        logger.warn(`Filtered ${items.length - normalized.length} invalid articles from ${label}`, {
+          instanceId: INSTANCE_ID,
+          provider: providerName,
+          category,
+          filteredCount: items.length - normalized.length,
+          totalCount: items.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+    
+      validArticles.push(...normalized);
+    } catch (error) {
+      failures.push({ category, error });
+      logger.warn(`Skipping ${label} category ${category}: ${error.message}`, {
         instanceId: INSTANCE_ID,
+        provider: providerName,
+        category,
+        error: error.message,
         timestamp: new Date().toISOString()
       });
-      return [];
     }
+  }
+  
+  if (failures.length > 0 && failures.length === providerConfig.targetCategories.length) {
+    throw failures[failures.length - 1].error;
+  }
+  
+  const totalDuration = Date.now() - startTime;
+  logger.info(`Successfully fetched ${validArticles.length} valid headlines from ${label} in ${totalDuration}ms`, {
+    instanceId: INSTANCE_ID,
+    provider: providerName,
+    validCount: validArticles.length,
+    failedCategories: failures.map(failure => failure.category),
+    duration: totalDuration,
+    version: VERSION,
+    timestamp: new Date().toISOString()
+  });
+  
+  return validArticles;
+}
 
-    const validArticles = response.data.results.filter(article => 
-      article.title && 
-      article.link && 
-      article.title.length > 10
-    );
-    
-    if (validArticles.length !== response.data.results.length) {
-      logger.warn(`Filtered ${response.data.results.length - validArticles.length} invalid articles`, {
+/**
+ * Enabled providers for one content locale, with that locale's param overrides
+ * The default locale uses every enabled provider as configured.
+ * @returns {Array<[string, Object]>} [providerName, providerConfig] pairs
+ */
+function getLocaleProviders(locale) {
+  const activeProviders = getActiveProviders(CONFIG.apiProviders);
+  if (locale === CONFIG.locales.default) {
+    return activeProviders;
+  }
+  
+  const overrides = CONFIG.locales.pipelines[locale]?.providers || {};
+  return activeProviders
+    .filter(([providerName]) => overrides[providerName])
+    .map(([providerName, providerConfig]) => [providerName, {
+      ...providerConfig,
+      params: { ...providerConfig.params, ...overrides[providerName] }
+    }]);
+}
+
+/**
+ * Fetch from every enabled provider in priority order and merge the results.
+ * A failing provider is skipped; the last error is only thrown if all of them fail.
+ * @param {string} [locale] - Content locale; articles are tagged with it as `language`
+ * @returns {Promise<Array>} Deduplicated articles in the shared provider shape
+ */
+async function fetchArticlesFromProviders(locale = CONFIG.locales.default) {
+  const activeProviders = getLocaleProviders(locale);
+  const allArticles = [];
+  const failures = [];
+  
+  for (const [providerName, providerConfig] of activeProviders) {
+    try {
+      const articles = await fetchArticlesFromProvider(providerName, providerConfig);
+      allArticles.push(...articles);
+    } catch (error) {
+      failures.push({ provider: providerName, error });
+      logger.warn(`Provider ${providerName} failed, continuing with remaining providers`, {
         instanceId: INSTANCE_ID,
-        filteredCount: response.data.results.length - validArticles.length,
-        totalCount: response.data.results.length,
+        provider: providerName,
+        error: error.message,
         timestamp: new Date().toISOString()
       });
     }
-    
-    const totalDuration = Date.now() - startTime;
-    logger.info(`Successfully fetched ${validArticles.length} valid headlines in ${totalDuration}ms`, {
+  }
+  
+  if (failures.length > 0 && failures.length === activeProviders.length) {
+    throw failures[failures.length - 1].error;
+  }
+  
+  if (allArticles.length === 0) {
+    logger.warn("No articles returned from any news provider", {
       instanceId: INSTANCE_ID,
-      validCount: validArticles.length,
-      duration: totalDuration,
-      version: VERSION,
+      locale,
+      providers: activeProviders.map(([name]) => name),
       timestamp: new Date().toISOString()
     });
-    
-    return validArticles;
-    
+  }
+  
+  return deduplicateArticles(allArticles).map(article => ({ ...article, language: locale }));
+}
+
+/**
+ * Raw articles for a non-default locale pipeline
+ * Unlike the default pipeline there is no cached fallback: re-serving stored
+ * articles under another locale would mislabel their language.
+ * @returns {Promise<Array>} Articles, or [] when the locale's providers fail
+ */
+async function fetchLocaleArticles(locale) {
+  try {
+    return await fetchArticlesFromProviders(locale);
   } catch (error) {
-    const duration = Date.now() - startTime;
-    
-    if (error.response) {
-      logger.error("NewsData.io API Error", {
-        instanceId: INSTANCE_ID,
-        status: error.response.status,
-        statusText: error.response.statusText,
-        duration,
-        version: VERSION,
-        timestamp: new Date().toISOString()
-      });
-      
-      if (error.response.status === 429) {
-        throw new RateLimitError('NewsData API rate limit exceeded', 'newsdata', 60);
-      } else if (error.response.status === 402) {
-        throw new ApiError('Quota exhausted for NewsData.io', 'newsdata', 402);
-      }
-      
-      throw new ApiError(`NewsData API error: ${error.response.status}`, 'newsdata', error.response.status);
-    }
-    
-    logger.error("Network error fetching from NewsData.io", {
+    logger.warn(`Skipping ${locale} pipeline: ${error.message}`, {
       instanceId: INSTANCE_ID,
+      locale,
       error: error.message,
-      duration,
       version: VERSION,
       timestamp: new Date().toISOString()
     });
-    
-    throw new ApiError('Network error connecting to NewsData.io', 'newsdata', 503);
+    return [];
   }
 }
 
+/**
+ * Drop articles without a link and repeated links (case-insensitive)
+ */
+function deduplicateArticles(articles) {
+  const seen = new Set();
+  return articles.filter(article => {
+    if (!article.link) return false;
+    const key = article.link.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
 // =============================================
 // ENHANCED API INTEGRATION WITH AUTO-FALLBACK
 // =============================================
@@ -1825,7 +2834,7 @@ async function fetchArticlesFromNewsDataEnhanced() {
   
   // Primary API call with auto-recovery
   const primaryCall = async () => {
-    return await fetchArticlesFromNewsData();
+    return await fetchArticlesFromProviders();
   };
   
   // Fallback: Use cached results from last successful fetch
@@ -1889,7 +2898,7 @@ async function fetchArticlesFromNewsDataEnhanced() {
   
   try {
     const articles = await withAutoRecovery(
-      'newsdata',
+      'news_providers',
       primaryCall,
       fallbackCall,
       2 // Maximum 2 attempts
@@ -1919,45 +2928,350 @@ async function fetchArticlesFromNewsDataEnhanced() {
   }
 }
 
+// =============================================
+// ARTICLE TEXT EXTRACTION
+// =============================================
+function providerText(article) {
+  const { maxTextChars } = CONFIG.extraction;
+  const text = cleanFullContent(article.content, { maxChars: maxTextChars });
+  const description = cleanFullContent(article.description, { maxChars: maxTextChars });
+  return text.length >= description.length ? text : description;
+}
+
+/**
+ * Story text for one article; never throws
+ * Order: provider full text (NewsData full_content), the article_text cache
+ * (doc id = generateArticleId(link)), the fetched page, then the provider's own
+ * content/description.
+ * @returns {Promise<{text: string, source: string}>} source: 'full_content' | 'page' | 'meta' | 'provider'
+ */
+async function getArticleText(article) {
+  const { maxTextChars, cacheTTL, missCacheTTL, rateLimitKey, maxHtmlBytes } = CONFIG.extraction;
+  
+  const fullContent = cleanFullContent(article.fullContent, { maxChars: maxTextChars });
+  if (fullContent) return { text: fullContent, source: 'full_content' };
+  if (!CONFIG.extraction.enabled || !article.link) return { text: providerText(article), source: 'provider' };
+  
+  const cacheRef = db.collection('article_text').doc(generateArticleId(article.link));
+  try {
+    const cached = await cacheRef.get();
+    if (cached.exists) {
+      const data = cached.data();
+      const ttlMinutes = data.source === 'provider' ? missCacheTTL : cacheTTL;
+      if (Date.now() - data.timestamp < ttlMinutes * 60 * 1000) {
+        return { text: data.text, source: data.source };
+      }
+    }
+  } catch (error) {
+    logger.debug(`Article text cache read failed: ${error.message}`, { instanceId: INSTANCE_ID, link: article.link });
+  }
+  
+  let extracted = { text: '', method: 'none' };
+  try {
+    const rateLimit = CONFIG.apiRateLimits[rateLimitKey];
+    await checkAndWaitForRateLimit(rateLimitKey, rateLimit.callsPerMinute);
+    const response = await axios.get(article.link, {
+      timeout: rateLimit.timeout,
+      maxContentLength: maxHtmlBytes,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'GoodNewsApp/1.0',
+        'Accept': 'text/html'
+      }
+    });
+    if (/html/i.test(response.headers?.['content-type'] || 'text/html')) {
+      extracted = extractArticleText(response.data, { maxChars: maxTextChars });
+    }
+  } catch (error) {
+    logger.debug(`Article page fetch failed: ${error.message}`, { instanceId: INSTANCE_ID, link: article.link });
+  }
+  
+  const result = extracted.text ?
+    { text: extracted.text, source: extracted.method === 'meta' ? 'meta' : 'page' } :
+    { text: providerText(article), source: 'provider' };
+  
+  // Misses are cached too (shorter TTL) so a blocked page isn't refetched every run
+  const ttlMinutes = result.source === 'provider' ? missCacheTTL : cacheTTL;
+  try {
+    await cacheRef.set({
+      link: article.link,
+      text: result.text,
+      source: result.source,
+      timestamp: Date.now(),
+      expiresAt: Timestamp.fromDate(new Date(Date.now() + ttlMinutes * 60 * 1000))
+    });
+  } catch (error) {
+    logger.debug(`Article text cache write failed: ${error.message}`, { instanceId: INSTANCE_ID, link: article.link });
+  }
+  
+  return result;
+}
+
+/**
+ * Story text for a batch of articles, fetched with bounded concurrency
+ * @returns {Promise<Map<string, {text: string, source: string}>>} Keyed by article link
+ */
+async function getArticleTexts(articles) {
+  const startTime = Date.now();
+  const results = await mapWithConcurrency(articles, CONFIG.extraction.concurrency, getArticleText);
+  const texts = new Map();
+  const bySource = {};
+  
+  results.forEach((outcome, index) => {
+    const result = outcome.status === 'fulfilled' ? outcome.value : { text: providerText(articles[index]), source: 'provider' };
+    texts.set(articles[index].link, result);
+    bySource[result.source] = (bySource[result.source] || 0) + 1;
+  });
+  
+  logger.info(`Extracted article text for ${articles.length} articles`, {
+    instanceId: INSTANCE_ID,
+    bySource,
+    duration: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  });
+  
+  return texts;
+}
+
 // =============================================
 // AI FILTERING AND ENRICHMENT WITH ENHANCED ERROR HANDLING
 // =============================================
-async function filterAndEnrichArticlesWithAI(articles) {
+// =============================================
+// LLM CLIENTS WITH FALLBACK
+// =============================================
+function resolveLlmApiKey(clientConfig) {
+  return clientConfig.apiKeyEnv ? process.env[clientConfig.apiKeyEnv] || null : null;
+}
+
+function isLlmClientReady(clientName, clientConfig) {
+  if (!clientConfig || !hasLlmClient(clientName, clientConfig)) return false;
+  return !getLlmClient(clientName, clientConfig).requiresApiKey || !!resolveLlmApiKey(clientConfig);
+}
+
+/**
+ * Map an LLM client error onto the shared error types
+ * Gemini reports gRPC-style codes in the message; HTTP clients carry a response status.
+ */
+function toLlmError(error, clientName, label) {
+  const errorMessage = error.message || '';
+  const status = error.response?.status;
+  
+  if (status === 401 || status === 403 || errorMessage.includes('PERMISSION_DENIED') || errorMessage.includes('API key')) {
+    return new ApiError(`${label} API key invalid or permission denied`, clientName, status || 403);
+  } else if (status === 429 || errorMessage.includes('RESOURCE_EXHAUSTED') || errorMessage.includes('quota')) {
+    return new RateLimitError(`${label} API quota exceeded`, clientName, 300); // 5 minutes
+  } else if (status === 400 || errorMessage.includes('INVALID_ARGUMENT') || errorMessage.includes('bad request')) {
+    return new ValidationError(`Invalid request to ${label} API`, 'aiRequest');
+  } else if (errorMessage.includes('UNAUTHENTICATED')) {
+    return new ApiError(`Authentication failed for ${label} API`, clientName, 401);
+  } else if (error.code === 'ECONNABORTED' || errorMessage.includes('DEADLINE_EXCEEDED') || errorMessage.includes('timeout')) {
+    return new ApiError(`${label} API request timeout`, clientName, 408);
+  } else if (error.code === 'ECONNREFUSED' || errorMessage.includes('UNAVAILABLE') || status === 503) {
+    return new ApiError(`${label} API service unavailable`, clientName, 503);
+  } else if (errorMessage.includes('INTERNAL') || status >= 500) {
+    return new ApiError(`${label} API internal error`, clientName, status || 500);
+  }
+  
+  // Keep errors that aren't provider-specific as they are
+  return error;
+}
+
+/**
+ * Run an LLM request against each configured client until one returns usable output
+ * Clients without their API key are skipped; a client that errors, returns nothing,
+ * or whose response `parse` rejects hands over to the next one.
+ * @param {Object} request - LLM request (see llm/index.js)
+ * @param {Function} parse - Response text to result; throw to reject the response
+ * @returns {Promise<{clientName: string, result: *}>}
+ * @throws {ApiError} When every client failed
+ */
+async function generateWithLlmFallback(request, parse) {
+  const failures = [];
+  
+  for (const [clientName, clientConfig] of getLlmClientChain(CONFIG.ai.clients, CONFIG.ai.clientOrder)) {
+    if (!isLlmClientReady(clientName, clientConfig)) {
+      failures.push({ client: clientName, error: 'not configured' });
+      continue;
+    }
+    
+    const llmClient = getLlmClient(clientName, clientConfig);
+    const rateLimit = CONFIG.apiRateLimits[clientConfig.rateLimitKey] || {};
+    const callStart = Date.now();
+    
+    try {
+      if (clientConfig.rateLimitKey) {
+        await checkAndWaitForRateLimit(clientConfig.rateLimitKey, rateLimit.callsPerMinute);
+      }
+      
+      const responseText = await withRetry(async () => {
+        try {
+          return await llmClient.generate(request, {
+            http: axios,
+            clientConfig,
+            apiKey: resolveLlmApiKey(clientConfig),
+            timeout: rateLimit.timeout || CONFIG.ai.timeout,
+            log: logger
+          });
+        } catch (error) {
+          throw toLlmError(error, clientName, llmClient.label);
+        }
+      });
+      performanceMetrics.trackApiCall(clientName, Date.now() - callStart);
+      
+      if (!responseText || responseText.trim() === '') {
+        throw new ValidationError(`${llmClient.label} returned an empty response`, 'aiResponse');
+      }
+      
+      return { clientName, result: parse(responseText) };
+    } catch (error) {
+      failures.push({ client: clientName, error: error.message });
+      logger.warn(`${llmClient.label} failed (${error.name}), trying next LLM client`, {
+        instanceId: INSTANCE_ID,
+        client: clientName,
+        task: request.task,
+        error: error.message,
+        statusCode: error.statusCode,
+        retryAfter: error.retryAfter,
+        duration: Date.now() - callStart,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  throw new ApiError(
+    `No LLM client succeeded: ${failures.map(f => `${f.client} (${f.error})`).join('; ') || 'none configured'}`,
+    'llm',
+    503
+  );
+}
+
+/**
+ * Parse a JSON array response, repairing near-valid JSON (fences, trailing commas, truncation)
+ * @returns {{items: Array, repaired: boolean}}
+ */
+function parseJsonArrayResponse(responseText) {
+  try {
+    return parseJsonArray(responseText);
+  } catch (error) {
+    throw new ValidationError(`AI response is not a JSON array: ${error.message}`, 'aiResponse');
+  }
+}
+
+/**
+ * Drop malformed or unsafe entries from an AI translations map
+ * @returns {Object} { [locale]: { title, summary } } for the requested locales only
+ */
+function sanitizeTranslations(translations, locales) {
+  const clean = {};
+  if (!translations || typeof translations !== 'object') return clean;
+  
+  for (const locale of locales) {
+    const translation = translations[locale];
+    if (!translation || typeof translation.title !== 'string' || typeof translation.summary !== 'string') continue;
+    
+    const title = translation.title.trim();
+    const summary = translation.summary.trim();
+    if (title && summary && isContentSafe(title) && isContentSafe(summary)) {
+      clean[locale] = { title, summary };
+    }
+  }
+  return clean;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split AI input into batches that fit the prompt and response budgets
+ * A batch closes when its article list would pass ai.batching.maxInputTokens, or
+ * when a response keeping every article would pass ai.maxTokens.
+ * @param {Array} articlesForAI - Articles as sent to the model
+ * @param {number} outputTokensPerArticle - Expected response size per kept article
+ * @returns {Array<Array>} Batches, in input order
+ */
+function chunkArticlesForAI(articlesForAI, outputTokensPerArticle) {
+  const { maxInputTokens, baseOutputTokens } = CONFIG.ai.batching;
+  const maxPerBatch = Math.max(1, Math.floor((CONFIG.ai.maxTokens - baseOutputTokens) / outputTokensPerArticle));
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+  
+  for (const article of articlesForAI) {
+    const tokens = estimateTokens(JSON.stringify(article));
+    if (current.length > 0 && (current.length >= maxPerBatch || currentTokens + tokens > maxInputTokens)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(article);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+  
+  return batches;
+}
+
+/**
+ * Curate articles with the configured LLM clients
+ * Input is split into token-budgeted batches (chunkArticlesForAI) that run with
+ * bounded concurrency; a failed batch drops only its own articles. The keyword
+ * filter takes over only when no client is ready or every batch failed.
+ * Responses are held to the curator schema (llm/schema.js); items rejected for
+ * a fixable reason are re-prompted once with the reasons.
+ * @param {Array} articles - Normalized provider articles
+ * @param {Object} options - { locale } pipeline the articles came from
+ * @returns {Promise<{articles: Array, batches: Array, usedFallback: boolean}>}
+ *   batches: one report per batch - { index, size, status, client, outputCount, rejectedCount,
+ *   rejections, repaired, reprompted, recovered, duration, error }
+ */
+async function filterAndEnrichArticlesWithAI(articles, { locale = CONFIG.locales.default } = {}) {
   const startTime = Date.now();
   logger.info(`Processing ${articles.length} articles with AI...`, {
     instanceId: INSTANCE_ID,
     articleCount: articles.length,
+    locale,
     version: VERSION,
     timestamp: new Date().toISOString()
   });
   
-  if (!process.env.GEMINI_API_KEY) {
-    logger.warn("No Gemini API key, using keyword-based fallback filter", {
+  const llmClients = getLlmClientChain(CONFIG.ai.clients, CONFIG.ai.clientOrder);
+  if (!llmClients.some(([clientName, clientConfig]) => isLlmClientReady(clientName, clientConfig))) {
+    logger.warn("No LLM client configured, using keyword-based fallback filter", {
       instanceId: INSTANCE_ID,
+      clients: llmClients.map(([clientName]) => clientName),
       timestamp: new Date().toISOString()
     });
-    return basicKeywordFilter(articles);
+    return { articles: basicKeywordFilter(articles), batches: [], usedFallback: true };
   }
 
-  await checkAndWaitForRateLimit('gemini', CONFIG.apiRateLimits.gemini.callsPerMinute);
-  
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = genAI.getGenerativeModel({ 
-    model: CONFIG.ai.model,
-    generationConfig: {
-      temperature: CONFIG.ai.temperature,
-      maxOutputTokens: CONFIG.ai.maxTokens,
-    }
-  });
+  // Every enabled locale except the default gets a translation; articles from
+  // another locale's pipeline also need a default-locale (English) headline
+  const defaultLabel = CONFIG.locales.pipelines[CONFIG.locales.default].label;
+  const sourceLabel = CONFIG.locales.pipelines[locale]?.label || locale;
+  const translationLocales = CONFIG.locales.enabled
+    .filter(l => l !== CONFIG.locales.default || locale !== CONFIG.locales.default);
 
+  const articleTexts = await getArticleTexts(articles);
   const articlesForAI = articles.map(article => ({
     uniqueId: article.link,
     title: article.title,
-    pubDate: article.pubDate
+    pubDate: article.publishedAt,
+    excerpt: truncateText(articleTexts.get(article.link)?.text || '', CONFIG.extraction.promptChars)
   }));
 
-  const prompt = `
+  const translationSpec = translationLocales.length === 0 ? '' : `,
+  "translations": {
+${translationLocales.map(l => {
+    const label = CONFIG.locales.pipelines[l]?.label || l;
+    return `    "${l}": { "title": "The headline in ${label}", "summary": "The summary in ${label}" }`;
+  }).join(',\n')}
+  }`;
+
+  const buildPrompt = (batch, corrections = '') => `
 You are a "Good News" curator. Your task is to analyze the following list of news articles.
+The articles are written in ${sourceLabel}. Each has an "excerpt" from the story body (may be empty);
+judge the story itself, not just the headline.
 
 CRITERIA: Select ONLY articles that meet ALL of these conditions:
 1. POSITIVE/UPLIFTING: The story is predominantly good, hopeful, or celebrates human/animal achievement.
@@ -1969,191 +3283,216 @@ OUTPUT FORMAT: For each article that meets the criteria, return an object in a J
 {
   "uniqueId": "The exact 'uniqueId' string provided above (this is the article link)",
   "title": "The exact, original headline text",
-  "summary": "A 1-2 sentence, uplifting summary of why this is good news",
-  "category": "One of: SCIENCE, TECHNOLOGY, ENVIRONMENT, HEALTH, COMMUNITY, ANIMALS, INNOVATION"
+  "summary": "A 1-2 sentence, uplifting summary in ${defaultLabel} of why this is good news, based on the excerpt",
+  "category": "One of: SCIENCE, TECHNOLOGY, ENVIRONMENT, HEALTH, COMMUNITY, ANIMALS, INNOVATION",
+  "tone": "The single best fit of: ${CONFIG.tones.join(', ')}",
+  "toneConfidence": "Integer 0-100, how clearly the story carries that tone"${translationSpec}
 }
 
 INSTRUCTIONS:
 - Return a JSON array containing ONLY objects for articles that pass the filter.
 - Omit articles that do not meet the criteria entirely.
 - Do not include any other text, explanations, or markdown formatting.
-
+${corrections}
 ARTICLES TO ANALYZE:
-${JSON.stringify(articlesForAI)}
+${JSON.stringify(batch)}
 `;
 
-  try {
-    const aiCall = async () => {
+  const { baseOutputTokens, outputTokensPerArticle, translationTokensPerArticle, concurrency } = CONFIG.ai.batching;
+  const articleOutputTokens = outputTokensPerArticle + translationTokensPerArticle * translationLocales.length;
+  const batches = chunkArticlesForAI(articlesForAI, articleOutputTokens);
+
+  const { summaryLength, titleMaxLength, repromptRejected } = CONFIG.ai.validation;
+  const validationRules = { categories: CONFIG.categories, summaryLength, titleMaxLength, isContentSafe };
+
+  const requestCuration = (batch, prompt) => generateWithLlmFallback({
+    task: 'curate',
+    prompt,
+    input: {
+      articles: batch,
+      categories: CONFIG.categories,
+      tones: CONFIG.tones,
+      translationLocales,
+      negativeKeywords: CONFIG.contentSafety.negativeKeywords
+    },
+    temperature: CONFIG.ai.temperature,
+    maxOutputTokens: Math.min(CONFIG.ai.maxTokens, baseOutputTokens + articleOutputTokens * batch.length),
+    responseMimeType: "application/json"
+  }, parseJsonArrayResponse);
+
+  const buildCorrections = (rejected) => `
+CORRECTIONS: Your previous answer for these articles was rejected. Fix the listed problems.
+- category must be exactly one of: ${CONFIG.categories.join(', ')}
+- summary must be ${summaryLength.min}-${summaryLength.max} characters; title at most ${titleMaxLength}
+${rejected.map(({ uniqueId, reasons }) => `- ${uniqueId}: ${reasons.join(', ')}`).join('\n')}
+`;
+
+  const curateBatch = async (batch) => {
+    const { clientName, result } = await requestCuration(batch, buildPrompt(batch));
+
+    // Only ids from this batch count; a model echoing another article is not trusted
+    const { valid, rejected } = validateCuratedItems(result.items, {
+      ...validationRules,
+      inputIds: new Set(batch.map(article => article.uniqueId))
+    });
+    const report = { clientName, validArticles: valid, recoveredIds: new Set(), repaired: result.repaired ? 1 : 0, reprompted: 0, recovered: 0 };
+
+    // Targeted re-prompt: just the fixable articles, once
+    const acceptedIds = new Set(valid.map(item => item.uniqueId));
+    const fixable = rejected.filter(rejection => isRepromptable(rejection) && !acceptedIds.has(rejection.uniqueId));
+    const fixableIds = new Set(fixable.map(rejection => rejection.uniqueId));
+    const allRejected = [...rejected];
+
+    if (repromptRejected && fixableIds.size > 0) {
+      const retryBatch = batch.filter(article => fixableIds.has(article.uniqueId));
+      report.reprompted = retryBatch.length;
       try {
-        const result = await model.generateContent({
-          contents: [{ role: "user", parts: [{ text: prompt }] }],
-          generationConfig: {
-            responseMimeType: "application/json",
-            safetySettings: [
-              {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              }
-            ],
-          },
-        });
-        
-        return result;
+        const retry = await requestCuration(retryBatch, buildPrompt(retryBatch, buildCorrections(fixable)));
+        const revalidated = validateCuratedItems(retry.result.items, { ...validationRules, inputIds: fixableIds });
+        valid.push(...revalidated.valid);
+        revalidated.valid.forEach(item => report.recoveredIds.add(item.uniqueId));
+        allRejected.push(...revalidated.rejected);
+        report.recovered = revalidated.valid.length;
+        report.repaired += retry.result.repaired ? 1 : 0;
       } catch (error) {
-        // Enhanced Gemini API error handling
-        const errorMessage = error.message || '';
-        
-        // Handle specific Gemini API errors
-        if (errorMessage.includes('PERMISSION_DENIED') || errorMessage.includes('API key')) {
-          throw new ApiError('Gemini API key invalid or permission denied', 'gemini', 403);
-        } else if (errorMessage.includes('RESOURCE_EXHAUSTED') || errorMessage.includes('quota')) {
-          throw new RateLimitError('Gemini API quota exceeded', 'gemini', 300); // 5 minutes
-        } else if (errorMessage.includes('INVALID_ARGUMENT') || errorMessage.includes('bad request')) {
-          throw new ValidationError('Invalid request to Gemini API', 'aiRequest');
-        } else if (errorMessage.includes('UNAUTHENTICATED')) {
-          throw new ApiError('Authentication failed for Gemini API', 'gemini', 401);
-        } else if (errorMessage.includes('DEADLINE_EXCEEDED') || errorMessage.includes('timeout')) {
-          throw new ApiError('Gemini API request timeout', 'gemini', 408);
-        } else if (errorMessage.includes('INTERNAL')) {
-          throw new ApiError('Gemini API internal error', 'gemini', 500);
-        } else if (errorMessage.includes('UNAVAILABLE')) {
-          throw new ApiError('Gemini API service unavailable', 'gemini', 503);
-        }
-        
-        // Re-throw if not a Gemini-specific error
-        throw error;
+        logger.warn(`Re-prompt for ${retryBatch.length} rejected articles failed`, {
+          instanceId: INSTANCE_ID,
+          locale,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
       }
+    }
+
+    return {
+      ...report,
+      rejectedCount: rejected.length - report.recovered,
+      rejections: countRejectionReasons(allRejected)
     };
+  };
 
-    const result = await withRetry(aiCall);
-    const responseText = result.response.text();
-    
-    if (!responseText || responseText.trim() === '') {
-      logger.warn("AI returned empty response, using fallback filter", {
-        instanceId: INSTANCE_ID,
-        timestamp: new Date().toISOString()
-      });
-      return basicKeywordFilter(articles);
-    }
-    
-    let enrichedArticles;
+  const batchResults = await mapWithConcurrency(batches, concurrency, async (batch, index) => {
+    const batchStart = Date.now();
     try {
-      enrichedArticles = JSON.parse(responseText);
-      if (!Array.isArray(enrichedArticles)) {
-        throw new ValidationError('AI response was not an array', 'aiResponse');
-      }
-    } catch (parseError) {
-      logger.error("Error parsing AI response", {
+      return { ...await curateBatch(batch), duration: Date.now() - batchStart };
+    } catch (error) {
+      error.duration = Date.now() - batchStart;
+      logger.warn(`AI batch ${index + 1}/${batches.length} failed, dropping its ${batch.length} articles`, {
         instanceId: INSTANCE_ID,
-        error: parseError.message,
-        rawResponse: responseText.substring(0, 200),
+        locale,
+        batch: index + 1,
+        batchCount: batches.length,
+        batchSize: batch.length,
+        error: error.message,
         timestamp: new Date().toISOString()
       });
-      return basicKeywordFilter(articles);
+      throw error;
     }
+  });
 
-    const validArticles = enrichedArticles.filter(article => 
-      article.uniqueId && 
-      article.title && 
-      article.summary && 
-      article.category &&
-      CONFIG.categories.includes(article.category) &&
-      isContentSafe(article.title) &&
-      isContentSafe(article.summary)
-    );
+  const batchReports = batchResults.map((outcome, index) => outcome.status === 'fulfilled' ? {
+    index,
+    size: batches[index].length,
+    status: 'succeeded',
+    client: outcome.value.clientName,
+    outputCount: outcome.value.validArticles.length,
+    rejectedCount: outcome.value.rejectedCount,
+    rejections: outcome.value.rejections,
+    repaired: outcome.value.repaired,
+    reprompted: outcome.value.reprompted,
+    recovered: outcome.value.recovered,
+    duration: outcome.value.duration
+  } : {
+    index,
+    size: batches[index].length,
+    status: 'failed',
+    client: null,
+    outputCount: 0,
+    rejectedCount: 0,
+    rejections: {},
+    repaired: 0,
+    reprompted: 0,
+    recovered: 0,
+    duration: outcome.reason.duration || 0,
+    error: outcome.reason.message
+  });
 
-    if (validArticles.length !== enrichedArticles.length) {
-      logger.warn(`Filtered ${enrichedArticles.length - validArticles.length} invalid/unsafe articles from AI response`, {
-        instanceId: INSTANCE_ID,
-        filteredCount: enrichedArticles.length - validArticles.length,
-        totalAIResponse: enrichedArticles.length,
-        timestamp: new Date().toISOString()
-      });
-    }
+  const succeeded = batchResults.filter(outcome => outcome.status === 'fulfilled');
+  if (succeeded.length === 0) {
+    logger.error("AI processing failed for every batch, using fallback filter", {
+      instanceId: INSTANCE_ID,
+      locale,
+      batchCount: batches.length,
+      error: batchReports[0]?.error,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+    
+    return { articles: basicKeywordFilter(articles), batches: batchReports, usedFallback: true };
+  }
 
-    const articleDataMap = new Map();
-    articles.forEach(a => {
-      articleDataMap.set(a.link, { 
-        source: a.source_id || "Unknown", 
-        pubDate: a.pubDate || null
-      });
+  const rejectedCount = batchReports.reduce((sum, report) => sum + report.rejectedCount, 0);
+  if (rejectedCount > 0) {
+    logger.warn(`Filtered ${rejectedCount} invalid/unsafe articles from AI response`, {
+      instanceId: INSTANCE_ID,
+      filteredCount: rejectedCount,
+      totalAIResponse: rejectedCount + batchReports.reduce((sum, report) => sum + report.outputCount, 0),
+      reasons: mergeCounts(batchReports.map(report => report.rejections)),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const articleDataMap = new Map();
+  articles.forEach(a => {
+    articleDataMap.set(a.link, { 
+      source: a.source || "Unknown", 
+      pubDate: a.publishedAt || null
     });
+  });
 
-    const finalArticles = validArticles.map(item => {
+  // Batches are disjoint and validateCuratedItems drops repeats within a batch
+  const finalArticles = batchResults
+    .flatMap((outcome, index) => (outcome.status === 'fulfilled' ?
+      outcome.value.validArticles.map(item => ({ item, index, outcome: outcome.value })) :
+      []))
+    .map(({ item, index, outcome }) => {
       const data = articleDataMap.get(item.uniqueId) || {};
       return {
         ...item,
         link: item.uniqueId,
         source: data.source || "Unknown",
         publishedOriginal: data.pubDate || null,
+        language: locale,
+        translations: sanitizeTranslations(item.translations, translationLocales),
+        ...normalizeTone(item.tone, item.toneConfidence),
+        // Why it passed, for the admin console; batchIndex points into batch_metadata.aiBatches
+        curation: {
+          method: 'ai',
+          client: outcome.clientName,
+          batchIndex: index,
+          textSource: articleTexts.get(item.uniqueId)?.source || 'provider',
+          reprompted: outcome.recoveredIds.has(item.uniqueId)
+        },
         fetchedAt: new Date().toISOString(),
       };
     });
 
-    const duration = Date.now() - startTime;
-    performanceMetrics.trackApiCall('gemini', duration);
-    
-    logger.info(`AI processed ${articles.length} → ${finalArticles.length} articles in ${duration}ms`, {
-      instanceId: INSTANCE_ID,
-      inputCount: articles.length,
-      outputCount: finalArticles.length,
-      filterRatio: (finalArticles.length / articles.length).toFixed(2),
-      duration,
-      version: VERSION,
-      timestamp: new Date().toISOString()
-    });
-    
-    return finalArticles;
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    
-    // Log specific AI errors
-    if (error instanceof RateLimitError) {
-      logger.error("Gemini API rate limit exceeded", {
-        instanceId: INSTANCE_ID,
-        service: error.service,
-        retryAfter: error.retryAfter,
-        duration,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error instanceof ApiError) {
-      logger.error(`Gemini API error (${error.statusCode}): ${error.message}`, {
-        instanceId: INSTANCE_ID,
-        service: error.service,
-        statusCode: error.statusCode,
-        duration,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error instanceof ValidationError) {
-      logger.error(`Gemini API validation error: ${error.message}`, {
-        instanceId: INSTANCE_ID,
-        field: error.field,
-        duration,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      logger.error("AI processing failed, using fallback filter", {
-        instanceId: INSTANCE_ID,
-        error: error.message,
-        duration,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    return basicKeywordFilter(articles);
-  }
+  const duration = Date.now() - startTime;
+  
+  logger.info(`AI processed ${articles.length} → ${finalArticles.length} articles in ${duration}ms`, {
+    instanceId: INSTANCE_ID,
+    inputCount: articles.length,
+    outputCount: finalArticles.length,
+    filterRatio: (finalArticles.length / articles.length).toFixed(2),
+    batchCount: batches.length,
+    failedBatches: batches.length - succeeded.length,
+    clients: [...new Set(batchReports.map(report => report.client).filter(Boolean))],
+    duration,
+    version: VERSION,
+    timestamp: new Date().toISOString()
+  });
+  
+  return { articles: finalArticles, batches: batchReports, usedFallback: false };
 }
 
 function basicKeywordFilter(articles) {
@@ -2196,8 +3535,17 @@ function basicKeywordFilter(articles) {
         summary: `A positive story about ${category.toLowerCase()}.`,
         category: category,
         link: article.link,
-        source: article.source_id || "Unknown",
-        publishedOriginal: article.pubDate || null,
+        source: article.source || "Unknown",
+        publishedOriginal: article.publishedAt || null,
+        language: article.language || CONFIG.locales.default,
+        translations: {},
+        // Keyword matches say nothing about tone
+        tone: null,
+        toneConfidence: null,
+        curation: {
+          method: 'keyword',
+          matchedKeywords: Object.values(positiveKeywords).flat().filter(keyword => title.includes(keyword))
+        },
         fetchedAt: new Date().toISOString(),
       };
     })
@@ -2213,10 +3561,176 @@ function basicKeywordFilter(articles) {
   return filteredArticles;
 }
 
+// =============================================
+// STORY CLUSTERING
+// =============================================
+function toAlternateSource(article) {
+  return {
+    id: generateArticleId(article.link),
+    source: article.source || "Unknown",
+    link: article.link,
+    title: article.title
+  };
+}
+
+/**
+ * Merge alternate source lists, dropping repeats and the canonical article itself
+ */
+function mergeAlternateSources(canonicalLink, ...lists) {
+  const seen = new Set([canonicalLink]);
+  const merged = [];
+  for (const alternate of lists.flat()) {
+    if (!alternate || !alternate.link || seen.has(alternate.link)) continue;
+    seen.add(alternate.link);
+    merged.push(alternate);
+  }
+  return merged.slice(0, CONFIG.clustering.maxAlternateSources);
+}
+
+// Earliest original publication wins (the outlet that broke the story), then the fuller summary
+function pickCanonical(articles) {
+  const publishedTime = article => Date.parse(article.publishedOriginal) || Infinity;
+  return [...articles].sort((a, b) =>
+    publishedTime(a) - publishedTime(b) || (b.summary || '').length - (a.summary || '').length
+  )[0];
+}
+
+/**
+ * Group curated articles that cover the same story
+ * New articles are clustered with each other and with recently stored articles
+ * in the same language. A cluster with a stored member keeps that article as
+ * canonical and gains the new ones as alternate sources; otherwise the earliest
+ * new article becomes canonical.
+ * @param {Array} articles - Curated articles from filterAndEnrichArticlesWithAI
+ * @returns {Promise<{stories: Array, clusterUpdates: Array<{id, alternateSources}>, mergedCount: number}>}
+ *   stories: canonical new articles (with alternateSources) to store;
+ *   clusterUpdates: stored canonical articles that gained alternates
+ */
+async function clusterStories(articles) {
+  if (!CONFIG.clustering.enabled || articles.length < 1) {
+    return { stories: articles, clusterUpdates: [], mergedCount: 0 };
+  }
+  
+  let recent = [];
+  try {
+    const snapshot = await db.collection("news_articles")
+      .where("isActive", "==", true)
+      .orderBy("publishedAt", "desc")
+      .limit(CONFIG.clustering.recentLimit)
+      .get();
+    // Re-curated links are updated in place, not clustered with themselves
+    const newIds = new Set(articles.map(article => generateArticleId(article.link)));
+    recent = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(stored => !newIds.has(stored.id));
+  } catch (error) {
+    logger.warn(`Could not load recent articles for clustering: ${error.message}`, {
+      instanceId: INSTANCE_ID,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const entries = [
+    ...recent.map(article => ({ article, stored: true })),
+    ...articles.map(article => ({ article, stored: false }))
+  ];
+  const byLanguage = new Map();
+  entries.forEach(entry => {
+    const language = entry.article.language || CONFIG.locales.default;
+    if (!byLanguage.has(language)) byLanguage.set(language, []);
+    byLanguage.get(language).push(entry);
+  });
+  
+  const stories = [];
+  const clusterUpdates = [];
+  let mergedCount = 0;
+  
+  for (const group of byLanguage.values()) {
+    const clusters = clusterTexts(
+      group.map(({ article }) => `${article.title} ${article.summary || ''}`),
+      { threshold: CONFIG.clustering.similarityThreshold }
+    );
+    
+    for (const cluster of clusters) {
+      const stored = cluster.filter(index => group[index].stored).map(index => group[index].article);
+      const fresh = cluster.filter(index => !group[index].stored).map(index => group[index].article);
+      if (fresh.length === 0) continue;
+      
+      if (stored.length > 0) {
+        const canonical = stored.find(article => (article.alternateSources || []).length > 0) || stored[0];
+        clusterUpdates.push({
+          id: canonical.id,
+          alternateSources: mergeAlternateSources(canonical.link, canonical.alternateSources || [], fresh.map(toAlternateSource))
+        });
+        mergedCount += fresh.length;
+        continue;
+      }
+      
+      const canonical = pickCanonical(fresh);
+      const alternates = fresh.filter(article => article !== canonical);
+      stories.push({
+        ...canonical,
+        alternateSources: mergeAlternateSources(canonical.link, alternates.map(toAlternateSource))
+      });
+      mergedCount += alternates.length;
+    }
+  }
+  
+  logger.info(`Clustered ${articles.length} articles into ${stories.length} new stories`, {
+    instanceId: INSTANCE_ID,
+    inputCount: articles.length,
+    storyCount: stories.length,
+    mergedCount,
+    updatedStories: clusterUpdates.length,
+    comparedWith: recent.length,
+    timestamp: new Date().toISOString()
+  });
+  
+  return { stories, clusterUpdates, mergedCount };
+}
+
 // =============================================
 // FIRESTORE OPERATIONS
 // =============================================
-async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
+function mergeCounts(countMaps) {
+  const merged = {};
+  countMaps.forEach(counts => Object.entries(counts || {}).forEach(([key, count]) => {
+    merged[key] = (merged[key] || 0) + count;
+  }));
+  return merged;
+}
+
+/**
+ * Roll per-batch AI reports up for logs, execution_logs and batch_metadata
+ * @param {Array} aiBatches - Reports from filterAndEnrichArticlesWithAI, tagged with locale
+ * @returns {Object} { total, succeeded, failed, rejected, rejectionReasons, repaired, reprompted, recovered }
+ */
+function summarizeAiBatches(aiBatches) {
+  const sum = field => aiBatches.reduce((total, report) => total + (report[field] || 0), 0);
+  return {
+    total: aiBatches.length,
+    succeeded: aiBatches.filter(report => report.status === 'succeeded').length,
+    failed: aiBatches.filter(report => report.status === 'failed').length,
+    rejected: sum('rejectedCount'),
+    rejectionReasons: mergeCounts(aiBatches.map(report => report.rejections)),
+    repaired: sum('repaired'),
+    reprompted: sum('reprompted'),
+    recovered: sum('recovered')
+  };
+}
+
+/**
+ * Store curated articles with their stats and batch metadata
+ * @param {Array} allFetchedArticles - Raw provider articles
+ * @param {Array} filteredArticles - Curated articles to store
+ * @param {Object} options - { aiBatches, clusterUpdates }
+ *   aiBatches: per-batch AI reports; kept with their rollup (rejection reasons,
+ *   repairs, re-prompts) on the batch_metadata doc
+ *   clusterUpdates: stored stories that gained alternate sources (clusterStories)
+ * @returns {Promise<{batchId: string, newArticleIds: Array<string>}>} newArticleIds are
+ *   stories stored for the first time (also on batch_metadata, for pushBreakingGoodNews)
+ * Visible stored stories are sent to webhook subscribers as a batch.stored event.
+ */
+async function storeArticlesScalable(allFetchedArticles, filteredArticles, { aiBatches = [], clusterUpdates = [] } = {}) {
   const startTime = Date.now();
   logger.info("Storing articles to Firestore...", {
     instanceId: INSTANCE_ID,
@@ -2225,7 +3739,7 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
     timestamp: new Date().toISOString()
   });
   
-  const totalOperations = 2 + filteredArticles.length;
+  const totalOperations = 2 + filteredArticles.length + clusterUpdates.length;
   if (totalOperations > CONFIG.firestore.batchLimit) {
     throw new DatabaseError(
       `Cannot store ${filteredArticles.length} articles - exceeds Firestore batch limit of ${CONFIG.firestore.batchLimit}`,
@@ -2260,7 +3774,14 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
   }
 
   const categoryStats = {};
-  CONFIG.categories.forEach(cat => categoryStats[cat] = 0);
+  const toneStats = {};
+  const newArticleIds = [];
+  const storedArticles = [];
+  CONFIG.categories.forEach(cat => {
+    categoryStats[cat] = 0;
+    toneStats[cat] = { counts: {}, confidenceTotal: 0, classified: 0 };
+    CONFIG.tones.forEach(tone => toneStats[cat].counts[tone] = 0);
+  });
   
   filteredArticles.forEach((article) => {
     const articleId = generateArticleId(article.link);
@@ -2269,6 +3790,13 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
     
     if (CONFIG.categories.includes(article.category)) {
       categoryStats[article.category]++;
+      
+      if (isValidTone(article.tone)) {
+        const stats = toneStats[article.category];
+        stats.counts[article.tone]++;
+        stats.confidenceTotal += article.toneConfidence || 0;
+        stats.classified++;
+      }
     }
     
     const articleData = {
@@ -2279,15 +3807,29 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
       link: article.link,
       source: article.source,
       publishedOriginal: article.publishedOriginal,
+      language: article.language || CONFIG.locales.default,
+      translations: article.translations || {},
+      tone: article.tone || null,
+      toneConfidence: article.toneConfidence ?? null,
+      curation: article.curation || null,
+      alternateSources: mergeAlternateSources(article.link, existing?.alternateSources || [], article.alternateSources || []),
       id: articleId,
       batchId: batchId,
       publishedAt: now,
       expiresAt: Timestamp.fromDate(new Date(Date.now() + CONFIG.firestore.articleTTL)),
-      isActive: true,
+      // Articles hidden by reports or moderation stay hidden when fetched again
+      isActive: !existing?.hiddenReason,
       updatedAt: now,
     };
     
     if (existing) {
+      // Editor changes (adminUpdateArticle) win over a later curation of the same link
+      ADMIN_EDITABLE_FIELDS.forEach(field => {
+        if (existing.editedFields?.includes(field)) articleData[field] = existing[field];
+      });
+      if (['title', 'summary'].some(field => existing.editedFields?.includes(field))) {
+        articleData.translations = existing.translations || {};
+      }
       articleData.views = existing.views || 0;
       articleData.saves = existing.saves || 0;
       articleData.shares = existing.shares || 0;
@@ -2295,12 +3837,15 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
         twitter: 0, facebook: 0, email: 0,
         copy: 0, whatsapp: 0, reddit: 0, other: 0
       };
+      articleData.upvotes = existing.upvotes || 0;
+      articleData.downvotes = existing.downvotes || 0;
       articleData.trendingScore = existing.trendingScore || 0;
       articleData.lastViewedAt = existing.lastViewedAt || null;
       articleData.lastSharedAt = existing.lastSharedAt || null;
       
       batch.set(articleDocRef, articleData, { merge: true });
     } else {
+      newArticleIds.push(articleId);
       batch.set(articleDocRef, {
         ...articleData,
         views: 0,
@@ -2310,32 +3855,48 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
           twitter: 0, facebook: 0, email: 0,
           copy: 0, whatsapp: 0, reddit: 0, other: 0
         },
+        upvotes: 0,
+        downvotes: 0,
         trendingScore: 0,
         lastViewedAt: null,
         lastSharedAt: null,
       }, { merge: false });
     }
+    
+    if (articleData.isActive) storedArticles.push(articleData);
   });
 
-  const mainDocRef = db.collection("content").doc("latest_news");
-  batch.set(mainDocRef, {
-    articles: filteredArticles,
-    lastUpdated: new Date().toISOString(),
-    stats: {
-      totalFetched: allFetchedArticles.length,
-      goodNewsCount: filteredArticles.length,
-      byCategory: categoryStats,
-    },
-    batchId: batchId,
-  }, { merge: false });
+  clusterUpdates.forEach(({ id, alternateSources }) => {
+    batch.set(db.collection("news_articles").doc(id), { alternateSources, updatedAt: now }, { merge: true });
+  });
+
+  // A run whose every story was already covered only adds alternate sources
+  if (filteredArticles.length > 0) {
+    const mainDocRef = db.collection("content").doc("latest_news");
+    batch.set(mainDocRef, {
+      articles: filteredArticles,
+      lastUpdated: new Date().toISOString(),
+      stats: {
+        totalFetched: allFetchedArticles.length,
+        goodNewsCount: filteredArticles.length,
+        byCategory: categoryStats,
+        tonesByCategory: toneStats,
+      },
+      batchId: batchId,
+    }, { merge: false });
+  }
 
   const batchDocRef = db.collection("batch_metadata").doc(batchId);
   batch.set(batchDocRef, {
     batchId: batchId,
     articleCount: filteredArticles.length,
+    updatedStories: clusterUpdates.length,
+    newArticleIds,
     processedAt: now,
     expiresAt: Timestamp.fromDate(new Date(Date.now() + CONFIG.firestore.metadataTTL)),
     instanceId: INSTANCE_ID,
+    aiBatches,
+    aiSummary: summarizeAiBatches(aiBatches),
   }, { merge: false });
 
   try {
@@ -2350,6 +3911,16 @@ async function storeArticlesScalable(allFetchedArticles, filteredArticles) {
       version: VERSION,
       timestamp: new Date().toISOString()
     });
+    
+    if (storedArticles.length > 0) {
+      await emitWebhookEvent('batch.stored', {
+        batchId,
+        newArticleIds,
+        articles: storedArticles.map(article => toApiArticle(article))
+      });
+    }
+    
+    return { batchId, newArticleIds };
   } catch (error) {
     logger.error("Error storing articles:", {
       instanceId: INSTANCE_ID,
@@ -2542,12 +4113,13 @@ exports.scheduledGoodNewsFetch = onSchedule(
 
     try {
       const todayProcessed = await getDailyProcessedCount();
+      const dailyLimit = getDailyArticleLimit();
       
-      if (todayProcessed >= CONFIG.limits.dailyArticles) {
-        logger.warn(`Daily limit reached (${CONFIG.limits.dailyArticles}), skipping fetch`, {
+      if (todayProcessed >= dailyLimit) {
+        logger.warn(`Daily limit reached (${dailyLimit}), skipping fetch`, {
           instanceId: INSTANCE_ID,
           todayProcessed,
-          limit: CONFIG.limits.dailyArticles,
+          limit: dailyLimit,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
@@ -2558,14 +4130,22 @@ exports.scheduledGoodNewsFetch = onSchedule(
           status: "daily_limit_reached", 
           count: 0,
           todayProcessed,
-          limit: CONFIG.limits.dailyArticles,
+          limit: dailyLimit,
           version: VERSION,
           enhanced: true
         };
       }
 
-      // Use enhanced fetch with auto-recovery
-      const rawArticles = await fetchArticlesFromNewsDataEnhanced();
+      // One pipeline per content locale; the default locale keeps the
+      // enhanced fetch with auto-recovery and cached fallback
+      const localeBatches = [];
+      for (const locale of CONFIG.locales.enabled) {
+        const articles = locale === CONFIG.locales.default ?
+          await fetchArticlesFromNewsDataEnhanced() :
+          await fetchLocaleArticles(locale);
+        localeBatches.push({ locale, articles: articles || [] });
+      }
+      const rawArticles = localeBatches.flatMap(batch => batch.articles);
       
       if (!rawArticles?.length) {
         logger.warn("No articles fetched, using fallback content", {
@@ -2624,25 +4204,39 @@ exports.scheduledGoodNewsFetch = onSchedule(
         instanceId: INSTANCE_ID,
         rawCount: rawArticles.length,
         sources: [...new Set(rawArticles.map(a => a.source))],
+        byLocale: Object.fromEntries(localeBatches.map(batch => [batch.locale, batch.articles.length])),
         version: VERSION,
         timestamp: new Date().toISOString()
       });
       
-      const enrichedArticles = await filterAndEnrichArticlesWithAI(rawArticles);
+      // Each locale is curated in its own language; locales run one after another,
+      // batches within a locale run concurrently
+      const enrichedArticles = [];
+      const aiBatches = [];
+      for (const { locale, articles } of localeBatches) {
+        if (articles.length === 0) continue;
+        const curated = await filterAndEnrichArticlesWithAI(articles, { locale });
+        enrichedArticles.push(...curated.articles);
+        aiBatches.push(...curated.batches.map(report => ({ locale, ...report, usedFallback: curated.usedFallback })));
+      }
+      const aiBatchSummary = summarizeAiBatches(aiBatches);
       
       logger.info(`AI Filter: ${rawArticles.length} → ${enrichedArticles.length} good news items`, {
         instanceId: INSTANCE_ID,
         rawCount: rawArticles.length,
         filteredCount: enrichedArticles.length,
         filterRatio: (enrichedArticles.length / rawArticles.length).toFixed(2),
+        aiBatches: aiBatchSummary,
         version: VERSION,
         timestamp: new Date().toISOString()
       });
       
       if (enrichedArticles.length > 0) {
-        await storeArticlesScalable(rawArticles, enrichedArticles);
+        // Syndicated copies of one story are stored once, with alternate sources
+        const { stories, clusterUpdates } = await clusterStories(enrichedArticles);
+        await storeArticlesScalable(rawArticles, stories, { aiBatches, clusterUpdates });
         await incrementDailyProcessedCount(enrichedArticles.length);
-        await invalidateRelatedCaches();
+        await invalidateRelatedCaches(null, null, { feeds: true });
       } else {
         logger.warn("No articles passed the AI 'Good News' filter", {
           instanceId: INSTANCE_ID,
@@ -2660,7 +4254,7 @@ exports.scheduledGoodNewsFetch = onSchedule(
         rawCount: rawArticles.length,
         filteredCount: enrichedArticles.length,
         todayProcessed: updatedCount,
-        dailyLimit: CONFIG.limits.dailyArticles,
+        dailyLimit,
         version: VERSION,
         timestamp: new Date().toISOString(),
         enhanced: true
@@ -2672,6 +4266,7 @@ exports.scheduledGoodNewsFetch = onSchedule(
         duration,
         articlesProcessed: enrichedArticles.length,
         rawArticles: rawArticles.length,
+        aiBatches: aiBatchSummary,
         success: true,
         timestamp: Timestamp.now(),
         instanceId: INSTANCE_ID,
@@ -2684,7 +4279,7 @@ exports.scheduledGoodNewsFetch = onSchedule(
         filteredCount: enrichedArticles.length,
         executionTime: duration,
         todayProcessed: updatedCount,
-        dailyLimit: CONFIG.limits.dailyArticles,
+        dailyLimit,
         version: VERSION,
         enhanced: true
       };
@@ -2746,13 +4341,21 @@ exports.cleanupOldArticles = onSchedule(
     
     try {
       const cutoff = Timestamp.fromDate(new Date(Date.now() - CONFIG.firestore.articleTTL));
+      // Pinned articles and Stories of the Day outlive the TTL until the feature ends
+      const featuredIds = await getFeaturedArticleIds();
       let totalDeleted = 0;
+      let totalKept = 0;
       let batchesProcessed = 0;
+      let lastDoc = null;
 
       while (true) {
-        const oldArticlesQuery = db.collection("news_articles")
+        let oldArticlesQuery = db.collection("news_articles")
           .where("publishedAt", "<", cutoff)
+          .orderBy("publishedAt")
           .limit(CONFIG.firestore.cleanupBatchLimit);
+        if (lastDoc) {
+          oldArticlesQuery = oldArticlesQuery.startAfter(lastDoc);
+        }
 
         const snapshot = await oldArticlesQuery.get();
         if (snapshot.empty) {
@@ -2766,21 +4369,29 @@ exports.cleanupOldArticles = onSchedule(
           break;
         }
 
-        const batch = db.batch();
-        snapshot.docs.forEach((doc) => batch.delete(doc.ref));
-        await batch.commit();
+        const expired = snapshot.docs.filter(doc => !featuredIds.has(doc.id));
+        if (expired.length > 0) {
+          const batch = db.batch();
+          expired.forEach((doc) => batch.delete(doc.ref));
+          await batch.commit();
+        }
         
-        totalDeleted += snapshot.size;
+        totalDeleted += expired.length;
+        totalKept += snapshot.size - expired.length;
         batchesProcessed++;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
         
-        logger.info(`Deleted batch ${batchesProcessed} of ${snapshot.size} articles`, {
+        logger.info(`Deleted batch ${batchesProcessed} of ${expired.length} articles`, {
           instanceId: INSTANCE_ID,
-          batchSize: snapshot.size,
+          batchSize: expired.length,
+          featuredKept: snapshot.size - expired.length,
           batchNumber: batchesProcessed,
           totalDeleted,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
+        
+        if (snapshot.size < CONFIG.firestore.cleanupBatchLimit) break;
       }
 
       if (totalDeleted > 0) {
@@ -2788,6 +4399,7 @@ exports.cleanupOldArticles = onSchedule(
         logger.info(`Cleanup completed: ${totalDeleted} articles deleted in ${duration}ms`, {
           instanceId: INSTANCE_ID,
           totalDeleted,
+          featuredKept: totalKept,
           batchesProcessed,
           duration,
           version: VERSION,
@@ -2810,6 +4422,170 @@ exports.cleanupOldArticles = onSchedule(
   }
 );
 
+// ==================== TRENDING SCORE DECAY ====================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly bucket key, e.g. 2026101914 for 14:00-14:59 UTC
+function engagementHourKey(time = Date.now()) {
+  return new Date(time).toISOString().substring(0, 13).replace(/\D/g, '');
+}
+
+function hourKeyToMillis(hourKey) {
+  return Date.UTC(+hourKey.slice(0, 4), +hourKey.slice(4, 6) - 1, +hourKey.slice(6, 8), +hourKey.slice(8, 10));
+}
+
+/**
+ * Field path of the current hour's counter for an engagement action
+ * Tracking calls still increment trendingScore directly: an event this hour has
+ * decay factor ~1, so the live score stays right until the next recompute.
+ */
+function engagementBucketField(action, hourKey = engagementHourKey()) {
+  return `hourlyEngagement.${hourKey}.${action}`;
+}
+
+/**
+ * Weight multiplier for a bucket: 0.5^(age / halfLifeHours), age from the middle of the hour
+ * @returns {number} 0 once the bucket is outside bucketWindowHours
+ */
+function bucketDecay(hourKey, now = Date.now()) {
+  const ageHours = Math.max(0, (now - hourKeyToMillis(hourKey) - HOUR_MS / 2) / HOUR_MS);
+  return ageHours > CONFIG.trending.bucketWindowHours ? 0 : Math.pow(0.5, ageHours / CONFIG.trending.halfLifeHours);
+}
+
+/**
+ * Decayed trending score from hourly buckets
+ * score = sum over buckets of (weighted engagement per CONFIG.trendingWeights) * bucketDecay.
+ * Buckets outside the window are dropped.
+ * @param {Object} buckets - { [hourKey]: { views, saves, shares, upvotes, downvotes } }
+ * @returns {{score: number, buckets: Object}} Score and the buckets worth keeping
+ */
+function computeTrendingScore(buckets = {}, now = Date.now()) {
+  const kept = {};
+  let score = 0;
+  
+  Object.entries(buckets).forEach(([hourKey, counts]) => {
+    const decay = bucketDecay(hourKey, now);
+    if (decay === 0) return;
+    
+    kept[hourKey] = counts;
+    const weighted = Object.entries(CONFIG.trendingWeights)
+      .reduce((sum, [action, weight]) => sum + (counts[action] || 0) * weight, 0);
+    score += weighted * decay;
+  });
+  
+  return { score: Math.max(0, Math.round(score * 1000) / 1000), buckets: kept };
+}
+
+/**
+ * Buckets for an article whose engagement predates hourly tracking
+ * Lifetime counters are placed in the hour of its last view or share.
+ */
+function legacyEngagementBuckets(article) {
+  if (!article.views && !article.saves && !article.shares) return {};
+  
+  const lastEngaged = [article.lastViewedAt, article.lastSharedAt, article.publishedAt]
+    .filter(Boolean)
+    .map(time => (time.toMillis ? time.toMillis() : Date.parse(time)))
+    .filter(Number.isFinite);
+  
+  return {
+    [engagementHourKey(lastEngaged.length > 0 ? Math.max(...lastEngaged) : Date.now())]: {
+      views: article.views || 0,
+      saves: article.saves || 0,
+      shares: article.shares || 0
+    }
+  };
+}
+
+exports.recomputeTrendingScores = onSchedule(
+  {
+    schedule: "every 15 minutes",
+    timeoutSeconds: 180,
+    memory: "256MiB",
+  },
+  async () => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('recomputeTrendingScores');
+    
+    try {
+      const now = Date.now();
+      let lastDoc = null;
+      let scanned = 0;
+      let updated = 0;
+      
+      while (true) {
+        let query = db.collection("news_articles")
+          .where("isActive", "==", true)
+          .orderBy("publishedAt", "desc")
+          .limit(CONFIG.trending.recomputeBatchSize);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+        
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+        
+        const batch = db.batch();
+        let batchWrites = 0;
+        
+        snapshot.docs.forEach(doc => {
+          const article = doc.data();
+          const buckets = article.hourlyEngagement || legacyEngagementBuckets(article);
+          const { score, buckets: kept } = computeTrendingScore(buckets, now);
+          const expired = Object.keys(buckets).filter(hourKey => !kept[hourKey]);
+          
+          if (Math.abs(score - (article.trendingScore || 0)) < 0.001 && expired.length === 0 && article.hourlyEngagement) return;
+          
+          const update = { trendingScore: score };
+          if (article.hourlyEngagement) {
+            // Delete only expired buckets so a view landing mid-recompute isn't overwritten
+            expired.forEach(hourKey => { update[`hourlyEngagement.${hourKey}`] = FieldValue.delete(); });
+          } else {
+            update.hourlyEngagement = kept;
+          }
+          batch.update(doc.ref, update);
+          batchWrites++;
+        });
+        
+        if (batchWrites > 0) {
+          await batch.commit();
+        }
+        
+        scanned += snapshot.size;
+        updated += batchWrites;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        
+        if (snapshot.size < CONFIG.trending.recomputeBatchSize) break;
+      }
+      
+      if (updated > 0) {
+        await invalidateRelatedCaches();
+      }
+      
+      const duration = performanceMetrics.trackFunctionEnd('recomputeTrendingScores', startTimeMetric);
+      logger.info(`Trending scores recomputed: ${updated}/${scanned} articles changed in ${duration}ms`, {
+        instanceId: INSTANCE_ID,
+        scanned,
+        updated,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error recomputing trending scores", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      throw new DatabaseError('Failed to recompute trending scores', 'trending_recompute');
+    }
+  }
+);
+
 // ==================== BOOKMARKING FUNCTIONS ====================
 exports.toggleBookmark = onCall(
   {
@@ -2865,12 +4641,14 @@ exports.toggleBookmark = onCall(
           });
           batch.update(articleRef, {
             saves: FieldValue.increment(-1),
-            trendingScore: FieldValue.increment(-CONFIG.trendingWeights.saves)
+            trendingScore: FieldValue.increment(-CONFIG.trendingWeights.saves),
+            [engagementBucketField('saves')]: FieldValue.increment(-1)
           });
           
           await batch.commit();
           
           await invalidateRelatedCaches(articleId, articleData.category);
+          await recordUserInteraction(userId, articleData, 'saves', -1);
           
           const duration = performanceMetrics.trackFunctionEnd('toggleBookmark', startTimeMetric);
           logFunctionCall('toggleBookmark', request, startTime);
@@ -2888,12 +4666,14 @@ exports.toggleBookmark = onCall(
           }, { merge: true });
           batch.update(articleRef, {
             saves: FieldValue.increment(1),
-            trendingScore: FieldValue.increment(CONFIG.trendingWeights.saves)
+            trendingScore: FieldValue.increment(CONFIG.trendingWeights.saves),
+            [engagementBucketField('saves')]: FieldValue.increment(1)
           });
           
           await batch.commit();
           
           await invalidateRelatedCaches(articleId, articleData.category);
+          await recordUserInteraction(userId, articleData, 'saves', 1);
           
           const duration = performanceMetrics.trackFunctionEnd('toggleBookmark', startTimeMetric);
           logFunctionCall('toggleBookmark', request, startTime);
@@ -3069,10 +4849,14 @@ exports.trackShare = onCall(
           shares: FieldValue.increment(1),
           [`sharesByPlatform.${safePlatform}`]: FieldValue.increment(1),
           trendingScore: FieldValue.increment(CONFIG.trendingWeights.shares),
+          [engagementBucketField('shares')]: FieldValue.increment(1),
           lastSharedAt: Timestamp.now()
         });
         
         await invalidateRelatedCaches(articleId);
+        if (request.auth) {
+          await recordUserInteraction(userId, (await articleRef.get()).data(), 'shares');
+        }
         
         const duration = performanceMetrics.trackFunctionEnd('trackShare', startTimeMetric);
         logFunctionCall('trackShare', request, startTime);
@@ -3135,10 +4919,14 @@ exports.trackView = onCall(
         await articleRef.update({
           views: FieldValue.increment(1),
           trendingScore: FieldValue.increment(CONFIG.trendingWeights.views),
+          [engagementBucketField('views')]: FieldValue.increment(1),
           lastViewedAt: Timestamp.now()
         });
         
         await invalidateRelatedCaches(articleId);
+        if (request.auth) {
+          await recordUserInteraction(userId, (await articleRef.get()).data(), 'views');
+        }
         
         const duration = performanceMetrics.trackFunctionEnd('trackView', startTimeMetric);
         logFunctionCall('trackView', request, startTime);
@@ -3168,15 +4956,27 @@ exports.trackView = onCall(
   }
 );
 
-// ==================== CATEGORY FUNCTIONS ====================
-exports.getArticlesByCategory = onCall(
+// ==================== VOTING ====================
+const VOTE_VALUES = { up: 1, down: -1, clear: 0 };
+const VOTE_COUNTERS = { 1: 'upvotes', [-1]: 'downvotes' };
+const VOTE_NAMES = { 1: 'up', [-1]: 'down' };
+
+/**
+ * Cast, change or clear the signed-in user's vote on an article
+ * One vote per user, kept in news_articles/{articleId}/votes/{uid}. A vote counts
+ * toward trendingScore in the hour it was cast, and is taken back from that same
+ * hour's bucket when it is changed or cleared. Once an article has taken
+ * CONFIG.voting.burstVotesPerHour votes in the current hour, further votes that hour
+ * are recorded but don't move trendingScore.
+ */
+exports.voteArticle = onCall(
   {
     memory: "256MiB",
   },
   async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('getArticlesByCategory');
-    logFunctionCall('getArticlesByCategory', request);
+    const startTimeMetric = performanceMetrics.trackFunctionStart('voteArticle');
+    logFunctionCall('voteArticle', request);
     
     // Request size validation
     const sizeValidation = validateRequestSize(request.data);
@@ -3184,99 +4984,138 @@ exports.getArticlesByCategory = onCall(
       throw new HttpsError('invalid-argument', sizeValidation.message);
     }
     
-    const { category, limit = 20, orderBy = 'publishedAt', lastArticleId } = request.data;
-    const userId = request.auth?.uid || 'anonymous';
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in to vote.');
+    }
     
-    if (!isValidCategory(category)) {
-      throw new ValidationError(
-        `Invalid category. Must be one of: ${CONFIG.categories.join(', ')}`,
-        'category'
-      );
+    const userId = request.auth.uid;
+    const { articleId, vote } = request.data || {};
+    
+    if (!articleId || !isValidArticleId(articleId)) {
+      throw new HttpsError('invalid-argument', 'Invalid articleId format');
     }
-
-    const safeOrderBy = isValidOrderField(orderBy) ? orderBy : 'publishedAt';
-
-    // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'getArticlesByCategory', async () => {
-      try {
-        const cacheKey = `category_${category}_${safeOrderBy}_${limit}`;
-        
-        if (!lastArticleId) {
-          const cached = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
-          if (cached) {
-            const duration = performanceMetrics.trackFunctionEnd('getArticlesByCategory', startTimeMetric);
-            logFunctionCall('getArticlesByCategory', request, startTime);
-            return { ...cached, cacheHit: true, duration, version: VERSION };
+    if (!Object.prototype.hasOwnProperty.call(VOTE_VALUES, vote)) {
+      throw new HttpsError('invalid-argument', `vote must be one of: ${Object.keys(VOTE_VALUES).join(', ')}`);
+    }
+    
+    const articleRef = db.collection("news_articles").doc(articleId);
+    const voteRef = articleRef.collection('votes').doc(userId);
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'voteArticle', async () => {
+      try {
+        const result = await db.runTransaction(async (transaction) => {
+          const [articleDoc, voteDoc] = await Promise.all([transaction.get(articleRef), transaction.get(voteRef)]);
+          
+          if (!articleDoc.exists) {
+            throw new ResourceNotFoundError('Article not found', articleId);
           }
-        }
-        
-        let query = db.collection("news_articles")
-          .where("category", "==", category)
-          .where("isActive", "==", true)
-          .orderBy(safeOrderBy, "desc")
-          .limit(Math.min(limit, CONFIG.firestore.maxArticlesPerCall));
-        
-        if (lastArticleId) {
-          try {
-            const lastDoc = await db.collection("news_articles").doc(lastArticleId).get();
-            if (lastDoc.exists) {
-              query = query.startAfter(lastDoc);
+          
+          const article = articleDoc.data();
+          const previous = voteDoc.exists ? voteDoc.data() : null;
+          const previousValue = previous ? previous.value : 0;
+          const value = VOTE_VALUES[vote];
+          
+          if (value === previousValue) {
+            return { article, value, countedInTrending: previous ? previous.countedInTrending : false, burst: false, changed: false };
+          }
+          
+          const now = Date.now();
+          const hourKey = engagementHourKey(now);
+          const votesThisHour = article.hourlyEngagement?.[hourKey]?.votesCast || 0;
+          const burst = value !== 0 && votesThisHour >= CONFIG.voting.burstVotesPerHour;
+          const update = {};
+          let trendingDelta = 0;
+          
+          if (previousValue !== 0) {
+            const counter = VOTE_COUNTERS[previousValue];
+            update[counter] = FieldValue.increment(-1);
+            
+            const decay = previous.countedInTrending ? bucketDecay(previous.hourKey, now) : 0;
+            if (decay > 0) {
+              update[engagementBucketField(counter, previous.hourKey)] = FieldValue.increment(-1);
+              trendingDelta -= CONFIG.trendingWeights[counter] * decay;
             }
-          } catch (error) {
-            logger.warn(`Pagination error: ${error.message}`, {
-              instanceId: INSTANCE_ID,
-              lastArticleId,
-              error: error.message,
-              version: VERSION
+          }
+          
+          if (value !== 0) {
+            const counter = VOTE_COUNTERS[value];
+            update[counter] = FieldValue.increment(1);
+            update[engagementBucketField('votesCast', hourKey)] = FieldValue.increment(1);
+            
+            if (!burst) {
+              update[engagementBucketField(counter, hourKey)] = FieldValue.increment(1);
+              trendingDelta += CONFIG.trendingWeights[counter];
+            } else if (votesThisHour === CONFIG.voting.burstVotesPerHour) {
+              update.voteBurstDetectedAt = Timestamp.fromMillis(now);
+            }
+          }
+          
+          if (trendingDelta !== 0) {
+            update.trendingScore = FieldValue.increment(trendingDelta);
+          }
+          transaction.update(articleRef, update);
+          if (value === 0) {
+            transaction.delete(voteRef);
+          } else {
+            transaction.set(voteRef, {
+              value,
+              hourKey,
+              countedInTrending: !burst,
+              createdAt: previous ? previous.createdAt : Timestamp.fromMillis(now),
+              updatedAt: Timestamp.fromMillis(now)
             });
           }
-        }
-        
-        const snapshot = await query.get();
-        
-        const articles = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+          
+          return { article, value, countedInTrending: value !== 0 && !burst, burst, changed: true };
+        });
         
-        const result = { 
-          articles, 
-          count: articles.length, 
-          category,
-          hasMore: articles.length >= limit
-        };
+        if (result.burst) {
+          logger.warn(`Vote burst on article ${articleId}: votes no longer affect trending this hour`, {
+            instanceId: INSTANCE_ID,
+            articleId,
+            userId,
+            burstVotesPerHour: CONFIG.voting.burstVotesPerHour,
+            version: VERSION
+          });
+        }
         
-        if (!lastArticleId) {
-          await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+        if (result.changed) {
+          await invalidateRelatedCaches(articleId, result.article.category);
         }
         
-        const duration = performanceMetrics.trackFunctionEnd('getArticlesByCategory', startTimeMetric);
-        logFunctionCall('getArticlesByCategory', request, startTime);
+        const updated = (await articleRef.get()).data();
+        const duration = performanceMetrics.trackFunctionEnd('voteArticle', startTimeMetric);
+        logFunctionCall('voteArticle', request, startTime);
         
-        return { 
-          ...result, 
-          cacheHit: false,
+        return {
+          success: true,
+          vote: VOTE_NAMES[result.value] || null,
+          upvotes: updated.upvotes || 0,
+          downvotes: updated.downvotes || 0,
+          countedInTrending: result.countedInTrending,
           duration,
           version: VERSION
         };
       } catch (error) {
         const duration = Date.now() - startTime;
-        logger.error("Error getting articles by category", {
+        logger.error("Error voting on article", {
           instanceId: INSTANCE_ID,
           error: error.message,
-          category,
+          articleId,
+          userId,
           duration,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
         
-        if (error instanceof ValidationError) {
-          throw new HttpsError('invalid-argument', error.message);
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
         }
         
-        throw new HttpsError('internal', 'Failed to get articles', {
+        throw new HttpsError('internal', 'Failed to record vote', {
           details: error.message.substring(0, 100),
-          code: 'CATEGORY_FETCH_ERROR',
+          code: 'VOTE_ERROR',
           version: VERSION
         });
       }
@@ -3284,14 +5123,40 @@ exports.getArticlesByCategory = onCall(
   }
 );
 
-exports.getCategoryStats = onCall(
+// ==================== ARTICLE REPORTS ====================
+const REVIEW_DECISIONS = ['confirm', 'dismiss'];
+
+// Whether dismissing a report should re-publish the article: only when reports
+// hid it, or when this queue entry's earlier confirm did. An editor's own
+// unpublish (adminUpdateArticle) also sets 'moderation' and must stay in place.
+function hiddenByReports(hiddenReason, queueStatus) {
+  return hiddenReason === 'reports' || (hiddenReason === 'moderation' && queueStatus === 'confirmed');
+}
+
+// Most-reported reason; ties go to the order of CONFIG.moderation.reportReasons
+function topReportReason(reasons = {}) {
+  return CONFIG.moderation.reportReasons
+    .filter(reason => reasons[reason] > 0)
+    .sort((a, b) => reasons[b] - reasons[a])[0] || null;
+}
+
+/**
+ * Flag an article that shouldn't have passed the curator
+ * One report per user per article (reporting again changes the reason). Reports
+ * are grouped in article_reports/{articleId}, which is the admin review queue, with
+ * a snapshot of the curated article so it outlives the article's 48h TTL. At
+ * CONFIG.moderation.autoHideThreshold reports a pending article is hidden
+ * (isActive: false) until an admin reviews it. Reviewed entries keep counting
+ * reports but are not re-hidden or re-queued.
+ */
+exports.reportArticle = onCall(
   {
     memory: "256MiB",
   },
   async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('getCategoryStats');
-    logFunctionCall('getCategoryStats', request);
+    const startTimeMetric = performanceMetrics.trackFunctionStart('reportArticle');
+    logFunctionCall('reportArticle', request);
     
     // Request size validation
     const sizeValidation = validateRequestSize(request.data);
@@ -3299,69 +5164,136 @@ exports.getCategoryStats = onCall(
       throw new HttpsError('invalid-argument', sizeValidation.message);
     }
     
-    const userId = request.auth?.uid || 'anonymous';
-
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in to report an article.');
+    }
+    
+    const userId = request.auth.uid;
+    const { articleId, reason, comment = '' } = request.data || {};
+    
+    if (!articleId || !isValidArticleId(articleId)) {
+      throw new HttpsError('invalid-argument', 'Invalid articleId format');
+    }
+    if (!CONFIG.moderation.reportReasons.includes(reason)) {
+      throw new HttpsError('invalid-argument', `reason must be one of: ${CONFIG.moderation.reportReasons.join(', ')}`);
+    }
+    if (typeof comment !== 'string' || comment.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `comment must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    const articleRef = db.collection("news_articles").doc(articleId);
+    const queueRef = db.collection('article_reports').doc(articleId);
+    const reportRef = queueRef.collection('reports').doc(userId);
+    
     // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'getCategoryStats', async () => {
+    return await withConcurrentLimit(userId, 'reportArticle', async () => {
       try {
-        const cachedStats = await getSharedCache('categoryStats', CONFIG.cache.categoryStatsTTL);
-        
-        if (cachedStats) {
-          const duration = performanceMetrics.trackFunctionEnd('getCategoryStats', startTimeMetric);
-          logFunctionCall('getCategoryStats', request, startTime);
-          return { ...cachedStats, cacheHit: true, duration, version: VERSION };
-        }
-        
-        const mainDoc = await db.collection("content").doc("latest_news").get();
-        
-        if (!mainDoc.exists) {
-          const stats = CONFIG.categories.map(category => ({ category, count: 0 }));
-          const result = { stats, totalArticles: 0 };
-          await setSharedCache('categoryStats', result, CONFIG.cache.categoryStatsTTL);
+        const result = await db.runTransaction(async (transaction) => {
+          const [articleDoc, queueDoc, reportDoc] = await Promise.all([
+            transaction.get(articleRef),
+            transaction.get(queueRef),
+            transaction.get(reportRef)
+          ]);
           
-          const duration = performanceMetrics.trackFunctionEnd('getCategoryStats', startTimeMetric);
-          logFunctionCall('getCategoryStats', request, startTime);
+          if (!articleDoc.exists) {
+            throw new ResourceNotFoundError('Article not found', articleId);
+          }
           
-          return { 
-            ...result, 
-            cacheHit: false,
-            duration,
+          const article = articleDoc.data();
+          const queue = queueDoc.exists ? queueDoc.data() : null;
+          const previousReason = reportDoc.exists ? reportDoc.data().reason : null;
+          const now = Timestamp.now();
+          
+          const reasons = { ...(queue?.reasons || {}) };
+          if (previousReason) reasons[previousReason] = Math.max(0, (reasons[previousReason] || 0) - 1);
+          reasons[reason] = (reasons[reason] || 0) + 1;
+          
+          const reportCount = (queue?.reportCount || 0) + (previousReason ? 0 : 1);
+          const status = queue?.status || 'pending';
+          const autoHide = status === 'pending' && article.isActive && reportCount >= CONFIG.moderation.autoHideThreshold;
+          
+          transaction.set(reportRef, {
+            reason,
+            comment: comment.trim(),
+            createdAt: reportDoc.exists ? reportDoc.data().createdAt : now,
+            updatedAt: now
+          });
+          
+          transaction.set(queueRef, {
+            articleId,
+            article: queue?.article || {
+              title: article.title,
+              summary: article.summary || '',
+              category: article.category,
+              tone: article.tone || null,
+              source: article.source || 'Unknown',
+              link: article.link,
+              language: article.language || CONFIG.locales.default,
+              batchId: article.batchId || null
+            },
+            reasons,
+            topReason: topReportReason(reasons),
+            reportCount,
+            status,
+            autoHidden: queue?.autoHidden || autoHide,
+            firstReportedAt: queue?.firstReportedAt || now,
+            lastReportedAt: now
+          });
+          
+          if (autoHide) {
+            transaction.update(articleRef, { isActive: false, hiddenReason: 'reports', hiddenAt: now });
+          }
+          
+          return { category: article.category, reportCount, autoHide, alreadyReported: !!previousReason };
+        });
+        
+        if (result.autoHide) {
+          await invalidateRelatedCaches(articleId, result.category, { feeds: true });
+          await emitWebhookEvent('article.unpublished', {
+            articleId,
+            category: result.category,
+            reason: 'reports',
+            unpublishedAt: new Date().toISOString()
+          });
+          logger.warn(`Article ${articleId} auto-hidden after ${result.reportCount} reports`, {
+            instanceId: INSTANCE_ID,
+            articleId,
+            reportCount: result.reportCount,
             version: VERSION
-          };
+          });
         }
         
-        const data = mainDoc.data();
-        const stats = CONFIG.categories.map(category => ({
-          category,
-          count: data.stats?.byCategory?.[category] || 0
-        }));
-        
-        const totalArticles = data.stats?.goodNewsCount || 0;
-        const result = { stats, totalArticles };
-        
-        await setSharedCache('categoryStats', result, CONFIG.cache.categoryStatsTTL);
-        
-        const duration = performanceMetrics.trackFunctionEnd('getCategoryStats', startTimeMetric);
-        logFunctionCall('getCategoryStats', request, startTime);
+        const duration = performanceMetrics.trackFunctionEnd('reportArticle', startTimeMetric);
+        logFunctionCall('reportArticle', request, startTime);
         
-        return { 
-          ...result, 
-          cacheHit: false,
+        return {
+          success: true,
+          reason,
+          reportCount: result.reportCount,
+          hidden: result.autoHide,
+          updated: result.alreadyReported,
           duration,
           version: VERSION
         };
       } catch (error) {
         const duration = Date.now() - startTime;
-        logger.error("Error getting category stats", {
+        logger.error("Error reporting article", {
           instanceId: INSTANCE_ID,
           error: error.message,
+          articleId,
+          userId,
           duration,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
-        throw new HttpsError('internal', 'Failed to get category stats', {
+        
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to report article', {
           details: error.message.substring(0, 100),
-          code: 'STATS_FETCH_ERROR',
+          code: 'REPORT_ERROR',
           version: VERSION
         });
       }
@@ -3369,15 +5301,17 @@ exports.getCategoryStats = onCall(
   }
 );
 
-// ==================== TRENDING ARTICLES ====================
-exports.getTrendingArticles = onCall(
+/**
+ * Admin: reported articles awaiting review, most recently reported first
+ */
+exports.getReportQueue = onCall(
   {
     memory: "256MiB",
   },
   async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('getTrendingArticles');
-    logFunctionCall('getTrendingArticles', request);
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getReportQueue');
+    logFunctionCall('getReportQueue', request);
     
     // Request size validation
     const sizeValidation = validateRequestSize(request.data);
@@ -3385,64 +5319,76 @@ exports.getTrendingArticles = onCall(
       throw new HttpsError('invalid-argument', sizeValidation.message);
     }
     
-    const { limit = 10 } = request.data;
-    const userId = request.auth?.uid || 'anonymous';
-
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { status = 'pending', limit = CONFIG.moderation.queuePageSize, lastArticleId } = request.data || {};
+    
+    if (!['pending', 'confirmed', 'dismissed'].includes(status)) {
+      throw new HttpsError('invalid-argument', 'status must be one of: pending, confirmed, dismissed');
+    }
+    
+    const safeLimit = Math.max(1, Math.min(parseInt(limit) || CONFIG.moderation.queuePageSize, CONFIG.firestore.maxArticlesPerCall));
+    
     // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'getTrendingArticles', async () => {
+    return await withConcurrentLimit(userId, 'getReportQueue', async () => {
       try {
-        const cacheKey = `trending_${limit}`;
-        const cachedTrending = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
-        
-        if (cachedTrending) {
-          const duration = performanceMetrics.trackFunctionEnd('getTrendingArticles', startTimeMetric);
-          logFunctionCall('getTrendingArticles', request, startTime);
-          return { ...cachedTrending, cacheHit: true, duration, version: VERSION };
-        }
-        
-        const oneDayAgo = Timestamp.fromDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
-        
-        const snapshot = await db.collection("news_articles")
-          .where("isActive", "==", true)
-          .where("publishedAt", ">", oneDayAgo)
-          .orderBy("trendingScore", "desc")
-          .limit(Math.min(limit, CONFIG.limits.trendingLimit))
-          .get();
+        await requirePermission(request, 'getReportQueue');
         
-        const articles = snapshot.docs.map(doc => ({
-          id: doc.id,
-          title: doc.data().title,
-          summary: doc.data().summary,
-          category: doc.data().category,
-          trendingScore: doc.data().trendingScore,
-          ...doc.data()
-        }));
+        let query = db.collection('article_reports')
+          .where('status', '==', status)
+          .orderBy('lastReportedAt', 'desc')
+          .limit(safeLimit);
         
-        const result = { articles, count: articles.length };
+        if (lastArticleId) {
+          const lastDoc = await db.collection('article_reports').doc(lastArticleId).get();
+          if (lastDoc.exists) {
+            query = query.startAfter(lastDoc);
+          }
+        }
         
-        await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+        const snapshot = await query.get();
+        const reports = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return {
+            ...data,
+            firstReportedAt: toIsoTimestamp(data.firstReportedAt),
+            lastReportedAt: toIsoTimestamp(data.lastReportedAt),
+            reviewedAt: toIsoTimestamp(data.reviewedAt)
+          };
+        });
         
-        const duration = performanceMetrics.trackFunctionEnd('getTrendingArticles', startTimeMetric);
-        logFunctionCall('getTrendingArticles', request, startTime);
+        const duration = performanceMetrics.trackFunctionEnd('getReportQueue', startTimeMetric);
+        logFunctionCall('getReportQueue', request, startTime);
         
-        return { 
-          ...result, 
-          cacheHit: false,
+        return {
+          reports,
+          count: reports.length,
+          status,
+          hasMore: reports.length >= safeLimit,
           duration,
           version: VERSION
         };
       } catch (error) {
         const duration = Date.now() - startTime;
-        logger.error("Error getting trending articles", {
+        logger.error("Error getting report queue", {
           instanceId: INSTANCE_ID,
           error: error.message,
+          userId,
           duration,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
-        throw new HttpsError('internal', 'Failed to get trending articles', {
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to get report queue', {
           details: error.message.substring(0, 100),
-          code: 'TRENDING_FETCH_ERROR',
+          code: 'REPORT_QUEUE_ERROR',
           version: VERSION
         });
       }
@@ -3450,22 +5396,1201 @@ exports.getTrendingArticles = onCall(
   }
 );
 
-// ==================== HEALTH CHECK ====================
-exports.healthCheck = onCall(
+/**
+ * Admin: confirm or dismiss a reported article
+ * confirm - keeps the article hidden; curator mistakes (CONFIG.moderation.curatorErrorReasons)
+ *           are saved to curator_eval for exportCuratorEvalData
+ * dismiss - restores an article hidden by reports or by an earlier confirm
+ */
+exports.reviewReport = onCall(
   {
-    memory: "128MiB",
+    memory: "256MiB",
   },
-  async () => {
+  async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('healthCheck');
-    logFunctionCall('healthCheck', {});
+    const startTimeMetric = performanceMetrics.trackFunctionStart('reviewReport');
+    logFunctionCall('reviewReport', request);
     
-    const memoryUsage = process.memoryUsage();
-    const heapUsedMB = memoryUsage.heapUsed / 1024 / 1024;
-    const memoryWarning = heapUsedMB > CONFIG.security.memoryWarningThresholdMB;
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
     
-    const stats = {
-      version: VERSION,
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { articleId, decision, reason, note = '' } = request.data || {};
+    
+    if (!articleId || !isValidArticleId(articleId)) {
+      throw new HttpsError('invalid-argument', 'Invalid articleId format');
+    }
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new HttpsError('invalid-argument', `decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+    if (reason !== undefined && !CONFIG.moderation.reportReasons.includes(reason)) {
+      throw new HttpsError('invalid-argument', `reason must be one of: ${CONFIG.moderation.reportReasons.join(', ')}`);
+    }
+    if (typeof note !== 'string' || note.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `note must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'reviewReport', async () => {
+      try {
+        await requirePermission(request, 'reviewReport');
+        
+        const queueRef = db.collection('article_reports').doc(articleId);
+        const articleRef = db.collection("news_articles").doc(articleId);
+        const [queueDoc, articleDoc] = await Promise.all([queueRef.get(), articleRef.get()]);
+        
+        if (!queueDoc.exists) {
+          throw new ResourceNotFoundError('Report not found', articleId);
+        }
+        
+        const queue = queueDoc.data();
+        const confirmedReason = decision === 'confirm' ? reason || queue.topReason : null;
+        const now = Timestamp.now();
+        const batch = db.batch();
+        
+        batch.update(queueRef, {
+          status: decision === 'confirm' ? 'confirmed' : 'dismissed',
+          confirmedReason,
+          reviewedBy: userId,
+          reviewedAt: now,
+          reviewNote: note.trim()
+        });
+        
+        // The article may already be gone (48h TTL); the queue entry is still reviewed
+        let articleActive = articleDoc.exists ? articleDoc.data().isActive : null;
+        const unpublished = decision === 'confirm' && articleActive === true;
+        if (articleDoc.exists) {
+          if (decision === 'confirm') {
+            batch.update(articleRef, { isActive: false, hiddenReason: 'moderation', hiddenAt: now });
+            articleActive = false;
+          } else if (hiddenByReports(articleDoc.data().hiddenReason, queue.status)) {
+            batch.update(articleRef, { isActive: true, hiddenReason: FieldValue.delete(), hiddenAt: FieldValue.delete() });
+            articleActive = true;
+          }
+        }
+        
+        const evalExample = decision === 'confirm' && CONFIG.moderation.curatorErrorReasons.includes(confirmedReason);
+        if (evalExample) {
+          const textDoc = await db.collection('article_text').doc(articleId).get();
+          const excerpt = textDoc.exists ? truncateText(textDoc.data().text || '', CONFIG.extraction.promptChars) : '';
+          
+          batch.set(db.collection('curator_eval').doc(articleId), {
+            articleId,
+            input: {
+              uniqueId: queue.article.link,
+              source: queue.article.source,
+              language: queue.article.language,
+              excerpt
+            },
+            curatorOutput: {
+              title: queue.article.title,
+              summary: queue.article.summary,
+              category: queue.article.category,
+              tone: queue.article.tone
+            },
+            expected: { accept: false, reason: confirmedReason },
+            reportCount: queue.reportCount,
+            batchId: queue.article.batchId,
+            confirmedBy: userId,
+            confirmedAt: now
+          });
+        } else {
+          // Re-reviewing a confirmed mislabel as dismissed (or another reason) withdraws it
+          batch.delete(db.collection('curator_eval').doc(articleId));
+        }
+        
+        await batch.commit();
+        await invalidateRelatedCaches(articleId, queue.article.category, { feeds: true });
+        if (unpublished) {
+          await emitWebhookEvent('article.unpublished', {
+            articleId,
+            category: queue.article.category,
+            reason: 'moderation',
+            unpublishedAt: now.toDate().toISOString()
+          });
+        }
+        await writeAuditLog(userId, 'reviewReport', { type: 'article', id: articleId }, {
+          decision,
+          confirmedReason,
+          note: note.trim()
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('reviewReport', startTimeMetric);
+        logFunctionCall('reviewReport', request, startTime);
+        
+        return {
+          success: true,
+          articleId,
+          status: decision === 'confirm' ? 'confirmed' : 'dismissed',
+          confirmedReason,
+          articleActive,
+          evalExample,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error reviewing report", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          articleId,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        } else if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to review report', {
+          details: error.message.substring(0, 100),
+          code: 'REPORT_REVIEW_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: confirmed curator mistakes as JSONL, one example per line
+ * Each line pairs what the curator saw (source, language, the excerpt from the
+ * article_text cache when it is still there) with what it produced and the
+ * expected verdict, for regression-testing changes to the curation prompt.
+ */
+exports.exportCuratorEvalData = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('exportCuratorEvalData');
+    logFunctionCall('exportCuratorEvalData', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { since, limit = CONFIG.moderation.exportLimit } = request.data || {};
+    const sinceDate = since ? new Date(since) : null;
+    
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      throw new HttpsError('invalid-argument', 'since must be an ISO 8601 date');
+    }
+    
+    const safeLimit = Math.max(1, Math.min(parseInt(limit) || CONFIG.moderation.exportLimit, CONFIG.moderation.exportLimit));
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'exportCuratorEvalData', async () => {
+      try {
+        await requirePermission(request, 'exportCuratorEvalData');
+        
+        let query = db.collection('curator_eval');
+        if (sinceDate) {
+          query = query.where('confirmedAt', '>', Timestamp.fromDate(sinceDate));
+        }
+        const snapshot = await query.orderBy('confirmedAt', 'desc').limit(safeLimit).get();
+        
+        // Reviewer ids stay out of the export
+        const examples = snapshot.docs.map(doc => {
+          const example = doc.data();
+          return {
+            articleId: example.articleId,
+            input: example.input,
+            curatorOutput: example.curatorOutput,
+            expected: example.expected,
+            reportCount: example.reportCount,
+            batchId: example.batchId,
+            confirmedAt: toIsoTimestamp(example.confirmedAt)
+          };
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('exportCuratorEvalData', startTimeMetric);
+        logFunctionCall('exportCuratorEvalData', request, startTime);
+        
+        return {
+          format: 'jsonl',
+          count: examples.length,
+          data: examples.map(example => JSON.stringify(example)).join('\n'),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error exporting curator eval data", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to export evaluation data', {
+          details: error.message.substring(0, 100),
+          code: 'EVAL_EXPORT_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== CATEGORY FUNCTIONS ====================
+exports.getArticlesByCategory = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getArticlesByCategory');
+    logFunctionCall('getArticlesByCategory', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    const { category, limit = 20, orderBy = 'publishedAt', lastArticleId, locale = CONFIG.locales.default, tone } = request.data;
+    const userId = request.auth?.uid || 'anonymous';
+    
+    if (!isValidCategory(category)) {
+      throw new ValidationError(
+        `Invalid category. Must be one of: ${CONFIG.categories.join(', ')}`,
+        'category'
+      );
+    }
+
+    if (!isValidLocale(locale)) {
+      throw new ValidationError(
+        `Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`,
+        'locale'
+      );
+    }
+
+    if (tone !== undefined && !isValidTone(tone)) {
+      throw new ValidationError(
+        `Invalid tone. Must be one of: ${CONFIG.tones.join(', ')}`,
+        'tone'
+      );
+    }
+
+    const safeOrderBy = isValidOrderField(orderBy) ? orderBy : 'publishedAt';
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getArticlesByCategory', async () => {
+      try {
+        const cacheKey = `category_${category}_${safeOrderBy}_${limit}${tone ? `_${tone}` : ''}`;
+        // The category was asked for explicitly, so followed categories don't narrow it
+        const preferences = await loadUserPreferences(request.auth?.uid);
+        
+        if (!lastArticleId) {
+          const cached = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
+          if (cached) {
+            const featured = withFeaturedFirst(cached.articles, await loadEditorialFeatures(), { category, tone });
+            const visible = applyUserPreferences(featured, preferences, { followedOnly: false });
+            const duration = performanceMetrics.trackFunctionEnd('getArticlesByCategory', startTimeMetric);
+            logFunctionCall('getArticlesByCategory', request, startTime);
+            return {
+              ...cached,
+              articles: visible.articles.map(article => localizeArticle(article, locale)),
+              count: visible.articles.length,
+              hiddenCount: visible.hiddenCount,
+              locale,
+              cacheHit: true,
+              duration,
+              version: VERSION
+            };
+          }
+        }
+        
+        let query = db.collection("news_articles")
+          .where("category", "==", category)
+          .where("isActive", "==", true);
+        
+        if (tone) {
+          query = query.where("tone", "==", tone);
+        }
+        
+        query = query
+          .orderBy(safeOrderBy, "desc")
+          .limit(Math.min(limit, CONFIG.firestore.maxArticlesPerCall));
+        
+        if (lastArticleId) {
+          try {
+            const lastDoc = await db.collection("news_articles").doc(lastArticleId).get();
+            if (lastDoc.exists) {
+              query = query.startAfter(lastDoc);
+            }
+          } catch (error) {
+            logger.warn(`Pagination error: ${error.message}`, {
+              instanceId: INSTANCE_ID,
+              lastArticleId,
+              error: error.message,
+              version: VERSION
+            });
+          }
+        }
+        
+        const snapshot = await query.get();
+        
+        const articles = snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }));
+        
+        const result = { 
+          articles, 
+          count: articles.length, 
+          category,
+          tone: tone || null,
+          hasMore: articles.length >= limit
+        };
+        
+        if (!lastArticleId) {
+          await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+        }
+        
+        const featured = lastArticleId ? articles : withFeaturedFirst(articles, await loadEditorialFeatures(), { category, tone });
+        const visible = applyUserPreferences(featured, preferences, { followedOnly: false });
+        const duration = performanceMetrics.trackFunctionEnd('getArticlesByCategory', startTimeMetric);
+        logFunctionCall('getArticlesByCategory', request, startTime);
+        
+        // The cache holds every translation and every user's view; localize and filter per request
+        return { 
+          ...result, 
+          articles: visible.articles.map(article => localizeArticle(article, locale)),
+          count: visible.articles.length,
+          hiddenCount: visible.hiddenCount,
+          locale,
+          cacheHit: false,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting articles by category", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          category,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to get articles', {
+          details: error.message.substring(0, 100),
+          code: 'CATEGORY_FETCH_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Tone breakdown for one category of the latest batch
+ * @param {Object|null} toneStats - stats.tonesByCategory[category] from content/latest_news
+ * @returns {{tones: Object, averageToneConfidence: number|null}}
+ */
+function summarizeTones(toneStats) {
+  const tones = {};
+  CONFIG.tones.forEach(tone => tones[tone] = toneStats?.counts?.[tone] || 0);
+  
+  return {
+    tones,
+    averageToneConfidence: toneStats?.classified > 0 ?
+      Math.round(toneStats.confidenceTotal / toneStats.classified) :
+      null
+  };
+}
+
+function countTones(stats) {
+  const totals = {};
+  CONFIG.tones.forEach(tone => {
+    totals[tone] = stats.reduce((sum, stat) => sum + stat.tones[tone], 0);
+  });
+  return totals;
+}
+
+exports.getCategoryStats = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getCategoryStats');
+    logFunctionCall('getCategoryStats', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    const userId = request.auth?.uid || 'anonymous';
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getCategoryStats', async () => {
+      try {
+        const cachedStats = await getSharedCache('categoryStats', CONFIG.cache.categoryStatsTTL);
+        
+        if (cachedStats) {
+          const duration = performanceMetrics.trackFunctionEnd('getCategoryStats', startTimeMetric);
+          logFunctionCall('getCategoryStats', request, startTime);
+          return { ...cachedStats, cacheHit: true, duration, version: VERSION };
+        }
+        
+        const mainDoc = await db.collection("content").doc("latest_news").get();
+        
+        if (!mainDoc.exists) {
+          const stats = CONFIG.categories.map(category => ({
+            category,
+            count: 0,
+            ...summarizeTones(null)
+          }));
+          const result = { stats, totalArticles: 0, tones: countTones(stats) };
+          await setSharedCache('categoryStats', result, CONFIG.cache.categoryStatsTTL);
+          
+          const duration = performanceMetrics.trackFunctionEnd('getCategoryStats', startTimeMetric);
+          logFunctionCall('getCategoryStats', request, startTime);
+          
+          return { 
+            ...result, 
+            cacheHit: false,
+            duration,
+            version: VERSION
+          };
+        }
+        
+        const data = mainDoc.data();
+        const stats = CONFIG.categories.map(category => ({
+          category,
+          count: data.stats?.byCategory?.[category] || 0,
+          ...summarizeTones(data.stats?.tonesByCategory?.[category])
+        }));
+        
+        const totalArticles = data.stats?.goodNewsCount || 0;
+        const result = { stats, totalArticles, tones: countTones(stats) };
+        
+        await setSharedCache('categoryStats', result, CONFIG.cache.categoryStatsTTL);
+        
+        const duration = performanceMetrics.trackFunctionEnd('getCategoryStats', startTimeMetric);
+        logFunctionCall('getCategoryStats', request, startTime);
+        
+        return { 
+          ...result, 
+          cacheHit: false,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting category stats", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to get category stats', {
+          details: error.message.substring(0, 100),
+          code: 'STATS_FETCH_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== TRENDING ARTICLES ====================
+exports.getTrendingArticles = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getTrendingArticles');
+    logFunctionCall('getTrendingArticles', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    const { limit = 10, locale = CONFIG.locales.default } = request.data;
+    const userId = request.auth?.uid || 'anonymous';
+    
+    if (!isValidLocale(locale)) {
+      throw new HttpsError('invalid-argument', `Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`);
+    }
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getTrendingArticles', async () => {
+      try {
+        const cacheKey = `trending_${limit}`;
+        const preferences = await loadUserPreferences(request.auth?.uid);
+        const cachedTrending = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
+        
+        if (cachedTrending) {
+          const visible = applyUserPreferences(cachedTrending.articles, preferences);
+          const duration = performanceMetrics.trackFunctionEnd('getTrendingArticles', startTimeMetric);
+          logFunctionCall('getTrendingArticles', request, startTime);
+          return {
+            ...cachedTrending,
+            articles: visible.articles.map(article => localizeArticle(article, locale)),
+            count: visible.articles.length,
+            hiddenCount: visible.hiddenCount,
+            cacheHit: true,
+            duration,
+            version: VERSION
+          };
+        }
+        
+        const oneDayAgo = Timestamp.fromDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+        
+        const snapshot = await db.collection("news_articles")
+          .where("isActive", "==", true)
+          .where("publishedAt", ">", oneDayAgo)
+          .orderBy("trendingScore", "desc")
+          .limit(Math.min(limit, CONFIG.limits.trendingLimit))
+          .get();
+        
+        const articles = snapshot.docs.map(doc => ({
+          id: doc.id,
+          title: doc.data().title,
+          summary: doc.data().summary,
+          category: doc.data().category,
+          trendingScore: doc.data().trendingScore,
+          ...doc.data()
+        }));
+        
+        const result = { articles, count: articles.length };
+        
+        await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+        
+        const visible = applyUserPreferences(articles, preferences);
+        const duration = performanceMetrics.trackFunctionEnd('getTrendingArticles', startTimeMetric);
+        logFunctionCall('getTrendingArticles', request, startTime);
+        
+        return { 
+          ...result, 
+          articles: visible.articles.map(article => localizeArticle(article, locale)),
+          count: visible.articles.length,
+          hiddenCount: visible.hiddenCount,
+          cacheHit: false,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting trending articles", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to get trending articles', {
+          details: error.message.substring(0, 100),
+          code: 'TRENDING_FETCH_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== PERSONALIZED FEED ====================
+
+const INTERACTION_VERBS = { saves: 'saved', shares: 'shared', views: 'read' };
+
+// Source names become profile map keys; Firestore field paths can't hold dots etc.
+function toSourceKey(source) {
+  if (!source || typeof source !== 'string' || source === 'Unknown') return null;
+  return source.toLowerCase().replace(/[^a-z0-9_-]+/g, '_').substring(0, 64) || null;
+}
+
+/**
+ * Count a signed-in user's view/save/share toward their user_profiles document
+ * Never throws; a lost interaction only makes the profile slightly less accurate.
+ * @param {string} userId - Authenticated uid
+ * @param {Object} article - Stored article (category, source)
+ * @param {string} action - 'views' | 'saves' | 'shares'
+ * @param {number} delta - -1 when a bookmark is removed
+ */
+async function recordUserInteraction(userId, article, action, delta = 1) {
+  if (!userId || userId === 'anonymous' || !article) return;
+  
+  const update = { updatedAt: Timestamp.now() };
+  if (isValidCategory(article.category)) {
+    update.categories = { [article.category]: { [action]: FieldValue.increment(delta) } };
+  }
+  const sourceKey = toSourceKey(article.source);
+  if (sourceKey) {
+    update.sources = { [sourceKey]: { label: article.source, [action]: FieldValue.increment(delta) } };
+  }
+  
+  try {
+    await db.collection('user_profiles').doc(userId).set(update, { merge: true });
+  } catch (error) {
+    logger.warn(`Failed to record ${action} for user profile: ${error.message}`, {
+      instanceId: INSTANCE_ID,
+      userId,
+      action,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Save counts per category and source for the articles a user has bookmarked
+ * @returns {Promise<{categories: Object, sources: Object, bookmarkCount: number}>}
+ */
+async function countBookmarkedSaves(userId) {
+  const bookmarksDoc = await db.collection('user_bookmarks').doc(userId).get();
+  const articleIds = bookmarksDoc.exists ? bookmarksDoc.data().articleIds || [] : [];
+  const saved = { categories: {}, sources: {}, bookmarkCount: articleIds.length };
+  
+  for (let i = 0; i < articleIds.length; i += CONFIG.firestore.bookmarkBatchSize) {
+    const chunk = articleIds.slice(i, i + CONFIG.firestore.bookmarkBatchSize);
+    const snapshot = await db.collection("news_articles").where("id", "in", chunk).get();
+    snapshot.forEach(doc => {
+      const article = doc.data();
+      if (isValidCategory(article.category)) {
+        const counts = saved.categories[article.category] || (saved.categories[article.category] = {});
+        counts.saves = (counts.saves || 0) + 1;
+      }
+      const sourceKey = toSourceKey(article.source);
+      if (sourceKey) {
+        const counts = saved.sources[sourceKey] || (saved.sources[sourceKey] = { label: article.source });
+        counts.saves = (counts.saves || 0) + 1;
+      }
+    });
+  }
+  return saved;
+}
+
+/**
+ * Profile counts with saves taken from the bookmark list
+ * The bookmark list is the full record of saves, so it replaces whatever
+ * bookmark toggles recorded before seeding; views and shares are kept.
+ */
+function withBookmarkSaves(existing = {}, saved = {}) {
+  const merged = {};
+  new Set([...Object.keys(existing), ...Object.keys(saved)]).forEach(key => {
+    merged[key] = { ...saved[key], ...existing[key], saves: (saved[key] && saved[key].saves) || 0 };
+  });
+  return merged;
+}
+
+/**
+ * A user's interaction profile, seeded from user_bookmarks on first load
+ * Users who bookmarked before profiles existed would otherwise start cold.
+ * Seeding runs once per user (seededFromBookmarks), including when views or
+ * shares already created the profile.
+ * @returns {Promise<Object>} { categories: {CAT: counts}, sources: {key: {label, ...counts}} }
+ */
+async function loadUserProfile(userId) {
+  const profileRef = db.collection('user_profiles').doc(userId);
+  const profileDoc = await profileRef.get();
+  if (profileDoc.exists && profileDoc.data().seededFromBookmarks) return profileDoc.data();
+  
+  const saved = await countBookmarkedSaves(userId);
+  if (!profileDoc.exists && saved.bookmarkCount === 0) {
+    return { categories: {}, sources: {} };
+  }
+  
+  // Interactions can land between the reads above and this write
+  return db.runTransaction(async (transaction) => {
+    const current = await transaction.get(profileRef);
+    const data = current.exists ? current.data() : {};
+    if (data.seededFromBookmarks) return data;
+    
+    const profile = {
+      ...data,
+      categories: withBookmarkSaves(data.categories, saved.categories),
+      sources: withBookmarkSaves(data.sources, saved.sources),
+      seededFromBookmarks: true,
+      updatedAt: Timestamp.now()
+    };
+    transaction.set(profileRef, profile, { merge: true });
+    return profile;
+  });
+}
+
+function weighInteractions(counts = {}) {
+  return Object.entries(CONFIG.trendingWeights)
+    .reduce((sum, [action, weight]) => sum + Math.max(0, counts[action] || 0) * weight, 0);
+}
+
+/**
+ * Category and source affinities (0-1, relative to the user's favourite)
+ * @returns {{categoryAffinity: Object, sourceAffinity: Object, interactions: number, topCategories: Array}}
+ */
+function summarizeProfile(profile) {
+  const relative = (entries) => {
+    const scores = Object.fromEntries(entries.map(([key, counts]) => [key, weighInteractions(counts)]));
+    const max = Math.max(0, ...Object.values(scores));
+    return max > 0 ? Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, score / max])) : {};
+  };
+  
+  const categories = Object.entries(profile.categories || {}).filter(([category]) => isValidCategory(category));
+  const interactions = categories.reduce((sum, [, counts]) => sum + weighInteractions(counts), 0);
+  const categoryAffinity = relative(categories);
+  
+  return {
+    categoryAffinity,
+    sourceAffinity: relative(Object.entries(profile.sources || {})),
+    interactions,
+    topCategories: Object.entries(categoryAffinity)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([category, affinity]) => ({ category, affinity: Math.round(affinity * 100) / 100 }))
+  };
+}
+
+/**
+ * One-line reason for a recommendation, from the strongest matching signal
+ */
+function explainRecommendation(article, profile, scores) {
+  const strongest = (counts = {}) => Object.keys(INTERACTION_VERBS)
+    .filter(action => (counts[action] || 0) > 0)
+    .sort((a, b) => counts[b] * CONFIG.trendingWeights[b] - counts[a] * CONFIG.trendingWeights[a])[0];
+  
+  const categoryCounts = profile.categories?.[article.category];
+  const categoryAction = strongest(categoryCounts);
+  if (categoryAction && scores.category >= scores.source) {
+    const count = categoryCounts[categoryAction];
+    return `Because you ${INTERACTION_VERBS[categoryAction]} ${count} ${article.category} ${count === 1 ? 'story' : 'stories'}`;
+  }
+  
+  const sourceCounts = profile.sources?.[toSourceKey(article.source)];
+  const sourceAction = strongest(sourceCounts);
+  if (sourceAction) {
+    const count = sourceCounts[sourceAction];
+    return `Because you ${INTERACTION_VERBS[sourceAction]} ${count} ${count === 1 ? 'story' : 'stories'} from ${sourceCounts.label || article.source}`;
+  }
+  
+  return scores.popularity >= scores.freshness ? 'Trending now' : 'New today';
+}
+
+/**
+ * Re-rank candidate articles for one profile
+ * score = weighted category affinity + source affinity (best of the story's outlets)
+ *         + popularity (trendingScore relative to the top candidate) + freshness (half-life decay)
+ */
+function rankForProfile(articles, profile, summary) {
+  const { scoreWeights, freshnessHalfLifeHours } = CONFIG.personalization;
+  const maxTrending = Math.max(0, ...articles.map(article => article.trendingScore || 0));
+  const now = Date.now();
+  
+  return articles
+    .map(article => {
+      const outlets = [article.source, ...(article.alternateSources || []).map(alternate => alternate.source)];
+      const publishedMs = article.publishedAt?.toMillis ? article.publishedAt.toMillis() : Date.parse(article.publishedAt) || now;
+      const scores = {
+        category: summary.categoryAffinity[article.category] || 0,
+        source: Math.max(0, ...outlets.map(source => summary.sourceAffinity[toSourceKey(source)] || 0)),
+        popularity: maxTrending > 0 ? Math.max(0, article.trendingScore || 0) / maxTrending : 0,
+        freshness: Math.pow(0.5, Math.max(0, now - publishedMs) / (freshnessHalfLifeHours * 60 * 60 * 1000))
+      };
+      const score = Object.entries(scoreWeights).reduce((sum, [signal, weight]) => sum + scores[signal] * weight, 0);
+      
+      return {
+        ...article,
+        personalScore: Math.round(score * 1000) / 1000,
+        explanation: explainRecommendation(article, profile, scores)
+      };
+    })
+    .sort((a, b) => b.personalScore - a.personalScore);
+}
+
+exports.getPersonalizedFeed = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getPersonalizedFeed');
+    logFunctionCall('getPersonalizedFeed', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in to get a personalized feed.');
+    }
+    
+    const userId = request.auth.uid;
+    const { limit = CONFIG.personalization.defaultLimit, locale = CONFIG.locales.default } = request.data || {};
+    
+    if (!isValidLocale(locale)) {
+      throw new HttpsError('invalid-argument', `Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`);
+    }
+    
+    const safeLimit = Math.max(1, Math.min(parseInt(limit) || CONFIG.personalization.defaultLimit, CONFIG.firestore.maxArticlesPerCall));
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getPersonalizedFeed', async () => {
+      try {
+        const [profile, preferences] = await Promise.all([loadUserProfile(userId), loadUserPreferences(userId)]);
+        const summary = summarizeProfile(profile);
+        const coldStart = summary.interactions < CONFIG.personalization.minInteractions;
+        
+        let articles;
+        if (coldStart) {
+          // Not enough history yet: same ordering as getTrendingArticles, newest first if nothing is trending
+          const oneDayAgo = Timestamp.fromDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+          const trendingSnapshot = await db.collection("news_articles")
+            .where("isActive", "==", true)
+            .where("publishedAt", ">", oneDayAgo)
+            .orderBy("trendingScore", "desc")
+            .limit(safeLimit)
+            .get();
+          const snapshot = trendingSnapshot.empty ?
+            await db.collection("news_articles")
+              .where("isActive", "==", true)
+              .orderBy("publishedAt", "desc")
+              .limit(safeLimit)
+              .get() :
+            trendingSnapshot;
+          
+          articles = applyUserPreferences(snapshot.docs.map(doc => ({
+            id: doc.id,
+            alternateSources: [],
+            ...doc.data(),
+            personalScore: null,
+            explanation: trendingSnapshot.empty ? 'New today' : 'Trending now'
+          })), preferences).articles;
+        } else {
+          const snapshot = await db.collection("news_articles")
+            .where("isActive", "==", true)
+            .orderBy("publishedAt", "desc")
+            .limit(CONFIG.personalization.candidateLimit)
+            .get();
+          
+          const candidates = applyUserPreferences(
+            snapshot.docs.map(doc => ({ id: doc.id, alternateSources: [], ...doc.data() })),
+            preferences
+          ).articles;
+          articles = rankForProfile(candidates, profile, summary).slice(0, safeLimit);
+        }
+        
+        const duration = performanceMetrics.trackFunctionEnd('getPersonalizedFeed', startTimeMetric);
+        logFunctionCall('getPersonalizedFeed', request, startTime);
+        
+        return {
+          articles: articles.map(article => localizeArticle(article, locale)),
+          count: articles.length,
+          personalized: !coldStart,
+          coldStart,
+          profile: {
+            interactions: summary.interactions,
+            topCategories: summary.topCategories
+          },
+          locale,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting personalized feed", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to get personalized feed', {
+          details: error.message.substring(0, 100),
+          code: 'PERSONALIZED_FEED_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== USER PREFERENCES ====================
+
+const PREFERENCE_FIELDS = ['followedCategories', 'blockedSources', 'mutedKeywords'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate one preference list from a request
+ * Entries are trimmed and de-duplicated case-insensitively; order is kept.
+ * @throws {ValidationError}
+ */
+function normalizePreferenceList(field, value) {
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`${field} must be an array`, field);
+  }
+  
+  const { maxBlockedSources, maxMutedKeywords, maxEntryLength } = CONFIG.preferences;
+  const maxItems = {
+    followedCategories: CONFIG.categories.length,
+    blockedSources: maxBlockedSources,
+    mutedKeywords: maxMutedKeywords
+  }[field];
+  
+  const seen = new Set();
+  const entries = [];
+  for (const entry of value) {
+    if (typeof entry !== 'string' || !entry.trim() || entry.trim().length > maxEntryLength) {
+      throw new ValidationError(`${field} entries must be non-empty strings of at most ${maxEntryLength} characters`, field);
+    }
+    const cleaned = field === 'mutedKeywords' ? entry.trim().toLowerCase() : entry.trim();
+    if (field === 'followedCategories' && !isValidCategory(cleaned)) {
+      throw new ValidationError(`Invalid category "${cleaned}". Must be one of: ${CONFIG.categories.join(', ')}`, field);
+    }
+    if (!seen.has(cleaned.toLowerCase())) {
+      seen.add(cleaned.toLowerCase());
+      entries.push(cleaned);
+    }
+  }
+  
+  if (entries.length > maxItems) {
+    throw new ValidationError(`${field} can hold at most ${maxItems} entries`, field);
+  }
+  return entries;
+}
+
+/**
+ * A signed-in user's feed filters
+ * Never throws: an unreadable preferences document means an unfiltered feed.
+ * @returns {Promise<Object|null>} null for anonymous users or when nothing is set
+ */
+async function loadUserPreferences(userId) {
+  if (!userId) return null;
+  
+  try {
+    const doc = await db.collection('user_preferences').doc(userId).get();
+    if (!doc.exists) return null;
+    
+    const data = doc.data();
+    const preferences = Object.fromEntries(PREFERENCE_FIELDS.map(field => [field, data[field] || []]));
+    return PREFERENCE_FIELDS.some(field => preferences[field].length > 0) ? preferences : null;
+  } catch (error) {
+    logger.warn(`Failed to load user preferences: ${error.message}`, {
+      instanceId: INSTANCE_ID,
+      userId,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Drop articles the user has opted out of
+ * Shared-cache pages are filtered after they are read, so anonymous users keep
+ * the same cache keys and a filtered page can come back shorter than `limit`.
+ * - blockedSources: hides stories whose canonical source is blocked and strips
+ *   blocked outlets from alternateSources
+ * - mutedKeywords: word-prefix match ("crypto" hides "Cryptocurrency") against
+ *   title and summary in every stored language
+ * - followedCategories: when set, only those categories (unless followedOnly is false)
+ * @returns {{articles: Array, hiddenCount: number}}
+ */
+function applyUserPreferences(articles, preferences, { followedOnly = true } = {}) {
+  if (!preferences) return { articles, hiddenCount: 0 };
+  
+  const blocked = new Set(preferences.blockedSources.map(source => source.toLowerCase()));
+  const followed = followedOnly && preferences.followedCategories.length > 0 ?
+    new Set(preferences.followedCategories) :
+    null;
+  const muted = preferences.mutedKeywords.length > 0 ?
+    new RegExp(`(^|[^\\p{L}\\p{N}])(${preferences.mutedKeywords.map(escapeRegExp).join('|')})`, 'iu') :
+    null;
+  
+  const visible = articles
+    .filter(article => {
+      if (followed && !followed.has(article.category)) return false;
+      if (blocked.has((article.source || '').toLowerCase())) return false;
+      if (muted) {
+        const texts = [article.title, article.summary];
+        Object.values(article.translations || {}).forEach(translation => texts.push(translation.title, translation.summary));
+        if (texts.some(text => text && muted.test(text))) return false;
+      }
+      return true;
+    })
+    .map(article => (article.alternateSources && blocked.size > 0 ?
+      { ...article, alternateSources: article.alternateSources.filter(alternate => !blocked.has((alternate.source || '').toLowerCase())) } :
+      article));
+  
+  return { articles: visible, hiddenCount: articles.length - visible.length };
+}
+
+/**
+ * Get the signed-in user's followed categories, blocked sources and muted keywords
+ */
+exports.getUserPreferences = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getUserPreferences');
+    logFunctionCall('getUserPreferences', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    return await withConcurrentLimit(userId, 'getUserPreferences', async () => {
+      try {
+        const doc = await db.collection('user_preferences').doc(userId).get();
+        const data = doc.exists ? doc.data() : {};
+        
+        const duration = performanceMetrics.trackFunctionEnd('getUserPreferences', startTimeMetric);
+        logFunctionCall('getUserPreferences', request, startTime);
+        
+        return {
+          preferences: Object.fromEntries(PREFERENCE_FIELDS.map(field => [field, data[field] || []])),
+          updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting user preferences", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to get preferences', {
+          details: error.message.substring(0, 100),
+          code: 'PREFERENCES_FETCH_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Replace any of the signed-in user's preference lists
+ * Lists that are omitted are left as they are; send [] to clear one.
+ */
+exports.updateUserPreferences = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('updateUserPreferences');
+    logFunctionCall('updateUserPreferences', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const data = request.data || {};
+    const fields = PREFERENCE_FIELDS.filter(field => data[field] !== undefined);
+    
+    if (fields.length === 0) {
+      throw new HttpsError('invalid-argument', `Provide at least one of: ${PREFERENCE_FIELDS.join(', ')}`);
+    }
+    
+    return await withConcurrentLimit(userId, 'updateUserPreferences', async () => {
+      try {
+        const update = Object.fromEntries(fields.map(field => [field, normalizePreferenceList(field, data[field])]));
+        const preferencesRef = db.collection('user_preferences').doc(userId);
+        
+        await preferencesRef.set({ ...update, updatedAt: Timestamp.now() }, { merge: true });
+        const saved = (await preferencesRef.get()).data();
+        
+        const duration = performanceMetrics.trackFunctionEnd('updateUserPreferences', startTimeMetric);
+        logFunctionCall('updateUserPreferences', request, startTime);
+        
+        return {
+          success: true,
+          preferences: Object.fromEntries(PREFERENCE_FIELDS.map(field => [field, saved[field] || []])),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error updating user preferences", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to update preferences', {
+          details: error.message.substring(0, 100),
+          code: 'PREFERENCES_UPDATE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== HEALTH CHECK ====================
+exports.healthCheck = onCall(
+  {
+    memory: "128MiB",
+  },
+  async () => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('healthCheck');
+    logFunctionCall('healthCheck', {});
+    
+    const memoryUsage = process.memoryUsage();
+    const heapUsedMB = memoryUsage.heapUsed / 1024 / 1024;
+    const memoryWarning = heapUsedMB > CONFIG.security.memoryWarningThresholdMB;
+    
+    const stats = {
+      version: VERSION,
       uptime: process.uptime(),
       timestamp: new Date().toISOString(),
       memory: {
@@ -3480,65 +6605,4847 @@ exports.healthCheck = onCall(
       aiService: 'checking...',
       newsApi: 'checking...',
       instanceId: INSTANCE_ID,
-      config: {
-        dailyLimit: CONFIG.limits.dailyArticles,
-        cacheTTL: CONFIG.cache.defaultTTL,
-        apiRateLimits: CONFIG.apiRateLimits,
-        maxRequestSizeKB: CONFIG.security.maxRequestSizeKB,
-        memoryWarningThresholdMB: CONFIG.security.memoryWarningThresholdMB,
-        maxConcurrentRequests: CONFIG.security.maxConcurrentRequests,
-        requestTimeWindowMs: CONFIG.security.requestTimeWindowMs
+      config: {
+        dailyLimit: getDailyArticleLimit(),
+        locales: CONFIG.locales.enabled,
+        cacheTTL: CONFIG.cache.defaultTTL,
+        apiRateLimits: CONFIG.apiRateLimits,
+        maxRequestSizeKB: CONFIG.security.maxRequestSizeKB,
+        memoryWarningThresholdMB: CONFIG.security.memoryWarningThresholdMB,
+        maxConcurrentRequests: CONFIG.security.maxConcurrentRequests,
+        requestTimeWindowMs: CONFIG.security.requestTimeWindowMs
+      }
+    };
+
+    try {
+      const latestArticle = await db.collection("news_articles")
+        .orderBy("publishedAt", "desc")
+        .limit(1)
+        .get();
+      stats.firestore = latestArticle.empty ? 'no_data' : 'healthy';
+      stats.articleCount = latestArticle.empty ? 0 : 1;
+      
+      const totalArticles = await db.collection("news_articles")
+        .where("isActive", "==", true)
+        .count()
+        .get();
+      stats.totalArticles = totalArticles.data().count;
+      
+      const todayProcessed = await getDailyProcessedCount();
+      stats.todayProcessed = todayProcessed;
+      
+    } catch (error) {
+      stats.firestore = `error: ${error.message}`;
+    }
+
+    const readyLlmClients = getLlmClientChain(CONFIG.ai.clients, CONFIG.ai.clientOrder)
+      .filter(([clientName, clientConfig]) => isLlmClientReady(clientName, clientConfig))
+      .map(([clientName]) => clientName);
+    stats.aiService = readyLlmClients.length > 0 ?
+      `available (${readyLlmClients.join(' → ')})` :
+      'missing_api_key';
+    stats.newsApi = process.env.NEWSDATA_API_KEY ? 'available' : 'missing_api_key';
+    stats.newsProviders = describeProviders(CONFIG.apiProviders);
+    stats.performanceMetrics = performanceMetrics.getMetrics();
+
+    const duration = performanceMetrics.trackFunctionEnd('healthCheck', startTimeMetric);
+    logFunctionCall('healthCheck', {}, startTime);
+    
+    logger.info("Health check completed", { ...stats, duration });
+    
+    return {
+      status: memoryWarning ? 'warning' : 'healthy',
+      ...stats,
+      duration
+    };
+  }
+);
+
+// ==================== UTILITY FUNCTIONS ====================
+exports.manualTriggerNewsFetch = onCall(
+  {
+    memory: "1GiB",
+    secrets: ["GEMINI_API_KEY", "NEWSDATA_API_KEY"],
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('manualTriggerNewsFetch');
+    logFunctionCall('manualTriggerNewsFetch', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'manualTriggerNewsFetch', async () => {
+      try {
+        await requirePermission(request, 'manualTriggerNewsFetch');
+        
+        const event = {
+          id: `manual_${Date.now()}`,
+          scheduleTime: new Date().toISOString()
+        };
+        
+        const result = await exports.scheduledGoodNewsFetch(event);
+        await writeAuditLog(userId, 'triggerNewsFetch', { type: 'system', id: event.id });
+        
+        const duration = performanceMetrics.trackFunctionEnd('manualTriggerNewsFetch', startTimeMetric);
+        logFunctionCall('manualTriggerNewsFetch', request, startTime);
+        
+        return { 
+          ...result,
+          duration 
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Manual trigger failed", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Manual fetch failed', {
+          details: error.message.substring(0, 100),
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+exports.getArticleById = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getArticleById');
+    logFunctionCall('getArticleById', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    const { articleId } = request.data;
+    const userId = request.auth?.uid || 'anonymous';
+    
+    if (!articleId || !isValidArticleId(articleId)) {
+      throw new ValidationError('Invalid articleId format', 'articleId');
+    }
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getArticleById', async () => {
+      try {
+        const articleDoc = await db.collection("news_articles").doc(articleId).get();
+        
+        if (!articleDoc.exists) {
+          throw new ResourceNotFoundError('Article not found', articleId);
+        }
+        
+        const articleData = articleDoc.data();
+        
+        // Track view if user is authenticated
+        if (request.auth) {
+          await exports.trackView({ data: { articleId } });
+        }
+        
+        const duration = performanceMetrics.trackFunctionEnd('getArticleById', startTimeMetric);
+        logFunctionCall('getArticleById', request, startTime);
+        
+        return { 
+          id: articleDoc.id,
+          ...articleData,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting article by ID", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          articleId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        } else if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to get article', {
+          details: error.message.substring(0, 100),
+          code: 'ARTICLE_FETCH_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+exports.clearCache = onCall(
+  {
+    memory: "128MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('clearCache');
+    logFunctionCall('clearCache', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'clearCache', async () => {
+      try {
+        await requirePermission(request, 'clearCache');
+        
+        const cacheDocs = await db.collection('shared_cache').listDocuments();
+        const deletePromises = cacheDocs.map(doc => doc.delete());
+        await Promise.all(deletePromises);
+        
+        await invalidateRelatedCaches();
+        await writeAuditLog(userId, 'clearCache', { type: 'system', id: 'shared_cache' }, { cleared: cacheDocs.length });
+        
+        const duration = performanceMetrics.trackFunctionEnd('clearCache', startTimeMetric);
+        logFunctionCall('clearCache', request, startTime);
+        
+        return { 
+          success: true,
+          cleared: cacheDocs.length,
+          instanceId: INSTANCE_ID,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error clearing cache", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to clear cache', {
+          details: error.message.substring(0, 100),
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+exports.getAllArticles = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getAllArticles');
+    logFunctionCall('getAllArticles', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    const { limit = 20, orderBy = 'publishedAt', lastArticleId, locale = CONFIG.locales.default, tone } = request.data;
+    const userId = request.auth?.uid || 'anonymous';
+
+    if (!isValidLocale(locale)) {
+      throw new HttpsError('invalid-argument', `Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`);
+    }
+
+    if (tone !== undefined && !isValidTone(tone)) {
+      throw new HttpsError('invalid-argument', `Invalid tone. Must be one of: ${CONFIG.tones.join(', ')}`);
+    }
+
+    const safeOrderBy = isValidOrderField(orderBy) ? orderBy : 'publishedAt';
+
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getAllArticles', async () => {
+      try {
+        const cacheKey = `all_${safeOrderBy}_${limit}${tone ? `_${tone}` : ''}`;
+        const preferences = await loadUserPreferences(request.auth?.uid);
+        
+        if (!lastArticleId) {
+          const cached = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
+          if (cached) {
+            const featured = withFeaturedFirst(cached.articles, await loadEditorialFeatures(), { tone });
+            const visible = applyUserPreferences(featured, preferences);
+            const duration = performanceMetrics.trackFunctionEnd('getAllArticles', startTimeMetric);
+            logFunctionCall('getAllArticles', request, startTime);
+            return {
+              ...cached,
+              articles: visible.articles.map(article => localizeArticle(article, locale)),
+              count: visible.articles.length,
+              hiddenCount: visible.hiddenCount,
+              locale,
+              cacheHit: true,
+              duration,
+              version: VERSION
+            };
+          }
+        }
+        
+        let query = db.collection("news_articles")
+          .where("isActive", "==", true);
+        
+        if (tone) {
+          query = query.where("tone", "==", tone);
+        }
+        
+        query = query
+          .orderBy(safeOrderBy, "desc")
+          .limit(Math.min(limit, CONFIG.firestore.maxArticlesPerCall));
+        
+        if (lastArticleId) {
+          try {
+            const lastDoc = await db.collection("news_articles").doc(lastArticleId).get();
+            if (lastDoc.exists) {
+              query = query.startAfter(lastDoc);
+            }
+          } catch (error) {
+            logger.warn(`Pagination error: ${error.message}`, {
+              instanceId: INSTANCE_ID,
+              lastArticleId,
+              error: error.message,
+              version: VERSION
+            });
+          }
+        }
+        
+        const snapshot = await query.get();
+        
+        // Articles stored before clustering have no alternateSources
+        const articles = snapshot.docs.map(doc => ({
+          id: doc.id,
+          alternateSources: [],
+          ...doc.data()
+        }));
+        
+        const result = { 
+          articles, 
+          count: articles.length,
+          tone: tone || null,
+          hasMore: articles.length >= limit
+        };
+        
+        // Cached pages stay algorithmic (the public API shares them); features go on top per request
+        if (!lastArticleId) {
+          await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+        }
+        
+        const featured = lastArticleId ? articles : withFeaturedFirst(articles, await loadEditorialFeatures(), { tone });
+        const visible = applyUserPreferences(featured, preferences);
+        const duration = performanceMetrics.trackFunctionEnd('getAllArticles', startTimeMetric);
+        logFunctionCall('getAllArticles', request, startTime);
+        
+        // The cache holds every translation and every user's view; localize and filter per request
+        return { 
+          ...result, 
+          articles: visible.articles.map(article => localizeArticle(article, locale)),
+          count: visible.articles.length,
+          hiddenCount: visible.hiddenCount,
+          locale,
+          cacheHit: false,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting all articles", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to get articles', {
+          details: error.message.substring(0, 100),
+          code: 'ARTICLES_FETCH_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== ADMIN MODERATION ====================
+const ADMIN_EDITABLE_FIELDS = ['title', 'summary', 'category', 'tone'];
+
+/**
+ * Record an admin action in admin_audit_log
+ * Never throws: the action has already happened, and a lost entry is logged.
+ * @param {string} actorUid - Admin who acted
+ * @param {string} action - e.g. 'updateArticle', 'clearCache'
+ * @param {Object} target - { type: 'article'|'system'|..., id }
+ * @param {Object} details - Action-specific data (before/after values, notes)
+ */
+async function writeAuditLog(actorUid, action, target, details = {}) {
+  try {
+    await db.collection('admin_audit_log').add({
+      actorUid,
+      action,
+      target,
+      details,
+      createdAt: Timestamp.now(),
+      instanceId: INSTANCE_ID,
+      version: VERSION
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log entry for ${action}`, {
+      instanceId: INSTANCE_ID,
+      actorUid,
+      action,
+      target,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Admin: recent fetch runs from batch_metadata, newest first
+ */
+exports.adminListBatches = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('adminListBatches');
+    logFunctionCall('adminListBatches', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { limit = 20, lastBatchId } = request.data || {};
+    const safeLimit = Math.max(1, Math.min(parseInt(limit) || 20, CONFIG.firestore.maxArticlesPerCall));
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'adminListBatches', async () => {
+      try {
+        await requirePermission(request, 'adminListBatches');
+        
+        let query = db.collection('batch_metadata')
+          .orderBy('processedAt', 'desc')
+          .limit(safeLimit);
+        
+        if (lastBatchId) {
+          const lastDoc = await db.collection('batch_metadata').doc(lastBatchId).get();
+          if (lastDoc.exists) {
+            query = query.startAfter(lastDoc);
+          }
+        }
+        
+        const snapshot = await query.get();
+        const batches = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return {
+            batchId: data.batchId || doc.id,
+            processedAt: toIsoTimestamp(data.processedAt),
+            articleCount: data.articleCount || 0,
+            updatedStories: data.updatedStories || 0,
+            aiSummary: data.aiSummary || null,
+            aiBatches: data.aiBatches || []
+          };
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('adminListBatches', startTimeMetric);
+        logFunctionCall('adminListBatches', request, startTime);
+        
+        return {
+          batches,
+          count: batches.length,
+          hasMore: batches.length >= safeLimit,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error listing batches", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to list batches', {
+          details: error.message.substring(0, 100),
+          code: 'ADMIN_BATCHES_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: every article stored by one batch (published or not), with why it passed
+ * `curation` is stored with the article; `curationBatch` is the matching AI batch
+ * report from batch_metadata (client, rejections, re-prompts).
+ */
+exports.adminGetBatchArticles = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('adminGetBatchArticles');
+    logFunctionCall('adminGetBatchArticles', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { batchId } = request.data || {};
+    
+    if (typeof batchId !== 'string' || !batchId || batchId.length > 100) {
+      throw new HttpsError('invalid-argument', 'batchId is required');
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'adminGetBatchArticles', async () => {
+      try {
+        await requirePermission(request, 'adminGetBatchArticles');
+        
+        const [batchDoc, snapshot] = await Promise.all([
+          db.collection('batch_metadata').doc(batchId).get(),
+          db.collection("news_articles").where("batchId", "==", batchId).get()
+        ]);
+        const aiBatches = batchDoc.exists ? batchDoc.data().aiBatches || [] : [];
+        
+        const articles = snapshot.docs.map(doc => {
+          const article = doc.data();
+          const curation = article.curation || null;
+          return {
+            id: doc.id,
+            title: article.title,
+            summary: article.summary || '',
+            category: article.category,
+            tone: article.tone || null,
+            toneConfidence: article.toneConfidence ?? null,
+            source: article.source || 'Unknown',
+            link: article.link,
+            language: article.language || CONFIG.locales.default,
+            isActive: !!article.isActive,
+            hiddenReason: article.hiddenReason || null,
+            pinned: !!article.pinned,
+            editedFields: article.editedFields || [],
+            alternateSources: article.alternateSources || [],
+            views: article.views || 0,
+            saves: article.saves || 0,
+            shares: article.shares || 0,
+            curation,
+            curationBatch: curation?.method === 'ai' ?
+              aiBatches.find(report => report.index === curation.batchIndex && (report.locale || CONFIG.locales.default) === (article.language || CONFIG.locales.default)) || null :
+              null
+          };
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('adminGetBatchArticles', startTimeMetric);
+        logFunctionCall('adminGetBatchArticles', request, startTime);
+        
+        return {
+          batchId,
+          articles,
+          count: articles.length,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting batch articles", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          batchId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to get batch articles', {
+          details: error.message.substring(0, 100),
+          code: 'ADMIN_BATCH_ARTICLES_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: edit, pin or unpublish an article
+ * changes: { title, summary, category, tone, pinned, published } - any subset.
+ * Edited fields are listed in `editedFields` so a later fetch of the same link
+ * doesn't overwrite them; unpublishing sets hiddenReason 'moderation' for the
+ * same reason. Every call is written to admin_audit_log with before/after values.
+ */
+exports.adminUpdateArticle = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('adminUpdateArticle');
+    logFunctionCall('adminUpdateArticle', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { articleId, changes = {}, note = '' } = request.data || {};
+    
+    if (!articleId || !isValidArticleId(articleId)) {
+      throw new HttpsError('invalid-argument', 'Invalid articleId format');
+    }
+    if (typeof note !== 'string' || note.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `note must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    const { summaryLength, titleMaxLength } = CONFIG.ai.validation;
+    const allowed = [...ADMIN_EDITABLE_FIELDS, 'pinned', 'pinnedUntil', 'published'];
+    const fields = Object.keys(changes).filter(field => changes[field] !== undefined);
+    
+    if (fields.length === 0 || fields.some(field => !allowed.includes(field))) {
+      throw new HttpsError('invalid-argument', `changes must set at least one of: ${allowed.join(', ')}`);
+    }
+    if (changes.title !== undefined &&
+        (typeof changes.title !== 'string' || !changes.title.trim() || changes.title.length > titleMaxLength || !isContentSafe(changes.title))) {
+      throw new HttpsError('invalid-argument', `title must be 1-${titleMaxLength} characters of plain text`);
+    }
+    if (changes.summary !== undefined &&
+        (typeof changes.summary !== 'string' || changes.summary.trim().length < summaryLength.min ||
+         changes.summary.length > summaryLength.max || !isContentSafe(changes.summary))) {
+      throw new HttpsError('invalid-argument', `summary must be ${summaryLength.min}-${summaryLength.max} characters of plain text`);
+    }
+    if (changes.category !== undefined && !isValidCategory(changes.category)) {
+      throw new HttpsError('invalid-argument', `Invalid category. Must be one of: ${CONFIG.categories.join(', ')}`);
+    }
+    if (changes.tone !== undefined && changes.tone !== null && !isValidTone(changes.tone)) {
+      throw new HttpsError('invalid-argument', `Invalid tone. Must be one of: ${CONFIG.tones.join(', ')}`);
+    }
+    if (['pinned', 'published'].some(field => changes[field] !== undefined && typeof changes[field] !== 'boolean')) {
+      throw new HttpsError('invalid-argument', 'pinned and published must be booleans');
+    }
+    const pinnedUntil = changes.pinnedUntil ? new Date(changes.pinnedUntil) : null;
+    if (changes.pinnedUntil !== undefined && changes.pinnedUntil !== null &&
+        (typeof changes.pinnedUntil !== 'string' || isNaN(pinnedUntil.getTime()) || pinnedUntil.getTime() <= Date.now())) {
+      throw new HttpsError('invalid-argument', 'pinnedUntil must be a future ISO date, or null for no end');
+    }
+    if (changes.pinnedUntil !== undefined && changes.pinned === false) {
+      throw new HttpsError('invalid-argument', 'pinnedUntil cannot be set when unpinning');
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'adminUpdateArticle', async () => {
+      try {
+        await requirePermission(request, 'adminUpdateArticle');
+        
+        const articleRef = db.collection("news_articles").doc(articleId);
+        const articleDoc = await articleRef.get();
+        if (!articleDoc.exists) {
+          throw new ResourceNotFoundError('Article not found', articleId);
+        }
+        
+        const article = articleDoc.data();
+        const now = Timestamp.now();
+        const update = { updatedAt: now };
+        const before = {};
+        const after = {};
+        
+        const edited = ADMIN_EDITABLE_FIELDS.filter(field => fields.includes(field));
+        edited.forEach(field => {
+          const value = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+          before[field] = article[field] ?? null;
+          after[field] = value;
+          update[field] = value;
+        });
+        if (edited.includes('title') || edited.includes('summary')) {
+          // Translations were made from the old text; other locales fall back to the edit
+          update.translations = {};
+        }
+        if (edited.length > 0) {
+          update.editedFields = FieldValue.arrayUnion(...edited);
+          update.editedBy = userId;
+          update.editedAt = now;
+        }
+        
+        const category = changes.category || article.category;
+        const pinned = changes.pinned ?? !!article.pinned;
+        if (pinned && (!article.pinned || category !== article.category)) {
+          const pins = await getCategoryPins(category);
+          if (pins.filter(pin => pin.id !== articleId).length >= CONFIG.editorial.maxPinsPerCategory) {
+            throw new HttpsError(
+              'failed-precondition',
+              `${category} already has ${CONFIG.editorial.maxPinsPerCategory} pinned stories. Unpin one first.`
+            );
+          }
+        }
+        
+        if (changes.pinned !== undefined) {
+          before.pinned = !!article.pinned;
+          after.pinned = changes.pinned;
+          update.pinned = changes.pinned;
+          update.pinnedAt = changes.pinned ? (article.pinned ? article.pinnedAt : now) : null;
+          update.pinnedBy = changes.pinned ? (article.pinned ? article.pinnedBy : userId) : null;
+          if (!changes.pinned) update.pinnedUntil = null;
+        }
+        if (changes.pinnedUntil !== undefined) {
+          if (!pinned) {
+            throw new HttpsError('failed-precondition', 'Pin the article before setting pinnedUntil');
+          }
+          before.pinnedUntil = toIsoTimestamp(article.pinnedUntil);
+          after.pinnedUntil = pinnedUntil ? pinnedUntil.toISOString() : null;
+          update.pinnedUntil = pinnedUntil ? Timestamp.fromDate(pinnedUntil) : null;
+        }
+        
+        if (changes.published !== undefined) {
+          before.published = !!article.isActive;
+          after.published = changes.published;
+          update.isActive = changes.published;
+          update.hiddenReason = changes.published ? FieldValue.delete() : 'moderation';
+          update.hiddenAt = changes.published ? FieldValue.delete() : now;
+        }
+        
+        await articleRef.update(update);
+        await invalidateRelatedCaches(articleId, article.category, { feeds: true });
+        if (changes.category && changes.category !== article.category) {
+          await invalidateRelatedCaches(articleId, changes.category, { feeds: true });
+        }
+        if (changes.published === false && before.published) {
+          await emitWebhookEvent('article.unpublished', {
+            articleId,
+            category: changes.category || article.category,
+            reason: 'moderation',
+            unpublishedAt: now.toDate().toISOString()
+          });
+        }
+        await writeAuditLog(userId, 'updateArticle', { type: 'article', id: articleId }, {
+          before,
+          after,
+          note: note.trim()
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('adminUpdateArticle', startTimeMetric);
+        logFunctionCall('adminUpdateArticle', request, startTime);
+        
+        return {
+          success: true,
+          articleId,
+          changed: Object.keys(after),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error updating article", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          articleId,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        } else if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to update article', {
+          details: error.message.substring(0, 100),
+          code: 'ADMIN_UPDATE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: recent admin_audit_log entries, newest first, optionally for one article
+ */
+exports.adminListAuditLog = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('adminListAuditLog');
+    logFunctionCall('adminListAuditLog', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { limit = 50, articleId } = request.data || {};
+    const safeLimit = Math.max(1, Math.min(parseInt(limit) || 50, CONFIG.firestore.maxArticlesPerCall));
+    
+    if (articleId !== undefined && !isValidArticleId(articleId)) {
+      throw new HttpsError('invalid-argument', 'Invalid articleId format');
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'adminListAuditLog', async () => {
+      try {
+        await requirePermission(request, 'adminListAuditLog');
+        
+        let query = db.collection('admin_audit_log');
+        if (articleId) {
+          query = query.where('target.id', '==', articleId);
+        }
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(safeLimit).get();
+        
+        const entries = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return {
+            id: doc.id,
+            actorUid: data.actorUid,
+            action: data.action,
+            target: data.target,
+            details: data.details || {},
+            createdAt: toIsoTimestamp(data.createdAt)
+          };
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('adminListAuditLog', startTimeMetric);
+        logFunctionCall('adminListAuditLog', request, startTime);
+        
+        return {
+          entries,
+          count: entries.length,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error listing audit log", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to list audit log', {
+          details: error.message.substring(0, 100),
+          code: 'ADMIN_AUDIT_LOG_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== EDITORIAL FEATURES ====================
+// Two ways for editors to override the algorithmic order:
+//   pins           - news_articles fields (pinned, pinnedAt, pinnedUntil), set with
+//                    adminUpdateArticle; lead their category's feed, newest pin first
+//   Story of the Day - story_of_the_day/{id} { articleId, startAt, endAt }; leads
+//                    getAllArticles (and its category's feed) between startAt and endAt
+// Cached feed pages stay algorithmic; withFeaturedFirst puts features on top per request,
+// from one small cached snapshot ('editorial_features'). Featured articles are kept
+// by cleanupOldArticles until the pin or schedule ends.
+
+function isPinLive(article, now = Date.now()) {
+  return article.pinned === true && (!article.pinnedUntil || article.pinnedUntil.toMillis() > now);
+}
+
+function byPinnedAtDesc(a, b) {
+  return (b.pinnedAt?.toMillis?.() || 0) - (a.pinnedAt?.toMillis?.() || 0);
+}
+
+/**
+ * Live pins in one category, newest pin first
+ * Equality filters only, so no composite index is needed.
+ */
+async function getCategoryPins(category) {
+  const snapshot = await db.collection("news_articles")
+    .where("isActive", "==", true)
+    .where("pinned", "==", true)
+    .where("category", "==", category)
+    .get();
+  
+  const now = Date.now();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, alternateSources: [], ...doc.data() }))
+    .filter(article => isPinLive(article, now))
+    .sort(byPinnedAtDesc);
+}
+
+/**
+ * Stories of the Day that haven't ended yet, earliest first
+ */
+async function getUpcomingStoriesOfTheDay(limit = 20) {
+  const snapshot = await db.collection('story_of_the_day')
+    .where('endAt', '>', Timestamp.now())
+    .orderBy('endAt')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Pins and current/upcoming Stories of the Day, with their articles
+ * Start and end times are checked when serving, so the cached copy stays correct
+ * while a schedule starts or ends; changes invalidate it through invalidateRelatedCaches.
+ * @returns {Promise<{pins: Array<Object>, storiesOfTheDay: Array<Object>}>}
+ */
+async function loadEditorialFeatures() {
+  const cached = await getSharedCache('editorial_features', CONFIG.editorial.featuresCacheTTL);
+  if (cached) return cached;
+  
+  try {
+    const [pinSnapshot, schedule] = await Promise.all([
+      db.collection("news_articles")
+        .where("isActive", "==", true)
+        .where("pinned", "==", true)
+        .get(),
+      getUpcomingStoriesOfTheDay()
+    ]);
+    
+    const heroDocs = await Promise.all(
+      schedule.map(entry => db.collection("news_articles").doc(entry.articleId).get())
+    );
+    
+    const features = {
+      pins: pinSnapshot.docs
+        .map(doc => ({ id: doc.id, alternateSources: [], ...doc.data() }))
+        .sort(byPinnedAtDesc),
+      storiesOfTheDay: schedule
+        .map((entry, index) => ({
+          id: entry.id,
+          startAt: entry.startAt,
+          endAt: entry.endAt,
+          article: heroDocs[index].exists && heroDocs[index].data().isActive ?
+            { id: heroDocs[index].id, alternateSources: [], ...heroDocs[index].data() } :
+            null
+        }))
+        .filter(entry => entry.article)
+    };
+    
+    await setSharedCache('editorial_features', features, CONFIG.editorial.featuresCacheTTL);
+    return features;
+  } catch (error) {
+    // Feeds still work without features
+    logger.error("Failed to load editorial features", {
+      instanceId: INSTANCE_ID,
+      error: error.message,
+      version: VERSION
+    });
+    return { pins: [], storiesOfTheDay: [] };
+  }
+}
+
+/**
+ * Featured articles ahead of a feed page, without repeats, at the page's length
+ * The Story of the Day leads every feed it matches; pins lead only their category's feed.
+ * @param {Array<Object>} page - Algorithmic first page
+ * @param {Object} features - From loadEditorialFeatures
+ * @param {Object} scope - { category, tone } of the feed
+ */
+function withFeaturedFirst(page, features, { category = null, tone = null } = {}) {
+  const now = Date.now();
+  const matchesFeed = article =>
+    (!category || article.category === category) && (!tone || article.tone === tone);
+  
+  const hero = features.storiesOfTheDay.find(entry =>
+    entry.startAt.toMillis() <= now && entry.endAt.toMillis() > now && matchesFeed(entry.article)
+  );
+  const pins = category ?
+    features.pins
+      .filter(article => matchesFeed(article) && isPinLive(article, now))
+      .slice(0, CONFIG.editorial.maxPinsPerCategory) :
+    [];
+  
+  const featured = [];
+  const featuredIds = new Set();
+  if (hero) {
+    featured.push({ ...hero.article, featured: 'storyOfTheDay' });
+    featuredIds.add(hero.article.id);
+  }
+  pins.filter(article => !featuredIds.has(article.id)).forEach(article => {
+    featured.push({ ...article, featured: 'pinned' });
+    featuredIds.add(article.id);
+  });
+  
+  if (featured.length === 0) return page;
+  return [...featured, ...page.filter(article => !featuredIds.has(article.id))]
+    .slice(0, Math.max(page.length, featured.length));
+}
+
+/**
+ * Article ids cleanupOldArticles must keep: live pins and unfinished Stories of the Day
+ * Hidden articles count too, so unpublishing a pinned story doesn't lose it.
+ */
+async function getFeaturedArticleIds() {
+  const [pinSnapshot, schedule] = await Promise.all([
+    db.collection("news_articles").where("pinned", "==", true).get(),
+    getUpcomingStoriesOfTheDay(100)
+  ]);
+  const now = Date.now();
+  return new Set([
+    ...pinSnapshot.docs.filter(doc => isPinLive(doc.data(), now)).map(doc => doc.id),
+    ...schedule.map(entry => entry.articleId)
+  ]);
+}
+
+/**
+ * Editor: schedule an article as Story of the Day
+ * Windows can't overlap, so at most one story leads the feed at any time.
+ */
+exports.scheduleStoryOfTheDay = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('scheduleStoryOfTheDay');
+    logFunctionCall('scheduleStoryOfTheDay', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { articleId, startAt, endAt, note = '' } = request.data || {};
+    const start = new Date(startAt);
+    const end = new Date(endAt);
+    const { maxStoryOfTheDayHours, maxScheduleDays } = CONFIG.editorial;
+    
+    if (!articleId || !isValidArticleId(articleId)) {
+      throw new HttpsError('invalid-argument', 'Invalid articleId format');
+    }
+    if (typeof startAt !== 'string' || typeof endAt !== 'string' || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new HttpsError('invalid-argument', 'startAt and endAt must be ISO dates');
+    }
+    if (end <= start || end.getTime() <= Date.now()) {
+      throw new HttpsError('invalid-argument', 'endAt must be after startAt and in the future');
+    }
+    if (end - start > maxStoryOfTheDayHours * HOUR_MS) {
+      throw new HttpsError('invalid-argument', `A Story of the Day can run for at most ${maxStoryOfTheDayHours} hours`);
+    }
+    if (start.getTime() > Date.now() + maxScheduleDays * 24 * HOUR_MS) {
+      throw new HttpsError('invalid-argument', `startAt must be within ${maxScheduleDays} days`);
+    }
+    if (typeof note !== 'string' || note.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `note must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'scheduleStoryOfTheDay', async () => {
+      try {
+        await requirePermission(request, 'scheduleStoryOfTheDay');
+        
+        const articleDoc = await db.collection("news_articles").doc(articleId).get();
+        if (!articleDoc.exists) {
+          throw new ResourceNotFoundError('Article not found', articleId);
+        }
+        const article = articleDoc.data();
+        if (!article.isActive) {
+          throw new ValidationError('Only published articles can be Story of the Day', 'articleId');
+        }
+        
+        const overlapping = (await getUpcomingStoriesOfTheDay(100))
+          .find(entry => entry.endAt.toMillis() > start.getTime() && entry.startAt.toMillis() < end.getTime());
+        if (overlapping) {
+          throw new ValidationError(
+            `Overlaps the Story of the Day scheduled ${toIsoTimestamp(overlapping.startAt)} - ${toIsoTimestamp(overlapping.endAt)}`,
+            'startAt'
+          );
+        }
+        
+        const entry = {
+          articleId,
+          category: article.category,
+          title: article.title,
+          startAt: Timestamp.fromDate(start),
+          endAt: Timestamp.fromDate(end),
+          note: note.trim(),
+          createdBy: userId,
+          createdAt: Timestamp.now()
+        };
+        const entryRef = await db.collection('story_of_the_day').add(entry);
+        
+        await invalidateRelatedCaches(articleId, article.category);
+        await writeAuditLog(userId, 'scheduleStoryOfTheDay', { type: 'article', id: articleId }, {
+          featureId: entryRef.id,
+          after: { startAt: start.toISOString(), endAt: end.toISOString() },
+          note: note.trim()
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('scheduleStoryOfTheDay', startTimeMetric);
+        logFunctionCall('scheduleStoryOfTheDay', request, startTime);
+        
+        return {
+          success: true,
+          featureId: entryRef.id,
+          articleId,
+          startAt: start.toISOString(),
+          endAt: end.toISOString(),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error scheduling Story of the Day", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          articleId,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        } else if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        } else if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to schedule Story of the Day', {
+          details: error.message.substring(0, 100),
+          code: 'STORY_OF_THE_DAY_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Editor: remove a scheduled (or running) Story of the Day
+ */
+exports.cancelStoryOfTheDay = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('cancelStoryOfTheDay');
+    logFunctionCall('cancelStoryOfTheDay', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { featureId, note = '' } = request.data || {};
+    
+    if (typeof featureId !== 'string' || !featureId || featureId.length > 100) {
+      throw new HttpsError('invalid-argument', 'featureId is required');
+    }
+    if (typeof note !== 'string' || note.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `note must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'cancelStoryOfTheDay', async () => {
+      try {
+        await requirePermission(request, 'cancelStoryOfTheDay');
+        
+        const entryRef = db.collection('story_of_the_day').doc(featureId);
+        const entryDoc = await entryRef.get();
+        if (!entryDoc.exists) {
+          throw new ResourceNotFoundError('Story of the Day not found', featureId);
+        }
+        const entry = entryDoc.data();
+        
+        await entryRef.delete();
+        await invalidateRelatedCaches(entry.articleId, entry.category);
+        await writeAuditLog(userId, 'cancelStoryOfTheDay', { type: 'article', id: entry.articleId }, {
+          featureId,
+          before: { startAt: toIsoTimestamp(entry.startAt), endAt: toIsoTimestamp(entry.endAt) },
+          note: note.trim()
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('cancelStoryOfTheDay', startTimeMetric);
+        logFunctionCall('cancelStoryOfTheDay', request, startTime);
+        
+        return { success: true, featureId, articleId: entry.articleId, duration, version: VERSION };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error cancelling Story of the Day", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          featureId,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        } else if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to cancel Story of the Day', {
+          details: error.message.substring(0, 100),
+          code: 'STORY_OF_THE_DAY_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Editor: current and upcoming Stories of the Day, and every live pin
+ */
+exports.getEditorialSchedule = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getEditorialSchedule');
+    logFunctionCall('getEditorialSchedule', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'getEditorialSchedule', async () => {
+      try {
+        await requirePermission(request, 'getEditorialSchedule');
+        
+        const [schedule, pinSnapshot] = await Promise.all([
+          getUpcomingStoriesOfTheDay(100),
+          db.collection("news_articles").where("pinned", "==", true).get()
+        ]);
+        const now = Date.now();
+        
+        const storiesOfTheDay = schedule.map(entry => ({
+          featureId: entry.id,
+          articleId: entry.articleId,
+          title: entry.title,
+          category: entry.category,
+          startAt: toIsoTimestamp(entry.startAt),
+          endAt: toIsoTimestamp(entry.endAt),
+          live: entry.startAt.toMillis() <= now,
+          note: entry.note || '',
+          createdBy: entry.createdBy
+        }));
+        const pins = pinSnapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(article => isPinLive(article, now))
+          .sort(byPinnedAtDesc)
+          .map(article => ({
+            articleId: article.id,
+            title: article.title,
+            category: article.category,
+            isActive: !!article.isActive,
+            pinnedAt: toIsoTimestamp(article.pinnedAt),
+            pinnedUntil: toIsoTimestamp(article.pinnedUntil),
+            pinnedBy: article.pinnedBy || null
+          }));
+        
+        const duration = performanceMetrics.trackFunctionEnd('getEditorialSchedule', startTimeMetric);
+        logFunctionCall('getEditorialSchedule', request, startTime);
+        
+        return {
+          storiesOfTheDay,
+          pins,
+          maxPinsPerCategory: CONFIG.editorial.maxPinsPerCategory,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting editorial schedule", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to get editorial schedule', {
+          details: error.message.substring(0, 100),
+          code: 'EDITORIAL_SCHEDULE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== ROLE MANAGEMENT ====================
+/**
+ * Admin: give a user a role (viewer, editor, admin, ops)
+ */
+exports.grantRole = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('grantRole');
+    logFunctionCall('grantRole', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { uid, role, note = '' } = request.data || {};
+    
+    if (typeof uid !== 'string' || !uid || uid.length > 128) {
+      throw new HttpsError('invalid-argument', 'uid is required');
+    }
+    if (!ROLES.includes(role)) {
+      throw new HttpsError('invalid-argument', `Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+    if (typeof note !== 'string' || note.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `note must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'grantRole', async () => {
+      try {
+        await requirePermission(request, 'grantRole');
+        
+        const result = await setUserRole(userId, uid, role, true, note.trim());
+        
+        logger.info(`Role ${role} granted for ${uid}`, {
+          instanceId: INSTANCE_ID,
+          actorUid: userId,
+          uid,
+          role,
+          roles: result.roles,
+          changed: result.changed
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('grantRole', startTimeMetric);
+        logFunctionCall('grantRole', request, startTime);
+        
+        return {
+          success: true,
+          uid,
+          roles: result.roles,
+          changed: result.changed,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error granting role", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          uid,
+          role,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        } else if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        } else if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to grant role', {
+          details: error.message.substring(0, 100),
+          code: 'ROLE_GRANT_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: take a role away from a user
+ * Roles that come from ADMIN_USER_IDS or users/{uid}.isAdmin are not claims and stay.
+ */
+exports.revokeRole = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('revokeRole');
+    logFunctionCall('revokeRole', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { uid, role, note = '' } = request.data || {};
+    
+    if (typeof uid !== 'string' || !uid || uid.length > 128) {
+      throw new HttpsError('invalid-argument', 'uid is required');
+    }
+    if (!ROLES.includes(role)) {
+      throw new HttpsError('invalid-argument', `Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+    if (typeof note !== 'string' || note.length > CONFIG.moderation.maxCommentLength) {
+      throw new HttpsError('invalid-argument', `note must be a string of at most ${CONFIG.moderation.maxCommentLength} characters`);
+    }
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'revokeRole', async () => {
+      try {
+        await requirePermission(request, 'revokeRole');
+        
+        const result = await setUserRole(userId, uid, role, false, note.trim());
+        
+        logger.info(`Role ${role} revoked for ${uid}`, {
+          instanceId: INSTANCE_ID,
+          actorUid: userId,
+          uid,
+          role,
+          roles: result.roles,
+          changed: result.changed
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('revokeRole', startTimeMetric);
+        logFunctionCall('revokeRole', request, startTime);
+        
+        return {
+          success: true,
+          uid,
+          roles: result.roles,
+          changed: result.changed,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error revoking role", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          uid,
+          role,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        } else if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        } else if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to revoke role', {
+          details: error.message.substring(0, 100),
+          code: 'ROLE_REVOKE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: everyone holding a role granted through grantRole
+ * Read from the user_roles mirror; ADMIN_USER_IDS and users/{uid}.isAdmin admins are listed separately.
+ */
+exports.listRoleAssignments = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('listRoleAssignments');
+    logFunctionCall('listRoleAssignments', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    // Apply concurrent request limit
+    return await withConcurrentLimit(userId, 'listRoleAssignments', async () => {
+      try {
+        await requirePermission(request, 'listRoleAssignments');
+        
+        const snapshot = await db.collection('user_roles').get();
+        const assignments = snapshot.docs
+          .map(doc => {
+            const data = doc.data();
+            return {
+              uid: doc.id,
+              email: data.email || null,
+              roles: data.roles || [],
+              updatedAt: toIsoTimestamp(data.updatedAt),
+              updatedBy: data.updatedBy || null
+            };
+          })
+          .filter(assignment => assignment.roles.length > 0);
+        
+        const duration = performanceMetrics.trackFunctionEnd('listRoleAssignments', startTimeMetric);
+        logFunctionCall('listRoleAssignments', request, startTime);
+        
+        return {
+          assignments,
+          count: assignments.length,
+          envAdmins: process.env.ADMIN_USER_IDS ? process.env.ADMIN_USER_IDS.split(',').map(id => id.trim()).filter(Boolean) : [],
+          roles: ROLES,
+          policy: ACCESS_POLICY,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error listing role assignments", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to list role assignments', {
+          details: error.message.substring(0, 100),
+          code: 'ROLE_LIST_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+// ==================== WEEKLY DIGEST ====================
+// Subscribers live in digest_subscriptions/{uid}:
+//   { email, subscribed, locale, subscribedAt, unsubscribedAt, lastSentAt, lastSentWeek }
+// The address always comes from the signed-in user's verified token, never the request.
+
+function digestSigningSecret() {
+  return process.env[CONFIG.digest.signingSecretEnv] || null;
+}
+
+function buildUnsubscribeUrl(uid, secret) {
+  const url = new URL(CONFIG.digest.unsubscribeUrl);
+  url.searchParams.set('uid', uid);
+  url.searchParams.set('token', signUnsubscribeToken(uid, secret));
+  return url.toString();
+}
+
+/**
+ * Send one message through CONFIG.mail.transport
+ * @returns {Promise<{messageId: string, accepted: Array<string>}>}
+ */
+async function sendMail(message) {
+  const transport = getMailTransport(CONFIG.mail.transport);
+  const transportConfig = CONFIG.mail[CONFIG.mail.transport] || {};
+  
+  return transport.send({ from: CONFIG.mail.from, ...message }, {
+    transportConfig,
+    password: transportConfig.passwordEnv ? process.env[transportConfig.passwordEnv] || null : null,
+    log: (text, data) => logger.info(text, { instanceId: INSTANCE_ID, ...data })
+  });
+}
+
+/**
+ * Active articles from the last lookbackDays, best first by decayed engagement
+ * Used by the weekly digest and the daily/weekly chat webhooks.
+ */
+async function loadRankedRecentArticles(lookbackDays, now = Date.now()) {
+  const since = Timestamp.fromMillis(now - lookbackDays * 24 * HOUR_MS);
+  const snapshot = await db.collection("news_articles")
+    .where("isActive", "==", true)
+    .where("publishedAt", ">=", since)
+    .orderBy("publishedAt", "desc")
+    .limit(CONFIG.digest.candidateLimit)
+    .get();
+  
+  return rankByDecayedEngagement(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), {
+    weights: CONFIG.trendingWeights,
+    halfLifeHours: CONFIG.digest.halfLifeHours,
+    now
+  });
+}
+
+/**
+ * One subscriber's rendered digest
+ * Blocked sources and muted keywords apply; followed categories add sections
+ * rather than hiding the top stories.
+ * @returns {Object|null} { subject, html, text, headers, storyCount }, or null when nothing is left
+ */
+function composeDigest(candidates, uid, subscription, preferences, secret, now = Date.now()) {
+  const locale = subscription.locale || CONFIG.locales.default;
+  const { articles } = applyUserPreferences(candidates, preferences, { followedOnly: false });
+  
+  const sections = buildDigestSections(articles.map(article => localizeArticle(article, locale)), {
+    followedCategories: preferences ? preferences.followedCategories : [],
+    topStories: CONFIG.digest.topStories,
+    storiesPerCategory: CONFIG.digest.storiesPerCategory
+  });
+  if (sections.length === 0) return null;
+  
+  const formatDay = time => new Date(time).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+  const unsubscribeUrl = buildUnsubscribeUrl(uid, secret);
+  const rendered = renderDigest({
+    title: CONFIG.digest.title,
+    weekLabel: `${formatDay(now - CONFIG.digest.lookbackDays * 24 * HOUR_MS)} - ${formatDay(now)}`,
+    siteUrl: CONFIG.feeds.siteUrl,
+    unsubscribeUrl,
+    sections
+  });
+  
+  return {
+    ...rendered,
+    // RFC 8058 one-click unsubscribe: mail clients POST to the link directly
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    },
+    storyCount: sections.reduce((sum, section) => sum + section.articles.length, 0)
+  };
+}
+
+/**
+ * Subscribe the signed-in user to the weekly digest at their account email
+ */
+exports.subscribeToDigest = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('subscribeToDigest');
+    logFunctionCall('subscribeToDigest', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { email, email_verified: emailVerified } = request.auth.token || {};
+    const { locale = CONFIG.locales.default } = request.data || {};
+    
+    if (!email || emailVerified !== true) {
+      throw new HttpsError('failed-precondition', 'The weekly digest needs an account with a verified email address.');
+    }
+    if (!isValidLocale(locale)) {
+      throw new HttpsError('invalid-argument', `Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`);
+    }
+    
+    return await withConcurrentLimit(userId, 'subscribeToDigest', async () => {
+      try {
+        const subscriptionRef = db.collection('digest_subscriptions').doc(userId);
+        const existing = await subscriptionRef.get();
+        const alreadySubscribed = existing.exists && existing.data().subscribed === true;
+        
+        await subscriptionRef.set({
+          email,
+          locale,
+          subscribed: true,
+          ...(alreadySubscribed ? {} : { subscribedAt: Timestamp.now(), unsubscribedAt: null }),
+          updatedAt: Timestamp.now()
+        }, { merge: true });
+        
+        const duration = performanceMetrics.trackFunctionEnd('subscribeToDigest', startTimeMetric);
+        logFunctionCall('subscribeToDigest', request, startTime);
+        
+        return {
+          success: true,
+          subscribed: true,
+          email,
+          locale,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error subscribing to digest", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to subscribe to the digest', {
+          details: error.message.substring(0, 100),
+          code: 'DIGEST_SUBSCRIBE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Stop the weekly digest for the signed-in user (the emailed link does the same without signing in)
+ */
+exports.unsubscribeFromDigest = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('unsubscribeFromDigest');
+    logFunctionCall('unsubscribeFromDigest', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    return await withConcurrentLimit(userId, 'unsubscribeFromDigest', async () => {
+      try {
+        const subscriptionRef = db.collection('digest_subscriptions').doc(userId);
+        const existing = await subscriptionRef.get();
+        
+        if (existing.exists && existing.data().subscribed === true) {
+          await subscriptionRef.update({
+            subscribed: false,
+            unsubscribedAt: Timestamp.now(),
+            unsubscribedVia: 'app',
+            updatedAt: Timestamp.now()
+          });
+        }
+        
+        const duration = performanceMetrics.trackFunctionEnd('unsubscribeFromDigest', startTimeMetric);
+        logFunctionCall('unsubscribeFromDigest', request, startTime);
+        
+        return {
+          success: true,
+          subscribed: false,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error unsubscribing from digest", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to unsubscribe from the digest', {
+          details: error.message.substring(0, 100),
+          code: 'DIGEST_UNSUBSCRIBE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * This week's digest for the signed-in user, as it would be sent
+ * With { send: true } it is also mailed to the caller's own address (ops only),
+ * which is how to check a transport against a local sink.
+ */
+exports.previewDigest = onCall(
+  {
+    memory: "512MiB",
+    timeoutSeconds: 60,
+    secrets: [CONFIG.digest.signingSecretEnv, CONFIG.mail.smtp.passwordEnv],
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('previewDigest');
+    logFunctionCall('previewDigest', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { send = false, locale } = request.data || {};
+    
+    if (locale !== undefined && !isValidLocale(locale)) {
+      throw new HttpsError('invalid-argument', `Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`);
+    }
+    
+    return await withConcurrentLimit(userId, 'previewDigest', async () => {
+      try {
+        const secret = digestSigningSecret();
+        if (!secret) {
+          throw new HttpsError('failed-precondition', `The digest is not configured (${CONFIG.digest.signingSecretEnv} is not set).`);
+        }
+        if (send === true) {
+          await requirePermission(request, 'sendTestDigest');
+        }
+        
+        const now = Date.now();
+        const [candidates, preferences, subscriptionDoc] = await Promise.all([
+          loadRankedRecentArticles(CONFIG.digest.lookbackDays, now),
+          loadUserPreferences(userId),
+          db.collection('digest_subscriptions').doc(userId).get()
+        ]);
+        const subscription = subscriptionDoc.exists ? subscriptionDoc.data() : {};
+        const digest = composeDigest(candidates, userId, { ...subscription, locale: locale || subscription.locale }, preferences, secret, now);
+        
+        let delivery = null;
+        if (digest && send === true) {
+          if (!request.auth.token.email) {
+            throw new HttpsError('failed-precondition', 'Your account has no email address to send to.');
+          }
+          const { headers, subject, html, text } = digest;
+          delivery = await sendMail({ to: request.auth.token.email, subject, html, text, headers });
+        }
+        
+        const duration = performanceMetrics.trackFunctionEnd('previewDigest', startTimeMetric);
+        logFunctionCall('previewDigest', request, startTime);
+        
+        return {
+          empty: !digest,
+          subject: digest ? digest.subject : null,
+          html: digest ? digest.html : null,
+          text: digest ? digest.text : null,
+          storyCount: digest ? digest.storyCount : 0,
+          subscribed: subscription.subscribed === true,
+          sent: !!delivery,
+          transport: delivery ? CONFIG.mail.transport : null,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error previewing digest", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to preview the digest', {
+          details: error.message.substring(0, 100),
+          code: 'DIGEST_PREVIEW_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+function renderUnsubscribePage(title, message, form = '') {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    `<title>${escapeHtml(title)}</title></head>`,
+    '<body style="font-family:Arial,Helvetica,sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#222;">',
+    `  <h1 style="font-size:22px;color:#1a6b3c;">${escapeHtml(title)}</h1>`,
+    `  <p>${escapeHtml(message)}</p>`,
+    form,
+    `  <p style="font-size:13px;"><a href="${escapeHtml(CONFIG.feeds.siteUrl)}" style="color:#888;">${escapeHtml(CONFIG.feeds.title)}</a></p>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Signed unsubscribe link from the digest email
+ * GET shows a confirmation button (link scanners prefetch GETs, so they must not
+ * unsubscribe); POST unsubscribes, which is also what RFC 8058 one-click sends.
+ * GET/POST /digestUnsubscribe?uid=...&token=...
+ */
+exports.digestUnsubscribe = onRequest(
+  {
+    memory: "256MiB",
+    secrets: [CONFIG.digest.signingSecretEnv],
+  },
+  async (req, res) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('digestUnsubscribe');
+    
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.set('Allow', 'GET, POST').status(405).send('Method Not Allowed');
+      return;
+    }
+    
+    res.set({ 'Cache-Control': 'no-store', 'Content-Type': 'text/html; charset=utf-8' });
+    
+    const uid = typeof req.query.uid === 'string' ? req.query.uid : '';
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    const secret = digestSigningSecret();
+    
+    if (!secret || !verifyUnsubscribeToken(uid, token, secret)) {
+      res.status(400).send(renderUnsubscribePage(
+        'Invalid unsubscribe link',
+        'This link is incomplete or was altered. Open it again from the digest email, or unsubscribe from the app settings.'
+      ));
+      return;
+    }
+    
+    if (req.method === 'GET') {
+      const action = `?uid=${encodeURIComponent(uid)}&token=${encodeURIComponent(token)}`;
+      res.status(200).send(renderUnsubscribePage(
+        'Unsubscribe from the weekly digest?',
+        'You will stop receiving the Good News You Missed weekly email.',
+        `  <form method="POST" action="${escapeHtml(action)}"><button type="submit" style="padding:10px 18px;font-size:15px;">Unsubscribe</button></form>`
+      ));
+      return;
+    }
+    
+    try {
+      const subscriptionRef = db.collection('digest_subscriptions').doc(uid);
+      const existing = await subscriptionRef.get();
+      
+      if (existing.exists && existing.data().subscribed === true) {
+        await subscriptionRef.update({
+          subscribed: false,
+          unsubscribedAt: Timestamp.now(),
+          unsubscribedVia: 'link',
+          updatedAt: Timestamp.now()
+        });
+      }
+      
+      const duration = performanceMetrics.trackFunctionEnd('digestUnsubscribe', startTimeMetric);
+      logger.info("Digest unsubscribe via link", {
+        instanceId: INSTANCE_ID,
+        userId: uid,
+        wasSubscribed: existing.exists && existing.data().subscribed === true,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      
+      res.status(200).send(renderUnsubscribePage(
+        'You have been unsubscribed',
+        'You will no longer receive the weekly digest. You can subscribe again from the app at any time.'
+      ));
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error unsubscribing via link", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        userId: uid,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      res.status(500).send(renderUnsubscribePage(
+        'Something went wrong',
+        'We could not update your subscription. Please try again in a few minutes.'
+      ));
+    }
+  }
+);
+
+/**
+ * Weekly digest to every subscriber
+ * Idempotent per ISO week: a retried or re-run job skips subscribers already sent
+ * this week (lastSentWeek). Subscribers with nothing left after their filters get no email.
+ */
+exports.sendWeeklyDigest = onSchedule(
+  {
+    schedule: "every monday 08:00",
+    timeoutSeconds: 540,
+    memory: "512MiB",
+    secrets: [CONFIG.digest.signingSecretEnv, CONFIG.mail.smtp.passwordEnv],
+  },
+  async () => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('sendWeeklyDigest');
+    
+    const secret = digestSigningSecret();
+    if (!secret) {
+      logger.warn(`Weekly digest skipped: ${CONFIG.digest.signingSecretEnv} is not set`, {
+        instanceId: INSTANCE_ID,
+        version: VERSION
+      });
+      return;
+    }
+    
+    try {
+      const now = Date.now();
+      const week = isoWeekKey(now);
+      const candidates = await loadRankedRecentArticles(CONFIG.digest.lookbackDays, now);
+      const stats = { sent: 0, alreadySent: 0, empty: 0, failed: 0 };
+      
+      if (candidates.length === 0) {
+        logger.info("Weekly digest skipped: no active articles this week", {
+          instanceId: INSTANCE_ID,
+          week,
+          version: VERSION
+        });
+        return;
+      }
+      
+      let lastDoc = null;
+      while (true) {
+        let query = db.collection('digest_subscriptions')
+          .where('subscribed', '==', true)
+          .orderBy(FieldPath.documentId())
+          .limit(CONFIG.digest.subscribersPerPage);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+        
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+        
+        await mapWithConcurrency(snapshot.docs, CONFIG.digest.sendConcurrency, async doc => {
+          const subscription = doc.data();
+          if (subscription.lastSentWeek === week) {
+            stats.alreadySent++;
+            return;
+          }
+          
+          const preferences = await loadUserPreferences(doc.id);
+          const digest = composeDigest(candidates, doc.id, subscription, preferences, secret, now);
+          if (!digest) {
+            stats.empty++;
+            return;
+          }
+          
+          try {
+            const { headers, subject, html, text } = digest;
+            await sendMail({ to: subscription.email, subject, html, text, headers });
+            await doc.ref.update({ lastSentAt: Timestamp.now(), lastSentWeek: week });
+            stats.sent++;
+          } catch (error) {
+            stats.failed++;
+            logger.warn(`Failed to send digest: ${error.message}`, {
+              instanceId: INSTANCE_ID,
+              userId: doc.id,
+              week,
+              error: error.message
+            });
+          }
+        });
+        
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < CONFIG.digest.subscribersPerPage) break;
+      }
+      
+      const duration = performanceMetrics.trackFunctionEnd('sendWeeklyDigest', startTimeMetric);
+      logger.info(`Weekly digest ${week}: ${stats.sent} sent, ${stats.failed} failed`, {
+        instanceId: INSTANCE_ID,
+        week,
+        transport: CONFIG.mail.transport,
+        candidates: candidates.length,
+        ...stats,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error sending weekly digest", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      throw new DatabaseError('Failed to send weekly digest', 'weekly_digest');
+    }
+  }
+);
+
+// ==================== WEB PUSH ====================
+// One push_subscriptions/{id} document per browser endpoint:
+//   { userId, endpoint, keys, categories, quietHours, locale, createdAt, updatedAt,
+//     lastPushedAt, pushDay, pushesToday, lastBatchId, failureCount }
+// Empty categories means every category.
+
+function isPushConfigured() {
+  return !!(CONFIG.push.vapidPublicKey && process.env[CONFIG.push.vapidPrivateKeyEnv]);
+}
+
+function toPushSubscriptionView(id, data) {
+  return {
+    id,
+    endpointOrigin: new URL(data.endpoint).origin,
+    categories: data.categories || [],
+    quietHours: data.quietHours || null,
+    locale: data.locale || CONFIG.locales.default,
+    createdAt: toIsoTimestamp(data.createdAt),
+    lastPushedAt: toIsoTimestamp(data.lastPushedAt)
+  };
+}
+
+/**
+ * Validate the filters sent with savePushSubscription
+ * @throws {ValidationError}
+ */
+function normalizePushFilters({ categories = [], quietHours = null, locale = CONFIG.locales.default }) {
+  if (!Array.isArray(categories) || categories.some(category => !isValidCategory(category))) {
+    throw new ValidationError(`categories must be an array of: ${CONFIG.categories.join(', ')}`, 'categories');
+  }
+  if (quietHours !== null) {
+    const issue = validateQuietHours(quietHours);
+    if (issue) {
+      throw new ValidationError(issue, 'quietHours');
+    }
+  }
+  if (!isValidLocale(locale)) {
+    throw new ValidationError(`Invalid locale. Must be one of: ${CONFIG.locales.enabled.join(', ')}`, 'locale');
+  }
+  
+  return {
+    categories: [...new Set(categories)],
+    quietHours: quietHours && { start: quietHours.start, end: quietHours.end, timeZone: quietHours.timeZone },
+    locale
+  };
+}
+
+/**
+ * The VAPID public key and the signed-in user's push subscriptions
+ */
+exports.getPushSubscriptions = onCall(
+  {
+    memory: "256MiB",
+    secrets: [CONFIG.push.vapidPrivateKeyEnv],
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('getPushSubscriptions');
+    logFunctionCall('getPushSubscriptions', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    return await withConcurrentLimit(userId, 'getPushSubscriptions', async () => {
+      try {
+        const snapshot = await db.collection('push_subscriptions').where('userId', '==', userId).get();
+        
+        const duration = performanceMetrics.trackFunctionEnd('getPushSubscriptions', startTimeMetric);
+        logFunctionCall('getPushSubscriptions', request, startTime);
+        
+        return {
+          enabled: isPushConfigured(),
+          vapidPublicKey: CONFIG.push.vapidPublicKey || null,
+          subscriptions: snapshot.docs.map(doc => toPushSubscriptionView(doc.id, doc.data())),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error getting push subscriptions", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        throw new HttpsError('internal', 'Failed to get push subscriptions', {
+          details: error.message.substring(0, 100),
+          code: 'PUSH_LIST_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Register this browser for pushes, or update its categories, quiet hours and locale
+ * Saving an endpoint registered to another account moves it to the caller.
+ */
+exports.savePushSubscription = onCall(
+  {
+    memory: "256MiB",
+    secrets: [CONFIG.push.vapidPrivateKeyEnv],
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('savePushSubscription');
+    logFunctionCall('savePushSubscription', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { subscription, ...filters } = request.data || {};
+    
+    const subscriptionIssue = validatePushSubscription(subscription);
+    if (subscriptionIssue) {
+      throw new HttpsError('invalid-argument', subscriptionIssue);
+    }
+    if (!isPushConfigured()) {
+      throw new HttpsError('failed-precondition', 'Web Push is not configured on the server.');
+    }
+    
+    return await withConcurrentLimit(userId, 'savePushSubscription', async () => {
+      try {
+        const { categories, quietHours, locale } = normalizePushFilters(filters);
+        const subscriptionId = pushSubscriptionId(subscription.endpoint);
+        const subscriptionRef = db.collection('push_subscriptions').doc(subscriptionId);
+        
+        const [existing, owned] = await Promise.all([
+          subscriptionRef.get(),
+          db.collection('push_subscriptions').where('userId', '==', userId).get()
+        ]);
+        const isNew = !existing.exists || existing.data().userId !== userId;
+        
+        if (isNew && owned.size >= CONFIG.push.maxSubscriptionsPerUser) {
+          throw new HttpsError(
+            'resource-exhausted',
+            `At most ${CONFIG.push.maxSubscriptionsPerUser} devices can receive notifications. Turn them off on a device you no longer use.`
+          );
+        }
+        
+        const now = Timestamp.now();
+        await subscriptionRef.set({
+          userId,
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+          categories,
+          quietHours,
+          locale,
+          failureCount: 0,
+          updatedAt: now,
+          ...(isNew ? { createdAt: now, lastPushedAt: null, pushDay: null, pushesToday: 0, lastBatchId: null } : {})
+        }, { merge: true });
+        
+        const duration = performanceMetrics.trackFunctionEnd('savePushSubscription', startTimeMetric);
+        logFunctionCall('savePushSubscription', request, startTime);
+        
+        return {
+          success: true,
+          subscription: toPushSubscriptionView(subscriptionId, (await subscriptionRef.get()).data()),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error saving push subscription", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to save push subscription', {
+          details: error.message.substring(0, 100),
+          code: 'PUSH_SAVE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Stop pushes to one of the signed-in user's browsers, by endpoint or subscription id
+ */
+exports.deletePushSubscription = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('deletePushSubscription');
+    logFunctionCall('deletePushSubscription', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { endpoint, subscriptionId } = request.data || {};
+    
+    if (typeof endpoint !== 'string' && typeof subscriptionId !== 'string') {
+      throw new HttpsError('invalid-argument', 'Provide endpoint or subscriptionId.');
+    }
+    
+    return await withConcurrentLimit(userId, 'deletePushSubscription', async () => {
+      try {
+        const subscriptionRef = db.collection('push_subscriptions')
+          .doc(typeof endpoint === 'string' ? pushSubscriptionId(endpoint) : subscriptionId);
+        const existing = await subscriptionRef.get();
+        
+        if (!existing.exists || existing.data().userId !== userId) {
+          throw new ResourceNotFoundError('Push subscription not found', subscriptionRef.id);
+        }
+        await subscriptionRef.delete();
+        
+        const duration = performanceMetrics.trackFunctionEnd('deletePushSubscription', startTimeMetric);
+        logFunctionCall('deletePushSubscription', request, startTime);
+        
+        return {
+          success: true,
+          subscriptionId: subscriptionRef.id,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error deleting push subscription", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to delete push subscription', {
+          details: error.message.substring(0, 100),
+          code: 'PUSH_DELETE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Why a subscription gets no push for this batch, or null when it may get one
+ */
+function pushSkipReason(subscription, batchId, now = Date.now()) {
+  if (subscription.lastBatchId === batchId) return 'alreadyPushed';
+  if (isInQuietHours(subscription.quietHours, now)) return 'quietHours';
+  
+  const lastPushed = subscription.lastPushedAt ? subscription.lastPushedAt.toMillis() : 0;
+  if (now - lastPushed < CONFIG.push.minIntervalMinutes * 60 * 1000) return 'throttled';
+  
+  const today = new Date(now).toISOString().substring(0, 10);
+  if (subscription.pushDay === today && subscription.pushesToday >= CONFIG.push.maxPerDay) return 'dailyCap';
+  return null;
+}
+
+/**
+ * Active stories first stored in a batch, best curator tone confidence first
+ * @param {Array<string>} newArticleIds - batch_metadata.newArticleIds
+ */
+async function loadNewBatchStories(newArticleIds) {
+  const stories = [];
+  for (let i = 0; i < newArticleIds.length; i += CONFIG.firestore.bookmarkBatchSize) {
+    const snapshot = await db.collection("news_articles")
+      .where("id", "in", newArticleIds.slice(i, i + CONFIG.firestore.bookmarkBatchSize))
+      .get();
+    snapshot.forEach(doc => {
+      if (doc.data().isActive) stories.push({ id: doc.id, ...doc.data() });
+    });
+  }
+  return stories.sort((a, b) => (b.toneConfidence || 0) - (a.toneConfidence || 0));
+}
+
+/**
+ * Push the best new story from each stored batch to every subscriber
+ * Runs when storeArticlesScalable writes batch_metadata. Each device gets at most
+ * one push per batch: the new story with the highest curator tone confidence in
+ * its categories, after the owner's blocked sources and muted keywords. Endpoints
+ * the push service reports gone (404/410) are deleted.
+ */
+exports.pushBreakingGoodNews = onDocumentCreated(
+  {
+    document: "batch_metadata/{batchId}",
+    timeoutSeconds: 300,
+    memory: "512MiB",
+    secrets: [CONFIG.push.vapidPrivateKeyEnv],
+  },
+  async (event) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('pushBreakingGoodNews');
+    const batchId = event.params.batchId;
+    const newArticleIds = event.data ? event.data.data().newArticleIds || [] : [];
+    
+    if (newArticleIds.length === 0 || !isPushConfigured()) {
+      performanceMetrics.trackFunctionEnd('pushBreakingGoodNews', startTimeMetric);
+      return;
+    }
+    
+    try {
+      const stories = await loadNewBatchStories(newArticleIds);
+      
+      if (stories.length === 0) {
+        performanceMetrics.trackFunctionEnd('pushBreakingGoodNews', startTimeMetric);
+        return;
+      }
+      
+      const vapidDetails = {
+        subject: CONFIG.push.subject,
+        publicKey: CONFIG.push.vapidPublicKey,
+        privateKey: process.env[CONFIG.push.vapidPrivateKeyEnv]
+      };
+      const preferencesByUser = new Map();
+      const stats = { sent: 0, expired: 0, failed: 0, noMatch: 0, alreadyPushed: 0, quietHours: 0, throttled: 0, dailyCap: 0 };
+      const now = Date.now();
+      const today = new Date(now).toISOString().substring(0, 10);
+      let lastDoc = null;
+      
+      while (true) {
+        let query = db.collection('push_subscriptions')
+          .orderBy(FieldPath.documentId())
+          .limit(CONFIG.push.subscribersPerPage);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+        
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+        
+        await mapWithConcurrency(snapshot.docs, CONFIG.push.sendConcurrency, async doc => {
+          const subscription = doc.data();
+          const skipReason = pushSkipReason(subscription, batchId, now);
+          if (skipReason) {
+            stats[skipReason]++;
+            return;
+          }
+          
+          if (!preferencesByUser.has(subscription.userId)) {
+            preferencesByUser.set(subscription.userId, loadUserPreferences(subscription.userId));
+          }
+          const preferences = await preferencesByUser.get(subscription.userId);
+          const categories = new Set(subscription.categories || []);
+          const { articles } = applyUserPreferences(
+            stories.filter(story => categories.size === 0 || categories.has(story.category)),
+            preferences,
+            { followedOnly: false }
+          );
+          if (articles.length === 0) {
+            stats.noMatch++;
+            return;
+          }
+          
+          const story = localizeArticle(articles[0], subscription.locale);
+          try {
+            await sendWebPush(subscription, {
+              title: CONFIG.feeds.title,
+              body: story.title,
+              url: story.link,
+              articleId: story.id,
+              category: story.category,
+              tag: `article-${story.id}`
+            }, {
+              vapidDetails,
+              ttlSeconds: CONFIG.push.ttlSeconds,
+              urgency: 'normal',
+              topic: CONFIG.push.topic
+            });
+            
+            await doc.ref.update({
+              lastPushedAt: Timestamp.fromMillis(now),
+              pushDay: today,
+              pushesToday: subscription.pushDay === today ? FieldValue.increment(1) : 1,
+              lastBatchId: batchId,
+              lastArticleId: story.id,
+              failureCount: 0
+            });
+            stats.sent++;
+          } catch (error) {
+            if (isExpiredSubscriptionError(error) || (subscription.failureCount || 0) + 1 >= CONFIG.push.maxFailures) {
+              await doc.ref.delete();
+              stats.expired++;
+              return;
+            }
+            
+            await doc.ref.update({ failureCount: FieldValue.increment(1) });
+            stats.failed++;
+            logger.warn(`Push delivery failed: ${error.message}`, {
+              instanceId: INSTANCE_ID,
+              subscriptionId: doc.id,
+              statusCode: error.statusCode || null,
+              batchId
+            });
+          }
+        });
+        
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < CONFIG.push.subscribersPerPage) break;
+      }
+      
+      const duration = performanceMetrics.trackFunctionEnd('pushBreakingGoodNews', startTimeMetric);
+      logger.info(`Breaking good news pushed to ${stats.sent} devices`, {
+        instanceId: INSTANCE_ID,
+        batchId,
+        newStories: stories.length,
+        ...stats,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error pushing breaking good news", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        batchId,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      throw new DatabaseError('Failed to push breaking good news', 'web_push');
+    }
+  }
+);
+
+// ==================== CHAT WEBHOOK INTEGRATIONS ====================
+// One webhook_integrations/{id} document per channel:
+//   { name, platform, webhookUrl, categories, cadence, enabled, createdBy, createdAt, updatedAt,
+//     lastDeliveredAt, lastBatchId, consecutiveFailures, lastError, lastFailureAt,
+//     disabledAt, disabledReason }
+// Empty categories means every category. webhookUrl is a credential and is never returned.
+
+const CADENCE_INTERVAL_HOURS = { daily: 24, weekly: 7 * 24 };
+
+function toIntegrationView(id, data) {
+  return {
+    id,
+    name: data.name,
+    platform: data.platform,
+    webhookUrl: maskWebhookUrl(data.webhookUrl),
+    categories: data.categories || [],
+    cadence: data.cadence,
+    enabled: data.enabled === true,
+    consecutiveFailures: data.consecutiveFailures || 0,
+    lastError: data.lastError || null,
+    lastDeliveredAt: toIsoTimestamp(data.lastDeliveredAt),
+    lastFailureAt: toIsoTimestamp(data.lastFailureAt),
+    disabledAt: toIsoTimestamp(data.disabledAt),
+    disabledReason: data.disabledReason || null,
+    createdBy: data.createdBy,
+    createdAt: toIsoTimestamp(data.createdAt)
+  };
+}
+
+/**
+ * Validate integration fields from a request; omitted fields are left out
+ * @param {Object} fields - any of { name, platform, webhookUrl, categories, cadence }
+ * @param {string} platform - The integration's platform, to check webhookUrl against
+ * @throws {ValidationError}
+ */
+function normalizeIntegrationFields(fields, platform) {
+  const normalized = {};
+  
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.trim().length > CONFIG.integrations.maxNameLength) {
+      throw new ValidationError(`name must be a non-empty string of at most ${CONFIG.integrations.maxNameLength} characters`, 'name');
+    }
+    normalized.name = fields.name.trim();
+  }
+  if (fields.webhookUrl !== undefined) {
+    const issue = typeof fields.webhookUrl === 'string' ? validateWebhookUrl(platform, fields.webhookUrl) : 'webhookUrl must be a string';
+    if (issue) {
+      throw new ValidationError(issue, 'webhookUrl');
+    }
+    normalized.webhookUrl = fields.webhookUrl;
+  }
+  if (fields.categories !== undefined) {
+    if (!Array.isArray(fields.categories) || fields.categories.some(category => !isValidCategory(category))) {
+      throw new ValidationError(`categories must be an array of: ${CONFIG.categories.join(', ')}`, 'categories');
+    }
+    normalized.categories = [...new Set(fields.categories)];
+  }
+  if (fields.cadence !== undefined) {
+    if (!CONFIG.integrations.cadences.includes(fields.cadence)) {
+      throw new ValidationError(`cadence must be one of: ${CONFIG.integrations.cadences.join(', ')}`, 'cadence');
+    }
+    normalized.cadence = fields.cadence;
+  }
+  
+  return normalized;
+}
+
+function selectIntegrationStories(integration, stories) {
+  const categories = new Set(integration.categories || []);
+  return stories
+    .filter(story => categories.size === 0 || categories.has(story.category))
+    .slice(0, CONFIG.integrations.maxStoriesPerMessage)
+    .map(story => localizeArticle(story));
+}
+
+/**
+ * POST one message to an integration's webhook, retried with withRetry
+ * With track (the default) the outcome is recorded on the integration, and it is
+ * disabled after maxConsecutiveFailures failed deliveries in a row. Never throws.
+ * @param {Object} doc - webhook_integrations document snapshot
+ * @param {Array} stories - Articles to post, already filtered and ordered
+ * @param {{title: string, intro: string, batchId?: string, track?: boolean}} options
+ * @returns {Promise<{delivered: boolean, disabled?: boolean, error?: string}>}
+ */
+async function deliverToIntegration(doc, stories, { title, intro, batchId = null, track = true }) {
+  const integration = doc.data();
+  const platform = getWebhookPlatform(integration.platform);
+  const body = platform.format({
+    title,
+    intro,
+    siteUrl: CONFIG.feeds.siteUrl,
+    articles: stories.map(story => ({
+      title: story.title,
+      summary: story.summary || '',
+      link: story.link,
+      source: story.source,
+      category: story.category
+    }))
+  });
+  
+  try {
+    await withRetry(async () => {
+      try {
+        await axios.post(integration.webhookUrl, body, {
+          timeout: CONFIG.integrations.requestTimeout,
+          headers: { 'Content-Type': 'application/json' },
+          maxRedirects: 0
+        });
+      } catch (error) {
+        // Don't hammer a channel that is rate limiting us; the next delivery tries again
+        if (error.response && error.response.status === 429) {
+          throw new RateLimitError(`${platform.label} webhook rate limited`, 'webhook', parseInt(error.response.headers['retry-after'] || '60'));
+        }
+        // A removed or misconfigured webhook answers 4xx; sending again won't change that
+        if (error.response && error.response.status >= 400 && error.response.status < 500) {
+          throw new ApiError(`HTTP ${error.response.status} from ${platform.label}`, 'webhook', error.response.status, false);
+        }
+        throw error;
+      }
+    });
+    
+    if (track) {
+      await doc.ref.update({
+        lastDeliveredAt: Timestamp.now(),
+        lastArticleIds: stories.map(story => story.id),
+        ...(batchId ? { lastBatchId: batchId } : {}),
+        consecutiveFailures: 0,
+        lastError: null
+      });
+    }
+    return { delivered: true };
+  } catch (error) {
+    const message = (error.response ? `HTTP ${error.response.status} from ${platform.label}` : error.message).substring(0, 200);
+    logger.warn(`Webhook delivery failed for integration ${doc.id}: ${message}`, {
+      instanceId: INSTANCE_ID,
+      integrationId: doc.id,
+      platform: integration.platform,
+      track
+    });
+    if (!track) {
+      return { delivered: false, error: message };
+    }
+    
+    const failures = (integration.consecutiveFailures || 0) + 1;
+    const disabled = failures >= CONFIG.integrations.maxConsecutiveFailures;
+    try {
+      await doc.ref.update({
+        consecutiveFailures: failures,
+        lastError: message,
+        lastFailureAt: Timestamp.now(),
+        ...(disabled ? {
+          enabled: false,
+          disabledAt: Timestamp.now(),
+          disabledReason: `Disabled after ${failures} failed deliveries in a row`
+        } : {})
+      });
+      if (disabled) {
+        await writeAuditLog('system', 'disableWebhookIntegration', { type: 'webhookIntegration', id: doc.id }, {
+          failures,
+          lastError: message
+        });
+      }
+    } catch (updateError) {
+      logger.error(`Failed to record webhook failure for integration ${doc.id}`, {
+        instanceId: INSTANCE_ID,
+        error: updateError.message
+      });
+    }
+    return { delivered: false, disabled, error: message };
+  }
+}
+
+/**
+ * Admin: register a Slack or Teams incoming webhook for a channel
+ */
+exports.createWebhookIntegration = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('createWebhookIntegration');
+    logFunctionCall('createWebhookIntegration', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { name, platform, webhookUrl, categories = [], cadence = 'daily' } = request.data || {};
+    
+    if (!getWebhookPlatformNames().includes(platform)) {
+      throw new HttpsError('invalid-argument', `platform must be one of: ${getWebhookPlatformNames().join(', ')}`);
+    }
+    if (name === undefined || webhookUrl === undefined) {
+      throw new HttpsError('invalid-argument', 'name and webhookUrl are required.');
+    }
+    
+    return await withConcurrentLimit(userId, 'createWebhookIntegration', async () => {
+      try {
+        await requirePermission(request, 'createWebhookIntegration');
+        
+        const fields = normalizeIntegrationFields({ name, webhookUrl, categories, cadence }, platform);
+        const existing = await db.collection('webhook_integrations').get();
+        if (existing.size >= CONFIG.integrations.maxIntegrations) {
+          throw new HttpsError('resource-exhausted', `At most ${CONFIG.integrations.maxIntegrations} integrations can be registered.`);
+        }
+        
+        const now = Timestamp.now();
+        const data = {
+          ...fields,
+          platform,
+          enabled: true,
+          createdBy: userId,
+          createdAt: now,
+          updatedAt: now,
+          lastDeliveredAt: null,
+          lastBatchId: null,
+          consecutiveFailures: 0,
+          lastError: null
+        };
+        const ref = await db.collection('webhook_integrations').add(data);
+        
+        await writeAuditLog(userId, 'createWebhookIntegration', { type: 'webhookIntegration', id: ref.id }, {
+          name: fields.name,
+          platform,
+          cadence: fields.cadence,
+          categories: fields.categories
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('createWebhookIntegration', startTimeMetric);
+        logFunctionCall('createWebhookIntegration', request, startTime);
+        
+        return {
+          success: true,
+          integration: toIntegrationView(ref.id, data),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error creating webhook integration", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to create webhook integration', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_CREATE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: change an integration's name, URL, categories or cadence, or turn it on or off
+ * Turning a disabled integration back on clears its failure count.
+ */
+exports.updateWebhookIntegration = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('updateWebhookIntegration');
+    logFunctionCall('updateWebhookIntegration', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { integrationId, changes = {} } = request.data || {};
+    
+    if (typeof integrationId !== 'string' || !integrationId) {
+      throw new HttpsError('invalid-argument', 'integrationId is required.');
+    }
+    if (typeof changes !== 'object' || Object.keys(changes).length === 0) {
+      throw new HttpsError('invalid-argument', 'Provide at least one of: name, webhookUrl, categories, cadence, enabled');
+    }
+    if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') {
+      throw new HttpsError('invalid-argument', 'enabled must be a boolean.');
+    }
+    
+    return await withConcurrentLimit(userId, 'updateWebhookIntegration', async () => {
+      try {
+        await requirePermission(request, 'updateWebhookIntegration');
+        
+        const ref = db.collection('webhook_integrations').doc(integrationId);
+        const doc = await ref.get();
+        if (!doc.exists) {
+          throw new ResourceNotFoundError('Webhook integration not found', integrationId);
+        }
+        
+        const { enabled, ...fields } = changes;
+        const update = { ...normalizeIntegrationFields(fields, doc.data().platform), updatedAt: Timestamp.now() };
+        if (enabled !== undefined) {
+          update.enabled = enabled;
+          if (enabled) {
+            Object.assign(update, { consecutiveFailures: 0, disabledAt: null, disabledReason: null });
+          }
+        }
+        await ref.update(update);
+        
+        await writeAuditLog(userId, 'updateWebhookIntegration', { type: 'webhookIntegration', id: integrationId }, {
+          // Never log the webhook URL itself
+          changed: Object.keys(changes),
+          ...(enabled !== undefined ? { enabled } : {})
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('updateWebhookIntegration', startTimeMetric);
+        logFunctionCall('updateWebhookIntegration', request, startTime);
+        
+        return {
+          success: true,
+          integration: toIntegrationView(integrationId, (await ref.get()).data()),
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error updating webhook integration", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          integrationId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ValidationError) {
+          throw new HttpsError('invalid-argument', error.message);
+        }
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to update webhook integration', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_UPDATE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: remove an integration
+ */
+exports.deleteWebhookIntegration = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('deleteWebhookIntegration');
+    logFunctionCall('deleteWebhookIntegration', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { integrationId } = request.data || {};
+    
+    if (typeof integrationId !== 'string' || !integrationId) {
+      throw new HttpsError('invalid-argument', 'integrationId is required.');
+    }
+    
+    return await withConcurrentLimit(userId, 'deleteWebhookIntegration', async () => {
+      try {
+        await requirePermission(request, 'deleteWebhookIntegration');
+        
+        const ref = db.collection('webhook_integrations').doc(integrationId);
+        const doc = await ref.get();
+        if (!doc.exists) {
+          throw new ResourceNotFoundError('Webhook integration not found', integrationId);
+        }
+        const { name, platform } = doc.data();
+        await ref.delete();
+        
+        await writeAuditLog(userId, 'deleteWebhookIntegration', { type: 'webhookIntegration', id: integrationId }, {
+          name,
+          platform
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('deleteWebhookIntegration', startTimeMetric);
+        logFunctionCall('deleteWebhookIntegration', request, startTime);
+        
+        return {
+          success: true,
+          integrationId,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error deleting webhook integration", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          integrationId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to delete webhook integration', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_DELETE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Ops: every integration with its delivery status (webhook URLs masked)
+ */
+exports.listWebhookIntegrations = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('listWebhookIntegrations');
+    logFunctionCall('listWebhookIntegrations', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    return await withConcurrentLimit(userId, 'listWebhookIntegrations', async () => {
+      try {
+        await requirePermission(request, 'listWebhookIntegrations');
+        
+        const snapshot = await db.collection('webhook_integrations').get();
+        const integrations = snapshot.docs
+          .map(doc => toIntegrationView(doc.id, doc.data()))
+          .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        
+        const duration = performanceMetrics.trackFunctionEnd('listWebhookIntegrations', startTimeMetric);
+        logFunctionCall('listWebhookIntegrations', request, startTime);
+        
+        return {
+          integrations,
+          count: integrations.length,
+          platforms: getWebhookPlatformNames(),
+          cadences: CONFIG.integrations.cadences,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error listing webhook integrations", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to list webhook integrations', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_LIST_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: post today's top stories to an integration now
+ * Test posts don't count toward auto-disable and work on disabled integrations,
+ * so a fixed URL can be checked before turning it back on.
+ */
+exports.testWebhookIntegration = onCall(
+  {
+    memory: "256MiB",
+    timeoutSeconds: 60,
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('testWebhookIntegration');
+    logFunctionCall('testWebhookIntegration', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { integrationId } = request.data || {};
+    
+    if (typeof integrationId !== 'string' || !integrationId) {
+      throw new HttpsError('invalid-argument', 'integrationId is required.');
+    }
+    
+    return await withConcurrentLimit(userId, 'testWebhookIntegration', async () => {
+      try {
+        await requirePermission(request, 'testWebhookIntegration');
+        
+        const doc = await db.collection('webhook_integrations').doc(integrationId).get();
+        if (!doc.exists) {
+          throw new ResourceNotFoundError('Webhook integration not found', integrationId);
+        }
+        
+        const stories = selectIntegrationStories(doc.data(), await loadRankedRecentArticles(CONFIG.integrations.lookbackDays.daily));
+        if (stories.length === 0) {
+          throw new HttpsError('failed-precondition', 'No stories from the last day match this integration\'s categories.');
+        }
+        
+        const result = await deliverToIntegration(doc, stories, {
+          title: `${CONFIG.feeds.title} (test)`,
+          intro: `Test post for "${doc.data().name}"`,
+          track: false
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('testWebhookIntegration', startTimeMetric);
+        logFunctionCall('testWebhookIntegration', request, startTime);
+        
+        return {
+          delivered: result.delivered,
+          error: result.error || null,
+          storyCount: stories.length,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error testing webhook integration", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          integrationId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to test webhook integration', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_TEST_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Post each stored batch's new stories to the "batch" cadence integrations
+ * Runs when storeArticlesScalable writes batch_metadata; lastBatchId keeps a
+ * retried event from posting twice.
+ */
+exports.deliverBatchWebhooks = onDocumentCreated(
+  {
+    document: "batch_metadata/{batchId}",
+    timeoutSeconds: 300,
+    memory: "256MiB",
+  },
+  async (event) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('deliverBatchWebhooks');
+    const batchId = event.params.batchId;
+    const newArticleIds = event.data ? event.data.data().newArticleIds || [] : [];
+    
+    try {
+      const snapshot = newArticleIds.length > 0 ?
+        await db.collection('webhook_integrations')
+          .where('enabled', '==', true)
+          .where('cadence', '==', 'batch')
+          .get() :
+        null;
+      if (!snapshot || snapshot.empty) {
+        performanceMetrics.trackFunctionEnd('deliverBatchWebhooks', startTimeMetric);
+        return;
+      }
+      
+      const stories = await loadNewBatchStories(newArticleIds);
+      const stats = { delivered: 0, failed: 0, disabled: 0, noMatch: 0 };
+      
+      await mapWithConcurrency(snapshot.docs, CONFIG.integrations.deliveryConcurrency, async doc => {
+        const selected = doc.data().lastBatchId === batchId ? [] : selectIntegrationStories(doc.data(), stories);
+        if (selected.length === 0) {
+          stats.noMatch++;
+          return;
+        }
+        
+        const result = await deliverToIntegration(doc, selected, {
+          title: CONFIG.feeds.title,
+          intro: `${selected.length} new ${selected.length === 1 ? 'story' : 'stories'} just in`,
+          batchId
+        });
+        stats[result.delivered ? 'delivered' : 'failed']++;
+        if (result.disabled) stats.disabled++;
+      });
+      
+      const duration = performanceMetrics.trackFunctionEnd('deliverBatchWebhooks', startTimeMetric);
+      logger.info(`Batch webhooks: ${stats.delivered} delivered, ${stats.failed} failed`, {
+        instanceId: INSTANCE_ID,
+        batchId,
+        integrations: snapshot.size,
+        ...stats,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error delivering batch webhooks", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        batchId,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      throw new DatabaseError('Failed to deliver batch webhooks', 'webhook_delivery');
+    }
+  }
+);
+
+/**
+ * Post the top stories to the "daily" and "weekly" integrations that are due
+ * An integration is due once its interval has passed since its last delivery
+ * (an hour of slack absorbs scheduler jitter); failed or empty runs are tried
+ * again the next day.
+ */
+exports.deliverScheduledWebhooks = onSchedule(
+  {
+    schedule: "every day 09:00",
+    timeoutSeconds: 300,
+    memory: "256MiB",
+  },
+  async () => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('deliverScheduledWebhooks');
+    
+    try {
+      const now = Date.now();
+      const snapshot = await db.collection('webhook_integrations').where('enabled', '==', true).get();
+      const due = snapshot.docs.filter(doc => {
+        const { cadence, lastDeliveredAt } = doc.data();
+        if (!CADENCE_INTERVAL_HOURS[cadence]) return false;
+        return !lastDeliveredAt || now - lastDeliveredAt.toMillis() >= (CADENCE_INTERVAL_HOURS[cadence] - 1) * HOUR_MS;
+      });
+      
+      const rankedByCadence = {};
+      const stats = { delivered: 0, failed: 0, disabled: 0, noMatch: 0 };
+      
+      for (const doc of due) {
+        const { cadence } = doc.data();
+        if (!rankedByCadence[cadence]) {
+          rankedByCadence[cadence] = await loadRankedRecentArticles(CONFIG.integrations.lookbackDays[cadence], now);
+        }
+      }
+      
+      await mapWithConcurrency(due, CONFIG.integrations.deliveryConcurrency, async doc => {
+        const { cadence } = doc.data();
+        const selected = selectIntegrationStories(doc.data(), rankedByCadence[cadence]);
+        if (selected.length === 0) {
+          stats.noMatch++;
+          return;
+        }
+        
+        const result = await deliverToIntegration(doc, selected, {
+          title: cadence === 'weekly' ? `${CONFIG.feeds.title} this week` : `${CONFIG.feeds.title} today`,
+          intro: `The ${selected.length} most-read good news ${selected.length === 1 ? 'story' : 'stories'} of the last ${cadence === 'weekly' ? 'week' : 'day'}`
+        });
+        stats[result.delivered ? 'delivered' : 'failed']++;
+        if (result.disabled) stats.disabled++;
+      });
+      
+      const duration = performanceMetrics.trackFunctionEnd('deliverScheduledWebhooks', startTimeMetric);
+      logger.info(`Scheduled webhooks: ${stats.delivered} delivered, ${stats.failed} failed`, {
+        instanceId: INSTANCE_ID,
+        enabled: snapshot.size,
+        due: due.length,
+        ...stats,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error delivering scheduled webhooks", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      throw new DatabaseError('Failed to deliver scheduled webhooks', 'webhook_delivery');
+    }
+  }
+);
+
+// ==================== SIGNED OUTBOUND WEBHOOKS ====================
+// For consumers that would otherwise poll getAllArticles.
+//   webhook_subscriptions/{id}: { url, events, categories, description, secret, enabled,
+//     createdBy, createdAt }
+//   webhook_deliveries/{id}: { subscriptionId, eventId, event, body, status (pending |
+//     delivered | failed), attempts, nextAttemptAt, lastStatusCode, lastError, history,
+//     createdAt, deliveredAt, failedAt, replayOf, expiresAt }
+// Each POST carries X-GoodNews-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<body>" with the subscription secret>. Delivery is at least once; consumers
+// dedupe on X-GoodNews-Delivery (or the payload id, which replays keep).
+
+const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+
+// Per event: the part of its data a subscription's categories let through, or null for none
+const WEBHOOK_EVENT_FILTERS = {
+  'batch.stored': (data, categories) => {
+    const articles = data.articles.filter(article => categories.has(article.category));
+    if (articles.length === 0) return null;
+    const ids = new Set(articles.map(article => article.id));
+    return { ...data, articles, newArticleIds: data.newArticleIds.filter(id => ids.has(id)) };
+  },
+  'article.unpublished': (data, categories) => categories.has(data.category) ? data : null
+};
+
+function toWebhookSubscriptionView(id, data) {
+  return {
+    id,
+    url: data.url,
+    events: data.events,
+    categories: data.categories || [],
+    description: data.description || '',
+    enabled: data.enabled === true,
+    createdBy: data.createdBy,
+    createdAt: toIsoTimestamp(data.createdAt)
+  };
+}
+
+function toWebhookDeliveryView(id, data) {
+  return {
+    id,
+    subscriptionId: data.subscriptionId,
+    eventId: data.eventId,
+    event: data.event,
+    status: data.status,
+    attempts: data.attempts || 0,
+    nextAttemptAt: data.status === 'pending' ? toIsoTimestamp(data.nextAttemptAt) : null,
+    lastStatusCode: data.lastStatusCode ?? null,
+    lastError: data.lastError || null,
+    history: (data.history || []).map(entry => ({ ...entry, at: toIsoTimestamp(entry.at) })),
+    replayOf: data.replayOf || null,
+    createdAt: toIsoTimestamp(data.createdAt),
+    deliveredAt: toIsoTimestamp(data.deliveredAt),
+    failedAt: toIsoTimestamp(data.failedAt)
+  };
+}
+
+/**
+ * @returns {string|null} What is wrong with a subscription URL, or null
+ */
+function validateSubscriptionUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be a valid URL';
+  }
+  if (parsed.protocol !== 'https:' || url.length > 2000) {
+    return 'url must be an https URL of at most 2000 characters';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  if (parsed.hostname === 'localhost' || /^[\d.]+$/.test(parsed.hostname) || parsed.hostname.startsWith('[')) {
+    return 'url must use a public host name, not localhost or an IP address';
+  }
+  return null;
+}
+
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Wait before the next attempt after `attempts` failed ones
+ */
+function webhookRetryDelayMs(attempts) {
+  const seconds = CONFIG.webhooks.baseRetryDelaySeconds * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(seconds, CONFIG.webhooks.maxRetryDelaySeconds) * 1000;
+}
+
+/**
+ * Queue an event for every enabled subscription to it
+ * The first attempt is made by deliverWebhook as each delivery is created.
+ * Never throws: a consumer being set up wrong must not break fetching or moderation.
+ * @param {string} event - One of CONFIG.webhooks.events
+ * @param {Object} data - Event data; see WEBHOOK_EVENT_FILTERS for the category filter
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const snapshot = await db.collection('webhook_subscriptions')
+      .where('enabled', '==', true)
+      .where('events', 'array-contains', event)
+      .get();
+    if (snapshot.empty) return 0;
+    
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const now = Timestamp.now();
+    const batch = db.batch();
+    let queued = 0;
+    
+    snapshot.docs.forEach(doc => {
+      const categories = doc.data().categories || [];
+      const scoped = categories.length > 0 ? WEBHOOK_EVENT_FILTERS[event](data, new Set(categories)) : data;
+      if (!scoped) return;
+      
+      batch.set(db.collection('webhook_deliveries').doc(), {
+        subscriptionId: doc.id,
+        eventId,
+        event,
+        // Stored serialized so every attempt and replay signs the same bytes
+        body: JSON.stringify({ id: eventId, type: event, createdAt: now.toDate().toISOString(), data: scoped }),
+        status: 'pending',
+        attempts: 0,
+        // deliverWebhook makes the first attempt; redeliverWebhooks is the fallback
+        nextAttemptAt: Timestamp.fromMillis(now.toMillis() + webhookRetryDelayMs(1)),
+        history: [],
+        createdAt: now,
+        expiresAt: Timestamp.fromMillis(now.toMillis() + CONFIG.webhooks.deliveryLogTTL)
+      });
+      queued++;
+    });
+    
+    if (queued > 0) {
+      await batch.commit();
+    }
+    logger.info(`Queued ${queued} webhook deliveries for ${event}`, {
+      instanceId: INSTANCE_ID,
+      eventId,
+      event,
+      subscriptions: snapshot.size,
+      queued
+    });
+    return queued;
+  } catch (error) {
+    logger.error(`Failed to queue webhook event ${event}`, {
+      instanceId: INSTANCE_ID,
+      error: error.message
+    });
+    return 0;
+  }
+}
+
+/**
+ * Make one attempt at a pending delivery and record the outcome
+ * The attempt is claimed in a transaction (attempts must still equal
+ * expectedAttempts), so a trigger retry and redeliverWebhooks can't both send it.
+ * @returns {Promise<string|null>} The delivery's new status, or null when it wasn't ours to send
+ */
+async function attemptWebhookDelivery(ref, expectedAttempts) {
+  const delivery = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().status !== 'pending' || (doc.data().attempts || 0) !== expectedAttempts) {
+      return null;
+    }
+    transaction.update(ref, { nextAttemptAt: Timestamp.fromMillis(Date.now() + CONFIG.webhooks.leaseSeconds * 1000) });
+    return doc.data();
+  });
+  if (!delivery) return null;
+  
+  const subscriptionDoc = await db.collection('webhook_subscriptions').doc(delivery.subscriptionId).get();
+  const attempts = expectedAttempts + 1;
+  const startTime = Date.now();
+  let statusCode = null;
+  let errorMessage = null;
+  
+  if (!subscriptionDoc.exists || !subscriptionDoc.data().enabled) {
+    errorMessage = 'Subscription deleted or disabled';
+  } else {
+    const { url, secret } = subscriptionDoc.data();
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await axios.post(url, delivery.body, {
+        timeout: CONFIG.webhooks.requestTimeout,
+        maxRedirects: 0,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `GoodNewsYouMissed-Webhooks/${VERSION}`,
+          'X-GoodNews-Event': delivery.event,
+          'X-GoodNews-Delivery': ref.id,
+          [CONFIG.webhooks.signatureHeader]: `t=${timestamp},v1=${signWebhookBody(secret, timestamp, delivery.body)}`
+        }
+      });
+      statusCode = response.status;
+    } catch (error) {
+      statusCode = error.response ? error.response.status : null;
+      errorMessage = (error.response ? `HTTP ${error.response.status}` : error.message).substring(0, 200);
+    }
+  }
+  
+  const now = Timestamp.now();
+  const entry = { at: now, statusCode, error: errorMessage, durationMs: Date.now() - startTime };
+  const update = { attempts, lastStatusCode: statusCode, lastError: errorMessage, history: FieldValue.arrayUnion(entry) };
+  // A missing subscription won't come back; anything else is retried with backoff
+  const gaveUp = errorMessage && (!subscriptionDoc.exists || attempts >= CONFIG.webhooks.maxAttempts);
+  
+  if (!errorMessage) {
+    Object.assign(update, { status: 'delivered', deliveredAt: now });
+  } else if (gaveUp) {
+    Object.assign(update, { status: 'failed', failedAt: now });
+  } else {
+    update.nextAttemptAt = Timestamp.fromMillis(now.toMillis() + webhookRetryDelayMs(attempts));
+  }
+  await ref.update(update);
+  
+  if (errorMessage) {
+    logger.warn(`Webhook delivery ${ref.id} attempt ${attempts} failed: ${errorMessage}`, {
+      instanceId: INSTANCE_ID,
+      deliveryId: ref.id,
+      subscriptionId: delivery.subscriptionId,
+      event: delivery.event,
+      gaveUp: !!gaveUp
+    });
+  }
+  return update.status || 'pending';
+}
+
+/**
+ * Admin: register an endpoint for signed event deliveries
+ * The signing secret is only returned here; store it on the consumer side.
+ */
+exports.createWebhookSubscription = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('createWebhookSubscription');
+    logFunctionCall('createWebhookSubscription', request);
+    
+    // Request size validation
+    const sizeValidation = validateRequestSize(request.data);
+    if (!sizeValidation.isValid) {
+      throw new HttpsError('invalid-argument', sizeValidation.message);
+    }
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { url, events = CONFIG.webhooks.events, categories = [], description = '' } = request.data || {};
+    
+    const urlIssue = typeof url === 'string' ? validateSubscriptionUrl(url) : 'url is required';
+    if (urlIssue) {
+      throw new HttpsError('invalid-argument', urlIssue);
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !CONFIG.webhooks.events.includes(event))) {
+      throw new HttpsError('invalid-argument', `events must be a non-empty array of: ${CONFIG.webhooks.events.join(', ')}`);
+    }
+    if (!Array.isArray(categories) || categories.some(category => !isValidCategory(category))) {
+      throw new HttpsError('invalid-argument', `categories must be an array of: ${CONFIG.categories.join(', ')}`);
+    }
+    if (typeof description !== 'string' || description.length > MAX_WEBHOOK_DESCRIPTION_LENGTH) {
+      throw new HttpsError('invalid-argument', `description must be a string of at most ${MAX_WEBHOOK_DESCRIPTION_LENGTH} characters`);
+    }
+    
+    return await withConcurrentLimit(userId, 'createWebhookSubscription', async () => {
+      try {
+        await requirePermission(request, 'createWebhookSubscription');
+        
+        const existing = await db.collection('webhook_subscriptions').get();
+        if (existing.size >= CONFIG.webhooks.maxSubscriptions) {
+          throw new HttpsError('resource-exhausted', `At most ${CONFIG.webhooks.maxSubscriptions} webhook subscriptions can be registered.`);
+        }
+        
+        const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+        const data = {
+          url,
+          events: [...new Set(events)],
+          categories: [...new Set(categories)],
+          description: description.trim(),
+          secret,
+          enabled: true,
+          createdBy: userId,
+          createdAt: Timestamp.now()
+        };
+        const ref = await db.collection('webhook_subscriptions').add(data);
+        
+        await writeAuditLog(userId, 'createWebhookSubscription', { type: 'webhookSubscription', id: ref.id }, {
+          url,
+          events: data.events,
+          categories: data.categories
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('createWebhookSubscription', startTimeMetric);
+        logFunctionCall('createWebhookSubscription', request, startTime);
+        
+        return {
+          success: true,
+          subscription: toWebhookSubscriptionView(ref.id, data),
+          secret,
+          signatureHeader: CONFIG.webhooks.signatureHeader,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error creating webhook subscription", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to create webhook subscription', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_SUBSCRIPTION_CREATE_ERROR',
+          version: VERSION
+        });
       }
-    };
+    });
+  }
+);
+
+/**
+ * Ops: every webhook subscription (secrets are never returned)
+ */
+exports.listWebhookSubscriptions = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('listWebhookSubscriptions');
+    logFunctionCall('listWebhookSubscriptions', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    
+    return await withConcurrentLimit(userId, 'listWebhookSubscriptions', async () => {
+      try {
+        await requirePermission(request, 'listWebhookSubscriptions');
+        
+        const snapshot = await db.collection('webhook_subscriptions').get();
+        const subscriptions = snapshot.docs
+          .map(doc => toWebhookSubscriptionView(doc.id, doc.data()))
+          .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        
+        const duration = performanceMetrics.trackFunctionEnd('listWebhookSubscriptions', startTimeMetric);
+        logFunctionCall('listWebhookSubscriptions', request, startTime);
+        
+        return {
+          subscriptions,
+          count: subscriptions.length,
+          events: CONFIG.webhooks.events,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error listing webhook subscriptions", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to list webhook subscriptions', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_SUBSCRIPTION_LIST_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Admin: remove a subscription
+ * Its pending deliveries fail on their next attempt; the log is kept until it expires.
+ */
+exports.deleteWebhookSubscription = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('deleteWebhookSubscription');
+    logFunctionCall('deleteWebhookSubscription', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { subscriptionId } = request.data || {};
+    
+    if (typeof subscriptionId !== 'string' || !subscriptionId) {
+      throw new HttpsError('invalid-argument', 'subscriptionId is required.');
+    }
+    
+    return await withConcurrentLimit(userId, 'deleteWebhookSubscription', async () => {
+      try {
+        await requirePermission(request, 'deleteWebhookSubscription');
+        
+        const ref = db.collection('webhook_subscriptions').doc(subscriptionId);
+        const doc = await ref.get();
+        if (!doc.exists) {
+          throw new ResourceNotFoundError('Webhook subscription not found', subscriptionId);
+        }
+        const { url } = doc.data();
+        await ref.delete();
+        
+        await writeAuditLog(userId, 'deleteWebhookSubscription', { type: 'webhookSubscription', id: subscriptionId }, { url });
+        
+        const duration = performanceMetrics.trackFunctionEnd('deleteWebhookSubscription', startTimeMetric);
+        logFunctionCall('deleteWebhookSubscription', request, startTime);
+        
+        return {
+          success: true,
+          subscriptionId,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error deleting webhook subscription", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          subscriptionId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to delete webhook subscription', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_SUBSCRIPTION_DELETE_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Ops: the delivery log, newest first
+ * Filter by subscriptionId and/or status ('pending', 'delivered' or 'failed').
+ */
+exports.listWebhookDeliveries = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('listWebhookDeliveries');
+    logFunctionCall('listWebhookDeliveries', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { subscriptionId, status, limit = 50 } = request.data || {};
+    
+    if (subscriptionId !== undefined && (typeof subscriptionId !== 'string' || !subscriptionId)) {
+      throw new HttpsError('invalid-argument', 'subscriptionId must be a non-empty string.');
+    }
+    if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+      throw new HttpsError('invalid-argument', 'status must be one of: pending, delivered, failed');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw new HttpsError('invalid-argument', 'limit must be an integer between 1 and 200.');
+    }
+    
+    return await withConcurrentLimit(userId, 'listWebhookDeliveries', async () => {
+      try {
+        await requirePermission(request, 'listWebhookDeliveries');
+        
+        let query = db.collection('webhook_deliveries');
+        if (subscriptionId) query = query.where('subscriptionId', '==', subscriptionId);
+        if (status) query = query.where('status', '==', status);
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+        const deliveries = snapshot.docs.map(doc => toWebhookDeliveryView(doc.id, doc.data()));
+        
+        const duration = performanceMetrics.trackFunctionEnd('listWebhookDeliveries', startTimeMetric);
+        logFunctionCall('listWebhookDeliveries', request, startTime);
+        
+        return {
+          deliveries,
+          count: deliveries.length,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error listing webhook deliveries", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
+        throw new HttpsError('internal', 'Failed to list webhook deliveries', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_DELIVERY_LIST_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Ops: send a failed delivery again
+ * The replay is a new delivery with the same payload (same event id) and a fresh
+ * set of attempts, signed with the subscription's current secret.
+ */
+exports.replayWebhookDelivery = onCall(
+  {
+    memory: "256MiB",
+  },
+  async (request) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('replayWebhookDelivery');
+    logFunctionCall('replayWebhookDelivery', request);
+    
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { deliveryId } = request.data || {};
+    
+    if (typeof deliveryId !== 'string' || !deliveryId) {
+      throw new HttpsError('invalid-argument', 'deliveryId is required.');
+    }
+    
+    return await withConcurrentLimit(userId, 'replayWebhookDelivery', async () => {
+      try {
+        await requirePermission(request, 'replayWebhookDelivery');
+        
+        const ref = db.collection('webhook_deliveries').doc(deliveryId);
+        const doc = await ref.get();
+        if (!doc.exists) {
+          throw new ResourceNotFoundError('Webhook delivery not found', deliveryId);
+        }
+        const original = doc.data();
+        if (original.status !== 'failed') {
+          throw new HttpsError('failed-precondition', `Only failed deliveries can be replayed; this one is ${original.status}.`);
+        }
+        const subscriptionDoc = await db.collection('webhook_subscriptions').doc(original.subscriptionId).get();
+        if (!subscriptionDoc.exists || !subscriptionDoc.data().enabled) {
+          throw new HttpsError('failed-precondition', 'The subscription for this delivery no longer exists or is disabled.');
+        }
+        
+        const now = Timestamp.now();
+        const replayRef = db.collection('webhook_deliveries').doc();
+        const batch = db.batch();
+        batch.set(replayRef, {
+          subscriptionId: original.subscriptionId,
+          eventId: original.eventId,
+          event: original.event,
+          body: original.body,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: Timestamp.fromMillis(now.toMillis() + webhookRetryDelayMs(1)),
+          history: [],
+          replayOf: deliveryId,
+          replayedBy: userId,
+          createdAt: now,
+          expiresAt: Timestamp.fromMillis(now.toMillis() + CONFIG.webhooks.deliveryLogTTL)
+        });
+        batch.update(ref, { replayedAt: now, replayDeliveryId: replayRef.id });
+        await batch.commit();
+        
+        await writeAuditLog(userId, 'replayWebhookDelivery', { type: 'webhookDelivery', id: deliveryId }, {
+          replayDeliveryId: replayRef.id,
+          subscriptionId: original.subscriptionId,
+          event: original.event
+        });
+        
+        const duration = performanceMetrics.trackFunctionEnd('replayWebhookDelivery', startTimeMetric);
+        logFunctionCall('replayWebhookDelivery', request, startTime);
+        
+        return {
+          success: true,
+          deliveryId: replayRef.id,
+          replayOf: deliveryId,
+          duration,
+          version: VERSION
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        logger.error("Error replaying webhook delivery", {
+          instanceId: INSTANCE_ID,
+          error: error.message,
+          userId,
+          deliveryId,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to replay webhook delivery', {
+          details: error.message.substring(0, 100),
+          code: 'WEBHOOK_REPLAY_ERROR',
+          version: VERSION
+        });
+      }
+    });
+  }
+);
+
+/**
+ * First attempt for each queued delivery (emitted events and replays)
+ */
+exports.deliverWebhook = onDocumentCreated(
+  {
+    document: "webhook_deliveries/{deliveryId}",
+    timeoutSeconds: 60,
+    memory: "256MiB",
+  },
+  async (event) => {
+    if (!event.data) return;
+    
+    try {
+      await attemptWebhookDelivery(event.data.ref, 0);
+    } catch (error) {
+      // redeliverWebhooks picks it up once the lease runs out
+      logger.error("Error delivering webhook", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        deliveryId: event.params.deliveryId,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * Retry deliveries whose backoff has passed
+ */
+exports.redeliverWebhooks = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    timeoutSeconds: 300,
+    memory: "256MiB",
+  },
+  async () => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('redeliverWebhooks');
+    
+    try {
+      const snapshot = await db.collection('webhook_deliveries')
+        .where('status', '==', 'pending')
+        .where('nextAttemptAt', '<=', Timestamp.now())
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(CONFIG.webhooks.redeliveryBatchSize)
+        .get();
+      
+      const stats = { delivered: 0, pending: 0, failed: 0, skipped: 0 };
+      await mapWithConcurrency(snapshot.docs, CONFIG.webhooks.deliveryConcurrency, async doc => {
+        const status = await attemptWebhookDelivery(doc.ref, doc.data().attempts || 0);
+        stats[status || 'skipped']++;
+      });
+      
+      const duration = performanceMetrics.trackFunctionEnd('redeliverWebhooks', startTimeMetric);
+      if (snapshot.size > 0) {
+        logger.info(`Webhook redelivery: ${stats.delivered} delivered, ${stats.failed} given up`, {
+          instanceId: INSTANCE_ID,
+          due: snapshot.size,
+          ...stats,
+          duration,
+          version: VERSION,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error("Error redelivering webhooks", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      throw new DatabaseError('Failed to redeliver webhooks', 'webhook_redelivery');
+    }
+  }
+);
+
+// ==================== PUBLIC FEEDS ====================
+
+/**
+ * Version of every public feed: the most recent stored batch plus the feed
+ * revision, which invalidateRelatedCaches({ feeds: true }) bumps on article edits
+ * @returns {Promise<{batchId: string, revision: number, processedAt: Date|null}>}
+ *   processedAt is the later of the batch time and the last revision bump
+ */
+async function getLatestBatchInfo() {
+  const [snapshot, revisionDoc] = await Promise.all([
+    db.collection('batch_metadata')
+      .orderBy('processedAt', 'desc')
+      .limit(1)
+      .get(),
+    db.collection('app_config').doc('feeds').get()
+  ]);
+  
+  const revisionData = revisionDoc.exists ? revisionDoc.data() : {};
+  const revision = revisionData.revision || 0;
+  const revisedAt = revisionData.updatedAt?.toDate ? revisionData.updatedAt.toDate() : null;
+  
+  if (snapshot.empty) {
+    return { batchId: 'none', revision, processedAt: revisedAt };
+  }
+  
+  const data = snapshot.docs[0].data();
+  const processedAt = data.processedAt?.toDate ? data.processedAt.toDate() : null;
+  return {
+    batchId: data.batchId,
+    revision,
+    processedAt: processedAt && revisedAt && revisedAt > processedAt ? revisedAt : (processedAt || revisedAt)
+  };
+}
+
+function toFeedItem(storedArticle) {
+  // Feeds are published in the default locale
+  const article = localizeArticle(storedArticle);
+  const original = article.publishedOriginal ? new Date(article.publishedOriginal) : null;
+  const stored = article.publishedAt?.toDate ? article.publishedAt.toDate() : new Date();
+  const published = original && !Number.isNaN(original.getTime()) ? original : stored;
+  
+  return {
+    id: article.id,
+    title: article.title,
+    summary: article.summary || '',
+    link: article.link,
+    source: article.source || 'Unknown',
+    category: article.category,
+    published,
+    updated: article.updatedAt?.toDate ? article.updatedAt.toDate() : published
+  };
+}
+
+/**
+ * Rendered feed body for the latest batch, from shared_cache when neither the batch
+ * nor the feed revision has changed
+ * @returns {Promise<{body: string, cacheHit: boolean}>}
+ */
+async function getRenderedFeed(route, batch) {
+  const scope = route.category || 'ALL';
+  const cacheKey = `feed_${route.format.name}_${scope}`;
+  
+  const cached = await getSharedCache(cacheKey, CONFIG.feeds.cacheTTL);
+  if (cached && cached.batchId === batch.batchId && cached.revision === batch.revision) {
+    return { body: cached.body, cacheHit: true };
+  }
+  
+  let query = db.collection("news_articles").where("isActive", "==", true);
+  if (route.category) {
+    query = query.where("category", "==", route.category);
+  }
+  const snapshot = await query
+    .orderBy("publishedAt", "desc")
+    .limit(CONFIG.feeds.maxItems)
+    .get();
+  
+  const items = snapshot.docs.map(doc => toFeedItem({ id: doc.id, ...doc.data() }));
+  const scopeTitle = route.category ?
+    `${CONFIG.feeds.title}: ${route.category.charAt(0)}${route.category.slice(1).toLowerCase()}` :
+    CONFIG.feeds.title;
+  
+  const body = route.format.render({
+    title: scopeTitle,
+    description: CONFIG.feeds.description,
+    siteUrl: CONFIG.feeds.siteUrl,
+    selfUrl: `${CONFIG.feeds.baseUrl}/${route.category || 'all'}.${route.format.extension}`,
+    updated: batch.processedAt || new Date(),
+    generator: `Good News Engine ${VERSION}`,
+    ttlMinutes: CONFIG.feeds.readerTTL,
+    items
+  });
+  
+  await setSharedCache(cacheKey, { batchId: batch.batchId, revision: batch.revision, body }, CONFIG.feeds.cacheTTL);
+  return { body, cacheHit: false };
+}
+
+function isFeedNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === etag || tag === '*');
+  }
+  
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+  if (!lastModified || Number.isNaN(ifModifiedSince)) return false;
+  // HTTP dates have one-second resolution
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
 
+/**
+ * Public RSS 2.0 / Atom / JSON Feed 1.1 of active articles
+ * GET /feed/all.xml, /feed/goodnews.rss, /feed/SCIENCE.xml, /feed/SCIENCE.atom, /feed/SCIENCE.json
+ */
+exports.feed = onRequest(
+  {
+    memory: "256MiB",
+    cors: true
+  },
+  async (req, res) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('feed');
+    
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.set('Allow', 'GET, HEAD').status(405).send('Method Not Allowed');
+      return;
+    }
+    
+    const route = resolveFeedPath(req.path, CONFIG.categories);
+    if (!route) {
+      res.status(404).type('text/plain').send(
+        `Unknown feed. Use /feed/all.{xml,atom,json} or /feed/<CATEGORY>.{xml,atom,json} ` +
+        `where CATEGORY is one of: ${CONFIG.categories.join(', ')}`
+      );
+      return;
+    }
+    
     try {
-      const latestArticle = await db.collection("news_articles")
-        .orderBy("publishedAt", "desc")
-        .limit(1)
-        .get();
-      stats.firestore = latestArticle.empty ? 'no_data' : 'healthy';
-      stats.articleCount = latestArticle.empty ? 0 : 1;
+      const batch = await getLatestBatchInfo();
+      const etag = `"${batch.batchId}.${batch.revision}-${route.format.name}-${route.category || 'ALL'}"`;
       
-      const totalArticles = await db.collection("news_articles")
-        .where("isActive", "==", true)
-        .count()
-        .get();
-      stats.totalArticles = totalArticles.data().count;
+      res.set({
+        'Content-Type': route.format.contentType,
+        'Cache-Control': `public, max-age=${CONFIG.feeds.httpMaxAge}`,
+        'ETag': etag
+      });
+      if (batch.processedAt) {
+        res.set('Last-Modified', batch.processedAt.toUTCString());
+      }
       
-      const todayProcessed = await getDailyProcessedCount();
-      stats.todayProcessed = todayProcessed;
+      if (isFeedNotModified(req, etag, batch.processedAt)) {
+        performanceMetrics.trackFunctionEnd('feed', startTimeMetric);
+        res.status(304).end();
+        return;
+      }
+      
+      const { body, cacheHit } = await getRenderedFeed(route, batch);
+      const duration = performanceMetrics.trackFunctionEnd('feed', startTimeMetric);
       
+      logger.info(`Served ${route.format.name} feed`, {
+        instanceId: INSTANCE_ID,
+        category: route.category || 'ALL',
+        format: route.format.name,
+        batchId: batch.batchId,
+        revision: batch.revision,
+        cacheHit,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      
+      res.status(200).send(body);
     } catch (error) {
-      stats.firestore = `error: ${error.message}`;
+      const duration = Date.now() - startTime;
+      logger.error("Error serving feed", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        path: req.path,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      res.status(500).type('text/plain').send('Feed temporarily unavailable');
     }
+  }
+);
 
-    stats.aiService = process.env.GEMINI_API_KEY ? 'available' : 'missing_api_key';
-    stats.newsApi = process.env.NEWSDATA_API_KEY ? 'available' : 'missing_api_key';
-    stats.performanceMetrics = performanceMetrics.getMetrics();
+// ==================== PUBLIC REST API (v1) ====================
 
-    const duration = performanceMetrics.trackFunctionEnd('healthCheck', startTimeMetric);
-    logFunctionCall('healthCheck', {}, startTime);
+const apiKeyCache = new Map();
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Resolve a raw API key to its api_keys document
+ * Keys are stored by SHA-256 hash; the plaintext is only shown once at creation.
+ * @param {string} rawKey - Value of the X-API-Key header
+ * @returns {Promise<Object|null>} Key record with keyId, or null if unknown/revoked
+ */
+async function lookupApiKey(rawKey) {
+  if (typeof rawKey !== 'string' || !/^gn_[a-f0-9]{40}$/.test(rawKey)) {
+    return null;
+  }
+  
+  const keyId = hashApiKey(rawKey);
+  const cached = apiKeyCache.get(keyId);
+  if (cached && Date.now() - cached.fetchedAt < CONFIG.publicApi.keyCacheTTL) {
+    return cached.key;
+  }
+  
+  const keyDoc = await db.collection('api_keys').doc(keyId).get();
+  if (!keyDoc.exists || keyDoc.data().revoked) {
+    apiKeyCache.delete(keyId);
+    return null;
+  }
+  
+  const key = { keyId, ...keyDoc.data() };
+  apiKeyCache.set(keyId, { key, fetchedAt: Date.now() });
+  return key;
+}
+
+/**
+ * Per-key requests/minute through the shared RateLimiter registry
+ * Limits are per function instance, like every other RateLimiter in this file.
+ * @returns {{limit: number, remaining: number}}
+ * @throws {RateLimitError} When the key is over quota
+ */
+function enforceApiKeyQuota(apiKey) {
+  const service = `apikey_${apiKey.keyId}`;
+  const callsPerMinute = apiKey.requestsPerMinute || CONFIG.publicApi.defaultRequestsPerMinute;
+  
+  if (!rateLimiters.has(service)) {
+    rateLimiters.set(service, new RateLimiter(service, callsPerMinute));
+  }
+  const limiter = rateLimiters.get(service);
+  limiter.callsPerMinute = callsPerMinute;
+  
+  const waitTime = limiter.checkAndWait();
+  if (waitTime > 0) {
+    throw new RateLimitError(
+      `API key quota of ${callsPerMinute} requests/minute exceeded`,
+      service,
+      Math.ceil(waitTime / 1000)
+    );
+  }
+  
+  limiter.addCall();
+  return {
+    limit: callsPerMinute,
+    remaining: Math.max(0, callsPerMinute - limiter.calls.length)
+  };
+}
+
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  return value;
+}
+
+/**
+ * Public article representation (Firestore document -> JSON)
+ */
+function toApiArticle(stored, locale = CONFIG.locales.default) {
+  const article = localizeArticle(stored, locale);
+  return {
+    id: article.id,
+    title: article.title,
+    summary: article.summary || '',
+    locale: article.locale,
+    language: article.language || CONFIG.locales.default,
+    category: article.category,
+    link: article.link,
+    source: article.source || 'Unknown',
+    publishedAt: toIsoTimestamp(article.publishedAt),
+    publishedOriginal: article.publishedOriginal || null,
+    tone: article.tone || null,
+    toneConfidence: article.toneConfidence ?? null,
+    alternateSources: (article.alternateSources || []).map(({ id, source, link, title }) => ({ id, source, link, title })),
+    views: article.views || 0,
+    saves: article.saves || 0,
+    shares: article.shares || 0,
+    upvotes: article.upvotes || 0,
+    downvotes: article.downvotes || 0,
+    trendingScore: article.trendingScore || 0
+  };
+}
+
+function toApiArticleList(result, locale) {
+  const articles = result.articles.map(article => toApiArticle(article, locale));
+  return {
+    data: articles,
+    meta: {
+      count: articles.length,
+      hasMore: !!result.hasMore,
+      nextCursor: result.hasMore && articles.length > 0 ? articles[articles.length - 1].id : null
+    }
+  };
+}
+
+/**
+ * Active articles, optionally in one category
+ * Shares shared_cache keys with getAllArticles / getArticlesByCategory.
+ */
+async function queryActiveArticles({ category = null, tone = null, orderBy, limit, cursor }) {
+  const toneSuffix = tone ? `_${tone}` : '';
+  const cacheKey = category ?
+    `category_${category}_${orderBy}_${limit}${toneSuffix}` :
+    `all_${orderBy}_${limit}${toneSuffix}`;
+  
+  if (!cursor) {
+    const cached = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
+    if (cached) return cached;
+  }
+  
+  let query = db.collection("news_articles").where("isActive", "==", true);
+  if (category) {
+    query = query.where("category", "==", category);
+  }
+  if (tone) {
+    query = query.where("tone", "==", tone);
+  }
+  query = query.orderBy(orderBy, "desc").limit(limit);
+  
+  if (cursor) {
+    const lastDoc = await db.collection("news_articles").doc(cursor).get();
+    if (!lastDoc.exists) {
+      throw new ValidationError('Unknown cursor', 'cursor');
+    }
+    query = query.startAfter(lastDoc);
+  }
+  
+  const snapshot = await query.get();
+  const articles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const result = { articles, count: articles.length, tone, hasMore: articles.length >= limit };
+  if (category) {
+    result.category = category;
+  }
+  
+  if (!cursor) {
+    await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+  }
+  return result;
+}
+
+const API_PARAMETERS = {
+  limit: {
+    name: 'limit',
+    in: 'query',
+    description: 'Maximum number of articles to return',
+    schema: { type: 'integer', minimum: 1, maximum: CONFIG.firestore.maxArticlesPerCall, default: 20 },
+    parse: raw => Number(raw),
+    validate: value => Number.isInteger(value) && value >= 1 && value <= CONFIG.firestore.maxArticlesPerCall,
+    errorMessage: `must be an integer between 1 and ${CONFIG.firestore.maxArticlesPerCall}`
+  },
+  trendingLimit: {
+    name: 'limit',
+    in: 'query',
+    description: 'Maximum number of articles to return',
+    schema: { type: 'integer', minimum: 1, maximum: CONFIG.limits.trendingLimit, default: 10 },
+    parse: raw => Number(raw),
+    validate: value => Number.isInteger(value) && value >= 1 && value <= CONFIG.limits.trendingLimit,
+    errorMessage: `must be an integer between 1 and ${CONFIG.limits.trendingLimit}`
+  },
+  orderBy: {
+    name: 'orderBy',
+    in: 'query',
+    description: 'Sort field (descending)',
+    schema: { type: 'string', enum: VALID_ORDER_FIELDS, default: 'publishedAt' },
+    validate: isValidOrderField,
+    errorMessage: `must be one of: ${VALID_ORDER_FIELDS.join(', ')}`
+  },
+  cursor: {
+    name: 'cursor',
+    in: 'query',
+    description: 'meta.nextCursor from the previous page',
+    schema: { type: 'string', pattern: '^[a-f0-9]{32}$' },
+    validate: isValidArticleId,
+    errorMessage: 'must be an article id'
+  },
+  articleId: {
+    name: 'articleId',
+    in: 'path',
+    description: 'Article id (SHA-256 prefix of the article URL)',
+    schema: { type: 'string', pattern: '^[a-f0-9]{32}$' },
+    validate: isValidArticleId,
+    errorMessage: 'must be a 32-character hex article id'
+  },
+  category: {
+    name: 'category',
+    in: 'path',
+    description: 'Article category (case-insensitive)',
+    schema: { type: 'string', enum: CONFIG.categories },
+    parse: raw => raw.toUpperCase(),
+    validate: isValidCategory,
+    errorMessage: `must be one of: ${CONFIG.categories.join(', ')}`
+  },
+  tone: {
+    name: 'tone',
+    in: 'query',
+    description: 'Only articles the AI filter labelled with this tone',
+    schema: { type: 'string', enum: CONFIG.tones },
+    validate: isValidTone,
+    errorMessage: `must be one of: ${CONFIG.tones.join(', ')}`
+  },
+  locale: {
+    name: 'locale',
+    in: 'query',
+    description: 'Language for title and summary; untranslated articles fall back to English',
+    schema: { type: 'string', enum: CONFIG.locales.enabled, default: CONFIG.locales.default },
+    validate: isValidLocale,
+    errorMessage: `must be one of: ${CONFIG.locales.enabled.join(', ')}`
+  }
+};
+
+const API_SCHEMAS = {
+  Article: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      summary: { type: 'string' },
+      locale: { type: 'string', description: 'Language of title and summary' },
+      language: { type: 'string', description: 'Language the source article was written in' },
+      category: { type: 'string', enum: CONFIG.categories },
+      link: { type: 'string', format: 'uri' },
+      source: { type: 'string' },
+      publishedAt: { type: 'string', format: 'date-time', nullable: true },
+      publishedOriginal: { type: 'string', nullable: true },
+      tone: { type: 'string', enum: CONFIG.tones, nullable: true },
+      toneConfidence: { type: 'integer', minimum: 0, maximum: 100, nullable: true },
+      alternateSources: {
+        type: 'array',
+        description: 'Other outlets covering the same story',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            source: { type: 'string' },
+            link: { type: 'string', format: 'uri' },
+            title: { type: 'string' }
+          }
+        }
+      },
+      views: { type: 'integer' },
+      saves: { type: 'integer' },
+      shares: { type: 'integer' },
+      upvotes: { type: 'integer' },
+      downvotes: { type: 'integer' },
+      trendingScore: { type: 'number' }
+    }
+  },
+  ArticleResponse: {
+    type: 'object',
+    properties: {
+      data: { $ref: '#/components/schemas/Article' },
+      version: { type: 'string' }
+    }
+  },
+  ArticleListResponse: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Article' } },
+      meta: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          hasMore: { type: 'boolean' },
+          nextCursor: { type: 'string', nullable: true }
+        }
+      },
+      version: { type: 'string' }
+    }
+  },
+  CategoryListResponse: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { type: 'string', enum: CONFIG.categories } },
+      version: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' },
+          param: { type: 'string' }
+        }
+      },
+      version: { type: 'string' }
+    }
+  }
+};
+
+const API_ROUTES = [
+  {
+    method: 'GET',
+    path: '/v1/articles',
+    operationId: 'listArticles',
+    summary: 'List active good-news articles',
+    tags: ['Articles'],
+    params: ['limit', 'orderBy', 'cursor', 'tone', 'locale'],
+    response: 'ArticleListResponse',
+    handler: async ({ limit, orderBy, cursor, tone, locale }) =>
+      toApiArticleList(await queryActiveArticles({ tone, orderBy, limit, cursor }), locale)
+  },
+  {
+    method: 'GET',
+    path: '/v1/articles/{articleId}',
+    operationId: 'getArticle',
+    summary: 'Get one article',
+    tags: ['Articles'],
+    params: ['articleId', 'locale'],
+    response: 'ArticleResponse',
+    handler: async ({ articleId, locale }) => {
+      const articleDoc = await db.collection("news_articles").doc(articleId).get();
+      if (!articleDoc.exists || !articleDoc.data().isActive) {
+        throw new ResourceNotFoundError('Article not found', articleId);
+      }
+      return { data: toApiArticle({ id: articleDoc.id, ...articleDoc.data() }, locale) };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/v1/categories',
+    operationId: 'listCategories',
+    summary: 'List article categories',
+    tags: ['Categories'],
+    response: 'CategoryListResponse',
+    handler: async () => ({ data: CONFIG.categories })
+  },
+  {
+    method: 'GET',
+    path: '/v1/categories/{category}',
+    operationId: 'listArticlesByCategory',
+    summary: 'List active articles in one category',
+    tags: ['Categories'],
+    params: ['category', 'limit', 'orderBy', 'cursor', 'tone', 'locale'],
+    response: 'ArticleListResponse',
+    handler: async ({ category, limit, orderBy, cursor, tone, locale }) =>
+      toApiArticleList(await queryActiveArticles({ category, tone, orderBy, limit, cursor }), locale)
+  },
+  {
+    method: 'GET',
+    path: '/v1/trending',
+    operationId: 'listTrendingArticles',
+    summary: 'Articles with the highest trending score in the last 24 hours',
+    tags: ['Articles'],
+    params: ['trendingLimit', 'locale'],
+    response: 'ArticleListResponse',
+    handler: async ({ limit, locale }) => {
+      const cacheKey = `trending_${limit}`;
+      let result = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
+      
+      if (!result) {
+        const oneDayAgo = Timestamp.fromDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+        const snapshot = await db.collection("news_articles")
+          .where("isActive", "==", true)
+          .where("publishedAt", ">", oneDayAgo)
+          .orderBy("trendingScore", "desc")
+          .limit(limit)
+          .get();
+        
+        const articles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        result = { articles, count: articles.length };
+        await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
+      }
+      
+      return toApiArticleList({ articles: result.articles, hasMore: false }, locale);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/v1/openapi.json',
+    operationId: 'getOpenApiDocument',
+    summary: 'This OpenAPI document',
+    tags: ['Meta'],
+    public: true,
+    response: 'OpenApiDocument',
+    handler: async () => getOpenApiDocument()
+  }
+];
+
+const COMPILED_API_ROUTES = compileRoutes(API_ROUTES);
+
+function getOpenApiDocument() {
+  return buildOpenApiDocument({
+    info: {
+      title: 'Good News You Missed API',
+      version: `1.0.0 (engine ${VERSION})`,
+      description: `AI-curated positive news. Send your key in the ${CONFIG.publicApi.apiKeyHeader} header; ` +
+        `keys are issued with the createApiKey callable.`
+    },
+    serverUrl: CONFIG.publicApi.baseUrl,
+    routes: API_ROUTES,
+    parameters: API_PARAMETERS,
+    schemas: { ...API_SCHEMAS, OpenApiDocument: { type: 'object' } },
+    apiKeyHeader: CONFIG.publicApi.apiKeyHeader
+  });
+}
+
+function sendApiError(res, status, code, message, extra = {}) {
+  res.status(status).json({
+    error: { code, message, ...extra },
+    version: VERSION
+  });
+}
+
+/**
+ * Versioned REST API for third-party developers
+ * GET /v1/articles, /v1/articles/{id}, /v1/categories, /v1/categories/{category},
+ *     /v1/trending, /v1/openapi.json
+ */
+exports.api = onRequest(
+  {
+    memory: "256MiB",
+    cors: true
+  },
+  async (req, res) => {
+    const startTime = Date.now();
+    const startTimeMetric = performanceMetrics.trackFunctionStart('api');
+    // Served directly (/v1/...) or behind a Hosting rewrite (/api/v1/...)
+    const requestPath = req.path.replace(/^\/api(?=\/)/, '');
+    
+    const match = matchRoute(COMPILED_API_ROUTES, req.method, requestPath);
+    if (!match) {
+      sendApiError(res, 404, 'not_found', `No such endpoint: ${req.method} ${requestPath}`);
+      return;
+    }
+    if (match.allowedMethods) {
+      res.set('Allow', match.allowedMethods.join(', '));
+      sendApiError(res, 405, 'method_not_allowed', `Use ${match.allowedMethods.join(' or ')}`);
+      return;
+    }
     
-    logger.info("Health check completed", { ...stats, duration });
+    const { route, pathParams } = match;
+    let apiKey = null;
     
-    return {
-      status: memoryWarning ? 'warning' : 'healthy',
-      ...stats,
-      duration
-    };
+    try {
+      if (!route.public) {
+        apiKey = await lookupApiKey(req.get(CONFIG.publicApi.apiKeyHeader));
+        if (!apiKey) {
+          sendApiError(res, 401, 'invalid_api_key', `Send a valid API key in the ${CONFIG.publicApi.apiKeyHeader} header`);
+          return;
+        }
+        
+        const quota = enforceApiKeyQuota(apiKey);
+        res.set({
+          'X-RateLimit-Limit': String(quota.limit),
+          'X-RateLimit-Remaining': String(quota.remaining)
+        });
+      }
+      
+      const { values, errors } = readParameters(route, API_PARAMETERS, {
+        pathParams,
+        query: req.query || {}
+      });
+      if (errors.length > 0) {
+        sendApiError(res, 400, 'invalid_parameter', `${errors[0].param} ${errors[0].message}`, {
+          param: errors[0].param
+        });
+        return;
+      }
+      
+      const body = await route.handler(values, { apiKey });
+      
+      if (apiKey) {
+        db.collection('api_keys').doc(apiKey.keyId).update({
+          requestCount: FieldValue.increment(1),
+          lastUsedAt: Timestamp.now()
+        }).catch(error => {
+          logger.warn(`Failed to record API key usage: ${error.message}`, {
+            instanceId: INSTANCE_ID,
+            keyId: apiKey.keyId,
+            version: VERSION
+          });
+        });
+      }
+      
+      const duration = performanceMetrics.trackFunctionEnd('api', startTimeMetric);
+      logger.info(`API ${route.operationId} served in ${duration}ms`, {
+        instanceId: INSTANCE_ID,
+        operationId: route.operationId,
+        keyId: apiKey ? apiKey.keyId.substring(0, 12) : null,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      
+      res.status(200).json(route.public ? body : { ...body, version: VERSION });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      if (error instanceof RateLimitError) {
+        res.set({
+          'Retry-After': String(error.retryAfter),
+          'X-RateLimit-Limit': String(apiKey.requestsPerMinute || CONFIG.publicApi.defaultRequestsPerMinute),
+          'X-RateLimit-Remaining': '0'
+        });
+        sendApiError(res, 429, 'quota_exceeded', error.message);
+        return;
+      }
+      if (error instanceof ValidationError) {
+        sendApiError(res, 400, 'invalid_parameter', error.message, { param: error.field });
+        return;
+      }
+      if (error instanceof ResourceNotFoundError) {
+        sendApiError(res, 404, 'not_found', error.message);
+        return;
+      }
+      
+      logger.error("Error serving API request", {
+        instanceId: INSTANCE_ID,
+        error: error.message,
+        operationId: route.operationId,
+        duration,
+        version: VERSION,
+        timestamp: new Date().toISOString()
+      });
+      sendApiError(res, 500, 'internal', 'Failed to serve request');
+    }
   }
 );
 
-// ==================== UTILITY FUNCTIONS ====================
-exports.manualTriggerNewsFetch = onCall(
+/**
+ * Issue an API key for the signed-in user
+ * The plaintext key is returned once; only its hash is stored.
+ * Administrators may set requestsPerMinute up to CONFIG.publicApi.maxRequestsPerMinute.
+ */
+exports.createApiKey = onCall(
   {
-    memory: "1GiB",
-    secrets: ["GEMINI_API_KEY", "NEWSDATA_API_KEY"],
+    memory: "256MiB",
   },
   async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('manualTriggerNewsFetch');
-    logFunctionCall('manualTriggerNewsFetch', request);
+    const startTimeMetric = performanceMetrics.trackFunctionStart('createApiKey');
+    logFunctionCall('createApiKey', request);
     
     // Request size validation
     const sizeValidation = validateRequestSize(request.data);
@@ -3551,123 +11458,86 @@ exports.manualTriggerNewsFetch = onCall(
     }
     
     const userId = request.auth.uid;
-
-    // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'manualTriggerNewsFetch', async () => {
-      try {
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can trigger manual fetch.');
-        }
-        
-        const event = {
-          id: `manual_${Date.now()}`,
-          scheduleTime: new Date().toISOString()
-        };
-        
-        const result = await exports.scheduledGoodNewsFetch(event);
-        
-        const duration = performanceMetrics.trackFunctionEnd('manualTriggerNewsFetch', startTimeMetric);
-        logFunctionCall('manualTriggerNewsFetch', request, startTime);
-        
-        return { 
-          ...result,
-          duration 
-        };
-      } catch (error) {
-        const duration = Date.now() - startTime;
-        logger.error("Manual trigger failed", {
-          instanceId: INSTANCE_ID,
-          error: error.message,
-          userId,
-          duration,
-          version: VERSION,
-          timestamp: new Date().toISOString()
-        });
-        
-        if (error instanceof HttpsError) {
-          throw error;
-        }
-        
-        throw new HttpsError('internal', 'Manual fetch failed', {
-          details: error.message.substring(0, 100),
-          version: VERSION
-        });
-      }
-    });
-  }
-);
-
-exports.getArticleById = onCall(
-  {
-    memory: "256MiB",
-  },
-  async (request) => {
-    const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('getArticleById');
-    logFunctionCall('getArticleById', request);
+    const { name, requestsPerMinute } = request.data || {};
     
-    // Request size validation
-    const sizeValidation = validateRequestSize(request.data);
-    if (!sizeValidation.isValid) {
-      throw new HttpsError('invalid-argument', sizeValidation.message);
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      throw new HttpsError('invalid-argument', 'name must be a non-empty string of at most 100 characters');
     }
     
-    const { articleId } = request.data;
-    const userId = request.auth?.uid || 'anonymous';
-    
-    if (!articleId || !isValidArticleId(articleId)) {
-      throw new ValidationError('Invalid articleId format', 'articleId');
-    }
-
-    // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'getArticleById', async () => {
+    return await withConcurrentLimit(userId, 'createApiKey', async () => {
       try {
-        const articleDoc = await db.collection("news_articles").doc(articleId).get();
-        
-        if (!articleDoc.exists) {
-          throw new ResourceNotFoundError('Article not found', articleId);
+        let quota = CONFIG.publicApi.defaultRequestsPerMinute;
+        
+        if (requestsPerMinute !== undefined) {
+          await requirePermission(request, 'setApiKeyQuota');
+          if (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 1 ||
+              requestsPerMinute > CONFIG.publicApi.maxRequestsPerMinute) {
+            throw new ValidationError(
+              `requestsPerMinute must be an integer between 1 and ${CONFIG.publicApi.maxRequestsPerMinute}`,
+              'requestsPerMinute'
+            );
+          }
+          quota = requestsPerMinute;
         }
         
-        const articleData = articleDoc.data();
+        const existingKeys = await db.collection('api_keys')
+          .where('ownerUid', '==', userId)
+          .where('revoked', '==', false)
+          .get();
         
-        // Track view if user is authenticated
-        if (request.auth) {
-          await exports.trackView({ data: { articleId } });
+        if (existingKeys.size >= CONFIG.publicApi.maxKeysPerUser) {
+          throw new ValidationError(
+            `Limit of ${CONFIG.publicApi.maxKeysPerUser} active API keys reached. Revoke one first.`,
+            'apiKeys'
+          );
         }
         
-        const duration = performanceMetrics.trackFunctionEnd('getArticleById', startTimeMetric);
-        logFunctionCall('getArticleById', request, startTime);
+        const apiKey = `gn_${crypto.randomBytes(20).toString('hex')}`;
+        const keyId = hashApiKey(apiKey);
+        
+        await db.collection('api_keys').doc(keyId).set({
+          name: name.trim(),
+          ownerUid: userId,
+          keyPrefix: apiKey.substring(0, 9),
+          requestsPerMinute: quota,
+          revoked: false,
+          requestCount: 0,
+          createdAt: Timestamp.now(),
+          lastUsedAt: null
+        });
         
-        return { 
-          id: articleDoc.id,
-          ...articleData,
+        const duration = performanceMetrics.trackFunctionEnd('createApiKey', startTimeMetric);
+        logFunctionCall('createApiKey', request, startTime);
+        
+        return {
+          success: true,
+          apiKey,
+          keyId,
+          name: name.trim(),
+          requestsPerMinute: quota,
           duration,
           version: VERSION
         };
       } catch (error) {
         const duration = Date.now() - startTime;
-        logger.error("Error getting article by ID", {
+        logger.error("Error creating API key", {
           instanceId: INSTANCE_ID,
           error: error.message,
-          articleId,
+          userId,
           duration,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
         
-        if (error instanceof ResourceNotFoundError) {
-          throw new HttpsError('not-found', error.message);
+        if (error instanceof HttpsError) {
+          throw error;
         } else if (error instanceof ValidationError) {
           throw new HttpsError('invalid-argument', error.message);
         }
         
-        throw new HttpsError('internal', 'Failed to get article', {
+        throw new HttpsError('internal', 'Failed to create API key', {
           details: error.message.substring(0, 100),
-          code: 'ARTICLE_FETCH_ERROR',
+          code: 'API_KEY_CREATE_ERROR',
           version: VERSION
         });
       }
@@ -3675,14 +11545,17 @@ exports.getArticleById = onCall(
   }
 );
 
-exports.clearCache = onCall(
+/**
+ * List the signed-in user's API keys (never the plaintext)
+ */
+exports.listApiKeys = onCall(
   {
-    memory: "128MiB",
+    memory: "256MiB",
   },
   async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('clearCache');
-    logFunctionCall('clearCache', request);
+    const startTimeMetric = performanceMetrics.trackFunctionStart('listApiKeys');
+    logFunctionCall('listApiKeys', request);
     
     // Request size validation
     const sizeValidation = validateRequestSize(request.data);
@@ -3695,38 +11568,34 @@ exports.clearCache = onCall(
     }
     
     const userId = request.auth.uid;
-
-    // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'clearCache', async () => {
+    
+    return await withConcurrentLimit(userId, 'listApiKeys', async () => {
       try {
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can clear cache.');
-        }
-        
-        const cacheDocs = await db.collection('shared_cache').listDocuments();
-        const deletePromises = cacheDocs.map(doc => doc.delete());
-        await Promise.all(deletePromises);
+        const snapshot = await db.collection('api_keys')
+          .where('ownerUid', '==', userId)
+          .get();
         
-        await invalidateRelatedCaches();
+        const keys = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return {
+            keyId: doc.id,
+            name: data.name,
+            keyPrefix: data.keyPrefix,
+            requestsPerMinute: data.requestsPerMinute,
+            revoked: !!data.revoked,
+            requestCount: data.requestCount || 0,
+            createdAt: toIsoTimestamp(data.createdAt),
+            lastUsedAt: toIsoTimestamp(data.lastUsedAt)
+          };
+        });
         
-        const duration = performanceMetrics.trackFunctionEnd('clearCache', startTimeMetric);
-        logFunctionCall('clearCache', request, startTime);
+        const duration = performanceMetrics.trackFunctionEnd('listApiKeys', startTimeMetric);
+        logFunctionCall('listApiKeys', request, startTime);
         
-        return { 
-          success: true,
-          cleared: cacheDocs.length,
-          instanceId: INSTANCE_ID,
-          duration,
-          version: VERSION,
-          timestamp: new Date().toISOString()
-        };
+        return { keys, count: keys.length, duration, version: VERSION };
       } catch (error) {
         const duration = Date.now() - startTime;
-        logger.error("Error clearing cache", {
+        logger.error("Error listing API keys", {
           instanceId: INSTANCE_ID,
           error: error.message,
           userId,
@@ -3734,8 +11603,9 @@ exports.clearCache = onCall(
           version: VERSION,
           timestamp: new Date().toISOString()
         });
-        throw new HttpsError('internal', 'Failed to clear cache', {
+        throw new HttpsError('internal', 'Failed to list API keys', {
           details: error.message.substring(0, 100),
+          code: 'API_KEY_LIST_ERROR',
           version: VERSION
         });
       }
@@ -3743,14 +11613,17 @@ exports.clearCache = onCall(
   }
 );
 
-exports.getAllArticles = onCall(
+/**
+ * Revoke an API key (owner or administrator)
+ */
+exports.revokeApiKey = onCall(
   {
     memory: "256MiB",
   },
   async (request) => {
     const startTime = Date.now();
-    const startTimeMetric = performanceMetrics.trackFunctionStart('getAllArticles');
-    logFunctionCall('getAllArticles', request);
+    const startTimeMetric = performanceMetrics.trackFunctionStart('revokeApiKey');
+    logFunctionCall('revokeApiKey', request);
     
     // Request size validation
     const sizeValidation = validateRequestSize(request.data);
@@ -3758,84 +11631,62 @@ exports.getAllArticles = onCall(
       throw new HttpsError('invalid-argument', sizeValidation.message);
     }
     
-    const { limit = 20, orderBy = 'publishedAt', lastArticleId } = request.data;
-    const userId = request.auth?.uid || 'anonymous';
-
-    const safeOrderBy = isValidOrderField(orderBy) ? orderBy : 'publishedAt';
-
-    // Apply concurrent request limit
-    return await withConcurrentLimit(userId, 'getAllArticles', async () => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be signed in.');
+    }
+    
+    const userId = request.auth.uid;
+    const { keyId } = request.data || {};
+    
+    if (typeof keyId !== 'string' || !/^[a-f0-9]{64}$/.test(keyId)) {
+      throw new HttpsError('invalid-argument', 'Invalid keyId format');
+    }
+    
+    return await withConcurrentLimit(userId, 'revokeApiKey', async () => {
       try {
-        const cacheKey = `all_${safeOrderBy}_${limit}`;
+        const keyRef = db.collection('api_keys').doc(keyId);
+        const keyDoc = await keyRef.get();
         
-        if (!lastArticleId) {
-          const cached = await getSharedCache(cacheKey, CONFIG.cache.trendingTTL);
-          if (cached) {
-            const duration = performanceMetrics.trackFunctionEnd('getAllArticles', startTimeMetric);
-            logFunctionCall('getAllArticles', request, startTime);
-            return { ...cached, cacheHit: true, duration, version: VERSION };
-          }
+        if (!keyDoc.exists) {
+          throw new ResourceNotFoundError('API key not found', keyId);
         }
         
-        let query = db.collection("news_articles")
-          .where("isActive", "==", true)
-          .orderBy(safeOrderBy, "desc")
-          .limit(Math.min(limit, CONFIG.firestore.maxArticlesPerCall));
-        
-        if (lastArticleId) {
-          try {
-            const lastDoc = await db.collection("news_articles").doc(lastArticleId).get();
-            if (lastDoc.exists) {
-              query = query.startAfter(lastDoc);
-            }
-          } catch (error) {
-            logger.warn(`Pagination error: ${error.message}`, {
-              instanceId: INSTANCE_ID,
-              lastArticleId,
-              error: error.message,
-              version: VERSION
-            });
+        if (keyDoc.data().ownerUid !== userId) {
+          if (!(await hasPermission(request.auth, 'revokeAnyApiKey'))) {
+            // Same answer as a missing key, so key ids can't be probed
+            throw new ResourceNotFoundError('API key not found', keyId);
           }
         }
         
-        const snapshot = await query.get();
-        
-        const articles = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        
-        const result = { 
-          articles, 
-          count: articles.length,
-          hasMore: articles.length >= limit
-        };
-        
-        if (!lastArticleId) {
-          await setSharedCache(cacheKey, result, CONFIG.cache.trendingTTL);
-        }
+        await keyRef.update({
+          revoked: true,
+          revokedAt: Timestamp.now(),
+          revokedBy: userId
+        });
+        apiKeyCache.delete(keyId);
         
-        const duration = performanceMetrics.trackFunctionEnd('getAllArticles', startTimeMetric);
-        logFunctionCall('getAllArticles', request, startTime);
+        const duration = performanceMetrics.trackFunctionEnd('revokeApiKey', startTimeMetric);
+        logFunctionCall('revokeApiKey', request, startTime);
         
-        return { 
-          ...result, 
-          cacheHit: false,
-          duration,
-          version: VERSION
-        };
+        return { success: true, keyId, duration, version: VERSION };
       } catch (error) {
         const duration = Date.now() - startTime;
-        logger.error("Error getting all articles", {
+        logger.error("Error revoking API key", {
           instanceId: INSTANCE_ID,
           error: error.message,
+          userId,
           duration,
           version: VERSION,
           timestamp: new Date().toISOString()
         });
-        throw new HttpsError('internal', 'Failed to get articles', {
+        
+        if (error instanceof ResourceNotFoundError) {
+          throw new HttpsError('not-found', error.message);
+        }
+        
+        throw new HttpsError('internal', 'Failed to revoke API key', {
           details: error.message.substring(0, 100),
-          code: 'ARTICLES_FETCH_ERROR',
+          code: 'API_KEY_REVOKE_ERROR',
           version: VERSION
         });
       }
@@ -3872,14 +11723,7 @@ exports.getDeploymentStatus = onCall(
     // Apply concurrent request limit
     return await withConcurrentLimit(userId, 'getDeploymentStatus', async () => {
       try {
-        // Check admin permissions
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can view deployment status.');
-        }
+        await requirePermission(request, 'getDeploymentStatus');
         
         // Generate comprehensive deployment report
         const deploymentReport = await deploymentAssistant.generateDeploymentReport();
@@ -4060,14 +11904,7 @@ exports.createFirestoreIndex = onCall(
     // Apply concurrent request limit
     return await withConcurrentLimit(userId, 'createFirestoreIndex', async () => {
       try {
-        // Check admin permissions
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can create indexes.');
-        }
+        await requirePermission(request, 'createFirestoreIndex');
         
         // Get the required index configuration
         const requiredIndexes = [
@@ -4085,6 +11922,13 @@ exports.createFirestoreIndex = onCall(
             orders: ['asc', 'desc', 'desc'],
             queryScope: 'COLLECTION'
           },
+          ...TONE_INDEXED_QUERIES.map(({ name, fields }) => ({
+            name,
+            collection: 'news_articles',
+            fields,
+            orders: fields.map((field, i) => (i === fields.length - 1 ? 'desc' : 'asc')),
+            queryScope: 'COLLECTION'
+          })),
           {
             name: 'cleanup_old_articles',
             collection: 'news_articles',
@@ -4207,14 +12051,7 @@ exports.initializeApp = onCall(
     // Apply concurrent request limit
     return await withConcurrentLimit(userId, 'initializeApp', async () => {
       try {
-        // Check admin permissions
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can initialize the app.');
-        }
+        await requirePermission(request, 'initializeApp');
         
         // Run initialization
         const result = await initializeApplication();
@@ -4276,13 +12113,7 @@ exports.checkFirestoreIndexes = onCall(
     // Apply concurrent request limit
     return await withConcurrentLimit(userId, 'checkFirestoreIndexes', async () => {
       try {
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can check Firestore indexes.');
-        }
+        await requirePermission(request, 'checkFirestoreIndexes');
         
         const requiredIndexes = [
           {
@@ -4303,12 +12134,67 @@ exports.checkFirestoreIndexes = onCall(
               .limit(1),
             expectedFields: ['isActive', 'publishedAt', 'trendingScore']
           },
+          ...TONE_INDEXED_QUERIES.map(({ name, category, orderBy, fields }) => ({
+            name,
+            query: toneIndexCheckQuery(category, orderBy),
+            expectedFields: fields
+          })),
           {
             name: 'cleanupOldArticles',
             query: db.collection("news_articles")
               .where("publishedAt", "<", Timestamp.fromDate(new Date(Date.now() - CONFIG.firestore.articleTTL)))
               .limit(1),
             expectedFields: ['publishedAt']
+          },
+          {
+            name: 'getReportQueue',
+            query: db.collection("article_reports")
+              .where("status", "==", "pending")
+              .orderBy("lastReportedAt", "desc")
+              .limit(1),
+            expectedFields: ['status', 'lastReportedAt']
+          },
+          {
+            name: 'adminListAuditLog',
+            query: db.collection("admin_audit_log")
+              .where("target.id", "==", "index_check")
+              .orderBy("createdAt", "desc")
+              .limit(1),
+            expectedFields: ['target.id', 'createdAt']
+          },
+          {
+            name: 'redeliverWebhooks',
+            query: db.collection("webhook_deliveries")
+              .where("status", "==", "pending")
+              .where("nextAttemptAt", "<=", Timestamp.now())
+              .orderBy("nextAttemptAt", "asc")
+              .limit(1),
+            expectedFields: ['status', 'nextAttemptAt']
+          },
+          {
+            name: 'listWebhookDeliveriesBySubscription',
+            query: db.collection("webhook_deliveries")
+              .where("subscriptionId", "==", "index_check")
+              .orderBy("createdAt", "desc")
+              .limit(1),
+            expectedFields: ['subscriptionId', 'createdAt']
+          },
+          {
+            name: 'listWebhookDeliveriesByStatus',
+            query: db.collection("webhook_deliveries")
+              .where("status", "==", "failed")
+              .orderBy("createdAt", "desc")
+              .limit(1),
+            expectedFields: ['status', 'createdAt']
+          },
+          {
+            name: 'listWebhookDeliveriesBySubscriptionAndStatus',
+            query: db.collection("webhook_deliveries")
+              .where("subscriptionId", "==", "index_check")
+              .where("status", "==", "failed")
+              .orderBy("createdAt", "desc")
+              .limit(1),
+            expectedFields: ['subscriptionId', 'status', 'createdAt']
           }
         ];
         
@@ -4373,6 +12259,11 @@ exports.checkFirestoreIndexes = onCall(
           version: VERSION,
           timestamp: new Date().toISOString()
         });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
         throw new HttpsError('internal', 'Failed to check Firestore indexes', {
           details: error.message.substring(0, 100),
           version: VERSION
@@ -4407,13 +12298,7 @@ exports.getConcurrentRequestStats = onCall(
     // Apply concurrent request limit (admin function needs limits too)
     return await withConcurrentLimit(userId, 'getConcurrentRequestStats', async () => {
       try {
-        const userDoc = await db.collection('users').doc(userId).get();
-        const isAdminFromEnv = process.env.ADMIN_USER_IDS ? 
-          process.env.ADMIN_USER_IDS.split(',').includes(userId) : false;
-        
-        if (!userDoc.exists || !(userDoc.data().isAdmin || isAdminFromEnv)) {
-          throw new HttpsError('permission-denied', 'Only administrators can view concurrent request stats.');
-        }
+        await requirePermission(request, 'getConcurrentRequestStats');
         
         const stats = concurrentRequestTracker.getStats();
         
@@ -4442,6 +12327,11 @@ exports.getConcurrentRequestStats = onCall(
           version: VERSION,
           timestamp: new Date().toISOString()
         });
+        
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        
         throw new HttpsError('internal', 'Failed to get concurrent request stats', {
           details: error.message.substring(0, 100),
           version: VERSION
@@ -4497,6 +12387,13 @@ exports.getConcurrentRequestStats = onCall(
 
 // Export the enhanced fetch for testing
 exports.fetchArticlesFromNewsDataEnhanced = fetchArticlesFromNewsDataEnhanced;
+exports.fetchArticlesFromProviders = fetchArticlesFromProviders;
+exports.clusterStories = clusterStories;
+exports.hasPermission = hasPermission;
+exports.pushSkipReason = pushSkipReason;
+exports.deliverToIntegration = deliverToIntegration;
+exports.signWebhookBody = signWebhookBody;
+exports.webhookRetryDelayMs = webhookRetryDelayMs;
 
 // Export deployment assistant for testing/monitoring
 exports.DeploymentAssistant = DeploymentAssistant;
@@ -0,0 +1,111 @@
+// =============================================
+// CHAT WEBHOOK PLATFORMS (SLACK, MICROSOFT TEAMS)
+// =============================================
+// Formats stored stories as a chat message for an incoming-webhook URL that an
+// admin registered in webhook_integrations. Delivery, retries and failure
+// tracking are in index.js.
+//
+// A platform is a plain object:
+//   name             - registry key, stored as the integration's platform
+//   label            - display name
+//   allowedHosts     - hostnames (or ".suffix" matches) a webhook URL may
+//                      point at
+//   format(message)  - JSON body to POST
+//
+// Message:
+//   { title, intro, siteUrl,
+//     articles: [{ title, summary, link, source, category }] }
+
+const platforms = new Map();
+
+/**
+ * Register a chat platform
+ * @param {Object} platform - Platform implementing the contract above
+ * @return {Object} The registered platform
+ */
+function registerWebhookPlatform(platform) {
+  if (!platform || !platform.name || typeof platform.format !== "function" ||
+    !Array.isArray(platform.allowedHosts)) {
+    throw new Error(
+        "Webhook platform must have a name, allowedHosts and format()");
+  }
+  platforms.set(platform.name, platform);
+  return platform;
+}
+
+registerWebhookPlatform(require("./slack"));
+registerWebhookPlatform(require("./teams"));
+
+/**
+ * @param {string} name - Integration platform
+ * @return {Object} Platform
+ */
+function getWebhookPlatform(name) {
+  const platform = platforms.get(name);
+  if (!platform) {
+    throw new Error(`No webhook platform registered for "${name}"`);
+  }
+  return platform;
+}
+
+/**
+ * @return {Array<string>} Registered platform names
+ */
+function getWebhookPlatformNames() {
+  return [...platforms.keys()];
+}
+
+/**
+ * Only https URLs on the platform's own hosts are accepted, so a registered
+ * integration can't be used to make the backend call arbitrary addresses.
+ * @param {string} platformName - Integration platform
+ * @param {*} webhookUrl - URL the admin entered
+ * @return {?string} What is wrong with the URL, or null
+ */
+function validateWebhookUrl(platformName, webhookUrl) {
+  const platform = platforms.get(platformName);
+  if (!platform) {
+    return `platform must be one of: ${getWebhookPlatformNames().join(", ")}`;
+  }
+
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return "webhookUrl must be a URL";
+  }
+  if (url.protocol !== "https:" || url.username || url.password ||
+    webhookUrl.length > 2000) {
+    return "webhookUrl must be an https URL without credentials, " +
+      "at most 2000 characters";
+  }
+
+  const host = url.hostname.toLowerCase();
+  const isSuffix = (pattern) => pattern.startsWith(".");
+  const allowed = platform.allowedHosts.some((pattern) =>
+    (isSuffix(pattern) ? host.endsWith(pattern) : host === pattern));
+  if (!allowed) {
+    const hosts = platform.allowedHosts
+        .map((pattern) => (isSuffix(pattern) ? `*${pattern}` : pattern));
+    return `${platform.label} webhook URLs must be on ${hosts.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Webhook URLs are credentials; show only where they point
+ * @param {string} webhookUrl - Stored webhook URL
+ * @return {string} Origin plus the last four characters
+ */
+function maskWebhookUrl(webhookUrl) {
+  const url = new URL(webhookUrl);
+  return `${url.origin}/…${webhookUrl.slice(-4)}`;
+}
+
+module.exports = {
+  registerWebhookPlatform,
+  getWebhookPlatform,
+  getWebhookPlatformNames,
+  validateWebhookUrl,
+  maskWebhookUrl,
+};
@@ -0,0 +1,77 @@
+// =============================================
+// SLACK INCOMING WEBHOOKS (BLOCK KIT)
+// =============================================
+// https://api.slack.com/messaging/webhooks. `text` is the notification and
+// fallback; the blocks are what the channel shows.
+
+const {truncate} = require("./text");
+
+/**
+ * Escape the characters Slack's mrkdwn treats as control sequences
+ * @param {*} text - Text; null/undefined become ''
+ * @return {string} Escaped text
+ */
+function escapeMrkdwn(text) {
+  return String(text || "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+}
+
+/**
+ * @param {string} text - mrkdwn text
+ * @return {Object} Context block holding one mrkdwn element
+ */
+function contextBlock(text) {
+  return {type: "context", elements: [{type: "mrkdwn", text}]};
+}
+
+module.exports = {
+  name: "slack",
+  label: "Slack",
+  allowedHosts: ["hooks.slack.com"],
+
+  format(message) {
+    const blocks = [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: truncate(message.title, 150),
+          emoji: true,
+        },
+      },
+      contextBlock(escapeMrkdwn(message.intro)),
+    ];
+
+    message.articles.forEach((article) => {
+      const headline = `*<${article.link}|${escapeMrkdwn(article.title)}>*`;
+      const summary = escapeMrkdwn(truncate(article.summary, 300));
+      blocks.push(
+          {type: "divider"},
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: truncate(`${headline}\n${summary}`, 3000),
+            },
+          },
+          contextBlock(escapeMrkdwn(
+              `${article.source || "Unknown"} · ${article.category}`)),
+      );
+    });
+
+    blocks.push(
+        {type: "divider"},
+        contextBlock(`<${message.siteUrl}|More good news>`),
+    );
+
+    const titles = message.articles.map((article) => article.title);
+    return {
+      text: `${message.title}: ${titles.join(" | ")}`.substring(0, 3000),
+      blocks,
+      unfurl_links: false,
+      unfurl_media: false,
+    };
+  },
+};
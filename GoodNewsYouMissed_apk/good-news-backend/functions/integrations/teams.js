@@ -0,0 +1,83 @@
+// =============================================
+// MICROSOFT TEAMS WEBHOOKS (ADAPTIVE CARDS)
+// =============================================
+// Teams "Workflows" (Power Automate) webhooks and the older Office 365
+// connector URLs both take a message with one Adaptive Card attachment.
+
+const {truncate} = require("./text");
+
+module.exports = {
+  name: "teams",
+  label: "Microsoft Teams",
+  allowedHosts: [
+    ".webhook.office.com",
+    ".logic.azure.com",
+    ".powerplatform.com",
+  ],
+
+  format(message) {
+    const body = [
+      {
+        type: "TextBlock",
+        text: message.title,
+        size: "Large",
+        weight: "Bolder",
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: message.intro,
+        isSubtle: true,
+        spacing: "None",
+        wrap: true,
+      },
+    ];
+
+    message.articles.forEach((article) => {
+      const title = article.title.replace(/[[\]]/g, "");
+      body.push(
+          {
+            type: "TextBlock",
+            text: `[${title}](${article.link})`,
+            weight: "Bolder",
+            wrap: true,
+            separator: true,
+            spacing: "Medium",
+          },
+          {
+            type: "TextBlock",
+            text: truncate(article.summary, 300),
+            wrap: true,
+            spacing: "Small",
+          },
+          {
+            type: "TextBlock",
+            text: `${article.source || "Unknown"} · ${article.category}`,
+            isSubtle: true,
+            size: "Small",
+            spacing: "None",
+            wrap: true,
+          },
+      );
+    });
+
+    return {
+      type: "message",
+      attachments: [{
+        contentType: "application/vnd.microsoft.card.adaptive",
+        contentUrl: null,
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body,
+          actions: [{
+            type: "Action.OpenUrl",
+            title: "More good news",
+            url: message.siteUrl,
+          }],
+        },
+      }],
+    };
+  },
+};
@@ -0,0 +1,16 @@
+// Shared text helpers for the platform formatters
+
+/**
+ * Shorten text to maxLength, ending in an ellipsis when cut
+ * @param {*} text - Text; null/undefined become ''
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @return {string} Text
+ */
+function truncate(text, maxLength) {
+  const value = String(text || "");
+  return value.length > maxLength ?
+    `${value.substring(0, maxLength - 1).trimEnd()}…` :
+    value;
+}
+
+module.exports = {truncate};
@@ -0,0 +1,51 @@
+// =============================================
+// GOOGLE GEMINI LLM CLIENT
+// =============================================
+// Mirrors src/assets/lib/services/llm/gemini.js in the PWA.
+
+const {GoogleGenerativeAI} = require("@google/generative-ai");
+
+const SAFETY_SETTINGS = [
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_DANGEROUS_CONTENT",
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+].map((category) => ({category, threshold: "BLOCK_MEDIUM_AND_ABOVE"}));
+
+module.exports = {
+  name: "gemini",
+  label: "Gemini",
+  requiresApiKey: true,
+
+  validate(clientConfig) {
+    return clientConfig.model ? [] : ["model is required"];
+  },
+
+  /**
+   * Send the prompt to Gemini
+   * @param {Object} request - { prompt, temperature, maxOutputTokens,
+   *   responseMimeType }
+   * @param {Object} context - { clientConfig, apiKey }
+   * @return {Promise<string>} Response text
+   */
+  async generate(request, {clientConfig, apiKey}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({
+      model: clientConfig.model,
+      generationConfig: {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxOutputTokens,
+      },
+    });
+
+    const result = await model.generateContent({
+      contents: [{role: "user", parts: [{text: request.prompt}]}],
+      generationConfig: request.responseMimeType ?
+        {responseMimeType: request.responseMimeType} :
+        undefined,
+      safetySettings: SAFETY_SETTINGS,
+    });
+
+    return result.response.text();
+  },
+};
@@ -0,0 +1,97 @@
+// =============================================
+// LLM CLIENT REGISTRY
+// =============================================
+// Same client contract as the PWA's src/assets/lib/services/llm/index.js.
+//
+// A client is a plain object:
+//   name           - registry key, referenced by CONFIG.ai.clients[*].adapter
+//   label          - display name for logs
+//   requiresApiKey - whether CONFIG.ai.clients[*].apiKeyEnv must be set
+//   generate(request, context)
+//                  - raw response text
+//   validate(clientConfig)
+//                  - optional; config issues as an array of strings
+//
+// Request:
+//   { task, prompt, input, temperature, maxOutputTokens, responseMimeType }
+//   task  - what the prompt asks for ('curate'); lets offline clients answer
+//           without a model
+//   input - the structured data the prompt was built from
+// Context:
+//   { http, clientConfig, apiKey, timeout, log }
+//
+// Error mapping (quota, auth, timeouts) stays with the caller, so every client
+// surfaces the same RateLimitError / ApiError types from index.js.
+//
+// Adding a backend = one client module registered below
+// + one CONFIG.ai.clients entry.
+
+const adapters = new Map();
+
+/**
+ * Register an LLM client
+ * @param {Object} client - Client implementing the contract above
+ * @return {Object} The registered client
+ */
+function registerLlmClient(client) {
+  if (!client || !client.name || typeof client.generate !== "function") {
+    throw new Error("LLM client must have a name and generate()");
+  }
+  adapters.set(client.name, client);
+  return client;
+}
+
+registerLlmClient(require("./gemini"));
+registerLlmClient(require("./openai"));
+registerLlmClient(require("./ollama"));
+registerLlmClient(require("./offline"));
+
+/**
+ * Look up the client serving a configured LLM
+ * @param {string} clientName - Key in CONFIG.ai.clients
+ * @param {Object} clientConfig - CONFIG.ai.clients[clientName]
+ * @return {Object} Client
+ */
+function getLlmClient(clientName, clientConfig = {}) {
+  const adapterName = clientConfig.adapter || clientName;
+  const client = adapters.get(adapterName);
+  if (!client) {
+    throw new Error(`No LLM client registered for "${clientName}" ` +
+      `(adapter: ${adapterName})`);
+  }
+  return client;
+}
+
+/**
+ * Whether a configured LLM has a registered client
+ * @param {string} clientName - Key in CONFIG.ai.clients
+ * @param {Object} clientConfig - CONFIG.ai.clients[clientName]
+ * @return {boolean}
+ */
+function hasLlmClient(clientName, clientConfig = {}) {
+  return adapters.has(clientConfig.adapter || clientName);
+}
+
+/**
+ * Clients in the order they are tried
+ * @param {Object} clients - CONFIG.ai.clients
+ * @param {Array<string>} order - Explicit client names
+ *   (CONFIG.ai.clientOrder); when empty, enabled clients sorted by priority
+ * @return {Array<[string, Object]>} [clientName, clientConfig] pairs;
+ *   unknown names map to undefined config
+ */
+function getLlmClientChain(clients, order = []) {
+  if (order.length > 0) {
+    return order.map((name) => [name, (clients || {})[name]]);
+  }
+  return Object.entries(clients || {})
+      .filter(([, config]) => config && config.enabled)
+      .sort((a, b) => (a[1].priority || 0) - (b[1].priority || 0));
+}
+
+module.exports = {
+  registerLlmClient,
+  getLlmClient,
+  hasLlmClient,
+  getLlmClientChain,
+};
@@ -0,0 +1,172 @@
+// =============================================
+// OFFLINE LLM STAND-IN
+// =============================================
+// Mirrors src/assets/lib/services/llm/offline.js in the PWA.
+//
+// Answers known tasks without a model so the fetch -> filter -> store
+// pipeline, JSON parsing and category validation run with no network or API
+// key. The response is JSON text, exactly what a real client would return.
+//
+// Two modes, both deterministic:
+//   fixture - clientConfig.fixture is a JSON file (path relative to
+//             functions/) of the form
+//             { "<task>": { "<uniqueId>": { ...response item } } };
+//             input articles missing from it are rejected
+//   rules   - keyword rules below decide keep/drop, category and tone
+
+const fs = require("fs");
+const path = require("path");
+
+const CATEGORY_KEYWORDS = {
+  SCIENCE: [
+    "discovery", "breakthrough", "research", "scientists", "study", "enzyme",
+    "gene",
+  ],
+  TECHNOLOGY: [
+    "innovation", "app", "software", "tech", "digital", "robot", "solar",
+  ],
+  ENVIRONMENT: [
+    "renewable", "clean energy", "conservation", "trees", "sustainable",
+    "plastic", "river",
+  ],
+  HEALTH: [
+    "medical", "treatment", "vaccine", "therapy", "hearing", "recovery",
+    "cure",
+  ],
+  COMMUNITY: [
+    "volunteer", "donation", "charity", "community", "library",
+    "neighbourhood", "students",
+  ],
+  ANIMALS: ["rescue", "animal", "pet", "wildlife", "species"],
+  INNOVATION: [
+    "invention", "new device", "creative", "solution", "patent", "build",
+  ],
+};
+
+const TONE_KEYWORDS = {
+  Breakthrough: [
+    "breakthrough", "first", "restores", "breaks down", "cure", "discovery",
+  ],
+  Heartwarming: [
+    "volunteer", "rescue", "fridge", "donat", "reunite", "kindness",
+  ],
+  Inspiring: ["students", "build", "record", "award", "young"],
+};
+
+const fixtureCache = new Map();
+
+/**
+ * Parsed fixture file, read once per path
+ * @param {string} fixturePath - Path relative to functions/
+ * @return {Object} Responses keyed by task, then uniqueId
+ */
+function loadFixture(fixturePath) {
+  const filePath = path.resolve(__dirname, "..", fixturePath);
+  if (!fixtureCache.has(filePath)) {
+    fixtureCache.set(filePath, JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+  return fixtureCache.get(filePath);
+}
+
+/**
+ * First key whose keyword list has a match in text
+ * @param {Object<string, Array<string>>} keywordMap - Keywords per key
+ * @param {string} text - Lower-cased text
+ * @return {string|undefined} Matching key
+ */
+function firstMatch(keywordMap, text) {
+  return Object.keys(keywordMap).find((key) =>
+    keywordMap[key].some((keyword) => text.includes(keyword)));
+}
+
+/**
+ * Keyword-rule curation of one article
+ * @param {Object} article - Input article ({ uniqueId, title, ... })
+ * @param {Object} input - Curate task input (categories, tones, ...)
+ * @return {Object|null} Response item, or null to drop the article
+ */
+function curateByRules(article, input) {
+  const title = (article.title || "").toLowerCase();
+  const negativeKeywords = input.negativeKeywords || [];
+  if (negativeKeywords.some((keyword) =>
+    title.includes(keyword.toLowerCase()))) {
+    return null;
+  }
+
+  const category = firstMatch(CATEGORY_KEYWORDS, title);
+  if (!category || !input.categories.includes(category)) return null;
+
+  const tone = firstMatch(TONE_KEYWORDS, title) || "Hopeful";
+  const toneMatches = (TONE_KEYWORDS[tone] || [])
+      .filter((keyword) => title.includes(keyword)).length;
+  const summary =
+    `A positive ${category.toLowerCase()} story: ${article.title}`;
+
+  const translations = {};
+  (input.translationLocales || []).forEach((locale) => {
+    translations[locale] = {
+      title: `[${locale}] ${article.title}`,
+      summary: `[${locale}] ${summary}`,
+    };
+  });
+
+  return {
+    uniqueId: article.uniqueId,
+    title: article.title,
+    summary,
+    category,
+    tone: input.tones.includes(tone) ? tone : input.tones[0],
+    toneConfidence: Math.min(95, 60 + toneMatches * 15),
+    translations,
+  };
+}
+
+const TASKS = {
+  curate(input, clientConfig) {
+    if (clientConfig.fixture) {
+      const responses = loadFixture(clientConfig.fixture).curate || {};
+      return input.articles
+          .filter((article) => responses[article.uniqueId])
+          .map((article) => ({
+            uniqueId: article.uniqueId,
+            ...responses[article.uniqueId],
+          }));
+    }
+    return input.articles
+        .map((article) => curateByRules(article, input))
+        .filter(Boolean);
+  },
+};
+
+module.exports = {
+  name: "offline",
+  label: "Offline stand-in",
+  requiresApiKey: false,
+
+  validate(clientConfig) {
+    if (!clientConfig.fixture) return [];
+    try {
+      loadFixture(clientConfig.fixture);
+      return [];
+    } catch (error) {
+      return [
+        `fixture ${clientConfig.fixture} is unreadable: ${error.message}`,
+      ];
+    }
+  },
+
+  /**
+   * Answer a task from fixtures or rules
+   * @param {Object} request - { task, input }
+   * @param {Object} context - { clientConfig }
+   * @return {Promise<string>} JSON response text
+   */
+  async generate(request, {clientConfig = {}} = {}) {
+    const handler = TASKS[request.task];
+    if (!handler) {
+      throw new Error(
+          `Offline LLM client has no stand-in for task "${request.task}"`);
+    }
+    return JSON.stringify(handler(request.input, clientConfig));
+  },
+};
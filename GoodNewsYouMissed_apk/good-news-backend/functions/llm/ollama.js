@@ -0,0 +1,42 @@
+// =============================================
+// OLLAMA LLM CLIENT
+// =============================================
+// Mirrors src/assets/lib/services/llm/ollama.js in the PWA.
+//
+// Uses Ollama's native /api/chat endpoint with streaming off. The model must
+// already be pulled on the server (`ollama pull <model>`).
+
+module.exports = {
+  name: "ollama",
+  label: "Ollama",
+  requiresApiKey: false,
+
+  validate(clientConfig) {
+    const issues = [];
+    if (!clientConfig.baseUrl) issues.push("baseUrl is required");
+    if (!clientConfig.model) issues.push("model is required");
+    return issues;
+  },
+
+  /**
+   * Send the prompt to Ollama's /api/chat endpoint
+   * @param {Object} request - { prompt, temperature, maxOutputTokens }
+   * @param {Object} context - { http, clientConfig, timeout }
+   * @return {Promise<string>} Response text
+   */
+  async generate(request, {http, clientConfig, timeout}) {
+    const baseUrl = clientConfig.baseUrl.replace(/\/+$/, "");
+    const response = await http.post(`${baseUrl}/api/chat`, {
+      model: clientConfig.model,
+      messages: [{role: "user", content: request.prompt}],
+      stream: false,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxOutputTokens,
+      },
+    }, {timeout});
+
+    const message = response.data && response.data.message;
+    return (message && message.content) || "";
+  },
+};
@@ -0,0 +1,47 @@
+// =============================================
+// OPENAI-COMPATIBLE LLM CLIENT
+// =============================================
+// Mirrors src/assets/lib/services/llm/openai.js in the PWA.
+//
+// Talks to any /chat/completions endpoint: OpenAI itself, vLLM, LiteLLM, or a
+// llama.cpp server (`llama-server`). baseUrl includes the version prefix, e.g.
+// https://api.openai.com/v1 or http://localhost:8080/v1. Self-hosted servers
+// usually need no key, so one is sent only when configured.
+
+module.exports = {
+  name: "openai",
+  label: "OpenAI-compatible",
+  requiresApiKey: false,
+
+  validate(clientConfig) {
+    const issues = [];
+    if (!clientConfig.baseUrl) issues.push("baseUrl is required");
+    if (!clientConfig.model) issues.push("model is required");
+    return issues;
+  },
+
+  /**
+   * Send the prompt to a /chat/completions endpoint
+   * @param {Object} request - { prompt, temperature, maxOutputTokens }
+   * @param {Object} context - { http, clientConfig, apiKey, timeout }
+   * @return {Promise<string>} Response text
+   */
+  async generate(request, {http, clientConfig, apiKey, timeout}) {
+    const headers = {"Content-Type": "application/json"};
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const baseUrl = clientConfig.baseUrl.replace(/\/+$/, "");
+    const response = await http.post(`${baseUrl}/chat/completions`, {
+      model: clientConfig.model,
+      messages: [{role: "user", content: request.prompt}],
+      temperature: request.temperature,
+      max_tokens: request.maxOutputTokens,
+    }, {headers, timeout});
+
+    const choices = (response.data && response.data.choices) || [];
+    const message = choices[0] && choices[0].message;
+    return (message && message.content) || "";
+  },
+};
@@ -0,0 +1,235 @@
+// =============================================
+// CURATOR OUTPUT SCHEMA
+// =============================================
+// Strict checks for the JSON array the 'curate' task returns, plus a repair
+// pass for near-valid JSON. Pure functions: limits, categories and the safety
+// check come in through `rules`, so index.js stays the owner of CONFIG.
+//
+// Rejection reasons (counted into batch_metadata by index.js):
+//   not_object       - array entry is not an object
+//   unknown_id       - uniqueId is not one of the input links
+//   duplicate_id     - uniqueId already accepted from this response
+//   missing_field    - title, summary or category missing / not a string
+//   invalid_category - category not in CONFIG.categories
+//   summary_length   - summary outside rules.summaryLength bounds
+//   title_length     - title longer than rules.titleMaxLength
+//   unsafe_content   - title or summary fails the content safety check
+//
+// Only REPROMPTABLE_REASONS are worth asking the model about again: the
+// article is known and the model can fix the field.
+
+const REPROMPTABLE_REASONS = [
+  "missing_field",
+  "invalid_category",
+  "summary_length",
+  "title_length",
+];
+
+/**
+ * Parse a JSON array, repairing common model mistakes when strict parsing
+ * fails
+ * Repairs: ```json fences, prose around the array, trailing commas, smart
+ * quotes, and truncation (cut back to the last complete object).
+ * @param {string} text - Raw response text
+ * @return {{items: Array, repaired: boolean}}
+ * @throws {Error} When the text cannot be turned into an array
+ */
+function parseJsonArray(text) {
+  const unfenced = text.trim()
+      .replace(/^```(?:json)?\s*/i, "")
+      .replace(/\s*```$/, "");
+  try {
+    return {items: expectArray(JSON.parse(unfenced)), repaired: false};
+  } catch (error) {
+    const repaired = repairJsonArray(unfenced);
+    if (repaired === null) throw error;
+    return {items: expectArray(JSON.parse(repaired)), repaired: true};
+  }
+}
+
+/**
+ * @param {*} parsed - Parsed JSON value
+ * @return {Array} parsed, when it is an array
+ * @throws {Error} When it is not
+ */
+function expectArray(parsed) {
+  if (!Array.isArray(parsed)) {
+    throw new Error("AI response was not an array");
+  }
+  return parsed;
+}
+
+/**
+ * Best-effort repair of a near-valid JSON array
+ * @param {string} text - Response text with fences already removed
+ * @return {?string} Repaired JSON text, or null when no array start is found
+ */
+function repairJsonArray(text) {
+  const start = text.indexOf("[");
+  if (start === -1) return null;
+
+  let json = text.slice(start)
+      .replace(/[“”]/g, "\"")
+      .replace(/[‘’]/g, "'");
+
+  const end = json.lastIndexOf("]");
+  if (end !== -1 && isBalanced(json.slice(0, end + 1))) {
+    json = json.slice(0, end + 1);
+  } else {
+    // Truncated: keep everything up to the last object that closed at depth 1
+    const lastObjectEnd = findLastTopLevelObjectEnd(json);
+    if (lastObjectEnd === -1) return "[]";
+    json = `${json.slice(0, lastObjectEnd + 1)}]`;
+  }
+
+  return json.replace(/,\s*([\]}])/g, "$1");
+}
+
+/**
+ * Walk json tracking bracket depth outside strings
+ * @param {string} json - JSON text
+ * @param {Function} [onClose] - Called as (char, depth, index) after each
+ *   closing bracket
+ * @return {{depth: number, inString: boolean}} State at the end of the text
+ */
+function scanDepths(json, onClose) {
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === "\"") inString = false;
+    } else if (char === "\"") {
+      inString = true;
+    } else if (char === "[" || char === "{") {
+      depth++;
+    } else if (char === "]" || char === "}") {
+      depth--;
+      if (onClose) onClose(char, depth, i);
+    }
+  }
+  return {depth, inString};
+}
+
+/**
+ * @param {string} json - JSON text
+ * @return {boolean} Whether every bracket and string is closed
+ */
+function isBalanced(json) {
+  const {depth, inString} = scanDepths(json);
+  return depth === 0 && !inString;
+}
+
+/**
+ * @param {string} json - JSON text starting at the array's "["
+ * @return {number} Index of the last "}" closing an array element, or -1
+ */
+function findLastTopLevelObjectEnd(json) {
+  let lastEnd = -1;
+  scanDepths(json, (char, depth, index) => {
+    if (char === "}" && depth === 1) lastEnd = index;
+  });
+  return lastEnd;
+}
+
+/**
+ * Validate curator items against the input batch
+ * @param {Array} items - Parsed response array
+ * @param {Object} rules - { inputIds: Set, categories,
+ *   summaryLength: {min, max}, titleMaxLength, isContentSafe }
+ * @return {{valid: Array, rejected: Array<Object>}} Rejections are
+ *   { uniqueId: string|null, reasons: Array<string> }
+ */
+function validateCuratedItems(items, rules) {
+  const valid = [];
+  const rejected = [];
+  const accepted = new Set();
+
+  for (const item of items) {
+    const reasons = itemRejectionReasons(item, rules, accepted);
+    if (reasons.length === 0) {
+      accepted.add(item.uniqueId);
+      valid.push(item);
+    } else {
+      const uniqueId = item && typeof item.uniqueId === "string" ?
+        item.uniqueId :
+        null;
+      rejected.push({uniqueId, reasons});
+    }
+  }
+
+  return {valid, rejected};
+}
+
+/**
+ * Why one item is rejected
+ * @param {*} item - Response array entry
+ * @param {Object} rules - See validateCuratedItems()
+ * @param {Set<string>} accepted - uniqueIds already accepted
+ * @return {Array<string>} Rejection reasons, empty when valid
+ */
+function itemRejectionReasons(item, rules, accepted) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return ["not_object"];
+  }
+  if (!rules.inputIds.has(item.uniqueId)) return ["unknown_id"];
+  if (accepted.has(item.uniqueId)) return ["duplicate_id"];
+
+  const reasons = [];
+  const title = typeof item.title === "string" ? item.title.trim() : "";
+  const summary = typeof item.summary === "string" ? item.summary.trim() : "";
+
+  if (!title || !summary || typeof item.category !== "string") {
+    reasons.push("missing_field");
+  }
+  if (typeof item.category === "string" &&
+    !rules.categories.includes(item.category)) {
+    reasons.push("invalid_category");
+  }
+  if (summary && (summary.length < rules.summaryLength.min ||
+    summary.length > rules.summaryLength.max)) {
+    reasons.push("summary_length");
+  }
+  if (title.length > rules.titleMaxLength) {
+    reasons.push("title_length");
+  }
+  if ((title && !rules.isContentSafe(title)) ||
+    (summary && !rules.isContentSafe(summary))) {
+    reasons.push("unsafe_content");
+  }
+  return reasons;
+}
+
+/**
+ * Rejections that a targeted re-prompt could fix
+ * Unsafe content stays rejected even if another reason is fixable.
+ * @param {Object} rejection - { uniqueId, reasons }
+ * @return {boolean}
+ */
+function isRepromptable(rejection) {
+  return rejection.uniqueId !== null &&
+    !rejection.reasons.includes("unsafe_content") &&
+    rejection.reasons.every((reason) => REPROMPTABLE_REASONS.includes(reason));
+}
+
+/**
+ * Tally rejection reasons
+ * @param {Array<Object>} rejected - Rejections from validateCuratedItems()
+ * @return {Object} { [reason]: count }
+ */
+function countRejectionReasons(rejected) {
+  const counts = {};
+  rejected.forEach(({reasons}) => reasons.forEach((reason) => {
+    counts[reason] = (counts[reason] || 0) + 1;
+  }));
+  return counts;
+}
+
+module.exports = {
+  parseJsonArray,
+  repairJsonArray,
+  validateCuratedItems,
+  isRepromptable,
+  countRejectionReasons,
+};
@@ -0,0 +1,65 @@
+// =============================================
+// MAIL TRANSPORT REGISTRY
+// =============================================
+// Outgoing email (the weekly digest) goes through a transport chosen by
+// CONFIG.mail.transport, so tests can point at a local SMTP sink such as
+// MailHog (SMTP_HOST=localhost SMTP_PORT=1025) or just log.
+//
+// A transport is a plain object:
+//   name      - registry key, referenced by CONFIG.mail.transport
+//   label     - display name for logs
+//   send(message, context)
+//             - resolves to { messageId, accepted: Array<string> }
+//   validate(transportConfig)
+//             - optional; config issues as an array of strings
+//
+// Message:
+//   { from, to, subject, html, text, headers }
+// Context:
+//   { transportConfig, password, log }
+//
+// Adding a transport = one module registered below + one CONFIG.mail entry.
+
+const transports = new Map();
+
+/**
+ * Register a mail transport
+ * @param {Object} transport - Transport implementing the contract above
+ * @return {Object} The registered transport
+ */
+function registerMailTransport(transport) {
+  if (!transport || !transport.name || typeof transport.send !== "function") {
+    throw new Error("Mail transport must have a name and send()");
+  }
+  transports.set(transport.name, transport);
+  return transport;
+}
+
+registerMailTransport(require("./smtp"));
+registerMailTransport(require("./log"));
+
+/**
+ * @param {string} name - CONFIG.mail.transport
+ * @return {Object} Transport
+ */
+function getMailTransport(name) {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`No mail transport registered for "${name}"`);
+  }
+  return transport;
+}
+
+/**
+ * @param {string} name - CONFIG.mail.transport
+ * @return {boolean} Whether a transport is registered under name
+ */
+function hasMailTransport(name) {
+  return transports.has(name);
+}
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  hasMailTransport,
+};
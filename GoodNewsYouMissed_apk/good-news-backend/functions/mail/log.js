@@ -0,0 +1,20 @@
+// =============================================
+// LOG TRANSPORT
+// =============================================
+// Delivers nothing: logs who would have received what. The default when no
+// SMTP server is configured, so the digest can run in the emulator or in CI.
+
+module.exports = {
+  name: "log",
+  label: "Log only",
+
+  async send(message, {log}) {
+    const summary = `"${message.subject}" to ${message.to}`;
+    log(`Mail not sent (log transport): ${summary}`, {
+      to: message.to,
+      subject: message.subject,
+      textLength: message.text ? message.text.length : 0,
+    });
+    return {messageId: `log-${Date.now()}`, accepted: [message.to]};
+  },
+};
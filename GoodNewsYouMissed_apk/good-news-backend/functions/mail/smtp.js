@@ -0,0 +1,63 @@
+// =============================================
+// SMTP TRANSPORT
+// =============================================
+// Any SMTP server: a provider relay in production, MailHog or another local
+// sink in tests (no auth, no TLS). Config comes from CONFIG.mail.smtp:
+//   { host, port, secure, user, passwordEnv, timeout }
+
+const nodemailer = require("nodemailer");
+
+// One pooled connection per config, reused across sends in an instance
+let cached = null;
+
+/**
+ * Pooled nodemailer transporter for the config, created on first use
+ * @param {Object} config - CONFIG.mail.smtp
+ * @param {string} [password] - SMTP password, when config.user is set
+ * @return {Object} nodemailer transporter
+ */
+function getTransporter(config, password) {
+  const key = JSON.stringify([
+    config.host, config.port, config.secure, config.user,
+  ]);
+  if (!cached || cached.key !== key) {
+    cached = {
+      key,
+      transporter: nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? {user: config.user, pass: password} : undefined,
+        pool: true,
+        connectionTimeout: config.timeout,
+        socketTimeout: config.timeout,
+      }),
+    };
+  }
+  return cached.transporter;
+}
+
+module.exports = {
+  name: "smtp",
+  label: "SMTP",
+
+  async send(message, {transportConfig, password}) {
+    const transporter = getTransporter(transportConfig, password);
+    const info = await transporter.sendMail(message);
+    return {messageId: info.messageId, accepted: info.accepted || []};
+  },
+
+  validate(config) {
+    const issues = [];
+    if (!config.host) {
+      issues.push("mail.smtp.host is required (SMTP_HOST)");
+    }
+    if (!Number.isInteger(config.port) || config.port <= 0) {
+      issues.push("mail.smtp.port must be a positive integer (SMTP_PORT)");
+    }
+    if (config.user && !process.env[config.passwordEnv]) {
+      issues.push(`mail.smtp.user is set but ${config.passwordEnv} is empty`);
+    }
+    return issues;
+  },
+};
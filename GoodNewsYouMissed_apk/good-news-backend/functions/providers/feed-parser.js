@@ -0,0 +1,247 @@
+// =============================================
+// RSS 2.0 / RSS 1.0 (RDF) / ATOM FEED PARSER
+// =============================================
+// Dependency-free and deliberately lenient: feeds in the wild are rarely
+// well-formed, so this extracts what it can instead of validating XML.
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: " ",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+};
+
+/**
+ * Decode numeric and common named character references
+ * @param {string} text - Text containing entities
+ * @return {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint = entity[1].toLowerCase() === "x" ?
+        parseInt(entity.slice(2), 16) :
+        parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ?
+        String.fromCodePoint(codePoint) :
+        match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Convert element content (CDATA, escaped HTML or plain text) to plain text
+ * @param {string} raw - Element content
+ * @return {string} Plain text with collapsed whitespace
+ */
+function toPlainText(raw) {
+  if (!raw) return "";
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  const html = cdata ? cdata[1] : decodeEntities(raw);
+  return decodeEntities(
+      html
+          .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+          .replace(/<[^>]+>/g, " "),
+  )
+      .replace(/\s+/g, " ")
+      .trim();
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text - Literal text
+ * @return {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Attributes of an opening tag, keyed by lower-cased name
+ * @param {string} attributeText - Text between the tag name and ">"
+ * @return {Object<string, string>} Decoded attribute values
+ */
+function parseAttributes(attributeText) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(attributeText || "")) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3];
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Every occurrence of a child element
+ * Matches the qualified name exactly, so "link" does not match "atom:link".
+ * @param {string} xml - Document or fragment to search
+ * @param {string} name - Qualified element name
+ * @return {Array<{attributes: Object, content: string}>} Matches in order
+ */
+function findElements(xml, name) {
+  const tag = escapeRegExp(name);
+  const pattern = new RegExp(
+      `<${tag}(\\s[^>]*?)?(?:\\/>|>([\\s\\S]*?)<\\/${tag}\\s*>)`, "gi");
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({
+      attributes: parseAttributes(match[1]),
+      content: match[2] || "",
+    });
+  }
+  return elements;
+}
+
+/**
+ * Plain text of the first non-empty element among several names
+ * @param {string} xml - Document or fragment to search
+ * @param {Array<string>} names - Element names, in order of preference
+ * @return {string} Text, or "" when none is found
+ */
+function firstText(xml, names) {
+  for (const name of names) {
+    const [element] = findElements(xml, name);
+    if (element) {
+      const text = toPlainText(element.content);
+      if (text) return text;
+    }
+  }
+  return "";
+}
+
+/**
+ * Normalize a feed date (RFC 822 or ISO 8601)
+ * @param {string} value - Date text
+ * @return {string|null} ISO timestamp, or null when unparseable
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * First image referenced by media:*, enclosure or an enclosure link
+ * @param {string} xml - Item or entry fragment
+ * @return {string|null} Image URL
+ */
+function findImage(xml) {
+  const candidates = [
+    ...findElements(xml, "media:content"),
+    ...findElements(xml, "media:thumbnail"),
+    ...findElements(xml, "enclosure"),
+    ...findElements(xml, "link")
+        .filter((link) => link.attributes.rel === "enclosure"),
+  ];
+  const image = candidates.find(({attributes}) => {
+    const url = attributes.url || attributes.href;
+    if (!url) return false;
+    const type = attributes.type || attributes.medium || "";
+    return !type || type.startsWith("image");
+  });
+  return image ? (image.attributes.url || image.attributes.href) : null;
+}
+
+/**
+ * Fields of one RSS <item>; falls back to a permalink <guid> for the link
+ * @param {string} xml - Item content
+ * @return {Object} Parsed item
+ */
+function parseRssItem(xml) {
+  let link = firstText(xml, ["link"]);
+  if (!link) {
+    const [guid] = findElements(xml, "guid");
+    const guidText = guid ? toPlainText(guid.content) : "";
+    if (/^https?:\/\//i.test(guidText)) link = guidText;
+  }
+
+  return {
+    title: firstText(xml, ["title"]),
+    link,
+    description: firstText(xml, ["description", "content:encoded"]),
+    content: firstText(xml, ["content:encoded"]),
+    publishedAt: toIsoDate(firstText(xml, ["pubDate", "dc:date"])),
+    author: firstText(xml, ["dc:creator", "author"]),
+    image: findImage(xml),
+  };
+}
+
+/**
+ * Fields of one Atom <entry>; the link is the alternate (or untyped) one
+ * @param {string} xml - Entry content
+ * @return {Object} Parsed item
+ */
+function parseAtomEntry(xml) {
+  const links = findElements(xml, "link");
+  const alternate = links.find((l) =>
+    !l.attributes.rel || l.attributes.rel === "alternate");
+
+  return {
+    title: firstText(xml, ["title"]),
+    link: alternate ? alternate.attributes.href || "" : "",
+    description: firstText(xml, ["summary", "content"]),
+    content: firstText(xml, ["content"]),
+    publishedAt: toIsoDate(firstText(xml, ["published", "updated"])),
+    author: (() => {
+      const [author] = findElements(xml, "author");
+      return author ? firstText(author.content, ["name"]) : "";
+    })(),
+    image: findImage(xml),
+  };
+}
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml - Raw feed XML
+ * @return {{format: string, title: string, items: Array<Object>}} Items
+ *   have { title, link, description, content, publishedAt, author, image }
+ *   as plain text
+ * @throws {Error} If the document is not a recognisable feed
+ */
+function parseFeed(xml) {
+  if (typeof xml !== "string" || xml.trim() === "") {
+    throw new Error("Feed document is empty");
+  }
+
+  const body = xml.replace(/<!--[\s\S]*?-->/g, "");
+  const isAtom = /<feed\b[^>]*>/i.test(body) && !/<rss\b/i.test(body);
+  const isRss = /<(rss|rdf:RDF)\b/i.test(body) || /<channel\b/i.test(body);
+
+  if (!isAtom && !isRss) {
+    throw new Error("Document is not an RSS or Atom feed");
+  }
+
+  const itemTag = isAtom ? "entry" : "item";
+  const firstItemIndex = body.search(new RegExp(`<${itemTag}[\\s>]`, "i"));
+  const header = firstItemIndex === -1 ? body : body.slice(0, firstItemIndex);
+
+  const items = findElements(body, itemTag)
+      .map(({content}) => (isAtom ?
+        parseAtomEntry(content) :
+        parseRssItem(content)));
+
+  return {
+    format: isAtom ? "atom" : "rss",
+    title: firstText(header, ["title"]),
+    items,
+  };
+}
+
+module.exports = {
+  parseFeed,
+  toPlainText,
+  decodeEntities,
+};
@@ -0,0 +1,132 @@
+// =============================================
+// NEWS PROVIDER ADAPTER REGISTRY
+// =============================================
+// Same adapter contract as the PWA's
+// src/assets/lib/services/providers/index.js.
+//
+// An adapter is a plain object:
+//   name           - registry key, referenced by CONFIG.apiProviders[*].adapter
+//   label          - display name for logs
+//   requiresApiKey - whether CONFIG.apiProviders[*].apiKeyEnv must be set
+//   quota          - { maxArticlesPerRequest, creditsPerRequest };
+//                    maxArticlesPerRequest (null = no cap) is enforced by
+//                    fetchArticlesFromProvider()
+//   fetch(category, context)
+//                  - raw provider items for one category
+//                    (null = malformed response)
+//   normalize(item, category)
+//                  - shared article shape, or null to drop the item
+//   validate(providerConfig)
+//                  - optional; config issues as an array of strings
+//
+// Shared article shape:
+//   { title, link, source, description, content, publishedAt, category,
+//     image, _provider }
+//   plus optional fullContent when the provider ships the whole story.
+//   The newsapi/newsdata normalizers are pinned against the PWA copies by
+//   test/providers.spec.js.
+//
+// Adding a source = one adapter module registered below
+// + one CONFIG.apiProviders entry.
+
+const adapters = new Map();
+
+/**
+ * Register a provider adapter
+ * @param {Object} adapter - Adapter implementing the contract above
+ * @return {Object} The registered adapter
+ */
+function registerProvider(adapter) {
+  if (!adapter || !adapter.name ||
+      typeof adapter.fetch !== "function" ||
+      typeof adapter.normalize !== "function") {
+    throw new Error(
+        "Provider adapter must have a name, fetch() and normalize()");
+  }
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+registerProvider(require("./newsdata"));
+registerProvider(require("./newsapi"));
+registerProvider(require("./rss"));
+
+/**
+ * Look up the adapter serving a configured provider
+ * @param {string} providerName - Key in CONFIG.apiProviders
+ * @param {Object} providerConfig - CONFIG.apiProviders[providerName]
+ * @return {Object} Adapter
+ */
+function getProviderAdapter(providerName, providerConfig = {}) {
+  const adapterName = providerConfig.adapter || providerName;
+  const adapter = adapters.get(adapterName);
+  if (!adapter) {
+    throw new Error(`No adapter registered for provider "${providerName}" ` +
+      `(adapter: ${adapterName})`);
+  }
+  return adapter;
+}
+
+/**
+ * Whether a configured provider has a registered adapter
+ * @param {string} providerName - Key in CONFIG.apiProviders
+ * @param {Object} providerConfig - CONFIG.apiProviders[providerName]
+ * @return {boolean}
+ */
+function hasProviderAdapter(providerName, providerConfig = {}) {
+  return adapters.has(providerConfig.adapter || providerName);
+}
+
+/**
+ * Enabled providers sorted by priority
+ * @param {Object} apiProviders - CONFIG.apiProviders
+ * @return {Array<[string, Object]>} [providerName, providerConfig] pairs
+ */
+function getActiveProviders(apiProviders) {
+  return Object.entries(apiProviders || {})
+      .filter(([, config]) => config && config.enabled)
+      .sort((a, b) => (a[1].priority || 0) - (b[1].priority || 0));
+}
+
+/**
+ * Adapter quota defaults overridden by the provider's configured limits
+ * @param {string} providerName - Key in CONFIG.apiProviders
+ * @param {Object} providerConfig - CONFIG.apiProviders[providerName]
+ * @return {{maxArticlesPerRequest: ?number, creditsPerRequest: number}}
+ */
+function getProviderQuota(providerName, providerConfig = {}) {
+  const adapter = getProviderAdapter(providerName, providerConfig);
+  return {
+    ...adapter.quota,
+    ...(providerConfig.limits || {}),
+  };
+}
+
+/**
+ * Summary of every configured provider, for health/status endpoints
+ * @param {Object} apiProviders - CONFIG.apiProviders
+ * @return {Array<Object>} One entry per configured provider
+ */
+function describeProviders(apiProviders) {
+  return Object.entries(apiProviders || {}).map(([name, config]) => {
+    const registered = hasProviderAdapter(name, config);
+    return {
+      name,
+      adapter: config.adapter || name,
+      enabled: !!config.enabled,
+      priority: config.priority,
+      registered,
+      hasApiKey: config.apiKeyEnv ? !!process.env[config.apiKeyEnv] : null,
+      quota: registered ? getProviderQuota(name, config) : null,
+    };
+  });
+}
+
+module.exports = {
+  registerProvider,
+  getProviderAdapter,
+  hasProviderAdapter,
+  getActiveProviders,
+  getProviderQuota,
+  describeProviders,
+};
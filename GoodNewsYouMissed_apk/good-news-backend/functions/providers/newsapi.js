@@ -0,0 +1,64 @@
+// =============================================
+// NEWSAPI.ORG PROVIDER ADAPTER
+// =============================================
+// Mirrors src/assets/lib/services/providers/newsapi.js in the PWA.
+
+module.exports = {
+  name: "newsapi",
+  label: "NewsAPI.org",
+  requiresApiKey: true,
+
+  // Capped per request in fetchArticlesFromProvider()
+  quota: {
+    maxArticlesPerRequest: 20,
+    creditsPerRequest: 1,
+  },
+
+  /**
+   * Fetch raw NewsAPI articles for one category
+   * @param {string} category - NewsAPI top-headlines category
+   * @param {Object} context - { http, providerConfig, apiKey, timeout }
+   * @return {Promise<Array|null>} Raw articles, or null when the response
+   *   has no articles field
+   */
+  async fetch(category, {http, providerConfig, apiKey, timeout}) {
+    const response = await http.get(providerConfig.baseUrl, {
+      params: {
+        ...providerConfig.params,
+        category,
+        apiKey,
+      },
+      timeout,
+      headers: {
+        "User-Agent": "GoodNewsApp/1.0",
+        "Accept": "application/json",
+      },
+    });
+
+    return (response.data && response.data.articles) || null;
+  },
+
+  /**
+   * Map one NewsAPI article to the shared article shape
+   * @param {Object} article - Raw NewsAPI article
+   * @param {string} category - Category the item was fetched for
+   * @return {Object|null} Normalized article, or null if the item is unusable
+   */
+  normalize(article, category) {
+    if (!article.title || article.title.length <= 10 || !article.url) {
+      return null;
+    }
+
+    return {
+      title: article.title,
+      link: article.url,
+      source: (article.source && article.source.name) || "Unknown",
+      description: article.description || "",
+      content: article.content || "",
+      publishedAt: article.publishedAt || null,
+      category: category.toUpperCase(),
+      image: article.urlToImage || null,
+      _provider: "newsapi",
+    };
+  },
+};
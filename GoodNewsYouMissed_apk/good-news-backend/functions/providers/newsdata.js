@@ -0,0 +1,67 @@
+// =============================================
+// NEWSDATA.IO PROVIDER ADAPTER
+// =============================================
+// Mirrors src/assets/lib/services/providers/newsdata.js in the PWA.
+
+module.exports = {
+  name: "newsdata",
+  label: "NewsData.io",
+  requiresApiKey: true,
+
+  // Capped per request in fetchArticlesFromProvider()
+  quota: {
+    maxArticlesPerRequest: 10,
+    creditsPerRequest: 1,
+  },
+
+  /**
+   * Fetch raw NewsData.io results for one category
+   * @param {string} category - NewsData category
+   *   (may be a comma-separated list)
+   * @param {Object} context - { http, providerConfig, apiKey, timeout }
+   * @return {Promise<Array|null>} Raw results, or null when the response
+   *   has no results field
+   */
+  async fetch(category, {http, providerConfig, apiKey, timeout}) {
+    const response = await http.get(providerConfig.baseUrl, {
+      params: {
+        apikey: apiKey,
+        ...providerConfig.params,
+        category,
+      },
+      timeout,
+      headers: {
+        "User-Agent": "GoodNewsApp/1.0",
+        "Accept": "application/json",
+      },
+    });
+
+    return (response.data && response.data.results) || null;
+  },
+
+  /**
+   * Map one NewsData.io result to the shared article shape
+   * @param {Object} article - Raw NewsData.io result
+   * @param {string} category - Category the item was fetched for
+   * @return {Object|null} Normalized article, or null if the item is unusable
+   */
+  normalize(article, category) {
+    if (!article.title || article.title.length <= 10 || !article.link) {
+      return null;
+    }
+
+    return {
+      title: article.title,
+      link: article.link,
+      source: article.source_id || "Unknown",
+      description: article.description || "",
+      content: article.content || "",
+      // Set when NEWSDATA_FULL_CONTENT=1 and the plan includes it
+      fullContent: article.full_content || "",
+      publishedAt: article.pubDate || null,
+      category: category.toUpperCase(),
+      image: article.image_url || null,
+      _provider: "newsdata",
+    };
+  },
+};
@@ -0,0 +1,142 @@
+// =============================================
+// RSS / ATOM FEED PROVIDER ADAPTER
+// =============================================
+// Mirrors src/assets/lib/services/providers/rss.js in the PWA.
+//
+// Feeds are listed in CONFIG.apiProviders[*].feeds as { name, url, category };
+// the "category" passed to fetch() selects which feeds to read. A feed url may
+// be http(s), file:// or a path relative to the functions directory, so the
+// adapter can run against the XML fixtures in fixtures/feeds/.
+
+const fs = require("fs");
+const path = require("path");
+const {fileURLToPath} = require("url");
+const {parseFeed} = require("./feed-parser");
+
+const DEFAULT_MAX_ITEMS_PER_FEED = 15;
+
+/**
+ * Feed XML from an http(s) URL, a file:// URL or a functions-relative path
+ * @param {string} url - Feed location
+ * @param {Object} context - { http, timeout }
+ * @return {Promise<string>} Raw document
+ */
+async function loadFeedDocument(url, {http, timeout}) {
+  if (/^https?:\/\//i.test(url)) {
+    const response = await http.get(url, {
+      responseType: "text",
+      timeout,
+      headers: {
+        "User-Agent": "GoodNewsApp/1.0",
+        "Accept": "application/rss+xml, application/atom+xml, " +
+          "application/xml;q=0.9, text/xml;q=0.8",
+      },
+    });
+    return response.data;
+  }
+
+  const filePath = url.startsWith("file://") ?
+    fileURLToPath(url) :
+    path.resolve(__dirname, "..", url);
+  return fs.promises.readFile(filePath, "utf8");
+}
+
+module.exports = {
+  name: "rss",
+  label: "RSS/Atom",
+  requiresApiKey: false,
+
+  // Feeds cost no API credits; a request reads every feed in one category,
+  // so items are capped per feed (maxItemsPerFeed) rather than per request
+  quota: {
+    maxArticlesPerRequest: null,
+    creditsPerRequest: 0,
+  },
+
+  /**
+   * Config problems for validateConfig()
+   * @param {Object} providerConfig - CONFIG.apiProviders[*]
+   * @return {Array<string>} Issues, empty when valid
+   */
+  validate(providerConfig) {
+    const feeds = providerConfig.feeds || [];
+    if (feeds.length === 0) return ["no feeds configured"];
+
+    const issues = [];
+    feeds.forEach((feed, index) => {
+      if (!feed.url) issues.push(`feeds[${index}] is missing a url`);
+      if (!(providerConfig.targetCategories || []).includes(feed.category)) {
+        issues.push(`feeds[${index}] category "${feed.category}" ` +
+          "is not in targetCategories");
+      }
+    });
+    return issues;
+  },
+
+  /**
+   * Read and parse every feed configured for one category
+   * A failing feed is skipped; the call only fails when every feed fails.
+   * @param {string} category - Feed group from targetCategories
+   * @param {Object} context - { http, providerConfig, timeout, log }
+   * @return {Promise<Array>} Parsed feed items tagged with feedName
+   */
+  async fetch(category, {http, providerConfig, timeout, log}) {
+    const feeds = (providerConfig.feeds || [])
+        .filter((feed) => feed.category === category);
+    const maxItems = providerConfig.maxItemsPerFeed ||
+      DEFAULT_MAX_ITEMS_PER_FEED;
+
+    const results = await Promise.allSettled(feeds.map(async (feed) => {
+      const document = await loadFeedDocument(feed.url, {http, timeout});
+      const parsed = parseFeed(document);
+      return parsed.items.slice(0, maxItems).map((item) => ({
+        ...item,
+        feedName: feed.name || parsed.title,
+      }));
+    }));
+
+    const failures = results
+        .map((result, index) => ({result, feed: feeds[index]}))
+        .filter(({result}) => result.status === "rejected");
+
+    if (feeds.length > 0 && failures.length === feeds.length) {
+      throw failures[0].result.reason;
+    }
+
+    if (failures.length > 0 && log) {
+      log.warn("Skipping unreadable feeds", {
+        category,
+        feeds: failures.map(({feed, result}) => ({
+          url: feed.url,
+          error: result.reason && result.reason.message,
+        })),
+      });
+    }
+
+    return results
+        .filter((result) => result.status === "fulfilled")
+        .flatMap((result) => result.value);
+  },
+
+  /**
+   * Map one parsed feed item to the shared article shape
+   * @param {Object} item - Parsed item from fetch()
+   * @param {string} category - Feed group the item was read for
+   * @return {Object|null} Normalized article, or null if the item is unusable
+   */
+  normalize(item, category) {
+    if (!item.title || item.title.length <= 10 || !item.link) return null;
+
+    return {
+      title: item.title,
+      link: item.link,
+      source: item.feedName || "Unknown",
+      description: (item.description || "").slice(0, 500),
+      content: (item.content || "").slice(0, 1000),
+      publishedAt: item.publishedAt || null,
+      category: category.toUpperCase(),
+      image: item.image || null,
+      _provider: "rss",
+    };
+  },
+};
@@ -0,0 +1,168 @@
+// =============================================
+// WEB PUSH: SUBSCRIPTIONS, QUIET HOURS, DELIVERY
+// =============================================
+// Helpers for the push_subscriptions callables and the breaking-news trigger
+// in index.js. Delivery uses the web-push library with VAPID keys.
+//
+// Browser subscription (PushSubscription.toJSON()):
+//   { endpoint, keys: { p256dh, auth } }
+// Quiet hours, in the subscriber's time zone (may span midnight):
+//   { start: 'HH:MM', end: 'HH:MM', timeZone: 'Europe/Berlin' }
+
+const crypto = require("crypto");
+const webpush = require("web-push");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+={0,2}$/;
+
+/**
+ * Document id for a subscription: one per browser endpoint, whoever owns it
+ * @param {string} endpoint - Push service endpoint URL
+ * @return {string} 40-character hex id
+ */
+function pushSubscriptionId(endpoint) {
+  return crypto.createHash("sha256")
+      .update(endpoint)
+      .digest("hex")
+      .substring(0, 40);
+}
+
+/**
+ * @param {*} subscription - PushSubscription JSON from the browser
+ * @return {?string} What is wrong with a browser subscription, or null
+ */
+function validatePushSubscription(subscription) {
+  if (!subscription || typeof subscription !== "object") {
+    return "subscription must be the PushSubscription JSON " +
+      "({ endpoint, keys })";
+  }
+
+  let url;
+  try {
+    url = new URL(subscription.endpoint);
+  } catch (error) {
+    return "subscription.endpoint must be a URL";
+  }
+  if (url.protocol !== "https:" || subscription.endpoint.length > 1000) {
+    return "subscription.endpoint must be an https URL of at most 1000 " +
+      "characters";
+  }
+
+  const {p256dh, auth} = subscription.keys || {};
+  const validKey = (key) => typeof key === "string" && key.length <= 200 &&
+    BASE64URL_PATTERN.test(key);
+  if (!validKey(p256dh) || !validKey(auth)) {
+    return "subscription.keys.p256dh and subscription.keys.auth must be " +
+      "base64url strings";
+  }
+  return null;
+}
+
+/**
+ * @param {*} timeZone - Candidate IANA time zone name
+ * @return {boolean} Whether Intl accepts it
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @param {*} quietHours - { start, end, timeZone }
+ * @return {?string} What is wrong with a quiet hours setting, or null
+ */
+function validateQuietHours(quietHours) {
+  if (!quietHours || typeof quietHours !== "object") {
+    return "quietHours must be { start, end, timeZone } or null";
+  }
+  if (!TIME_PATTERN.test(quietHours.start) ||
+    !TIME_PATTERN.test(quietHours.end)) {
+    return "quietHours.start and quietHours.end must be HH:MM (24-hour)";
+  }
+  if (quietHours.start === quietHours.end) {
+    return "quietHours.start and quietHours.end must differ";
+  }
+  if (!isValidTimeZone(quietHours.timeZone)) {
+    return "quietHours.timeZone must be an IANA time zone such as " +
+      "\"America/New_York\"";
+  }
+  return null;
+}
+
+/**
+ * @param {string} time - 'HH:MM'
+ * @return {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Whether `now` falls inside the quiet hours (start inclusive, end exclusive)
+ * @param {?Object} quietHours - { start, end, timeZone }, or null for none
+ * @param {number} [now] - Epoch milliseconds, defaults to Date.now()
+ * @return {boolean}
+ */
+function isInQuietHours(quietHours, now = Date.now()) {
+  if (!quietHours) return false;
+
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: quietHours.timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(now));
+  const part = (type) =>
+    Number(parts.find((entry) => entry.type === type).value);
+  const local = part("hour") * 60 + part("minute");
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end ?
+    local >= start && local < end :
+    local >= start || local < end;
+}
+
+/**
+ * Push services answer 404 or 410 for endpoints that are gone for good
+ * @param {Error} error - Error thrown by sendWebPush()
+ * @return {boolean}
+ */
+function isExpiredSubscriptionError(error) {
+  return error && (error.statusCode === 404 || error.statusCode === 410);
+}
+
+/**
+ * Send one encrypted push message
+ * @param {Object} subscription - { endpoint, keys }
+ * @param {Object} payload - JSON body the service worker receives
+ * @param {Object} options - { vapidDetails, ttlSeconds, urgency, topic };
+ *   topic is optional
+ * @return {Promise<{statusCode: number}>} Push service response status
+ * @throws {WebPushError} with statusCode when the push service rejects the
+ *   message
+ */
+async function sendWebPush(subscription, payload, options) {
+  const {vapidDetails, ttlSeconds, urgency, topic} = options;
+  const result = await webpush.sendNotification(
+      {endpoint: subscription.endpoint, keys: subscription.keys},
+      JSON.stringify(payload),
+      {vapidDetails, TTL: ttlSeconds, urgency, topic},
+  );
+  return {statusCode: result.statusCode};
+}
+
+module.exports = {
+  pushSubscriptionId,
+  validatePushSubscription,
+  validateQuietHours,
+  isInQuietHours,
+  isExpiredSubscriptionError,
+  sendWebPush,
+};
@@ -0,0 +1,91 @@
+// Role checks behind every protected callable: custom-claim roles mapped
+// through ACCESS_POLICY, admin everywhere, and the ADMIN_USER_IDS / users
+// doc fallback for admins without claims.
+
+const assert = require("assert");
+
+const {db, functions} = require("./support/functions");
+
+const {hasPermission} = functions;
+
+/**
+ * request.auth for a user holding the given roles as custom claims
+ * @param {string} uid - User id
+ * @param {Array<string>} roles - Claimed roles
+ * @return {Object} Auth context
+ */
+function authWith(uid, roles) {
+  return {uid, token: {roles}};
+}
+
+describe("hasPermission", () => {
+  const savedAdmins = process.env.ADMIN_USER_IDS;
+
+  beforeEach(() => {
+    db.clear();
+    delete process.env.ADMIN_USER_IDS;
+  });
+
+  after(() => {
+    if (savedAdmins === undefined) {
+      delete process.env.ADMIN_USER_IDS;
+    } else {
+      process.env.ADMIN_USER_IDS = savedAdmins;
+    }
+  });
+
+  it("allows admin for every policy, including admin-only ones", async () => {
+    const admin = authWith("root", ["admin"]);
+    assert.strictEqual(await hasPermission(admin, "grantRole"), true);
+    assert.strictEqual(await hasPermission(admin, "reviewReport"), true);
+    assert.strictEqual(await hasPermission(admin, "clearCache"), true);
+  });
+
+  it("maps each role to the callables that list it", async () => {
+    const viewer = authWith("v", ["viewer"]);
+    const editor = authWith("e", ["editor"]);
+    const ops = authWith("o", ["ops"]);
+
+    assert.strictEqual(await hasPermission(viewer, "getReportQueue"), true);
+    assert.strictEqual(await hasPermission(viewer, "reviewReport"), false);
+    assert.strictEqual(await hasPermission(editor, "reviewReport"), true);
+    assert.strictEqual(await hasPermission(editor, "clearCache"), false);
+    assert.strictEqual(await hasPermission(ops, "clearCache"), true);
+    assert.strictEqual(await hasPermission(ops, "grantRole"), false);
+  });
+
+  it("ignores claimed roles that are not known roles", async () => {
+    const auth = authWith("x", ["superuser", "reviewReport"]);
+    assert.strictEqual(await hasPermission(auth, "reviewReport"), false);
+  });
+
+  it("denies anonymous callers", async () => {
+    assert.strictEqual(await hasPermission(undefined, "getReportQueue"),
+        false);
+  });
+
+  it("falls back to ADMIN_USER_IDS for users without claims", async () => {
+    process.env.ADMIN_USER_IDS = "someone, env-admin";
+    assert.strictEqual(
+        await hasPermission({uid: "env-admin"}, "grantRole"), true);
+    assert.strictEqual(
+        await hasPermission({uid: "other"}, "grantRole"), false);
+  });
+
+  it("falls back to users/{uid}.isAdmin", async () => {
+    db.store.users = {
+      "doc-admin": {isAdmin: true},
+      "plain": {isAdmin: false},
+    };
+    assert.strictEqual(
+        await hasPermission({uid: "doc-admin"}, "reviewReport"), true);
+    assert.strictEqual(
+        await hasPermission({uid: "plain"}, "reviewReport"), false);
+  });
+
+  it("throws for a permission with no policy entry", async () => {
+    await assert.rejects(
+        hasPermission(authWith("root", ["admin"]), "notACallable"),
+        /No access policy for notACallable/);
+  });
+});
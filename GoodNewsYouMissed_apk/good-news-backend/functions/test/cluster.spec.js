@@ -0,0 +1,143 @@
+// Near-duplicate clustering: the TF-IDF grouping in cluster/ and how index.js
+// turns a cluster into one canonical article with alternateSources.
+
+const assert = require("assert");
+
+const {clusterTexts, tokenize} = require("../cluster");
+const {db, functions} = require("./support/functions");
+
+const ENZYME = [
+  "Scientists engineer enzyme that breaks down plastic bottles in hours",
+  "New enzyme breaks down plastic bottles in hours, scientists report",
+  "Plastic-eating enzyme breaks down bottles in hours, say scientists",
+];
+const TREES = "Volunteers plant ten thousand trees along flooded riverbank";
+const FRIDGES = "Community fridge network expands to twelve neighbourhoods";
+
+/**
+ * Curated article as clusterStories() receives it
+ * @param {string} slug - Link path and outlet suffix
+ * @param {string} title - Title
+ * @param {Object} overrides - Other fields
+ * @return {Object} Article
+ */
+function article(slug, title, overrides = {}) {
+  return {
+    title,
+    summary: "",
+    link: `https://${slug}.example.com/story`,
+    source: `Outlet ${slug}`,
+    language: "en",
+    publishedOriginal: "2026-10-18T10:00:00Z",
+    ...overrides,
+  };
+}
+
+describe("tokenize", () => {
+  it("drops stopwords, accents and plural -s", () => {
+    assert.deepStrictEqual(tokenize("The Café's new bottles and Glass"),
+        ["cafe", "bottle", "glass"]);
+  });
+});
+
+describe("clusterTexts", () => {
+  it("groups near-duplicates and leaves unrelated stories alone", () => {
+    assert.deepStrictEqual(
+        clusterTexts([ENZYME[0], TREES, ENZYME[1], FRIDGES, ENZYME[2]],
+            {threshold: 0.4}),
+        [[0, 2, 4], [1], [3]]);
+  });
+
+  it("keeps everything apart above the pairs' similarity", () => {
+    assert.deepStrictEqual(clusterTexts(ENZYME, {threshold: 0.99}),
+        [[0], [1], [2]]);
+  });
+
+  it("merges everything at a zero threshold", () => {
+    assert.deepStrictEqual(clusterTexts([ENZYME[0], TREES], {threshold: 0}),
+        [[0, 1]]);
+  });
+
+  it("returns singletons for one text and nothing for none", () => {
+    assert.deepStrictEqual(clusterTexts([TREES]), [[0]]);
+    assert.deepStrictEqual(clusterTexts([]), []);
+  });
+});
+
+describe("clusterStories", () => {
+  beforeEach(() => db.clear());
+
+  it("keeps the earliest article as canonical, the rest as alternates",
+      async () => {
+        const {stories, clusterUpdates, mergedCount} =
+          await functions.clusterStories([
+            article("late", ENZYME[0],
+                {publishedOriginal: "2026-10-18T12:00:00Z"}),
+            article("first", ENZYME[1],
+                {publishedOriginal: "2026-10-18T08:00:00Z"}),
+            article("trees", TREES),
+          ]);
+
+        assert.deepStrictEqual(clusterUpdates, []);
+        assert.strictEqual(mergedCount, 1);
+        assert.deepStrictEqual(stories.map((story) => story.link), [
+          "https://first.example.com/story",
+          "https://trees.example.com/story",
+        ]);
+
+        const [canonical, unrelated] = stories;
+        assert.strictEqual(canonical.alternateSources.length, 1);
+        const [alternate] = canonical.alternateSources;
+        assert.deepStrictEqual(
+            {source: alternate.source, link: alternate.link,
+              title: alternate.title},
+            {source: "Outlet late", link: "https://late.example.com/story",
+              title: ENZYME[0]});
+        assert.match(alternate.id, /^[0-9a-f]+$/);
+        assert.deepStrictEqual(unrelated.alternateSources, []);
+      });
+
+  it("breaks a publication tie with the fuller summary", async () => {
+    const {stories} = await functions.clusterStories([
+      article("short", ENZYME[0], {summary: "Short."}),
+      article("full", ENZYME[1],
+          {summary: "Short, but with more detail about the enzyme."}),
+    ]);
+    assert.strictEqual(stories.length, 1);
+    assert.strictEqual(stories[0].link, "https://full.example.com/story");
+  });
+
+  it("adds new coverage to an already stored canonical article", async () => {
+    db.store.news_articles = {
+      stored1: {
+        ...article("stored", ENZYME[0]),
+        isActive: true,
+        publishedAt: "2026-10-18T09:00:00Z",
+        alternateSources: [],
+      },
+    };
+
+    const {stories, clusterUpdates, mergedCount} =
+      await functions.clusterStories([
+        article("newer", ENZYME[1]),
+        article("trees", TREES),
+      ]);
+
+    assert.deepStrictEqual(stories.map((story) => story.link),
+        ["https://trees.example.com/story"]);
+    assert.strictEqual(mergedCount, 1);
+    assert.strictEqual(clusterUpdates.length, 1);
+    assert.strictEqual(clusterUpdates[0].id, "stored1");
+    assert.deepStrictEqual(
+        clusterUpdates[0].alternateSources.map((alternate) => alternate.link),
+        ["https://newer.example.com/story"]);
+  });
+
+  it("never clusters articles in different languages", async () => {
+    const {stories} = await functions.clusterStories([
+      article("en", ENZYME[0]),
+      article("es", ENZYME[1], {language: "es"}),
+    ]);
+    assert.strictEqual(stories.length, 2);
+  });
+});
@@ -0,0 +1,123 @@
+// Weekly digest helpers: unsubscribe tokens, the ISO week key that stops a
+// second send, and escaping of story text in the rendered email.
+
+const assert = require("assert");
+
+const {
+  renderDigest,
+  isoWeekKey,
+  signUnsubscribeToken,
+  verifyUnsubscribeToken,
+} = require("../digest");
+
+const SECRET = "test-signing-secret";
+
+describe("unsubscribe tokens", () => {
+  const token = signUnsubscribeToken("reader-1", SECRET);
+
+  it("accepts the token signed for the uid", () => {
+    assert.strictEqual(verifyUnsubscribeToken("reader-1", token, SECRET),
+        true);
+  });
+
+  it("rejects a tampered token", () => {
+    const flipped = (token[0] === "A" ? "B" : "A") + token.slice(1);
+    assert.strictEqual(verifyUnsubscribeToken("reader-1", flipped, SECRET),
+        false);
+  });
+
+  it("rejects a token signed for another uid", () => {
+    const other = signUnsubscribeToken("reader-2", SECRET);
+    assert.strictEqual(verifyUnsubscribeToken("reader-1", other, SECRET),
+        false);
+  });
+
+  it("rejects a token signed with another secret", () => {
+    assert.strictEqual(verifyUnsubscribeToken("reader-1", token, "rotated"),
+        false);
+  });
+
+  it("rejects tokens of the wrong length without throwing", () => {
+    assert.strictEqual(
+        verifyUnsubscribeToken("reader-1", token.slice(0, -1), SECRET), false);
+    assert.strictEqual(
+        verifyUnsubscribeToken("reader-1", `${token}A`, SECRET), false);
+  });
+
+  it("rejects a missing uid or token", () => {
+    assert.strictEqual(verifyUnsubscribeToken("", token, SECRET), false);
+    assert.strictEqual(verifyUnsubscribeToken("reader-1", "", SECRET), false);
+    assert.strictEqual(verifyUnsubscribeToken("reader-1", undefined, SECRET),
+        false);
+  });
+});
+
+describe("isoWeekKey", () => {
+  it("numbers a mid-year week", () => {
+    assert.strictEqual(isoWeekKey("2026-10-19T08:00:00Z"), "2026-W43");
+  });
+
+  it("puts early January in the previous year's last week", () => {
+    // Friday: the week's Thursday is 31 December 2026
+    assert.strictEqual(isoWeekKey("2027-01-01T08:00:00Z"), "2026-W53");
+    // Sunday
+    assert.strictEqual(isoWeekKey("2021-01-03T08:00:00Z"), "2020-W53");
+  });
+
+  it("puts late December in the next year's first week", () => {
+    // Monday: the week's Thursday is 2 January 2025
+    assert.strictEqual(isoWeekKey("2024-12-30T08:00:00Z"), "2025-W01");
+  });
+
+  it("starts week 1 on the year's first Thursday", () => {
+    assert.strictEqual(isoWeekKey("2026-01-01T00:00:00Z"), "2026-W01");
+    assert.strictEqual(isoWeekKey("2025-12-29T00:00:00Z"), "2026-W01");
+  });
+});
+
+describe("renderDigest", () => {
+  const digest = {
+    title: "Good News You Missed this week",
+    weekLabel: "Week of 12 October",
+    siteUrl: "https://example.org",
+    unsubscribeUrl: "https://example.org/unsubscribe?uid=a&token=b",
+    sections: [{
+      heading: "Top <b>stories</b>",
+      articles: [{
+        title: "<script>alert(1)</script> Reef recovers",
+        summary: "Corals & fish \"return\" <img src=x onerror=alert(1)>",
+        source: "Ocean <Weekly>",
+        link: "https://example.org/story?a=1&b=\"><script>",
+      }],
+    }],
+  };
+
+  const {subject, html, text} = renderDigest(digest);
+
+  it("escapes story text and headings in the HTML body", () => {
+    assert.ok(!/<script>|<img|<b>/.test(html), html);
+    assert.ok(html.includes(
+        "&lt;script&gt;alert(1)&lt;/script&gt; Reef recovers"));
+    assert.ok(html.includes(
+        "Corals &amp; fish &quot;return&quot; &lt;img src=x " +
+        "onerror=alert(1)&gt;"));
+    assert.ok(html.includes("Ocean &lt;Weekly&gt;"));
+    assert.ok(html.includes("Top &lt;b&gt;stories&lt;/b&gt;"));
+  });
+
+  it("keeps links inside their attribute", () => {
+    assert.ok(html.includes(
+        "href=\"https://example.org/story?a=1&amp;b=&quot;&gt;&lt;script&gt;\""));
+    assert.ok(html.includes(
+        "href=\"https://example.org/unsubscribe?uid=a&amp;token=b\""));
+  });
+
+  it("leaves the plain-text body and subject unescaped", () => {
+    assert.ok(text.includes(
+        "* <script>alert(1)</script> Reef recovers (Ocean <Weekly>)"));
+    assert.ok(text.includes("TOP <B>STORIES</B>"));
+    assert.strictEqual(subject,
+        "Good News You Missed this week: " +
+        "<script>alert(1)</script> Reef recovers");
+  });
+});
@@ -0,0 +1,181 @@
+// RSS/Atom parsing against the bundled fixtures, and the RSS adapter that
+// reads them (the same files RSS_FEEDS_FIXTURES=true points the pipeline at).
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const {parseFeed, toPlainText} = require("../providers/feed-parser");
+const rss = require("../providers/rss");
+
+const FEEDS_DIR = path.join(__dirname, "..", "fixtures", "feeds");
+
+/**
+ * Raw XML of one bundled feed fixture
+ * @param {string} name - File name in fixtures/feeds
+ * @return {string} Document
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FEEDS_DIR, name), "utf8");
+}
+
+describe("parseFeed", () => {
+  describe("RSS 2.0 fixture", () => {
+    const feed = parseFeed(readFixture("rss2-sample.xml"));
+
+    it("reads the channel", () => {
+      assert.strictEqual(feed.format, "rss");
+      assert.strictEqual(feed.title, "Sample Good News Feed");
+      assert.strictEqual(feed.items.length, 5);
+    });
+
+    it("unwraps CDATA and reads content:encoded and media:content", () => {
+      assert.deepStrictEqual(feed.items[0], {
+        title: "Volunteers Plant 10,000 Trees Along Flooded Riverbank",
+        link: "https://example.org/2026/10/05/volunteers-plant-trees/",
+        description: "More than 400 volunteers turned out to restore the " +
+          "riverbank & protect homes downstream.",
+        content: "More than 400 volunteers turned out on Saturday. " +
+          "The new trees will stabilise the bank and shade the water " +
+          "for salmon.",
+        publishedAt: "2026-10-05T08:30:00.000Z",
+        author: "Jane Rivera",
+        image: "https://example.org/images/trees.jpg",
+      });
+    });
+
+    it("decodes entity-escaped HTML and image enclosures", () => {
+      const [, item] = feed.items;
+      assert.strictEqual(item.title,
+          "Town Library Cancels Every Overdue Fine — And Gets Books Back");
+      assert.strictEqual(item.description,
+          "After dropping late fees, the library saw 2,300 long-lost books " +
+          "returned & 900 new members.");
+      assert.strictEqual(item.image, "https://example.org/images/library.png");
+    });
+
+    it("falls back to a permalink guid and ignores non-image enclosures",
+        () => {
+          const item = feed.items[2];
+          assert.strictEqual(item.link,
+              "https://example.org/2026/10/03/solar-bus-stops/");
+          assert.strictEqual(item.image, null);
+        });
+
+    it("keeps unparseable dates as null", () => {
+      assert.strictEqual(feed.items[4].publishedAt, null);
+    });
+  });
+
+  describe("Atom fixture", () => {
+    const feed = parseFeed(readFixture("atom-sample.xml"));
+
+    it("reads the feed", () => {
+      assert.strictEqual(feed.format, "atom");
+      assert.strictEqual(feed.title, "Sample University Newsroom");
+      assert.strictEqual(feed.items.length, 2);
+    });
+
+    it("uses the alternate link, enclosure image and strips scripts", () => {
+      assert.deepStrictEqual(feed.items[0], {
+        title: "New Enzyme Breaks Down Plastic Bottles in Under a Day",
+        link: "https://news.example.edu/2026/enzyme-plastic",
+        description: "Researchers engineered an enzyme that recycles PET " +
+          "at room temperature.",
+        content: "The team reports a 90% conversion rate.",
+        publishedAt: "2026-10-05T09:00:00.000Z",
+        author: "Office of Communications",
+        image: "https://news.example.edu/media/enzyme.jpg",
+      });
+    });
+
+    it("falls back to updated, inline XHTML and media:thumbnail", () => {
+      const [, entry] = feed.items;
+      assert.strictEqual(entry.link,
+          "https://news.example.edu/2026/gene-therapy-hearing");
+      assert.strictEqual(entry.publishedAt, "2026-10-04T14:45:00.000Z");
+      assert.strictEqual(entry.content,
+          "Five of six children showed significant improvement.");
+      assert.strictEqual(entry.image,
+          "https://news.example.edu/media/hearing-thumb.jpg");
+    });
+  });
+
+  it("rejects documents that are not feeds", () => {
+    assert.throws(() => parseFeed(""), /empty/);
+    assert.throws(() => parseFeed("<html><body></body></html>"),
+        /not an RSS or Atom feed/);
+  });
+
+  it("converts markup to plain text", () => {
+    assert.strictEqual(toPlainText("<p>One&nbsp;<b>two</b></p>"), "One two");
+  });
+});
+
+describe("RSS adapter", () => {
+  const providerConfig = {
+    targetCategories: ["community", "science"],
+    maxItemsPerFeed: 15,
+    feeds: [
+      {name: "Sample", url: "fixtures/feeds/rss2-sample.xml",
+        category: "community"},
+      {name: "University", url: "fixtures/feeds/atom-sample.xml",
+        category: "science"},
+    ],
+  };
+
+  it("reads only the feeds tagged with the category", async () => {
+    const items = await rss.fetch("science", {providerConfig});
+    assert.strictEqual(items.length, 2);
+    assert.ok(items.every((item) => item.feedName === "University"));
+  });
+
+  it("skips a failing feed while another in the category succeeds",
+      async () => {
+        const warnings = [];
+        const items = await rss.fetch("community", {
+          providerConfig: {
+            ...providerConfig,
+            feeds: [
+              ...providerConfig.feeds,
+              {url: "fixtures/feeds/missing.xml", category: "community"},
+            ],
+          },
+          log: {warn: (message) => warnings.push(message)},
+        });
+        assert.strictEqual(items.length, 5);
+        assert.deepStrictEqual(warnings, ["Skipping unreadable feeds"]);
+      });
+
+  it("normalizes items and drops short titles", async () => {
+    const items = await rss.fetch("community", {providerConfig});
+    const articles = items
+        .map((item) => rss.normalize(item, "community"))
+        .filter(Boolean);
+    assert.strictEqual(articles.length, 4);
+    assert.deepStrictEqual(articles[1], {
+      title: "Town Library Cancels Every Overdue Fine — And Gets Books Back",
+      link: "https://example.org/2026/10/04/library-fines/",
+      source: "Sample",
+      description: "After dropping late fees, the library saw 2,300 " +
+        "long-lost books returned & 900 new members.",
+      content: "",
+      publishedAt: "2026-10-04T14:15:00.000Z",
+      category: "COMMUNITY",
+      image: "https://example.org/images/library.png",
+      _provider: "rss",
+    });
+  });
+
+  it("reports config problems", () => {
+    assert.deepStrictEqual(rss.validate({feeds: []}),
+        ["no feeds configured"]);
+    assert.deepStrictEqual(rss.validate({
+      targetCategories: ["science"],
+      feeds: [{category: "sports"}],
+    }), [
+      "feeds[0] is missing a url",
+      "feeds[0] category \"sports\" is not in targetCategories",
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+// Slack/Teams delivery: which webhook failures are retried and how failures
+// are recorded on the integration. axios.post is replaced for each test.
+
+const assert = require("assert");
+const axios = require("axios");
+
+const {db, functions} = require("./support/functions");
+
+const {deliverToIntegration} = functions;
+
+const STORY = {
+  id: "a1",
+  title: "Reef Recovers After Heatwave",
+  summary: "Corals are growing back.",
+  link: "https://example.org/reef",
+  source: "Ocean Weekly",
+  category: "ENVIRONMENT",
+};
+
+/**
+ * An axios error carrying an HTTP response
+ * @param {number} status - Response status
+ * @return {Error} Error shaped like axios's
+ */
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {status, headers: {}};
+  return error;
+}
+
+describe("deliverToIntegration", function() {
+  this.timeout(10000);
+
+  const originalPost = axios.post;
+  let calls;
+
+  /**
+   * Make axios.post answer with the given outcomes in turn
+   * @param {Array<Error|Object>} outcomes - Errors are thrown, others returned
+   */
+  function respondWith(...outcomes) {
+    axios.post = async (url, body) => {
+      calls.push({url, body});
+      const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    };
+  }
+
+  /**
+   * Deliver STORY to a stored Slack integration
+   * @return {Promise<Object>} deliverToIntegration result
+   */
+  async function deliver() {
+    const doc = await db.collection("webhook_integrations").doc("slack-1")
+        .get();
+    return deliverToIntegration(doc, [STORY], {title: "New", intro: ""});
+  }
+
+  beforeEach(() => {
+    db.clear();
+    db.store.webhook_integrations = {
+      "slack-1": {
+        platform: "slack",
+        webhookUrl: "https://hooks.slack.com/services/T0/B0/x",
+        enabled: true,
+        consecutiveFailures: 0,
+      },
+    };
+    calls = [];
+  });
+
+  after(() => {
+    axios.post = originalPost;
+  });
+
+  it("records a successful delivery", async () => {
+    respondWith({status: 200});
+    assert.deepStrictEqual(await deliver(), {delivered: true});
+    assert.strictEqual(calls.length, 1);
+    const stored = db.store.webhook_integrations["slack-1"];
+    assert.deepStrictEqual(stored.lastArticleIds, ["a1"]);
+    assert.strictEqual(stored.consecutiveFailures, 0);
+  });
+
+  it("does not retry a 4xx answer", async () => {
+    respondWith(httpError(404));
+    const result = await deliver();
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(result.delivered, false);
+    assert.strictEqual(result.error, "HTTP 404 from Slack");
+    const stored = db.store.webhook_integrations["slack-1"];
+    assert.strictEqual(stored.consecutiveFailures, 1);
+    assert.strictEqual(stored.lastError, "HTTP 404 from Slack");
+  });
+
+  it("does not retry a 429 answer", async () => {
+    respondWith(httpError(429));
+    const result = await deliver();
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(result.delivered, false);
+  });
+
+  it("retries a 5xx answer", async () => {
+    respondWith(httpError(503), {status: 200});
+    assert.deepStrictEqual(await deliver(), {delivered: true});
+    assert.strictEqual(calls.length, 2);
+  });
+});
@@ -0,0 +1,81 @@
+// For You profile seeding: bookmarks made before profiles existed count as
+// saves, also for users whose profile a view or share already created.
+
+const assert = require("assert");
+
+const {fft, db, functions} = require("./support/functions");
+
+/**
+ * Stored article for the bookmark lookup
+ * @param {string} id - Document id
+ * @param {string} category - Category
+ * @param {string} source - Outlet
+ * @return {Object} Article data
+ */
+function storedArticle(id, category, source) {
+  return {id, category, source, title: `Story ${id}`, isActive: true};
+}
+
+describe("For You profile seeding", () => {
+  const getFeed = () => fft.wrap(functions.getPersonalizedFeed)({
+    data: {},
+    auth: {uid: "reader"},
+  });
+
+  beforeEach(() => {
+    db.clear();
+    db.store.news_articles = {
+      a1: storedArticle("a1", "SCIENCE", "Lab Weekly"),
+      a2: storedArticle("a2", "SCIENCE", "Lab Weekly"),
+      a3: storedArticle("a3", "HEALTH", "Clinic News"),
+    };
+    db.store.user_bookmarks = {reader: {articleIds: ["a1", "a2", "a3"]}};
+  });
+
+  it("seeds a profile that a view already created", async () => {
+    db.store.user_profiles = {
+      reader: {categories: {ANIMALS: {views: 1}}, sources: {}},
+    };
+
+    await getFeed();
+
+    const profile = db.store.user_profiles.reader;
+    assert.strictEqual(profile.seededFromBookmarks, true);
+    assert.deepStrictEqual(profile.categories, {
+      ANIMALS: {views: 1, saves: 0},
+      SCIENCE: {saves: 2},
+      HEALTH: {saves: 1},
+    });
+    assert.strictEqual(profile.sources.lab_weekly.saves, 2);
+  });
+
+  it("takes saves from the bookmark list, not earlier toggles", async () => {
+    // a3 was bookmarked after deploy, so its toggle was recorded already
+    db.store.user_profiles = {
+      reader: {categories: {HEALTH: {saves: 1, views: 2}}, sources: {}},
+    };
+
+    await getFeed();
+
+    assert.deepStrictEqual(db.store.user_profiles.reader.categories.HEALTH,
+        {saves: 1, views: 2});
+  });
+
+  it("seeds only once", async () => {
+    await getFeed();
+    db.store.user_bookmarks.reader.articleIds.push("a3");
+    await getFeed();
+
+    assert.deepStrictEqual(db.store.user_profiles.reader.categories,
+        {SCIENCE: {saves: 2}, HEALTH: {saves: 1}});
+  });
+
+  it("creates no profile for a user with no history", async () => {
+    db.store.user_bookmarks = {};
+
+    const feed = await getFeed();
+
+    assert.strictEqual(feed.coldStart, true);
+    assert.strictEqual((db.store.user_profiles || {}).reader, undefined);
+  });
+});
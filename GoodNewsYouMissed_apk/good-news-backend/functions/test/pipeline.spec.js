@@ -0,0 +1,79 @@
+// The whole fetch -> curate -> store pipeline with no network or API keys:
+// the bundled RSS/Atom fixtures stand in for the news APIs and the offline LLM
+// client answers from fixtures/llm/curate-sample.json. Firestore is the
+// in-memory stand-in from support/firestore.js.
+
+const assert = require("assert");
+
+const {fft, db, functions} = require("./support/functions");
+
+// Keyed by title: what curate-sample.json says about each feed item it keeps
+const EXPECTED = {
+  "Volunteers Plant 10,000 Trees Along Flooded Riverbank":
+    {category: "ENVIRONMENT", tone: "Heartwarming", toneConfidence: 88},
+  "Students Build Solar Charging Stations for Their Bus Stops":
+    {category: "INNOVATION", tone: "Inspiring", toneConfidence: 81},
+  "Community Fridge Network Expands to Twelve Neighbourhoods":
+    {category: "COMMUNITY", tone: "Hopeful", toneConfidence: 74},
+  "New Enzyme Breaks Down Plastic Bottles in Under a Day":
+    {category: "SCIENCE", tone: "Breakthrough", toneConfidence: 93},
+  "Gene Therapy Restores Hearing in Early Clinical Trial":
+    {category: "HEALTH", tone: "Breakthrough", toneConfidence: 90},
+};
+
+describe("offline pipeline", function() {
+  this.timeout(30000);
+
+  let result;
+  let stored;
+
+  before(async () => {
+    db.clear();
+    result = await functions.scheduledGoodNewsFetch.run({
+      id: "offline-pipeline-test",
+      scheduleTime: new Date().toISOString(),
+    });
+    stored = Object.values(db.store.news_articles || {});
+  });
+
+  it("fetches every fixture item and keeps the curated ones", () => {
+    assert.strictEqual(result.status, "success");
+    // 6 items across both feeds; "Briefly" is too short to normalize
+    assert.strictEqual(result.rawCount, 6);
+    assert.strictEqual(result.filteredCount, 5);
+  });
+
+  it("stores exactly the articles the fixture keeps", () => {
+    assert.deepStrictEqual(
+        stored.map((article) => article.title).sort(),
+        Object.keys(EXPECTED).sort());
+    assert.ok(!stored.some((article) => /Library/.test(article.title)),
+        "articles missing from the fixture are rejected");
+  });
+
+  it("stores the fixture's category and tone for each article", () => {
+    stored.forEach((article) => {
+      const expected = EXPECTED[article.title];
+      assert.strictEqual(article.category, expected.category, article.title);
+      assert.strictEqual(article.tone, expected.tone, article.title);
+      assert.strictEqual(article.toneConfidence, expected.toneConfidence,
+          article.title);
+      assert.strictEqual(article.isActive, true, article.title);
+    });
+  });
+
+  it("records per-category counts for the batch", () => {
+    const latest = (db.store.content || {}).latest_news;
+    assert.ok(latest, "content/latest_news is written");
+    assert.deepStrictEqual(
+        Object.keys(latest.stats.byCategory)
+            .filter((category) => latest.stats.byCategory[category] > 0)
+            .sort(),
+        ["COMMUNITY", "ENVIRONMENT", "HEALTH", "INNOVATION", "SCIENCE"]);
+  });
+
+  it("serves the stored articles through getAllArticles", async () => {
+    const response = await fft.wrap(functions.getAllArticles)({data: {}});
+    assert.strictEqual(response.count, 5);
+  });
+});
@@ -0,0 +1,179 @@
+// Provider adapter normalizers. The same cases run against the PWA's copies
+// of the adapters (src/assets/lib/services/providers) so the two stay in step.
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const newsapi = require("../providers/newsapi");
+const newsdata = require("../providers/newsdata");
+const {getActiveProviders, getProviderQuota} = require("../providers");
+
+const PWA_PROVIDERS_DIR = path.resolve(__dirname,
+    "../../../../GoodNewsYouMissed-pwa/good-news-react/src/assets/lib/" +
+    "services/providers");
+
+const NEWSAPI_CASES = [
+  {
+    name: "maps a complete article",
+    item: {
+      title: "Volunteers restore a city park",
+      url: "https://example.com/park",
+      source: {name: "Example Times"},
+      description: "A weekend of planting",
+      content: "Neighbours planted 200 trees.",
+      publishedAt: "2026-10-01T08:00:00Z",
+      urlToImage: "https://example.com/park.jpg",
+    },
+    expected: {
+      title: "Volunteers restore a city park",
+      link: "https://example.com/park",
+      source: "Example Times",
+      description: "A weekend of planting",
+      content: "Neighbours planted 200 trees.",
+      publishedAt: "2026-10-01T08:00:00Z",
+      category: "SCIENCE",
+      image: "https://example.com/park.jpg",
+      _provider: "newsapi",
+    },
+  },
+  {
+    name: "fills in missing optional fields",
+    item: {title: "Library opens a seed exchange", url: "https://e.x/seed"},
+    expected: {
+      title: "Library opens a seed exchange",
+      link: "https://e.x/seed",
+      source: "Unknown",
+      description: "",
+      content: "",
+      publishedAt: null,
+      category: "SCIENCE",
+      image: null,
+      _provider: "newsapi",
+    },
+  },
+  {
+    name: "drops short titles",
+    item: {title: "Too short", url: "https://e.x/a"},
+    expected: null,
+  },
+  {
+    name: "drops items without a url",
+    item: {title: "A story without any link at all"},
+    expected: null,
+  },
+];
+
+const NEWSDATA_CASES = [
+  {
+    name: "maps a complete result",
+    item: {
+      title: "Coral reef shows strong recovery",
+      link: "https://example.org/reef",
+      source_id: "exampleorg",
+      description: "Survey finds new growth",
+      content: "Divers counted twice as many colonies.",
+      full_content: "The full story.",
+      pubDate: "2026-10-02 09:30:00",
+      image_url: "https://example.org/reef.jpg",
+    },
+    expected: {
+      title: "Coral reef shows strong recovery",
+      link: "https://example.org/reef",
+      source: "exampleorg",
+      description: "Survey finds new growth",
+      content: "Divers counted twice as many colonies.",
+      fullContent: "The full story.",
+      publishedAt: "2026-10-02 09:30:00",
+      category: "SCIENCE",
+      image: "https://example.org/reef.jpg",
+      _provider: "newsdata",
+    },
+  },
+  {
+    name: "fills in missing optional fields",
+    item: {title: "Town funds free bus passes", link: "https://e.x/bus"},
+    expected: {
+      title: "Town funds free bus passes",
+      link: "https://e.x/bus",
+      source: "Unknown",
+      description: "",
+      content: "",
+      fullContent: "",
+      publishedAt: null,
+      category: "SCIENCE",
+      image: null,
+      _provider: "newsdata",
+    },
+  },
+  {
+    name: "drops items without a link",
+    item: {title: "A story without any link at all"},
+    expected: null,
+  },
+];
+
+/**
+ * Register the shared normalize() cases for one copy of each adapter
+ * @param {Function} loadAdapters - Resolves to {newsapi, newsdata}
+ */
+function describeNormalizers(loadAdapters) {
+  let adapters;
+
+  before(function() {
+    adapters = loadAdapters();
+    if (!adapters) this.skip();
+  });
+
+  NEWSAPI_CASES.forEach(({name, item, expected}) => {
+    it(`newsapi ${name}`, () => {
+      assert.deepStrictEqual(
+          adapters.newsapi.normalize(item, "science"), expected);
+    });
+  });
+
+  NEWSDATA_CASES.forEach(({name, item, expected}) => {
+    it(`newsdata ${name}`, () => {
+      assert.deepStrictEqual(
+          adapters.newsdata.normalize(item, "science"), expected);
+    });
+  });
+}
+
+describe("provider normalizers", () => {
+  describe("backend adapters", () => {
+    describeNormalizers(() => ({newsapi, newsdata}));
+  });
+
+  describe("PWA adapters", () => {
+    describeNormalizers(() => {
+      // Only present in a full checkout, not in a deployed functions bundle
+      if (!fs.existsSync(PWA_PROVIDERS_DIR)) return null;
+      return {
+        newsapi: require(path.join(PWA_PROVIDERS_DIR, "newsapi.js"))
+            .newsapiAdapter,
+        newsdata: require(path.join(PWA_PROVIDERS_DIR, "newsdata.js"))
+            .newsdataAdapter,
+      };
+    });
+  });
+});
+
+describe("provider registry", () => {
+  it("orders enabled providers by priority", () => {
+    const active = getActiveProviders({
+      newsapi: {enabled: true, priority: 2},
+      rss: {enabled: true, priority: 0},
+      newsdata: {enabled: false, priority: 1},
+    });
+    assert.deepStrictEqual(active.map(([name]) => name), ["rss", "newsapi"]);
+  });
+
+  it("lets configured limits override the adapter quota", () => {
+    assert.deepStrictEqual(
+        getProviderQuota("newsapi", {limits: {maxArticlesPerRequest: 5}}),
+        {maxArticlesPerRequest: 5, creditsPerRequest: 1});
+    assert.strictEqual(
+        getProviderQuota("rss", {}).maxArticlesPerRequest, null);
+  });
+});
@@ -0,0 +1,147 @@
+// Who gets a breaking-news push and when: quiet-hours validation and
+// matching in the subscriber's time zone, and pushSkipReason's per-batch,
+// throttle and daily-cap checks. Every check uses a fixed `now`.
+
+const assert = require("assert");
+const {Timestamp} = require("firebase-admin/firestore");
+
+const {validateQuietHours, isInQuietHours} = require("../push");
+const {functions} = require("./support/functions");
+
+const {pushSkipReason} = functions;
+
+const HOUR_MS = 60 * 60 * 1000;
+const OVERNIGHT = {start: "22:00", end: "07:00", timeZone: "Europe/Berlin"};
+
+/**
+ * Epoch milliseconds of an ISO date string
+ * @param {string} iso - e.g. "2026-10-19T21:30:00Z"
+ * @return {number} Milliseconds
+ */
+function at(iso) {
+  return Date.parse(iso);
+}
+
+describe("validateQuietHours", () => {
+  it("accepts an overnight window with a time zone", () => {
+    assert.strictEqual(validateQuietHours(OVERNIGHT), null);
+  });
+
+  it("rejects malformed times, equal bounds and unknown zones", () => {
+    assert.match(validateQuietHours({...OVERNIGHT, start: "7:00"}), /HH:MM/);
+    assert.match(validateQuietHours({...OVERNIGHT, end: "24:00"}), /HH:MM/);
+    assert.match(validateQuietHours({...OVERNIGHT, end: "22:00"}),
+        /must differ/);
+    assert.match(validateQuietHours({...OVERNIGHT, timeZone: "Mars/Base"}),
+        /IANA time zone/);
+    assert.match(validateQuietHours("22:00-07:00"), /must be/);
+  });
+});
+
+describe("isInQuietHours", () => {
+  // Berlin is UTC+2 until 25 October 2026
+  it("wraps an overnight window past midnight", () => {
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-19T20:00:00Z")),
+        true, "22:00 local, start is inclusive");
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-19T22:30:00Z")),
+        true, "00:30 local");
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-20T04:59:00Z")),
+        true, "06:59 local");
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-20T05:00:00Z")),
+        false, "07:00 local, end is exclusive");
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-19T19:59:00Z")),
+        false, "21:59 local");
+  });
+
+  it("handles a window within one day", () => {
+    const office = {start: "09:00", end: "17:00", timeZone: "UTC"};
+    assert.strictEqual(isInQuietHours(office, at("2026-10-19T09:00:00Z")),
+        true);
+    assert.strictEqual(isInQuietHours(office, at("2026-10-19T17:00:00Z")),
+        false);
+    assert.strictEqual(isInQuietHours(office, at("2026-10-19T03:00:00Z")),
+        false);
+  });
+
+  it("reads the clock in the subscriber's time zone", () => {
+    const noonUtc = at("2026-10-19T12:00:00Z");
+    assert.strictEqual(isInQuietHours(OVERNIGHT, noonUtc), false);
+    assert.strictEqual(
+        isInQuietHours({...OVERNIGHT, timeZone: "Pacific/Auckland"}, noonUtc),
+        true, "01:00 in Auckland");
+    assert.strictEqual(
+        isInQuietHours({...OVERNIGHT, timeZone: "America/New_York"},
+            at("2026-10-20T02:00:00Z")),
+        true, "22:00 in New York");
+  });
+
+  it("follows daylight saving changes", () => {
+    // 05:30 UTC is 06:30 in Berlin after the clocks go back on 25 October
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-24T05:30:00Z")),
+        false);
+    assert.strictEqual(isInQuietHours(OVERNIGHT, at("2026-10-26T05:30:00Z")),
+        true);
+  });
+
+  it("is never quiet without quiet hours", () => {
+    assert.strictEqual(isInQuietHours(null, at("2026-10-19T23:00:00Z")),
+        false);
+  });
+});
+
+describe("pushSkipReason", () => {
+  const now = at("2026-10-19T12:00:00Z");
+
+  /**
+   * A subscription last pushed `hoursAgo` before now
+   * @param {number} hoursAgo - Hours since the last push
+   * @param {Object} overrides - Fields to replace
+   * @return {Object} Subscription document data
+   */
+  function pushed(hoursAgo, overrides = {}) {
+    return {
+      quietHours: null,
+      lastBatchId: "batch-1",
+      lastPushedAt: Timestamp.fromMillis(now - hoursAgo * HOUR_MS),
+      pushDay: "2026-10-19",
+      pushesToday: 1,
+      ...overrides,
+    };
+  }
+
+  it("lets a subscription that was never pushed through", () => {
+    assert.strictEqual(pushSkipReason({quietHours: null}, "batch-2", now),
+        null);
+  });
+
+  it("pushes each batch at most once", () => {
+    assert.strictEqual(pushSkipReason(pushed(5), "batch-1", now),
+        "alreadyPushed");
+  });
+
+  it("skips during the subscriber's quiet hours", () => {
+    const subscription = pushed(5, {
+      quietHours: {...OVERNIGHT, timeZone: "Pacific/Auckland"},
+    });
+    assert.strictEqual(pushSkipReason(subscription, "batch-2", now),
+        "quietHours");
+  });
+
+  it("throttles to one push per interval", () => {
+    assert.strictEqual(pushSkipReason(pushed(2.9), "batch-2", now),
+        "throttled");
+    assert.strictEqual(pushSkipReason(pushed(3), "batch-2", now), null);
+  });
+
+  it("stops at the daily cap until the next UTC day", () => {
+    assert.strictEqual(
+        pushSkipReason(pushed(4, {pushesToday: 3}), "batch-2", now),
+        "dailyCap");
+    assert.strictEqual(
+        pushSkipReason(pushed(4, {pushesToday: 2}), "batch-2", now), null);
+    assert.strictEqual(
+        pushSkipReason(pushed(4, {pushesToday: 3, pushDay: "2026-10-18"}),
+            "batch-2", now),
+        null);
+  });
+});
@@ -0,0 +1,176 @@
+// Curator output checks: strict validation of the model's JSON array, the
+// repair pass for near-valid JSON, and which rejections earn a re-prompt.
+
+const assert = require("assert");
+
+const {
+  parseJsonArray,
+  repairJsonArray,
+  validateCuratedItems,
+  isRepromptable,
+  countRejectionReasons,
+} = require("../llm/schema");
+
+const INPUT_IDS = ["https://example.org/a", "https://example.org/b"];
+
+const RULES = {
+  inputIds: new Set(INPUT_IDS),
+  categories: ["SCIENCE", "HEALTH"],
+  summaryLength: {min: 20, max: 200},
+  titleMaxLength: 80,
+  isContentSafe: (text) => !/attack/i.test(text),
+};
+
+/**
+ * A response item that passes RULES
+ * @param {Object} overrides - Fields to replace
+ * @return {Object} Item
+ */
+function item(overrides = {}) {
+  return {
+    uniqueId: INPUT_IDS[0],
+    title: "New Enzyme Breaks Down Plastic",
+    summary: "Researchers engineered an enzyme that digests bottles.",
+    category: "SCIENCE",
+    ...overrides,
+  };
+}
+
+/**
+ * Rejection reasons for a single item
+ * @param {Object} candidate - Response item
+ * @return {Array<string>} Reasons, empty when accepted
+ */
+function reasonsFor(candidate) {
+  const {rejected} = validateCuratedItems([candidate], RULES);
+  return rejected.length === 0 ? [] : rejected[0].reasons;
+}
+
+describe("validateCuratedItems", () => {
+  it("accepts an item that follows every rule", () => {
+    const {valid, rejected} = validateCuratedItems([item()], RULES);
+    assert.strictEqual(valid.length, 1);
+    assert.deepStrictEqual(rejected, []);
+  });
+
+  it("rejects a category the model invented", () => {
+    assert.deepStrictEqual(reasonsFor(item({category: "GOOD_VIBES"})),
+        ["invalid_category"]);
+  });
+
+  it("rejects a uniqueId that matches no input link", () => {
+    const {valid, rejected} = validateCuratedItems(
+        [item({uniqueId: "https://example.org/made-up"})], RULES);
+    assert.deepStrictEqual(valid, []);
+    assert.deepStrictEqual(rejected, [{
+      uniqueId: "https://example.org/made-up",
+      reasons: ["unknown_id"],
+    }]);
+  });
+
+  it("accepts each input link once", () => {
+    const {valid, rejected} = validateCuratedItems([item(), item()], RULES);
+    assert.strictEqual(valid.length, 1);
+    assert.deepStrictEqual(rejected[0].reasons, ["duplicate_id"]);
+  });
+
+  it("reports every fixable problem with a known article", () => {
+    assert.deepStrictEqual(
+        reasonsFor(item({summary: "Too short", title: "x".repeat(81)})),
+        ["summary_length", "title_length"]);
+    assert.deepStrictEqual(reasonsFor(item({title: undefined})),
+        ["missing_field"]);
+  });
+
+  it("flags unsafe text", () => {
+    assert.deepStrictEqual(reasonsFor(item({title: "Attack on the city"})),
+        ["unsafe_content"]);
+  });
+
+  it("rejects entries that are not objects, without a uniqueId", () => {
+    const {rejected} = validateCuratedItems([null, "text", [1]], RULES);
+    assert.deepStrictEqual(rejected.map((rejection) => rejection.uniqueId),
+        [null, null, null]);
+    rejected.forEach((rejection) =>
+      assert.deepStrictEqual(rejection.reasons, ["not_object"]));
+  });
+});
+
+describe("isRepromptable", () => {
+  it("re-prompts known articles with fixable fields", () => {
+    assert.strictEqual(isRepromptable({
+      uniqueId: INPUT_IDS[0],
+      reasons: ["invalid_category", "summary_length"],
+    }), true);
+  });
+
+  it("never re-prompts unknown ids, duplicates or unsafe content", () => {
+    [
+      {uniqueId: null, reasons: ["not_object"]},
+      {uniqueId: "https://example.org/made-up", reasons: ["unknown_id"]},
+      {uniqueId: INPUT_IDS[0], reasons: ["duplicate_id"]},
+      {uniqueId: INPUT_IDS[0], reasons: ["title_length", "unsafe_content"]},
+    ].forEach((rejection) =>
+      assert.strictEqual(isRepromptable(rejection), false,
+          rejection.reasons.join(",")));
+  });
+});
+
+describe("countRejectionReasons", () => {
+  it("tallies reasons across rejections", () => {
+    assert.deepStrictEqual(countRejectionReasons([
+      {uniqueId: "a", reasons: ["invalid_category", "summary_length"]},
+      {uniqueId: "b", reasons: ["invalid_category"]},
+    ]), {invalid_category: 2, summary_length: 1});
+  });
+});
+
+describe("parseJsonArray", () => {
+  const complete = JSON.stringify([item()]);
+
+  it("parses strict JSON without repairs", () => {
+    assert.deepStrictEqual(parseJsonArray(complete),
+        {items: [item()], repaired: false});
+  });
+
+  it("strips a ```json fence", () => {
+    const {items} = parseJsonArray(`\`\`\`json\n${complete}\n\`\`\``);
+    assert.deepStrictEqual(items, [item()]);
+  });
+
+  it("repairs prose, trailing commas and smart quotes", () => {
+    const text = "Here are the stories:\n" +
+      "[{“uniqueId”: “a”, \"tags\": [1, 2,],},]\nHope this helps!";
+    assert.deepStrictEqual(parseJsonArray(text),
+        {items: [{uniqueId: "a", tags: [1, 2]}], repaired: true});
+  });
+
+  it("cuts a truncated response back to the last complete object", () => {
+    const text =
+      "[{\"uniqueId\": \"a\"}, {\"uniqueId\": \"b\", \"title\": \"Cut o";
+    assert.deepStrictEqual(parseJsonArray(text),
+        {items: [{uniqueId: "a"}], repaired: true});
+  });
+
+  it("ignores brackets inside strings when balancing", () => {
+    const text = "[{\"title\": \"Array [1] } and more\"}, {\"title\": \"b";
+    assert.deepStrictEqual(parseJsonArray(text).items,
+        [{title: "Array [1] } and more"}]);
+  });
+
+  it("throws when no array can be recovered", () => {
+    assert.throws(() => parseJsonArray("{\"uniqueId\": \"a\"}"),
+        /not an array|Unexpected|JSON/);
+    assert.throws(() => parseJsonArray("I could not find any stories."));
+  });
+});
+
+describe("repairJsonArray", () => {
+  it("returns null when there is no array start", () => {
+    assert.strictEqual(repairJsonArray("no json here"), null);
+  });
+
+  it("returns an empty array when nothing closed before truncation", () => {
+    assert.strictEqual(repairJsonArray("[{\"uniqueId\": \"a"), "[]");
+  });
+});
@@ -0,0 +1,269 @@
+// In-memory stand-in for the Firestore client, covering the calls the
+// pipeline makes: documents (get/set/update/delete), equality and range
+// filters, orderBy/limit, batches and transactions. install() replaces
+// getFirestore() so index.js picks it up when it is required afterwards.
+
+const firestore = require("firebase-admin/firestore");
+
+/**
+ * Value of a (possibly dotted) field
+ * @param {Object} data - Document data
+ * @param {string} field - Field path
+ * @return {*} Value, or undefined
+ */
+function readField(data, field) {
+  return field.split(".").reduce((value, key) =>
+    (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Comparable form of a stored value (Timestamps become milliseconds)
+ * @param {*} value - Stored value
+ * @return {*} Comparable value
+ */
+function comparable(value) {
+  return value && typeof value.toMillis === "function" ?
+    value.toMillis() :
+    value;
+}
+
+/**
+ * Apply a FieldValue transform, or return the plain value
+ * @param {*} current - Current field value
+ * @param {*} value - New value or FieldValue sentinel
+ * @return {*} Value to store; undefined deletes the field
+ */
+function applyValue(current, value) {
+  const kind = value && value.constructor && value.constructor.name;
+  switch (kind) {
+    case "NumericIncrementTransform":
+      return (current || 0) + value.operand;
+    case "DeleteTransform":
+      return undefined;
+    case "ArrayUnionTransform":
+      return [...new Set([...(current || []), ...value.elements])];
+    case "ArrayRemoveTransform":
+      return (current || []).filter((item) => !value.elements.includes(item));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Write fields into target, merging nested plain objects
+ * @param {Object} target - Stored data, modified in place
+ * @param {Object} fields - Fields to write
+ * @return {Object} target
+ */
+function mergeInto(target, fields) {
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value && value.constructor === Object) {
+      const nested = target[key] && typeof target[key] === "object" ?
+        target[key] :
+        {};
+      target[key] = mergeInto(nested, value);
+      return;
+    }
+    const next = applyValue(target[key], value);
+    if (next === undefined) {
+      delete target[key];
+    } else {
+      target[key] = next;
+    }
+  });
+  return target;
+}
+
+/**
+ * Create an in-memory database
+ * @param {Object} store - { [collectionPath]: { [docId]: data } }
+ * @return {Object} Firestore-like client
+ */
+function createDatabase(store = {}) {
+  let autoId = 0;
+
+  const documents = (path) => {
+    store[path] = store[path] || {};
+    return store[path];
+  };
+
+  const snapshotOf = (path, id) => {
+    const data = documents(path)[id];
+    return {
+      id,
+      exists: data !== undefined,
+      ref: docRef(path, id),
+      data: () => (data === undefined ? undefined : {...data}),
+    };
+  };
+
+  /**
+   * @param {string} path - Collection path
+   * @param {string} id - Document id
+   * @return {Object} DocumentReference-like object
+   */
+  function docRef(path, id) {
+    return {
+      id,
+      path: `${path}/${id}`,
+      async get() {
+        return snapshotOf(path, id);
+      },
+      async set(data, options = {}) {
+        const existing = documents(path)[id];
+        documents(path)[id] = options.merge && existing ?
+          mergeInto(existing, data) :
+          mergeInto({}, data);
+      },
+      async update(fields) {
+        const existing = documents(path)[id];
+        if (!existing) throw new Error(`5 NOT_FOUND: ${path}/${id}`);
+        Object.entries(fields).forEach(([fieldPath, value]) => {
+          const keys = fieldPath.split(".");
+          const last = keys.pop();
+          const parent = keys.reduce((node, key) => {
+            node[key] = node[key] && typeof node[key] === "object" ?
+              node[key] :
+              {};
+            return node[key];
+          }, existing);
+          const next = applyValue(parent[last], value);
+          if (next === undefined) {
+            delete parent[last];
+          } else {
+            parent[last] = next;
+          }
+        });
+      },
+      async delete() {
+        delete documents(path)[id];
+      },
+      collection(name) {
+        return query(`${path}/${id}/${name}`);
+      },
+    };
+  }
+
+  /**
+   * @param {string} path - Collection path
+   * @param {Object} spec - { filters, order, max, after }
+   * @return {Object} Query/CollectionReference-like object
+   */
+  function query(path, spec = {filters: [], order: null, max: null}) {
+    const next = (changes) => query(path, {...spec, ...changes});
+
+    const matches = ([id, data]) => spec.filters.every(([field, op, want]) => {
+      const value = comparable(typeof field === "string" ?
+        readField(data, field) :
+        id);
+      const target = comparable(want);
+      switch (op) {
+        case "==": return value === target;
+        case "!=": return value !== target;
+        case ">": return value > target;
+        case ">=": return value >= target;
+        case "<": return value < target;
+        case "<=": return value <= target;
+        case "in": return want.includes(value);
+        case "array-contains": return (value || []).includes(want);
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+
+    return {
+      id: path.split("/").pop(),
+      doc(id) {
+        autoId += 1;
+        return docRef(path, id || `auto${autoId}`);
+      },
+      async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+      },
+      where: (field, op, value) =>
+        next({filters: [...spec.filters, [field, op, value]]}),
+      orderBy: (field, direction = "asc") =>
+        next({order: [field, direction]}),
+      limit: (max) => next({max}),
+      startAfter: (cursor) => next({after: cursor}),
+      async listDocuments() {
+        return Object.keys(documents(path)).map((id) => docRef(path, id));
+      },
+      async get() {
+        let entries = Object.entries(documents(path)).filter(matches);
+        if (spec.order) {
+          const [field, direction] = spec.order;
+          const sign = direction === "desc" ? -1 : 1;
+          entries.sort(([, a], [, b]) => {
+            const left = comparable(readField(a, field));
+            const right = comparable(readField(b, field));
+            return sign * ((left > right) - (left < right));
+          });
+        }
+        if (spec.after) {
+          const index = entries.findIndex(([id]) => id === spec.after.id);
+          entries = entries.slice(index + 1);
+        }
+        if (spec.max) entries = entries.slice(0, spec.max);
+
+        const docs = entries.map(([id]) => snapshotOf(path, id));
+        return {
+          docs,
+          size: docs.length,
+          empty: docs.length === 0,
+          forEach: (callback) => docs.forEach(callback),
+        };
+      },
+    };
+  }
+
+  return {
+    store,
+    settings() {},
+    clear() {
+      Object.keys(store).forEach((path) => delete store[path]);
+    },
+    collection: (name) => query(name),
+    async getAll(...refs) {
+      return Promise.all(refs.map((ref) => ref.get()));
+    },
+    batch() {
+      const writes = [];
+      return {
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        update: (ref, fields) => writes.push(() => ref.update(fields)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        async commit() {
+          for (const write of writes) await write();
+        },
+      };
+    },
+    async runTransaction(callback) {
+      return callback({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => ref.set(data, options),
+        update: (ref, fields) => ref.update(fields),
+        delete: (ref) => ref.delete(),
+      });
+    },
+  };
+}
+
+/**
+ * Make getFirestore() return an in-memory database
+ * Call before requiring index.js.
+ * @param {Object} [store] - Initial contents
+ * @return {Object} The database; its store property holds the documents
+ */
+function install(store) {
+  const db = createDatabase(store);
+  Object.defineProperty(firestore, "getFirestore", {
+    value: () => db,
+    configurable: true,
+    writable: true,
+  });
+  return db;
+}
+
+module.exports = {install, createDatabase};
@@ -0,0 +1,21 @@
+// Loads index.js the way the specs run it: offline providers and LLM, no
+// article extraction, and the in-memory Firestore from ./firestore. Every
+// spec that needs index.js requires it through here, so the environment is
+// set before the module is first loaded.
+
+Object.assign(process.env, {
+  GCLOUD_PROJECT: process.env.GCLOUD_PROJECT || "demo-good-news",
+  NEWSDATA_ENABLED: "false",
+  RSS_FEEDS_FIXTURES: "true",
+  LLM_CLIENTS: "offline",
+  LLM_OFFLINE_FIXTURE: "fixtures/llm/curate-sample.json",
+  ARTICLE_EXTRACTION_ENABLED: "false",
+});
+
+const fft = require("firebase-functions-test")();
+const {install} = require("./firestore");
+
+const db = install();
+const functions = require("../../index");
+
+module.exports = {fft, db, functions};
@@ -0,0 +1,51 @@
+// Outgoing webhooks: the signature receivers check (HMAC-SHA256 over
+// "<t>.<body>", as in the README recipe) and the redelivery backoff.
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+const {functions} = require("./support/functions");
+
+const {signWebhookBody, webhookRetryDelayMs} = functions;
+
+const MINUTE_MS = 60 * 1000;
+
+describe("signWebhookBody", () => {
+  const secret = "whsec_test";
+  const timestamp = 1792400000;
+  const body = JSON.stringify({event: "batch.stored", data: {count: 5}});
+
+  it("is the hex HMAC-SHA256 of \"<t>.<body>\"", () => {
+    const expected = crypto.createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+    assert.strictEqual(signWebhookBody(secret, timestamp, body), expected);
+  });
+
+  it("changes with the timestamp, the body and the secret", () => {
+    const signature = signWebhookBody(secret, timestamp, body);
+    assert.notStrictEqual(signWebhookBody(secret, timestamp + 1, body),
+        signature);
+    assert.notStrictEqual(signWebhookBody(secret, timestamp, `${body} `),
+        signature);
+    assert.notStrictEqual(signWebhookBody("whsec_other", timestamp, body),
+        signature);
+  });
+});
+
+describe("webhookRetryDelayMs", () => {
+  it("doubles from one minute", () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(webhookRetryDelayMs),
+        [1, 2, 4, 8, 16].map((minutes) => minutes * MINUTE_MS));
+  });
+
+  it("waits one minute before the first retry", () => {
+    assert.strictEqual(webhookRetryDelayMs(0), MINUTE_MS);
+  });
+
+  it("never waits more than six hours", () => {
+    assert.strictEqual(webhookRetryDelayMs(9), 256 * MINUTE_MS);
+    assert.strictEqual(webhookRetryDelayMs(10), 6 * 60 * MINUTE_MS);
+    assert.strictEqual(webhookRetryDelayMs(50), 6 * 60 * MINUTE_MS);
+  });
+});